@@ -0,0 +1,191 @@
+const axios = require('axios');
+
+// --- AI PROVIDER LAYER ---
+// Every provider exposes the same shape:
+//   { name, model, complete(messages, { temperature, maxTokens, responseFormat }) }
+// and resolves to { content, message, raw }. HTTP providers let axios errors
+// bubble up untouched so the routes can keep forwarding `error.response`.
+
+const PROVIDER_DEFAULTS = {
+    perplexity: {
+        baseUrl: 'https://api.perplexity.ai',
+        model: 'sonar', // Cheaper than sonar-pro
+        apiKeyEnv: 'PERPLEXITY_API_KEY',
+        requiresKey: true
+    },
+    openai: {
+        // Any OpenAI-compatible /chat/completions endpoint (OpenAI, Groq, Ollama, LM Studio, vLLM...)
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        apiKeyEnv: 'OPENAI_API_KEY',
+        requiresKey: false
+    },
+    mock: {
+        model: 'mock-1'
+    }
+};
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Provider for any endpoint speaking the OpenAI chat completions protocol
+const createChatCompletionsProvider = (name, { apiKey, baseUrl, model, timeout = DEFAULT_TIMEOUT_MS }) => {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name,
+        model,
+        async complete(messages, { temperature = 0.7, maxTokens } = {}) {
+            const body = { model, messages, temperature };
+            if (maxTokens) body.max_tokens = maxTokens;
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+            const response = await axios.post(url, body, { headers, timeout });
+            const message = response.data?.choices?.[0]?.message;
+
+            return { content: message?.content || '', message, raw: response.data };
+        }
+    };
+};
+
+// --- MOCK PROVIDER ---
+// Deterministic and offline: the same input always produces the same output,
+// so tests and local development can run the full flow without an API key.
+
+const STOPWORDS = new Set([
+    'about', 'after', 'again', 'along', 'also', 'among', 'because', 'been', 'before', 'being',
+    'between', 'both', 'could', 'does', 'during', 'each', 'either', 'every', 'from', 'have',
+    'having', 'here', 'into', 'itself', 'many', 'might', 'more', 'most', 'much', 'must', 'only',
+    'other', 'over', 'same', 'should', 'some', 'such', 'than', 'that', 'their', 'them', 'then',
+    'there', 'these', 'they', 'this', 'those', 'through', 'under', 'until', 'very', 'were',
+    'what', 'when', 'where', 'which', 'while', 'will', 'with', 'within', 'would', 'your'
+]);
+
+// Most frequent meaningful words, ties broken alphabetically for stable output
+const extractKeywords = (text, limit) => {
+    const counts = new Map();
+    const words = text.toLowerCase().match(/[a-zà-ÿ]{5,}/g) || [];
+    words.forEach(word => {
+        if (!STOPWORDS.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+    });
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([word]) => word.charAt(0).toUpperCase() + word.slice(1));
+};
+
+const firstSentences = (text, count) => {
+    const sentences = text.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]?/g) || [];
+    return sentences.slice(0, count).join(' ').trim();
+};
+
+// Builds a plan that satisfies StudyPlanSchema from the material itself
+const buildMockStudyPlan = (material) => {
+    const keywords = extractKeywords(material, 6);
+    while (keywords.length < 4) keywords.push(`Concept ${keywords.length + 1}`);
+
+    const [mainTopic, ...subtopics] = keywords;
+    const summarySource = firstSentences(material, 3) || 'The material could not be summarized.';
+
+    return {
+        summary: `**${mainTopic}**: ${summarySource}`.slice(0, 2000),
+        learning_objectives: subtopics.slice(0, 3).map(topic => `Define ${topic.toLowerCase()} and apply it to ${mainTopic.toLowerCase()}.`),
+        memory_palace: `Walk into your room: at the **door** sits ${mainTopic}, on the **desk** lies ${subtopics[0]}, and on the **window** hangs ${subtopics[1]}.`,
+        worked_examples: [{
+            subtopic: subtopics[0],
+            given_data: `A short problem about ${subtopics[0].toLowerCase()}.`,
+            step_by_step_reasoning: [`Recall the definition of ${subtopics[0].toLowerCase()}.`, `Relate it to ${mainTopic.toLowerCase()}.`],
+            final_result: `${subtopics[0]} explained in terms of ${mainTopic}.`
+        }],
+        common_mistakes: [{
+            mistake: `Confusing ${subtopics[0].toLowerCase()} with ${subtopics[1].toLowerCase()}.`,
+            explanation: 'They are related but describe different ideas in the material.'
+        }],
+        active_recall: subtopics.slice(0, 3).map((topic, i) => ({
+            question: `What is the role of ${topic.toLowerCase()} in ${mainTopic.toLowerCase()}?`,
+            answer: `See the section of the material that discusses ${topic.toLowerCase()}.`,
+            difficulty_rating: i + 2,
+            level: i + 1,
+            type: 'short_answer',
+            options: [],
+            related_concept: topic
+        })),
+        spaced_repetition: ['Day 1', 'Day 3', 'Day 7', 'Day 14'].map((day, i) => ({
+            day,
+            topic: keywords[i] || mainTopic,
+            hint: null
+        })),
+        concept_map: {
+            main_topic: mainTopic,
+            subtopics: subtopics.slice(0, 5)
+        }
+    };
+};
+
+const createMockProvider = ({ model = PROVIDER_DEFAULTS.mock.model } = {}) => ({
+    name: 'mock',
+    model,
+    async complete(messages, { responseFormat } = {}) {
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        const userContent = lastUser ? String(lastUser.content) : '';
+
+        const content = responseFormat === 'json'
+            ? JSON.stringify(buildMockStudyPlan(userContent))
+            : `[mock] You said: "${firstSentences(userContent, 1).slice(0, 200)}". Configure AI_PROVIDER for real answers.`;
+
+        const message = { role: 'assistant', content };
+        return { content, message, raw: { provider: 'mock', choices: [{ message }] } };
+    }
+});
+
+// --- FACTORY ---
+
+// Creates a provider from explicit options: { provider, apiKey, baseUrl, model, timeout }
+const createAIProvider = ({ provider, apiKey, baseUrl, model, timeout } = {}) => {
+    const defaults = PROVIDER_DEFAULTS[provider];
+    if (!defaults) {
+        throw new Error(`Unknown AI provider "${provider}". Use one of: ${Object.keys(PROVIDER_DEFAULTS).join(', ')}.`);
+    }
+
+    if (provider === 'mock') return createMockProvider({ model });
+
+    if (defaults.requiresKey && !apiKey) {
+        throw new Error(`AI provider "${provider}" requires an API key (AI_API_KEY or ${defaults.apiKeyEnv}).`);
+    }
+
+    return createChatCompletionsProvider(provider, {
+        apiKey,
+        baseUrl: baseUrl || defaults.baseUrl,
+        model: model || defaults.model,
+        timeout
+    });
+};
+
+// Resolves provider settings from the environment.
+// AI_PROVIDER picks the provider; without it we use Perplexity when its key is
+// present and fall back to the offline mock otherwise. Production never falls back:
+// fake plans must not be sold for credits, so there the mock needs AI_PROVIDER=mock.
+const createAIProviderFromEnv = (env = process.env) => {
+    if (!env.AI_PROVIDER && !env.PERPLEXITY_API_KEY && env.NODE_ENV === 'production') {
+        throw new Error('No AI provider configured: set AI_PROVIDER (and its API key) or PERPLEXITY_API_KEY.');
+    }
+    const provider = env.AI_PROVIDER || (env.PERPLEXITY_API_KEY ? 'perplexity' : 'mock');
+    const defaults = PROVIDER_DEFAULTS[provider] || {};
+
+    return createAIProvider({
+        provider,
+        apiKey: env.AI_API_KEY || (defaults.apiKeyEnv && env[defaults.apiKeyEnv]),
+        baseUrl: env.AI_BASE_URL,
+        model: env.AI_MODEL,
+        timeout: env.AI_TIMEOUT_MS ? parseInt(env.AI_TIMEOUT_MS, 10) : undefined
+    });
+};
+
+module.exports = {
+    PROVIDER_DEFAULTS,
+    createAIProvider,
+    createAIProviderFromEnv,
+    buildMockStudyPlan
+};
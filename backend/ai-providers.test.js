@@ -0,0 +1,97 @@
+const express = require('express');
+const { createAIProvider, createAIProviderFromEnv } = require('./ai-providers');
+
+const MATERIAL = 'Photosynthesis converts light energy into chemical energy. Chlorophyll absorbs light in the chloroplasts. '
+    + 'In photosynthesis the Calvin cycle fixes carbon dioxide into glucose. Photosynthesis releases oxygen as a byproduct.';
+
+describe('mock provider', () => {
+    const provider = createAIProvider({ provider: 'mock' });
+
+    test('returns the same plan for the same material', async () => {
+        const messages = [{ role: 'user', content: MATERIAL }];
+        const first = await provider.complete(messages, { responseFormat: 'json' });
+        const second = await provider.complete(messages, { responseFormat: 'json' });
+        expect(first.content).toBe(second.content);
+    });
+
+    test('builds a plan with every required section', async () => {
+        const { content } = await provider.complete([{ role: 'user', content: MATERIAL }], { responseFormat: 'json' });
+        const plan = JSON.parse(content);
+
+        expect(plan.summary).toContain('Photosynthesis');
+        expect(plan.memory_palace).toBeTruthy();
+        expect(plan.active_recall.length).toBeGreaterThan(0);
+        expect(plan.spaced_repetition).toHaveLength(4);
+        expect(plan.concept_map.main_topic).toBe('Photosynthesis');
+    });
+
+    test('answers chat messages with an assistant message', async () => {
+        const { message } = await provider.complete([{ role: 'user', content: 'Explain osmosis.' }]);
+        expect(message.role).toBe('assistant');
+        expect(message.content).toContain('Explain osmosis.');
+    });
+});
+
+describe('provider configuration', () => {
+    test('falls back to the mock provider without any key', () => {
+        expect(createAIProviderFromEnv({}).name).toBe('mock');
+    });
+
+    test('refuses to fall back to the mock provider in production', () => {
+        expect(() => createAIProviderFromEnv({ NODE_ENV: 'production' })).toThrow(/No AI provider configured/);
+        expect(createAIProviderFromEnv({ NODE_ENV: 'production', AI_PROVIDER: 'mock' }).name).toBe('mock');
+    });
+
+    test('uses perplexity when its key is present', () => {
+        const provider = createAIProviderFromEnv({ PERPLEXITY_API_KEY: 'pplx-test' });
+        expect(provider.name).toBe('perplexity');
+        expect(provider.model).toBe('sonar');
+    });
+
+    test('requires a key for perplexity', () => {
+        expect(() => createAIProviderFromEnv({ AI_PROVIDER: 'perplexity' })).toThrow(/API key/);
+    });
+
+    test('rejects unknown providers', () => {
+        expect(() => createAIProviderFromEnv({ AI_PROVIDER: 'skynet' })).toThrow(/Unknown AI provider/);
+    });
+});
+
+describe('OpenAI-compatible provider', () => {
+    let server;
+    let received;
+
+    beforeAll((done) => {
+        const app = express();
+        app.use(express.json());
+        app.post('/v1/chat/completions', (req, res) => {
+            received = { body: req.body, authorization: req.headers.authorization };
+            res.json({ choices: [{ message: { role: 'assistant', content: 'Hello from the endpoint' } }] });
+        });
+        server = app.listen(0, done);
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    test('posts to the configured base URL and model', async () => {
+        const provider = createAIProviderFromEnv({
+            AI_PROVIDER: 'openai',
+            AI_API_KEY: 'sk-local',
+            AI_BASE_URL: `http://localhost:${server.address().port}/v1/`,
+            AI_MODEL: 'llama3'
+        });
+
+        const { content } = await provider.complete([{ role: 'user', content: 'Hi' }], { temperature: 0.2, maxTokens: 50 });
+
+        expect(content).toBe('Hello from the endpoint');
+        expect(received.authorization).toBe('Bearer sk-local');
+        expect(received.body).toEqual({
+            model: 'llama3',
+            messages: [{ role: 'user', content: 'Hi' }],
+            temperature: 0.2,
+            max_tokens: 50
+        });
+    });
+});
@@ -0,0 +1,69 @@
+// --- DOCUMENT CHUNKING ---
+// Splits long extracted text into sections that each fit in a single AI prompt.
+// Sections keep their character offsets so generated items can point back to
+// the part of the source they came from.
+
+const DEFAULT_SECTION_CHARS = 20000;
+const MAX_SECTION_CHARS = 40000; // Same budget as a single-pass prompt
+const DEFAULT_MAX_SECTIONS = 12;
+
+// Boundaries we prefer to cut at, best first
+const BOUNDARIES = [/\n\s*\n/g, /\n/g, /[.!?]\s/g, /\s/g];
+
+const lastMatch = (text, pattern) => {
+    let last = null;
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) last = match;
+    return last;
+};
+
+// Finds the best place to cut before `limit`: paragraph break, then line break,
+// then sentence end, then whitespace. Falls back to a hard cut.
+const findCutPoint = (text, start, limit) => {
+    const window = text.slice(start, limit);
+    const minCut = Math.floor(window.length * 0.5); // Never produce tiny sections
+
+    for (const pattern of BOUNDARIES) {
+        const match = lastMatch(window, pattern);
+        if (match && match.index >= minCut) {
+            return start + match.index + match[0].length;
+        }
+    }
+    return limit;
+};
+
+// Returns [{ id, start, end, text }] with 1-based ids.
+// When the text would need more than `maxSections`, sections grow (up to
+// MAX_SECTION_CHARS) and anything still left over is reported as truncated.
+const splitIntoSections = (text, { sectionChars = DEFAULT_SECTION_CHARS, maxSections = DEFAULT_MAX_SECTIONS } = {}) => {
+    const size = Math.min(
+        MAX_SECTION_CHARS,
+        Math.max(sectionChars, Math.ceil(text.length / maxSections))
+    );
+
+    const sections = [];
+    let start = 0;
+
+    while (start < text.length && sections.length < maxSections) {
+        // The last allowed section takes as much of the remainder as it can
+        const isLast = sections.length === maxSections - 1;
+        const limit = Math.min(text.length, start + (isLast ? MAX_SECTION_CHARS : size));
+        const end = limit === text.length ? limit : findCutPoint(text, start, limit);
+        const sectionText = text.slice(start, end);
+
+        if (sectionText.trim()) {
+            sections.push({ id: sections.length + 1, start, end, text: sectionText });
+        }
+        start = end;
+    }
+
+    return { sections, truncated: start < text.length, coveredChars: start };
+};
+
+module.exports = {
+    DEFAULT_SECTION_CHARS,
+    DEFAULT_MAX_SECTIONS,
+    MAX_SECTION_CHARS,
+    splitIntoSections
+};
@@ -0,0 +1,38 @@
+const { splitIntoSections, MAX_SECTION_CHARS } = require('./chunking');
+
+const paragraph = (word, length) => `${word} `.repeat(Math.ceil(length / (word.length + 1))).slice(0, length).trim();
+
+describe('splitIntoSections', () => {
+    test('keeps short text in a single section', () => {
+        const { sections, truncated } = splitIntoSections('A short document.');
+        expect(sections).toEqual([{ id: 1, start: 0, end: 17, text: 'A short document.' }]);
+        expect(truncated).toBe(false);
+    });
+
+    test('cuts at paragraph breaks and covers the whole text', () => {
+        const text = [paragraph('alpha', 900), paragraph('beta', 900), paragraph('gamma', 900)].join('\n\n');
+        const { sections } = splitIntoSections(text, { sectionChars: 1000 });
+
+        expect(sections).toHaveLength(3);
+        expect(sections[0].text.trim()).toBe(paragraph('alpha', 900));
+        expect(sections.map(s => s.text).join('')).toBe(text);
+        sections.forEach(s => expect(text.slice(s.start, s.end)).toBe(s.text));
+    });
+
+    test('grows sections instead of exceeding the section limit', () => {
+        const text = paragraph('delta', 10000);
+        const { sections, truncated } = splitIntoSections(text, { sectionChars: 1000, maxSections: 4 });
+
+        expect(sections.length).toBeLessThanOrEqual(4);
+        expect(truncated).toBe(false);
+    });
+
+    test('reports truncation when even the largest sections cannot fit', () => {
+        const text = paragraph('omega', MAX_SECTION_CHARS * 3);
+        const { sections, truncated, coveredChars } = splitIntoSections(text, { maxSections: 2 });
+
+        expect(sections).toHaveLength(2);
+        expect(truncated).toBe(true);
+        expect(coveredChars).toBeLessThan(text.length);
+    });
+});
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// --- PROMO CODES & TRANSFERS ---
+// Validation for the two ways to receive credits besides plans: promo codes
+// (promo_codes/{CODE}, redeemed per user in promo_redemptions) and transfers
+// from another account. The credits themselves always go through addCredits.
+
+const CODE_PATTERN = /^[A-Z0-9-]{4,32}$/;
+const MAX_PROMO_CREDITS = 1000;
+const MAX_TRANSFER_CREDITS = 100;
+
+// Codes are case-insensitive and stored upper case
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Readable random code without 0/O and 1/I, e.g. "K7QX-M2TD"
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const generateCode = () => Array.from(crypto.randomBytes(8), (byte, i) => (i === 4 ? '-' : '') + CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+// Credits with at most 2 decimals, above 0 and up to `max`
+const isCreditAmount = (value, max) => Number.isFinite(value) && value > 0 && value <= max && Math.abs(Math.round(value * 100) - value * 100) < 1e-9;
+
+// Admin input for a new code: { code?, credits, maxRedemptions, expiresAt, perUserLimit? }.
+// Returns { success, promo } or { success: false, error }.
+const parsePromoCode = (body = {}, now = new Date()) => {
+    const code = body.code ? normalizeCode(body.code) : generateCode();
+    if (!CODE_PATTERN.test(code)) return { success: false, error: 'code must be 4-32 letters, digits or dashes' };
+
+    const credits = Number(body.credits);
+    if (!isCreditAmount(credits, MAX_PROMO_CREDITS)) {
+        return { success: false, error: `credits must be a positive amount up to ${MAX_PROMO_CREDITS}` };
+    }
+
+    const maxRedemptions = Number(body.maxRedemptions);
+    if (!Number.isInteger(maxRedemptions) || maxRedemptions < 1) return { success: false, error: 'maxRedemptions must be a whole number of at least 1' };
+
+    const perUserLimit = body.perUserLimit === undefined ? 1 : Number(body.perUserLimit);
+    if (!Number.isInteger(perUserLimit) || perUserLimit < 1) return { success: false, error: 'perUserLimit must be a whole number of at least 1' };
+
+    const expiresAt = new Date(body.expiresAt);
+    if (!body.expiresAt || Number.isNaN(expiresAt.getTime()) || expiresAt <= now) {
+        return { success: false, error: 'expiresAt must be a date in the future' };
+    }
+
+    return { success: true, promo: { code, credits, maxRedemptions, perUserLimit, expiresAt } };
+};
+
+// Why `promo` can't be redeemed by a user who already redeemed it `userRedemptions` times.
+// Returns null when it can, or { status, body } for the response.
+const checkRedemption = (promo, { now = new Date(), userRedemptions = 0 } = {}) => {
+    const expiresAt = promo.expiresAt?.toDate ? promo.expiresAt.toDate() : new Date(promo.expiresAt);
+    if (promo.disabled || expiresAt <= now) {
+        return { status: 410, body: { error: 'Promo code expired', message: 'This promo code is no longer valid.' } };
+    }
+    if ((promo.redemptions || 0) >= promo.maxRedemptions) {
+        return { status: 410, body: { error: 'Promo code used up', message: 'This promo code has been fully redeemed.' } };
+    }
+    if (userRedemptions >= (promo.perUserLimit || 1)) {
+        return { status: 409, body: { error: 'Already redeemed', message: 'You have already redeemed this promo code.' } };
+    }
+    return null;
+};
+
+// Body of POST /api/credits/transfer: { email, amount }.
+// Returns { success, transfer: { email, amount } } or { success: false, error }.
+const parseTransfer = (body = {}) => {
+    const email = String(body.email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { success: false, error: 'email must be a valid email address' };
+
+    const amount = Number(body.amount);
+    if (!isCreditAmount(amount, MAX_TRANSFER_CREDITS)) {
+        return { success: false, error: `amount must be a positive number of credits up to ${MAX_TRANSFER_CREDITS}` };
+    }
+    return { success: true, transfer: { email, amount } };
+};
+
+module.exports = {
+    normalizeCode,
+    generateCode,
+    parsePromoCode,
+    checkRedemption,
+    parseTransfer
+};
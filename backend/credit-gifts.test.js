@@ -0,0 +1,58 @@
+const { normalizeCode, generateCode, parsePromoCode, checkRedemption, parseTransfer } = require('./credit-gifts');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('parsePromoCode', () => {
+    test('normalizes the code and defaults to one redemption per user', () => {
+        const { promo } = parsePromoCode({ code: ' welcome-10 ', credits: '2.5', maxRedemptions: 100, expiresAt: '2026-12-31' }, NOW);
+
+        expect(promo).toEqual({ code: 'WELCOME-10', credits: 2.5, maxRedemptions: 100, perUserLimit: 1, expiresAt: new Date('2026-12-31') });
+        expect(normalizeCode('welcome-10')).toBe('WELCOME-10');
+    });
+
+    test('generates a readable code when none is given', () => {
+        const { promo } = parsePromoCode({ credits: 5, maxRedemptions: 1, expiresAt: '2027-01-01' }, NOW);
+        expect(promo.code).toMatch(/^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+        expect(generateCode()).not.toBe(generateCode());
+    });
+
+    test('rejects bad amounts, limits and past expiry dates', () => {
+        const valid = { code: 'SPRING', credits: 5, maxRedemptions: 10, expiresAt: '2027-01-01' };
+
+        expect(parsePromoCode({ ...valid, code: 'no spaces' }, NOW).success).toBe(false);
+        expect(parsePromoCode({ ...valid, credits: 0 }, NOW).success).toBe(false);
+        expect(parsePromoCode({ ...valid, credits: 1.005 }, NOW).success).toBe(false);
+        expect(parsePromoCode({ ...valid, maxRedemptions: 0 }, NOW).success).toBe(false);
+        expect(parsePromoCode({ ...valid, perUserLimit: 1.5 }, NOW).success).toBe(false);
+        expect(parsePromoCode({ ...valid, expiresAt: '2026-01-01' }, NOW).error).toBe('expiresAt must be a date in the future');
+    });
+});
+
+describe('checkRedemption', () => {
+    const promo = { credits: 5, maxRedemptions: 2, redemptions: 1, perUserLimit: 1, expiresAt: { toDate: () => new Date('2026-11-01') } };
+
+    test('allows a valid code once per user', () => {
+        expect(checkRedemption(promo, { now: NOW, userRedemptions: 0 })).toBeNull();
+        expect(checkRedemption(promo, { now: NOW, userRedemptions: 1 })).toMatchObject({ status: 409, body: { error: 'Already redeemed' } });
+    });
+
+    test('rejects expired, disabled and used up codes', () => {
+        expect(checkRedemption(promo, { now: new Date('2026-11-02') }).body.error).toBe('Promo code expired');
+        expect(checkRedemption({ ...promo, disabled: true }, { now: NOW }).status).toBe(410);
+        expect(checkRedemption({ ...promo, redemptions: 2 }, { now: NOW }).body.error).toBe('Promo code used up');
+    });
+});
+
+describe('parseTransfer', () => {
+    test('accepts an email and a credit amount', () => {
+        expect(parseTransfer({ email: ' Friend@Example.com ', amount: 3 })).toEqual({ success: true, transfer: { email: 'friend@example.com', amount: 3 } });
+        expect(parseTransfer({ email: 'friend@example.com', amount: 0.29 }).success).toBe(true);
+    });
+
+    test('rejects invalid emails and amounts', () => {
+        expect(parseTransfer({ email: 'friend', amount: 3 }).error).toBe('email must be a valid email address');
+        expect(parseTransfer({ email: 'friend@example.com', amount: -1 }).success).toBe(false);
+        expect(parseTransfer({ email: 'friend@example.com', amount: 1000 }).success).toBe(false);
+        expect(parseTransfer({ email: 'friend@example.com' }).success).toBe(false);
+    });
+});
@@ -0,0 +1,111 @@
+// --- CREDIT HOLDS ---
+// Reserve → capture / release around anything that calls the AI provider.
+// reserve() takes the credits up front (a `hold` ledger entry, via deductCredits),
+// capture() keeps them once the work succeeded and release() gives them back
+// (a `release` entry, via addCredits) when it failed. Holds nobody settled, e.g.
+// after a crash mid-generation, are released by releaseExpired().
+
+const HOLD_STATUS = {
+    HELD: 'held',
+    CAPTURED: 'captured',
+    RELEASED: 'released'
+};
+
+const DEFAULT_HOLD_TIMEOUT_MS = 30 * 60 * 1000; // Longer than any generation
+
+// Ledger idempotency keys of a hold and of its release
+const holdKey = (key) => `hold_${key}`;
+const releaseKey = (key) => `release_${key}`;
+
+// `ledger` reads and updates hold entries:
+//   findHold(idempotencyKey) → { id, userId, amount (negative), description, status, idempotencyKey, pricing, orgId } | null
+//   updateHold(id, fields)
+//   listOpenHolds(createdBefore: Date) → [hold]
+const createCreditHolds = ({ deductCredits, addCredits, ledger, now = () => Date.now() }) => {
+    const settle = async (key) => {
+        const hold = await ledger.findHold(holdKey(key));
+        if (!hold) return { hold: null, error: 'Hold not found' };
+        return { hold, held: -hold.amount };
+    };
+
+    const release = async (userId, key, reason = null) => {
+        const { hold, held, error } = await settle(key);
+        if (!hold) return { success: false, error };
+        if (hold.status !== HOLD_STATUS.HELD) {
+            return { success: hold.status === HOLD_STATUS.RELEASED, duplicate: true, status: hold.status };
+        }
+
+        // addCredits is idempotent on the release key, so a retry after a failed update is safe
+        const result = await addCredits(
+            userId,
+            held,
+            'release',
+            `Released: ${hold.description}${reason ? ` (${reason})` : ''}`,
+            releaseKey(key),
+            null,
+            hold.pricing || null,
+            hold.orgId || null
+        );
+        if (!result.success) return result;
+
+        await ledger.updateHold(hold.id, { status: HOLD_STATUS.RELEASED, settledAt: new Date(now()) });
+        return { success: true, released: held, newBalance: result.newBalance };
+    };
+
+    return {
+        // Resolves to deductCredits' result plus `key`; fails with 'Insufficient credits' like deductCredits.
+        // `pricing` (see pricing.js) is recorded on the hold and on its release, which goes back to
+        // the organization pool (`orgId`) the hold was taken from.
+        async reserve(userId, amount, description, key, pricing = null) {
+            const result = await deductCredits(userId, amount, description, holdKey(key), 'hold', pricing);
+            return result.success ? { ...result, key } : result;
+        },
+
+        // Keeps `amount` of the hold (all of it by default) and releases the rest
+        async capture(userId, key, amount) {
+            const { hold, held, error } = await settle(key);
+            if (!hold) return { success: false, error };
+            if (hold.status !== HOLD_STATUS.HELD) {
+                return { success: hold.status === HOLD_STATUS.CAPTURED, duplicate: true, status: hold.status };
+            }
+
+            const charged = amount === undefined ? held : Math.min(Math.max(0, amount), held);
+            await ledger.updateHold(hold.id, { status: HOLD_STATUS.CAPTURED, capturedAmount: charged, settledAt: new Date(now()) });
+
+            if (charged < held) {
+                const result = await addCredits(
+                    userId,
+                    held - charged,
+                    'release',
+                    `Unused part of: ${hold.description}`,
+                    releaseKey(key),
+                    null,
+                    hold.pricing || null,
+                    hold.orgId || null
+                );
+                if (!result.success) return { ...result, charged };
+            }
+            return { success: true, charged, released: held - charged };
+        },
+
+        release,
+
+        // Releases holds older than `timeoutMs` that were neither captured nor released
+        async releaseExpired(timeoutMs = DEFAULT_HOLD_TIMEOUT_MS) {
+            const holds = await ledger.listOpenHolds(new Date(now() - timeoutMs));
+            let released = 0;
+            for (const hold of holds) {
+                const key = hold.idempotencyKey.slice(holdKey('').length);
+                const result = await release(hold.userId, key, 'not settled in time');
+                if (result.success && !result.duplicate) released++;
+            }
+            return released;
+        }
+    };
+};
+
+module.exports = {
+    HOLD_STATUS,
+    DEFAULT_HOLD_TIMEOUT_MS,
+    createCreditHolds
+};
@@ -0,0 +1,97 @@
+const { createCreditHolds, HOLD_STATUS } = require('./credit-holds');
+
+// In-memory stand-in for deductCredits / addCredits and the credits_ledger collection
+const createFakeCredits = (balance) => {
+    const state = { balance, entries: [] };
+    const findByKey = (key) => state.entries.find(entry => entry.idempotencyKey === key);
+
+    const deductCredits = async (userId, amount, description, idempotencyKey, type = 'deduction', pricing = null) => {
+        if (findByKey(idempotencyKey)) return { success: true, duplicate: true };
+        if (state.balance < amount) return { success: false, error: 'Insufficient credits' };
+        state.balance -= amount;
+        state.entries.push({
+            id: `e${state.entries.length + 1}`,
+            userId,
+            amount: -amount,
+            type,
+            description,
+            idempotencyKey,
+            pricing,
+            createdAt: new Date(0),
+            ...(type === 'hold' ? { status: HOLD_STATUS.HELD } : {})
+        });
+        return { success: true, newBalance: state.balance };
+    };
+
+    const addCredits = async (userId, amount, type, description, idempotencyKey, paypalEventId = null, pricing = null) => {
+        if (findByKey(idempotencyKey)) return { success: true, duplicate: true };
+        state.balance += amount;
+        state.entries.push({ id: `e${state.entries.length + 1}`, userId, amount, type, description, idempotencyKey, pricing });
+        return { success: true, newBalance: state.balance };
+    };
+
+    const ledger = {
+        findHold: async (key) => findByKey(key) || null,
+        updateHold: async (id, fields) => Object.assign(state.entries.find(entry => entry.id === id), fields),
+        listOpenHolds: async (before) => state.entries.filter(entry => entry.status === HOLD_STATUS.HELD && entry.createdAt < before)
+    };
+
+    return { state, holds: createCreditHolds({ deductCredits, addCredits, ledger, now: () => 60 * 60 * 1000 }) };
+};
+
+describe('credit holds', () => {
+    test('a captured hold keeps the credits', async () => {
+        const { state, holds } = createFakeCredits(3);
+
+        const hold = await holds.reserve('u1', 1, 'Study plan generation: bio.pdf', 'gen_1');
+        expect(hold).toMatchObject({ success: true, newBalance: 2, key: 'gen_1' });
+
+        expect(await holds.capture('u1', 'gen_1')).toEqual({ success: true, charged: 1, released: 0 });
+        expect(state.balance).toBe(2);
+        expect(state.entries.map(entry => [entry.type, entry.amount, entry.status])).toEqual([['hold', -1, 'captured']]);
+    });
+
+    test('a released hold returns the credits once', async () => {
+        const { state, holds } = createFakeCredits(1);
+        await holds.reserve('u1', 1, 'AI Chat Interaction', 'chat_1', { version: 1, operation: 'chat_message' });
+
+        expect(await holds.release('u1', 'chat_1', 'AI provider error')).toEqual({ success: true, released: 1, newBalance: 1 });
+        expect(await holds.release('u1', 'chat_1')).toMatchObject({ success: true, duplicate: true });
+        expect(await holds.capture('u1', 'chat_1')).toMatchObject({ success: false, status: 'released' });
+
+        expect(state.balance).toBe(1);
+        expect(state.entries.map(entry => [entry.type, entry.amount, entry.idempotencyKey])).toEqual([
+            ['hold', -1, 'hold_chat_1'],
+            ['release', 1, 'release_chat_1']
+        ]);
+        expect(state.entries[1].description).toBe('Released: AI Chat Interaction (AI provider error)');
+        expect(state.entries[1].pricing).toEqual({ version: 1, operation: 'chat_message' });
+    });
+
+    test('capturing less than the hold releases the rest', async () => {
+        const { state, holds } = createFakeCredits(2);
+        await holds.reserve('u1', 1, 'Study plan generation', 'gen_2');
+
+        expect(await holds.capture('u1', 'gen_2', 0.25)).toEqual({ success: true, charged: 0.25, released: 0.75 });
+        expect(state.balance).toBe(1.75);
+    });
+
+    test('fails like deductCredits when the balance is too low', async () => {
+        const { state, holds } = createFakeCredits(0.5);
+
+        expect(await holds.reserve('u1', 1, 'Study plan generation', 'gen_3')).toEqual({ success: false, error: 'Insufficient credits' });
+        expect(state.entries).toEqual([]);
+        expect(await holds.release('u1', 'gen_3')).toEqual({ success: false, error: 'Hold not found' });
+    });
+
+    test('releases holds nobody settled in time', async () => {
+        const { state, holds } = createFakeCredits(3);
+        await holds.reserve('u1', 1, 'Study plan generation', 'gen_4');
+        await holds.reserve('u1', 1, 'Study plan generation', 'gen_5');
+        await holds.capture('u1', 'gen_5');
+
+        expect(await holds.releaseExpired(30 * 60 * 1000)).toBe(1);
+        expect(state.balance).toBe(2);
+        expect(state.entries.find(entry => entry.idempotencyKey === 'hold_gen_4').status).toBe('released');
+    });
+});
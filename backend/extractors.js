@@ -0,0 +1,282 @@
+const path = require('path');
+const JSZip = require('jszip');
+
+// --- STRUCTURED TEXT EXTRACTORS ---
+// Slide decks, ebooks and exported notes keep their structure as Markdown-style
+// markers ("## Slide 3: Title", "# Chapter", "- bullet") so the prompt can
+// refer to "Slide 3" or a heading instead of an anonymous wall of text.
+
+// Supported image MIME types for OCR
+const IMAGE_MIMETYPES = [
+    'image/png',
+    'image/jpeg',
+    'image/jpg',
+    'image/webp',
+    'image/gif',
+    'image/bmp'
+];
+
+const FORMATS_BY_MIMETYPE = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+    'application/epub+zip': 'epub',
+    'application/vnd.oasis.opendocument.text': 'odt',
+    'text/html': 'html',
+    'application/xhtml+xml': 'html',
+    'text/markdown': 'markdown',
+    'text/x-markdown': 'markdown',
+    'text/plain': 'text'
+};
+
+// Browsers often send .md/.epub/.odt as application/octet-stream, so the extension decides
+const FORMATS_BY_EXTENSION = {
+    '.pdf': 'pdf',
+    '.docx': 'docx',
+    '.pptx': 'pptx',
+    '.epub': 'epub',
+    '.odt': 'odt',
+    '.html': 'html',
+    '.htm': 'html',
+    '.xhtml': 'html',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text'
+};
+
+// Returns pdf | docx | pptx | epub | odt | html | markdown | text | image, or null
+const detectFormat = ({ mimetype, originalname = '' }) => {
+    if (IMAGE_MIMETYPES.includes(mimetype)) return 'image';
+
+    const extension = path.extname(originalname).toLowerCase();
+    // A .md file sent as text/plain is still Markdown
+    if (mimetype === 'text/plain' && FORMATS_BY_EXTENSION[extension] === 'markdown') return 'markdown';
+
+    return FORMATS_BY_MIMETYPE[mimetype] || FORMATS_BY_EXTENSION[extension] || null;
+};
+
+// --- XML / HTML HELPERS ---
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    laquo: '«', raquo: '»', copy: '©', reg: '®', deg: '°', middot: '·', bull: '•',
+    times: '×', divide: '÷', plusmn: '±', euro: '€', pound: '£',
+    agrave: 'à', aacute: 'á', egrave: 'è', eacute: 'é', igrave: 'ì', iacute: 'í',
+    ograve: 'ò', oacute: 'ó', ugrave: 'ù', uacute: 'ú', ntilde: 'ñ', ccedil: 'ç',
+    Agrave: 'À', Eacute: 'É', Egrave: 'È', Ntilde: 'Ñ'
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity] ?? match;
+});
+
+const stripTags = (markup) => decodeEntities(markup.replace(/<[^>]+>/g, ''));
+
+// Collapses runs of spaces and keeps at most one blank line between blocks
+const tidy = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// Converts HTML/XHTML to Markdown-flavoured text: headings become "#", list
+// items "- ", table cells are separated by " | ".
+const htmlToText = (html) => {
+    let text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head|nav|svg|noscript)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (m, level, inner) => `\n\n${'#'.repeat(Number(level))} ${stripTags(inner).replace(/\s+/g, ' ').trim()}\n\n`)
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(td|th)>/gi, ' | ')
+        .replace(/<\/tr>/gi, '\n')
+        .replace(/<\/(p|div|section|article|blockquote|ul|ol|table|pre|figure|figcaption|dd|dt)>/gi, '\n\n');
+
+    text = stripTags(text);
+    return tidy(text.replace(/ \| *\n/g, '\n'));
+};
+
+// Markdown is already structured: normalize it and drop front matter and comments
+const extractMarkdown = (source) => tidy(
+    source
+        .replace(/^﻿/, '')
+        .replace(/^---\n[\s\S]*?\n---\n/, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+);
+
+// --- PPTX ---
+
+// Text of each <a:p> paragraph inside a DrawingML fragment
+const drawingParagraphs = (xml) => (xml.match(/<a:p\b[\s\S]*?<\/a:p>/g) || [])
+    .map(p => decodeEntities(
+        p.replace(/<a:br\s*\/>/g, '\n')
+            .replace(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>|<[^>]+>/g, (m, run) => run ?? '')
+    ).trim())
+    .filter(Boolean);
+
+const readRelationships = async (zip, relsPath) => {
+    const file = zip.file(relsPath);
+    if (!file) return [];
+    const xml = await file.async('string');
+    return (xml.match(/<Relationship\b[^>]*>/g) || []).map(tag => ({
+        id: (tag.match(/\bId="([^"]+)"/) || [])[1],
+        type: (tag.match(/\bType="([^"]+)"/) || [])[1] || '',
+        target: (tag.match(/\bTarget="([^"]+)"/) || [])[1]
+    }));
+};
+
+// Slide paths in presentation order (presentation.xml), falling back to file numbering
+const orderedSlidePaths = async (zip) => {
+    const presentation = zip.file('ppt/presentation.xml');
+    if (presentation) {
+        const xml = await presentation.async('string');
+        const rels = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels');
+        const ordered = (xml.match(/<p:sldId\b[^>]*>/g) || [])
+            .map(tag => (tag.match(/r:id="([^"]+)"/) || [])[1])
+            .map(rId => rels.find(rel => rel.id === rId))
+            .filter(Boolean)
+            .map(rel => path.posix.join('ppt', rel.target.replace(/^\//, '').replace(/^ppt\//, '')))
+            .filter(slidePath => zip.file(slidePath));
+        if (ordered.length) return ordered;
+    }
+
+    const slideNumber = (name) => parseInt(name.match(/slide(\d+)\.xml$/)[1], 10);
+    return Object.keys(zip.files)
+        .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+        .sort((a, b) => slideNumber(a) - slideNumber(b));
+};
+
+const isPlaceholder = (shapeXml, types) => types.some(type => new RegExp(`<p:ph\\b[^>]*type="${type}"`).test(shapeXml));
+
+const extractPptx = async (buffer) => {
+    const zip = await JSZip.loadAsync(buffer);
+    const slidePaths = await orderedSlidePaths(zip);
+    const slides = [];
+
+    for (const [index, slidePath] of slidePaths.entries()) {
+        const xml = await zip.file(slidePath).async('string');
+        const shapes = xml.match(/<p:sp\b[\s\S]*?<\/p:sp>|<p:graphicFrame\b[\s\S]*?<\/p:graphicFrame>/g) || [];
+
+        const titleShape = shapes.find(shape => isPlaceholder(shape, ['title', 'ctrTitle']));
+        const title = titleShape ? drawingParagraphs(titleShape).join(' ') : '';
+        const bullets = shapes
+            .filter(shape => shape !== titleShape && !isPlaceholder(shape, ['sldNum', 'dt', 'ftr']))
+            .flatMap(drawingParagraphs);
+
+        // Speaker notes often hold the actual explanation
+        const rels = await readRelationships(zip, slidePath.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels'));
+        const notesRel = rels.find(rel => rel.type.endsWith('/notesSlide'));
+        let notes = [];
+        if (notesRel) {
+            const notesPath = path.posix.join(path.posix.dirname(slidePath), notesRel.target);
+            const notesFile = zip.file(notesPath);
+            if (notesFile) {
+                const notesXml = await notesFile.async('string');
+                notes = (notesXml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || [])
+                    .filter(shape => isPlaceholder(shape, ['body']))
+                    .flatMap(drawingParagraphs);
+            }
+        }
+
+        const lines = [`## Slide ${index + 1}${title ? `: ${title}` : ''}`];
+        bullets.forEach(bullet => lines.push(`- ${bullet}`));
+        if (notes.length) lines.push(`Speaker notes: ${notes.join(' ')}`);
+        slides.push(lines.join('\n'));
+    }
+
+    return slides.join('\n\n');
+};
+
+// --- ODT ---
+
+// Walks paragraphs, headings and list items of an OpenDocument body in order
+const extractOdt = async (buffer) => {
+    const zip = await JSZip.loadAsync(buffer);
+    const content = zip.file('content.xml');
+    if (!content) throw new Error('Invalid ODT file: content.xml is missing.');
+
+    const xml = (await content.async('string'))
+        .replace(/<text:s\b[^>]*\/>/g, ' ')
+        .replace(/<text:tab\b[^>]*\/>/g, '\t')
+        .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+        // Footnote bodies would otherwise be glued into the middle of sentences
+        .replace(/<text:note\b[\s\S]*?<\/text:note>/g, '');
+
+    const body = (xml.match(/<office:text\b[\s\S]*<\/office:text>/) || [xml])[0];
+    const tokens = body.match(/<text:list-item\b[^>]*>|<\/text:list-item>|<text:(h|p)\b[^>]*?(?<!\/)>[\s\S]*?<\/text:\1>/g) || [];
+
+    const blocks = [];
+    let listDepth = 0;
+    tokens.forEach(token => {
+        if (token.startsWith('<text:list-item')) { listDepth++; return; }
+        if (token === '</text:list-item>') { listDepth = Math.max(0, listDepth - 1); return; }
+
+        const text = stripTags(token).trim();
+        if (!text) return;
+
+        if (token.startsWith('<text:h')) {
+            const level = Math.min(6, parseInt((token.match(/text:outline-level="(\d+)"/) || [])[1] || '1', 10));
+            blocks.push(`${'#'.repeat(level)} ${text}`);
+        } else if (listDepth > 0) {
+            blocks.push(`- ${text}`);
+        } else {
+            blocks.push(text);
+        }
+    });
+
+    return tidy(blocks.join('\n\n').replace(/\n\n(?=\s*- )/g, '\n'));
+};
+
+// --- EPUB ---
+
+// Reads the spine (reading order) and converts every chapter to text
+const extractEpub = async (buffer) => {
+    const zip = await JSZip.loadAsync(buffer);
+
+    const container = zip.file('META-INF/container.xml');
+    if (!container) throw new Error('Invalid EPUB file: META-INF/container.xml is missing.');
+    const opfPath = ((await container.async('string')).match(/full-path="([^"]+)"/) || [])[1];
+    const opfFile = opfPath && zip.file(opfPath);
+    if (!opfFile) throw new Error('Invalid EPUB file: package document is missing.');
+
+    const opf = await opfFile.async('string');
+    const baseDir = path.posix.dirname(opfPath);
+
+    const manifest = {};
+    (opf.match(/<item\b[^>]*>/g) || []).forEach(tag => {
+        const id = (tag.match(/\bid="([^"]+)"/) || [])[1];
+        const href = (tag.match(/\bhref="([^"]+)"/) || [])[1];
+        const properties = (tag.match(/\bproperties="([^"]+)"/) || [])[1] || '';
+        if (id && href) manifest[id] = { href: decodeURIComponent(href), properties };
+    });
+
+    const chapters = [];
+    for (const tag of opf.match(/<itemref\b[^>]*>/g) || []) {
+        const item = manifest[(tag.match(/\bidref="([^"]+)"/) || [])[1]];
+        if (!item || item.properties.includes('nav') || /\blinear="no"/.test(tag)) continue;
+
+        const chapterFile = zip.file(path.posix.join(baseDir, item.href));
+        if (!chapterFile) continue;
+
+        const text = htmlToText(await chapterFile.async('string'));
+        if (text) chapters.push(text);
+    }
+
+    return chapters.join('\n\n');
+};
+
+module.exports = {
+    IMAGE_MIMETYPES,
+    detectFormat,
+    htmlToText,
+    extractMarkdown,
+    extractPptx,
+    extractOdt,
+    extractEpub
+};
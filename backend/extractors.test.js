@@ -0,0 +1,132 @@
+const JSZip = require('jszip');
+const {
+    detectFormat,
+    htmlToText,
+    extractMarkdown,
+    extractPptx,
+    extractOdt,
+    extractEpub
+} = require('./extractors');
+
+const zipOf = async (files) => {
+    const zip = new JSZip();
+    Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+    return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const shape = (placeholder, paragraphs) => `<p:sp>${placeholder ? `<p:nvSpPr><p:nvPr><p:ph type="${placeholder}"/></p:nvPr></p:nvSpPr>` : ''}`
+    + `<p:txBody>${paragraphs.map(text => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>`;
+
+const slide = (...shapes) => `<p:sld><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+
+describe('detectFormat', () => {
+    test('uses the MIME type first', () => {
+        expect(detectFormat({ mimetype: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', originalname: 'deck' })).toBe('pptx');
+        expect(detectFormat({ mimetype: 'image/png', originalname: 'board.png' })).toBe('image');
+    });
+
+    test('falls back to the extension for generic MIME types', () => {
+        expect(detectFormat({ mimetype: 'application/octet-stream', originalname: 'Chapter 1.EPUB' })).toBe('epub');
+        expect(detectFormat({ mimetype: 'text/plain', originalname: 'notes.md' })).toBe('markdown');
+        expect(detectFormat({ mimetype: 'application/zip', originalname: 'archive.zip' })).toBeNull();
+    });
+});
+
+describe('htmlToText', () => {
+    test('keeps headings, lists and tables', () => {
+        const html = `<html><head><title>x</title><style>p{}</style></head><body>
+            <h1>Cell Biology</h1><p>Cells are the <b>basic</b> unit&nbsp;of life.</p>
+            <h2>Organelles</h2><ul><li>Nucleus</li><li>Mitochondria &amp; ribosomes</li></ul>
+            <table><tr><th>Part</th><th>Role</th></tr><tr><td>Nucleus</td><td>DNA</td></tr></table>
+            <script>alert(1)</script></body></html>`;
+
+        expect(htmlToText(html)).toBe([
+            '# Cell Biology',
+            '',
+            'Cells are the basic unit of life.',
+            '',
+            '## Organelles',
+            '',
+            '- Nucleus',
+            '- Mitochondria & ribosomes',
+            '',
+            'Part | Role',
+            'Nucleus | DNA'
+        ].join('\n'));
+    });
+});
+
+describe('extractMarkdown', () => {
+    test('drops front matter and comments but keeps headings', () => {
+        const markdown = '---\ntitle: Notes\n---\n# Week 1\n<!-- todo -->\n\n\n\n- Newton\'s laws\r\n';
+        expect(extractMarkdown(markdown)).toBe('# Week 1\n\n- Newton\'s laws');
+    });
+});
+
+describe('extractPptx', () => {
+    test('numbers slides in presentation order with titles, bullets and notes', async () => {
+        const buffer = await zipOf({
+            'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+            'ppt/_rels/presentation.xml.rels': '<Relationships>'
+                + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide1.xml"/>'
+                + '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide2.xml"/>'
+                + '</Relationships>',
+            'ppt/slides/slide2.xml': slide(shape('ctrTitle', ['Thermodynamics']), shape('subTitle', ['Lecture 4'])),
+            'ppt/slides/slide1.xml': slide(
+                shape('title', ['First law']),
+                shape(null, ['Energy is conserved', 'ΔU = Q &#8722; W']),
+                shape('sldNum', ['2'])
+            ),
+            'ppt/slides/_rels/slide1.xml.rels': '<Relationships><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide" Target="../notesSlides/notesSlide1.xml"/></Relationships>',
+            'ppt/notesSlides/notesSlide1.xml': slide(shape('body', ['Stress the sign convention.']), shape('sldNum', ['2']))
+        });
+
+        expect(await extractPptx(buffer)).toBe([
+            '## Slide 1: Thermodynamics',
+            '- Lecture 4',
+            '',
+            '## Slide 2: First law',
+            '- Energy is conserved',
+            '- ΔU = Q − W',
+            'Speaker notes: Stress the sign convention.'
+        ].join('\n'));
+    });
+});
+
+describe('extractOdt', () => {
+    test('keeps heading levels and list items', async () => {
+        const buffer = await zipOf({
+            'content.xml': '<office:document-content><office:body><office:text>'
+                + '<text:h text:outline-level="1">Photosynthesis</text:h>'
+                + '<text:p text:style-name="P1">Plants<text:s/>convert light.<text:note><text:note-body><text:p>Footnote</text:p></text:note-body></text:note></text:p>'
+                + '<text:p text:style-name="Empty"/>'
+                + '<text:h text:outline-level="2">Inputs</text:h>'
+                + '<text:list><text:list-item><text:p>Water</text:p></text:list-item><text:list-item><text:p>CO<text:span>2</text:span></text:p></text:list-item></text:list>'
+                + '</office:text></office:body></office:document-content>'
+        });
+
+        expect(await extractOdt(buffer)).toBe('# Photosynthesis\n\nPlants convert light.\n\n## Inputs\n- Water\n- CO2');
+    });
+});
+
+describe('extractEpub', () => {
+    test('reads chapters in spine order and skips the navigation document', async () => {
+        const buffer = await zipOf({
+            'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+            'OEBPS/content.opf': '<package><manifest>'
+                + '<item id="nav" href="nav.xhtml" properties="nav"/>'
+                + '<item id="c1" href="text/ch1.xhtml"/><item id="c2" href="text/ch%202.xhtml"/>'
+                + '</manifest><spine><itemref idref="nav"/><itemref idref="c2"/><itemref idref="c1"/></spine></package>',
+            'OEBPS/nav.xhtml': '<html><body><h1>Contents</h1></body></html>',
+            'OEBPS/text/ch1.xhtml': '<html><body><h1>Chapter 2: Genetics</h1><p>Genes carry traits.</p></body></html>',
+            'OEBPS/text/ch 2.xhtml': '<html><body><h1>Chapter 1: Cells</h1><p>Cells divide.</p></body></html>'
+        });
+
+        expect(await extractEpub(buffer)).toBe('# Chapter 1: Cells\n\nCells divide.\n\n# Chapter 2: Genetics\n\nGenes carry traits.');
+    });
+
+    test('rejects archives that are not EPUBs', async () => {
+        const buffer = await zipOf({ 'readme.txt': 'hello' });
+        await expect(extractEpub(buffer)).rejects.toThrow('Invalid EPUB file');
+    });
+});
@@ -0,0 +1,748 @@
+const { z } = require('zod');
+const { splitIntoSections, DEFAULT_MAX_SECTIONS } = require('./chunking');
+const { ACADEMIC_LEVELS, DEFAULT_OPTIONS, scheduleDays, applyGenerationOptions } = require('./plan-options');
+const { parseJsonLoose, repairToSchema, formatIssues } = require('./plan-repair');
+
+// --- STUDY PLAN SCHEMA ---
+
+// 1-based id of the source section an item was generated from
+const SourceRefSchema = z.number().int().min(1).optional();
+// Name of the uploaded file an item was generated from
+const SourceFileSchema = z.string().max(300).optional();
+
+const StudyPlanSchema = z.object({
+    summary: z.string().max(10000, "Summary too long"),
+    learning_objectives: z.array(z.string()).min(3).max(5).optional(),
+    memory_palace: z.string().max(5000, "Memory palace too long"),
+    worked_examples: z.array(z.object({
+        subtopic: z.string().optional(),
+        given_data: z.string(),
+        step_by_step_reasoning: z.array(z.string()),
+        final_result: z.string(),
+        source_section: SourceRefSchema,
+        source_file: SourceFileSchema
+    })).optional(),
+    common_mistakes: z.array(z.object({
+        mistake: z.string(),
+        explanation: z.string(),
+        source_section: SourceRefSchema,
+        source_file: SourceFileSchema
+    })).optional(),
+    active_recall: z.array(z.object({
+        question: z.string().max(500),
+        answer: z.string().max(2000),
+        difficulty_rating: z.union([z.number().min(1).max(5), z.string()]).optional(),
+        level: z.number().min(1).max(3).optional(),
+        type: z.enum(["multiple_choice", "short_answer"]).optional(),
+        options: z.array(z.string()).optional(),
+        related_concept: z.string().optional(),
+        source_section: SourceRefSchema,
+        source_file: SourceFileSchema
+    })).max(50, "Too many questions"),
+    spaced_repetition: z.array(z.object({
+        day: z.string(),
+        topic: z.string().max(200),
+        hint: z.string().nullable().optional()
+    })).max(20),
+    concept_map: z.object({
+        main_topic: z.string().max(200),
+        subtopics: z.array(z.string().max(200)).max(20)
+    }),
+    // Provenance: which parts of the source each item came from (see generateStudyPlan)
+    section_summaries: z.array(z.object({
+        source_section: z.number().int(),
+        source_file: SourceFileSchema,
+        summary: z.string().max(5000)
+    })).optional(),
+    concept_sources: z.array(z.object({
+        concept: z.string(),
+        source_sections: z.array(z.number().int()),
+        source_files: z.array(z.string()).optional()
+    })).optional(),
+    sources: z.object({
+        total_chars: z.number(),
+        truncated: z.boolean(),
+        sections: z.array(z.object({
+            id: z.number().int(),
+            start: z.number(),
+            end: z.number(),
+            file: SourceFileSchema,
+            preview: z.string()
+        })),
+        files: z.array(z.object({
+            name: z.string(),
+            chars: z.number(),
+            sections: z.array(z.number().int())
+        })).optional()
+    }).optional(),
+    // Normalized generation options the plan was built with (see plan-options.js)
+    generation_options: z.object({
+        academic_level: z.string().nullable(),
+        questions_per_level: z.array(z.number().int()).nullable(),
+        skip: z.array(z.string()),
+        schedule_length: z.number().int()
+    }).optional(),
+    // Detected document language and the language the plan was written in (set by the server)
+    language: z.object({
+        document: z.string().nullable(),
+        output: z.string()
+    }).optional(),
+    // Scanned PDFs: pages read by OCR and the ones it was unsure about (set by the server)
+    ocr_quality: z.object({
+        ocr_pages: z.number().int(),
+        skipped_pages: z.number().int(),
+        low_confidence_pages: z.array(z.object({
+            file: SourceFileSchema,
+            page: z.number().int(),
+            confidence: z.number()
+        }))
+    }).optional()
+});
+
+// --- PROMPTS ---
+
+// Documents up to this size are analyzed in a single request; longer ones are
+// split into sections (map) whose partial plans are merged (reduce).
+const SINGLE_PASS_MAX_CHARS = 40000;
+const MAP_CONCURRENCY = 3;
+
+// Response size the prompt asks for: 2000 tokens covers the default plan, more
+// questions or a longer schedule need more room
+const responseTokenBudget = (options = DEFAULT_OPTIONS) => {
+    const questions = options.questions_per_level ? options.questions_per_level.reduce((a, b) => a + b, 0) : 5;
+    return 2000 + 150 * Math.max(0, questions - 5) + 50 * Math.max(0, options.schedule_length - 4);
+};
+
+const buildQuestionGoal = (perLevel) => (perLevel
+    ? `ACTIVE RECALL: Generate exactly ${perLevel[0]} level 1, ${perLevel[1]} level 2 and ${perLevel[2]} level 3 quiz questions (multiple choice or short answer).`
+    : 'ACTIVE RECALL: Generate 5 quiz questions max (multiple choice or short answer). ');
+
+// [deliverable key, goal text, schema line]; skipped deliverables are left out of both
+const buildDeliverables = (options) => [
+    ['summary',
+        'SUMMARY: Executive summary with **bold** key terms (MAX 250 words).',
+        '"summary": "string (html permitted)"'],
+    ['learning_objectives',
+        'LEARNING OBJECTIVES: 3-5 clear, extremely concise one-sentence goals using verbs like: define, apply, compute.',
+        '"learning_objectives": ["string", "string"]'],
+    ['memory_palace',
+        'MEMORY PALACE: A vivid spatial mnemonic (MAX 100 words). Use **bold** for key anchor points (the locations or items in the room).',
+        '"memory_palace": "string"'],
+    ['worked_examples',
+        'WORKED EXAMPLES: Provide 2 high-quality examples max. Each must be formatted as: Given data, Step-by-step reasoning, and Final result.',
+        '"worked_examples": [{ "subtopic": "string", "given_data": "string", "step_by_step_reasoning": ["step 1", "step 2"], "final_result": "string" }]'],
+    ['common_mistakes',
+        'COMMON MISTAKES: Identify 2-3 common student errors for each topic based on the content.',
+        '"common_mistakes": [{ "mistake": "string", "explanation": "string", "related_concept": "string" }]'],
+    ['active_recall',
+        `${buildQuestionGoal(options.questions_per_level)}
+   - Questions must be tiered in three levels: 
+     Level 1: core definitions / recognition
+     Level 2: standard application / practice
+     Level 3: edge cases or advanced scenarios
+   - Identify the "related_concept" for each question.
+   - For multiple_choice, provide 4 options.`,
+        `"active_recall": [{ 
+    "question": "string", 
+    "answer": "string", 
+    "level": 1-3, 
+    "type": "multiple_choice" | "short_answer",
+    "options": ["string", "string", "string", "string"],
+    "related_concept": "string",
+    "difficulty_rating": 1-5  // REQUIRED: Rating from 1 (easiest) to 5 (hardest)
+  }]`],
+    ['spaced_repetition',
+        `SPACED REPETITION: ${options.schedule_length}-step schedule (Day ${scheduleDays(options.schedule_length).join(',')}) with topic + optional hint.`,
+        '"spaced_repetition": [{ "day": "string", "topic": "string", "hint": "string"}]'],
+    ['concept_map',
+        'CONCEPT MAP: Hierarchical tree with 1 main topic and 3-5 subtopics.',
+        '"concept_map": { "main_topic": "string", "subtopics": ["string", "string", "string"] }']
+].filter(([key]) => !options.skip.includes(key));
+
+// COST-EFFICIENT SINGLE-PASS PROMPT
+// Requests all deliverables in one atomic operation to minimize request overhead.
+// `options` are the normalized generation options (see plan-options.js).
+const buildSystemPrompt = (prefsPrompt = '', { outputLanguage = 'English', options = DEFAULT_OPTIONS } = {}) => {
+    const deliverables = buildDeliverables(options);
+    const level = options.academic_level ? `\nACADEMIC LEVEL: ${ACADEMIC_LEVELS[options.academic_level]} Match explanations, examples and question difficulty to this level.\n` : '';
+    const skipped = options.skip.length ? `\n- Do NOT include these keys: ${options.skip.join(', ')}.` : '';
+
+    return `You are an expert AI Study Assistant.
+Analyze the text and generate a structured study plan with enhanced educational features.
+
+${prefsPrompt}
+${level}
+GOALS:
+${deliverables.map(([, goal], i) => `${i + 1}. ${goal}`).join('\n')}
+
+CONSTRAINTS:
+- Use valid JSON only.
+- Snake_case keys.
+- LANGUAGE: Write every text value in ${outputLanguage}, even if the material is in another language. Keep the JSON keys in English.
+- NO extra text.
+- Do NOT reveal common mistakes upfront in the summary; put them only in the common_mistakes array.
+- The material may contain structure markers ("## Slide 3: Title", "## Page 4", "# Chapter" headings). Refer to them (e.g. "see Slide 3") in hints and worked example subtopics.${skipped}
+- Keep the total response UNDER ${responseTokenBudget(options)} tokens.
+
+SCHEMA:
+{
+${deliverables.map(([, , line]) => `  ${line}`).join(',\n')}
+}
+MUST: Ensure difficulty_rating is ALWAYS present for every active_recall item.`;
+};
+
+const buildSectionNote = (section, total) => `
+DOCUMENT PART: This is part ${section.id} of ${total} of a longer document.
+Cover ONLY the material in this part; the other parts are analyzed separately.
+`;
+
+const MULTI_FILE_NOTE = `
+MULTIPLE FILES: The material combines several files. Each file starts with a line "=== FILE: <name> ===".
+Build ONE plan covering all files, and add a "source_file" key with the exact file name to every
+worked_examples, common_mistakes and active_recall item.
+`;
+
+const REDUCE_NOTE = `
+SECTION MODE: Instead of the document you receive the summaries and key concepts of every part of a long document.
+Produce the summary, learning objectives, memory palace, spaced repetition schedule and concept map for the WHOLE document.
+`;
+
+// Plan keys that can be regenerated on their own
+const REGENERABLE_SECTIONS = [
+    'summary',
+    'learning_objectives',
+    'memory_palace',
+    'worked_examples',
+    'common_mistakes',
+    'active_recall',
+    'spaced_repetition',
+    'concept_map'
+];
+
+// The current plan goes in the system prompt so the material stays the only user content
+const buildRegenerateNote = (section, plan) => {
+    const { sources, section_summaries, concept_sources, ocr_quality, language, generation_options, ...content } = plan;
+    return `
+REGENERATE ONE SECTION: A study plan for this material already exists. The student found its "${section}" section weak.
+Return a JSON object with the single key "${section}", following the SCHEMA above for that key.
+Make it clearly better than the current version and consistent with the rest of the plan.
+CURRENT PLAN:
+${JSON.stringify(content)}
+`;
+};
+
+// --- RESPONSE PARSING ---
+// Raw output goes through tolerant JSON parsing and schema-driven repairs (see
+// plan-repair.js). Only output that still fails validation costs another AI call:
+// the model is re-prompted once with the validation errors.
+
+const MAX_PARSE_ATTEMPTS = 2;
+const MAX_REPORTED_ISSUES = 20;
+const RAW_EXCERPT_CHARS = 2000;
+
+const normalizeActiveRecall = (items) => (Array.isArray(items) ? items.map((q, i) => ({
+    question: q.question || `Question ${i+1}`,
+    answer: q.answer || "Check your notes",
+    difficulty_rating: q.difficulty_rating || 3,
+    level: q.level || 1,
+    type: q.type || "short_answer",
+    options: q.options || [],
+    related_concept: q.related_concept || "General",
+    ...(q.source_file ? { source_file: q.source_file } : {})
+})) : []);
+
+const normalizeSchedule = (items) => (Array.isArray(items) ? items.map(s => ({
+    day: s.day || "Day 1",
+    topic: s.topic || "General Review",
+    hint: s.hint || null
+})) : []);
+
+// difficulty_rating is number | string, so Zod reports a rating of 7 as a union
+// mismatch instead of a range error; ratings and levels are clamped up front
+const clampQuestionScales = (value) => {
+    const questions = Array.isArray(value?.active_recall) ? value.active_recall : [];
+    const fixes = [];
+    const clamp = (question, i, key, min, max) => {
+        const current = question[key];
+        const number = typeof current === 'string' && current.trim() !== '' ? Number(current) : current;
+        if (typeof number !== 'number' || Number.isNaN(number)) return;
+        const clamped = Math.min(max, Math.max(min, Math.round(number)));
+        if (clamped !== current) {
+            question[key] = clamped;
+            fixes.push(`active_recall.${i}.${key}: clamped ${JSON.stringify(current)} to ${clamped}`);
+        }
+    };
+    questions.forEach((question, i) => {
+        if (!question || typeof question !== 'object') return;
+        clamp(question, i, 'difficulty_rating', 1, 5);
+        clamp(question, i, 'level', 1, 3);
+    });
+    return fixes;
+};
+
+// Result of reading one response: { success, data, fixes, issues, error }
+// (`error` when no JSON could be recovered, `issues` when validation still fails)
+const readResponse = (rawContent, schema, prepare = () => []) => {
+    if (!rawContent) return { success: false, data: null, fixes: [], issues: [], error: 'AI response was empty.' };
+
+    let parsed;
+    try {
+        parsed = parseJsonLoose(rawContent);
+    } catch (jsonError) {
+        return { success: false, data: null, fixes: [], issues: [], error: jsonError.message };
+    }
+
+    const prepared = parsed.value && typeof parsed.value === 'object' ? prepare(parsed.value) : [];
+    const repaired = repairToSchema(parsed.value, schema);
+    return { ...repaired, fixes: [...parsed.fixes, ...prepared, ...repaired.fixes], error: null };
+};
+
+// Error for output that could not be used, answered with 502 by the server
+// (the body never carries the raw validation errors)
+const createParseError = (result, invalidMessage) => {
+    const error = new Error(result.error
+        ? "Failed to parse AI response."
+        : `${invalidMessage}: ${formatIssues(result.issues).slice(0, MAX_REPORTED_ISSUES).join('; ')}`);
+    error.status = 502;
+    error.body = {
+        error: 'Invalid AI response',
+        message: 'The AI returned a study plan that could not be read, even after asking again. Please try again.'
+    };
+    error.issues = result.issues;
+    return error;
+};
+
+// Post-validation defaults the dashboard relies on
+const normalizePlan = (studyPlan) => {
+    if (!studyPlan.summary) studyPlan.summary = "Summary not generated.";
+
+    // Validate Arrays
+    studyPlan.learning_objectives = Array.isArray(studyPlan.learning_objectives) ? studyPlan.learning_objectives : [];
+    studyPlan.worked_examples = Array.isArray(studyPlan.worked_examples) ? studyPlan.worked_examples : [];
+    studyPlan.common_mistakes = Array.isArray(studyPlan.common_mistakes) ? studyPlan.common_mistakes : [];
+
+    studyPlan.active_recall = normalizeActiveRecall(studyPlan.active_recall);
+    studyPlan.spaced_repetition = normalizeSchedule(studyPlan.spaced_repetition);
+
+    studyPlan.concept_map = {
+        main_topic: studyPlan.concept_map.main_topic || "Main Topic",
+        subtopics: studyPlan.concept_map.subtopics
+    };
+    return studyPlan;
+};
+
+// Old responses sent the concept map as [{ concept }]; turn it into { main_topic, subtopics }
+const convertLegacyConceptMap = (value) => {
+    if (!Array.isArray(value.concept_map)) return [];
+    const concepts = value.concept_map.map(c => c?.concept || "Concept");
+    value.concept_map = { main_topic: concepts[0] || "Main Topic", subtopics: concepts.slice(1) };
+    return ['concept_map: converted the concept list to a hierarchy'];
+};
+
+const readPlan = (rawContent) => {
+    const result = readResponse(rawContent, StudyPlanSchema, value => [
+        ...convertLegacyConceptMap(value),
+        ...clampQuestionScales(value)
+    ]);
+    return result.success ? { ...result, data: normalizePlan(result.data) } : result;
+};
+
+// Extracts, repairs, validates and normalizes a plan from raw model output
+const parsePlanContent = (rawContent) => {
+    const result = readPlan(rawContent);
+    if (!result.success) throw createParseError(result, 'AI generated invalid plan structure');
+    return result.data;
+};
+
+// Reads the `{ [section]: value }` answer of a section regeneration
+const readSection = (rawContent, section) => {
+    const fieldSchema = StudyPlanSchema.shape[section];
+    const schema = z.object({ [section]: fieldSchema.isOptional() ? fieldSchema.unwrap() : fieldSchema });
+    const result = readResponse(rawContent, schema, value => (section === 'active_recall' ? clampQuestionScales(value) : []));
+    if (!result.success) return result;
+
+    const value = result.data[section];
+    if (section === 'active_recall') return { ...result, data: normalizeActiveRecall(value) };
+    if (section === 'spaced_repetition') return { ...result, data: normalizeSchedule(value) };
+    return { ...result, data: value };
+};
+
+// Every attempt is reported for later analysis: which fixes models need most,
+// which errors survive a re-prompt
+const describeAttempt = (provider, label, attempt, rawContent, result) => ({
+    label,
+    attempt,
+    outcome: result.success ? (result.fixes.length ? 'repaired' : 'valid') : (result.error ? 'unparseable' : 'invalid'),
+    provider: provider.name,
+    model: provider.model,
+    fixes: result.fixes,
+    issues: formatIssues(result.issues).slice(0, MAX_REPORTED_ISSUES),
+    error: result.error,
+    raw_chars: rawContent ? rawContent.length : 0,
+    // Enough of a failed response to see what went wrong
+    ...(result.success ? {} : { raw_excerpt: String(rawContent || '').slice(0, RAW_EXCERPT_CHARS) })
+});
+
+const logParseAttempt = (record) => {
+    const icon = { valid: '✅', repaired: '🩹', invalid: '⚠️', unparseable: '⚠️' }[record.outcome];
+    const details = record.outcome === 'repaired' ? record.fixes : record.error ? [record.error] : record.issues;
+    console.log(`${icon} ${record.label} (attempt ${record.attempt}): ${record.outcome}${details.length ? ` - ${details.slice(0, 5).join('; ')}` : ''}`);
+};
+
+const buildRetryPrompt = (result) => `Your previous response could not be used:
+${result.error ? `- ${result.error}` : formatIssues(result.issues).slice(0, MAX_REPORTED_ISSUES).map(issue => `- ${issue}`).join('\n')}
+Answer again with the complete, corrected JSON object only, following the SCHEMA exactly.`;
+
+// Sends the request and reads the answer with `read(content)`; on failure the
+// model is asked once more with the validation errors. `onParseAttempt(record)`
+// receives every attempt.
+const requestValidated = async ({ provider, systemPrompt, material, requestOptions, read, label, invalidMessage, onParseAttempt = () => {} }) => {
+    let messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `Analyze this material:\n\n${material}` }
+    ];
+
+    let result;
+    for (let attempt = 1; attempt <= MAX_PARSE_ATTEMPTS; attempt++) {
+        const response = await provider.complete(messages, {
+            temperature: 0.1,
+            maxTokens: requestOptions?.maxTokens || 4000,
+            responseFormat: 'json'
+        });
+
+        result = read(response.content);
+        const record = describeAttempt(provider, label, attempt, response.content, result);
+        logParseAttempt(record);
+        await Promise.resolve(onParseAttempt(record)).catch((err) => console.warn('Failed to record parse attempt:', err.message));
+        if (result.success) return result.data;
+
+        messages = [
+            ...messages,
+            { role: 'assistant', content: response.content || '(empty response)' },
+            { role: 'user', content: buildRetryPrompt(result) }
+        ];
+    }
+
+    console.error(`${label}: giving up after ${MAX_PARSE_ATTEMPTS} attempts`);
+    throw createParseError(result, invalidMessage);
+};
+
+const requestPlan = (provider, systemPrompt, material, requestOptions, { label = 'plan', onParseAttempt } = {}) =>
+    requestValidated({
+        provider,
+        systemPrompt,
+        material,
+        requestOptions,
+        read: readPlan,
+        label,
+        invalidMessage: 'AI generated invalid plan structure',
+        onParseAttempt
+    });
+
+// Final check of an assembled plan: repairs without asking the model again
+const finalizePlan = (plan) => {
+    const result = repairToSchema(plan, StudyPlanSchema);
+    if (!result.success) throw createParseError(result, 'AI generated invalid plan structure');
+    if (result.fixes.length) console.log(`🩹 Final plan repaired: ${result.fixes.slice(0, 5).join('; ')}`);
+    return result.data;
+};
+
+// --- MAP-REDUCE HELPERS ---
+
+// Runs `worker` over `items` with at most `limit` calls in flight, keeping order
+const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+};
+
+const conceptsOf = (plan) => [plan.concept_map.main_topic, ...plan.concept_map.subtopics];
+
+const describeSources = (documents, sections, truncated) => ({
+    total_chars: documents.reduce((sum, doc) => sum + doc.text.length, 0),
+    truncated,
+    sections: sections.map(({ id, start, end, file, text }) => ({
+        id,
+        start,
+        end,
+        ...(file ? { file } : {}),
+        preview: text.replace(/\s+/g, ' ').trim().slice(0, 120)
+    })),
+    ...(documents.length > 1 ? {
+        files: documents.map(doc => ({
+            name: doc.name,
+            chars: doc.text.length,
+            sections: sections.filter(section => section.file === doc.name).map(section => section.id)
+        }))
+    } : {})
+});
+
+// Sections whose text mentions `term` (case-insensitive)
+const sectionsMentioning = (term, sections) => {
+    const needle = term.toLowerCase();
+    return sections.filter(section => section.text.toLowerCase().includes(needle));
+};
+
+// A concept comes from every section that mentions it; if the wording differs
+// from the source, fall back to the sections whose partial plan produced it.
+const locateConcepts = (concepts, sections, partials = []) => concepts.map(concept => {
+    let found = sectionsMentioning(concept, sections);
+
+    if (found.length === 0) {
+        found = partials
+            .filter(({ plan }) => conceptsOf(plan).some(c => c.toLowerCase() === concept.toLowerCase()))
+            .map(({ section }) => section);
+    }
+
+    const files = [...new Set(found.map(section => section.file).filter(Boolean))];
+    return {
+        concept,
+        source_sections: found.map(section => section.id),
+        ...(files.length ? { source_files: files } : {})
+    };
+});
+
+// Points an item at its section (and file, when there are several)
+const attachSource = ({ source_file: _claimedFile, ...item }, section) => ({
+    ...item,
+    source_section: section.id,
+    ...(section.file ? { source_file: section.file } : {})
+});
+
+// Single-pass items over several files: trust the model's source_file when it
+// names a real file, otherwise use the first file mentioning the item's concept.
+const resolveItemSection = (item, sections, hint) => {
+    const byName = sections.find(section => section.file && section.file === item.source_file);
+    if (byName) return byName;
+
+    const mentioned = hint ? sectionsMentioning(hint, sections) : [];
+    return mentioned[0] || sections[0];
+};
+
+const uniqueBy = (items, keyFn) => {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = keyFn(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+// --- GENERATION ---
+
+// Labels each document so the model can tell several files apart
+const combineDocuments = (documents) => documents.length === 1
+    ? documents[0].text
+    : documents.map(doc => `=== FILE: ${doc.name} ===\n${doc.text}`).join('\n\n');
+
+// Splits every document on its own so no section mixes two files. The section
+// budget is shared in proportion to each document's length.
+const splitDocuments = (documents) => {
+    const totalChars = documents.reduce((sum, doc) => sum + doc.text.length, 0);
+    const sections = [];
+    let truncated = false;
+
+    documents.forEach(doc => {
+        const maxSections = Math.max(1, Math.round(DEFAULT_MAX_SECTIONS * doc.text.length / totalChars));
+        const result = splitIntoSections(doc.text, { maxSections });
+        truncated = truncated || result.truncated;
+        result.sections.forEach(section => {
+            sections.push({ ...section, id: sections.length + 1, ...(documents.length > 1 ? { file: doc.name } : {}) });
+        });
+    });
+
+    return { sections, truncated };
+};
+
+// Generates ONE study plan for `documents` ([{ name, text }], or a single `text`).
+// Short material uses a single request; longer material is summarized section
+// by section and merged. Every question, example, mistake and concept points
+// back at its source section (and source file when there are several).
+// `onProgress(stage, fraction, message)` reports the 'ai' and 'validation' stages;
+// `onParseAttempt(record)` receives every attempt at reading a response.
+const generateStudyPlan = async ({
+    provider,
+    documents,
+    text,
+    prefsPrompt = '',
+    outputLanguage,
+    options = DEFAULT_OPTIONS,
+    onProgress = () => {},
+    onParseAttempt
+}) => {
+    const docs = documents || [{ name: null, text }];
+    const isMultiFile = docs.length > 1;
+    const promptOptions = { outputLanguage, options };
+    // Leave room for the JSON around the requested content
+    const requestOptions = { maxTokens: Math.max(4000, 2 * responseTokenBudget(options)) };
+    const systemPrompt = buildSystemPrompt(prefsPrompt, promptOptions) + (isMultiFile ? MULTI_FILE_NOTE : '');
+    const combined = combineDocuments(docs);
+
+    if (combined.length <= SINGLE_PASS_MAX_CHARS) {
+        console.log(`Sending single optimized request to ${provider.name} (${provider.model})...`);
+        onProgress('ai', 0, 'Generating study plan');
+        const plan = await requestPlan(provider, systemPrompt, combined, requestOptions, { onParseAttempt });
+        onProgress('validation', 0, 'Validating study plan');
+
+        // One section per document
+        const sections = docs.map((doc, i) => ({
+            id: i + 1,
+            start: 0,
+            end: doc.text.length,
+            text: doc.text,
+            ...(isMultiFile ? { file: doc.name } : {})
+        }));
+
+        plan.active_recall = plan.active_recall.map(q => attachSource(q, resolveItemSection(q, sections, q.related_concept)));
+        plan.worked_examples = plan.worked_examples.map(e => attachSource(e, resolveItemSection(e, sections, e.subtopic)));
+        plan.common_mistakes = plan.common_mistakes.map(m => attachSource(m, resolveItemSection(m, sections, null)));
+        plan.concept_sources = isMultiFile
+            ? locateConcepts(conceptsOf(plan), sections)
+            : conceptsOf(plan).map(concept => ({ concept, source_sections: [1] }));
+        plan.sources = describeSources(docs, sections, false);
+        return finalizePlan(applyGenerationOptions(plan, options));
+    }
+
+    const { sections, truncated } = splitDocuments(docs);
+    console.log(`📚 Long material (${combined.length} chars, ${docs.length} file(s)): map-reduce over ${sections.length} sections${truncated ? ' (truncated)' : ''}`);
+
+    // MAP: one partial plan per section
+    const totalSteps = sections.length + 1;
+    let finishedSteps = 0;
+    onProgress('ai', 0, `Analyzing ${sections.length} sections`);
+
+    const partials = await mapWithConcurrency(sections, MAP_CONCURRENCY, async (section) => {
+        console.log(`  ↳ Section ${section.id}/${sections.length} (${section.text.length} chars)`);
+        const note = buildSectionNote(section, sections.length) + (section.file ? `SOURCE FILE: ${section.file}\n` : '');
+        const plan = await requestPlan(provider, buildSystemPrompt(prefsPrompt, promptOptions) + note, section.text, requestOptions, {
+            label: `section ${section.id}`,
+            onParseAttempt
+        });
+        finishedSteps++;
+        onProgress('ai', finishedSteps / totalSteps, `Analyzed section ${finishedSteps} of ${sections.length}`);
+        return { section, plan };
+    });
+
+    // REDUCE: whole-material deliverables from the section summaries
+    const digest = partials.map(({ section, plan }) =>
+        `PART ${section.id}${section.file ? ` (${section.file})` : ''} SUMMARY:\n${plan.summary}\nKEY CONCEPTS: ${conceptsOf(plan).join(', ')}`
+    ).join('\n\n');
+
+    console.log(`  ↳ Merging ${partials.length} partial plans`);
+    const merged = await requestPlan(provider, buildSystemPrompt(prefsPrompt, promptOptions) + REDUCE_NOTE, digest, requestOptions, {
+        label: 'merge',
+        onParseAttempt
+    });
+    onProgress('validation', 0, 'Merging and validating sections');
+
+    const tag = (items, section) => items.map(item => attachSource(item, section));
+
+    merged.active_recall = uniqueBy(
+        partials.flatMap(({ section, plan }) => tag(plan.active_recall, section)),
+        q => q.question.trim().toLowerCase()
+    ).slice(0, 50);
+    merged.worked_examples = partials.flatMap(({ section, plan }) => tag(plan.worked_examples, section)).slice(0, 10);
+    merged.common_mistakes = uniqueBy(
+        partials.flatMap(({ section, plan }) => tag(plan.common_mistakes, section)),
+        m => m.mistake.trim().toLowerCase()
+    ).slice(0, 15);
+
+    merged.section_summaries = partials.map(({ section, plan }) => ({
+        source_section: section.id,
+        ...(section.file ? { source_file: section.file } : {}),
+        summary: plan.summary.slice(0, 5000)
+    }));
+    merged.concept_sources = locateConcepts(conceptsOf(merged), sections, partials);
+    merged.sources = describeSources(docs, sections, truncated);
+
+    return finalizePlan(applyGenerationOptions(merged, options));
+};
+
+// --- SECTION REGENERATION ---
+
+// Rewrites one section of a saved plan from its stored source `documents`
+// ([{ name, text }]) and returns the updated plan. Long material is represented
+// by the plan's section summaries, as in the reduce step of generateStudyPlan.
+const regenerateSection = async ({
+    provider,
+    plan,
+    section,
+    documents,
+    prefsPrompt = '',
+    outputLanguage,
+    onProgress = () => {},
+    onParseAttempt
+}) => {
+    if (!REGENERABLE_SECTIONS.includes(section)) {
+        throw new Error(`Unknown section "${section}".`);
+    }
+
+    // Asking for a skipped deliverable brings it back
+    const storedOptions = plan.generation_options || DEFAULT_OPTIONS;
+    const options = { ...storedOptions, skip: storedOptions.skip.filter(key => key !== section) };
+    if (section === 'spaced_repetition' && !options.schedule_length) options.schedule_length = DEFAULT_OPTIONS.schedule_length;
+
+    const isMultiFile = documents.length > 1;
+    const combined = combineDocuments(documents);
+    const isLong = combined.length > SINGLE_PASS_MAX_CHARS;
+    const sections = isLong
+        ? splitDocuments(documents).sections
+        : documents.map((doc, i) => ({ id: i + 1, start: 0, end: doc.text.length, text: doc.text, ...(isMultiFile ? { file: doc.name } : {}) }));
+
+    const material = isLong && plan.section_summaries?.length
+        ? plan.section_summaries.map(s => `PART ${s.source_section}${s.source_file ? ` (${s.source_file})` : ''} SUMMARY:\n${s.summary}`).join('\n\n')
+        : combined.slice(0, SINGLE_PASS_MAX_CHARS);
+
+    const systemPrompt = buildSystemPrompt(prefsPrompt, { outputLanguage, options })
+        + (isMultiFile ? MULTI_FILE_NOTE : '')
+        + (isLong ? REDUCE_NOTE : '')
+        + buildRegenerateNote(section, plan);
+
+    console.log(`🔁 Regenerating ${section} with ${provider.name} (${provider.model})...`);
+    onProgress('ai', 0, `Regenerating ${section}`);
+    let value = await requestValidated({
+        provider,
+        systemPrompt,
+        material,
+        requestOptions: { maxTokens: Math.max(4000, 2 * responseTokenBudget(options)) },
+        read: content => readSection(content, section),
+        label: `regenerate ${section}`,
+        invalidMessage: `AI generated an invalid ${section} section`,
+        onParseAttempt
+    });
+    onProgress('validation', 0, 'Validating section');
+
+    // Same provenance rules as a fresh plan
+    if (section === 'active_recall') value = value.map(q => attachSource(q, resolveItemSection(q, sections, q.related_concept)));
+    if (section === 'worked_examples') value = value.map(e => attachSource(e, resolveItemSection(e, sections, e.subtopic)));
+    if (section === 'common_mistakes') value = value.map(m => attachSource(m, resolveItemSection(m, sections, null)));
+
+    const updated = { ...plan, [section]: value };
+    if (section === 'concept_map') {
+        updated.concept_sources = isMultiFile || isLong
+            ? locateConcepts(conceptsOf(updated), sections)
+            : conceptsOf(updated).map(concept => ({ concept, source_sections: [1] }));
+    }
+
+    return finalizePlan(applyGenerationOptions(updated, options));
+};
+
+module.exports = {
+    StudyPlanSchema,
+    SINGLE_PASS_MAX_CHARS,
+    REGENERABLE_SECTIONS,
+    buildSystemPrompt,
+    parsePlanContent,
+    generateStudyPlan,
+    regenerateSection
+};
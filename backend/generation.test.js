@@ -0,0 +1,188 @@
+const { createAIProvider } = require('./ai-providers');
+const { generateStudyPlan, regenerateSection, parsePlanContent, StudyPlanSchema, SINGLE_PASS_MAX_CHARS } = require('./generation');
+
+const provider = createAIProvider({ provider: 'mock' });
+
+// Builds a chapter where `topic` is clearly the dominant term
+const chapter = (topic, length) => {
+    const sentence = `The ${topic} process is central here and every ${topic} example shows how ${topic} works. `;
+    return sentence.repeat(Math.ceil(length / sentence.length));
+};
+
+describe('parsePlanContent', () => {
+    test('strips code fences and fills defaults', () => {
+        const plan = parsePlanContent('```json\n' + JSON.stringify({
+            summary: 'S',
+            memory_palace: 'M',
+            active_recall: [{ question: 'Q?', answer: 'A' }],
+            spaced_repetition: [],
+            concept_map: { main_topic: 'T', subtopics: [] }
+        }) + '\n```');
+
+        expect(plan.active_recall[0]).toMatchObject({ difficulty_rating: 3, level: 1, type: 'short_answer' });
+        expect(plan.worked_examples).toEqual([]);
+    });
+
+    test('rejects output that is not a plan', () => {
+        expect(() => parsePlanContent('Sorry, I cannot help with that.')).toThrow('Failed to parse AI response.');
+    });
+});
+
+describe('generateStudyPlan', () => {
+    test('uses a single section for short documents', async () => {
+        const plan = await generateStudyPlan({ provider, text: chapter('osmosis', 2000) });
+
+        expect(plan.sources.sections).toHaveLength(1);
+        expect(plan.section_summaries).toBeUndefined();
+        plan.active_recall.forEach(q => expect(q.source_section).toBe(1));
+    });
+
+    test('merges per-section plans for long documents and keeps provenance', async () => {
+        const text = [chapter('mitosis', 25000), chapter('meiosis', 25000)].join('\n\n');
+        expect(text.length).toBeGreaterThan(SINGLE_PASS_MAX_CHARS);
+
+        const plan = await generateStudyPlan({ provider, text });
+
+        expect(StudyPlanSchema.safeParse(plan).success).toBe(true);
+        expect(plan.sources.sections.length).toBeGreaterThan(1);
+        expect(plan.sources.truncated).toBe(false);
+        expect(plan.section_summaries.map(s => s.source_section)).toEqual(plan.sources.sections.map(s => s.id));
+
+        const sectionsWithQuestions = new Set(plan.active_recall.map(q => q.source_section));
+        expect(sectionsWithQuestions.size).toBeGreaterThan(1);
+
+        const lastSection = plan.sources.sections[plan.sources.sections.length - 1];
+        const meiosisSummary = plan.section_summaries.find(s => s.source_section === lastSection.id);
+        expect(meiosisSummary.summary).toContain('Meiosis');
+
+        plan.concept_sources.forEach(({ source_sections }) => {
+            source_sections.forEach(id => expect(id).toBeLessThanOrEqual(lastSection.id));
+        });
+    });
+
+    test('builds one plan from several files and records which file each item came from', async () => {
+        const documents = [
+            { name: 'slides.pdf', text: chapter('enzymes', 3000) },
+            { name: 'whiteboard.jpg', text: chapter('substrate', 1500) }
+        ];
+
+        const plan = await generateStudyPlan({ provider, documents });
+
+        expect(plan.sources.files.map(f => f.name)).toEqual(['slides.pdf', 'whiteboard.jpg']);
+        expect(plan.sources.sections.map(s => s.file)).toEqual(['slides.pdf', 'whiteboard.jpg']);
+        plan.active_recall.forEach(q => expect(['slides.pdf', 'whiteboard.jpg']).toContain(q.source_file));
+
+        const enzymes = plan.concept_sources.find(c => c.concept === 'Enzymes');
+        expect(enzymes.source_files).toEqual(['slides.pdf']);
+    });
+
+    test('never mixes files inside a section of long material', async () => {
+        const documents = [
+            { name: 'chapter1.pdf', text: chapter('mitosis', 30000) },
+            { name: 'chapter2.pdf', text: chapter('meiosis', 30000) }
+        ];
+
+        const plan = await generateStudyPlan({ provider, documents });
+
+        const files = plan.sources.files;
+        expect(files).toHaveLength(2);
+        files.forEach(file => expect(file.sections.length).toBeGreaterThan(0));
+        plan.section_summaries.forEach(summary => {
+            const section = plan.sources.sections.find(s => s.id === summary.source_section);
+            expect(summary.source_file).toBe(section.file);
+        });
+        expect(plan.section_summaries.find(s => s.source_file === 'chapter2.pdf').summary).toContain('Meiosis');
+    });
+
+    test('asks for the plan in the requested output language on every call', async () => {
+        const prompts = [];
+        const recording = {
+            complete: async (messages, options) => {
+                prompts.push(messages[0].content);
+                return provider.complete(messages, options);
+            }
+        };
+
+        await generateStudyPlan({ provider: recording, text: chapter('osmosis', 2000), outputLanguage: 'Italian' });
+        await generateStudyPlan({ provider: recording, text: [chapter('mitosis', 25000), chapter('meiosis', 25000)].join('\n\n'), outputLanguage: 'Spanish' });
+
+        expect(prompts[0]).toContain('Write every text value in Italian');
+        expect(prompts.length).toBeGreaterThan(2);
+        prompts.slice(1).forEach(prompt => expect(prompt).toContain('Write every text value in Spanish'));
+    });
+});
+
+describe('regenerateSection', () => {
+    // Answers every request with `content` and keeps the prompts it received
+    const scripted = (content) => {
+        const calls = [];
+        return {
+            calls,
+            name: 'scripted',
+            model: 'test',
+            complete: async (messages) => {
+                calls.push(messages);
+                return { content: typeof content === 'string' ? content : JSON.stringify(content) };
+            }
+        };
+    };
+
+    const documents = [
+        { name: 'slides.pdf', text: chapter('enzymes', 3000) },
+        { name: 'notes.txt', text: chapter('substrate', 1500) }
+    ];
+
+    test('replaces only the requested section', async () => {
+        const plan = await generateStudyPlan({ provider, documents });
+        const fake = scripted({ memory_palace: 'A **kitchen** where every pot is an enzyme.', summary: 'ignored' });
+
+        const updated = await regenerateSection({ provider: fake, plan, section: 'memory_palace', documents });
+
+        expect(updated.memory_palace).toBe('A **kitchen** where every pot is an enzyme.');
+        expect({ ...updated, memory_palace: plan.memory_palace }).toEqual(plan);
+        expect(fake.calls[0][0].content).toContain('Return a JSON object with the single key "memory_palace"');
+        expect(fake.calls[0][1].content).toContain('=== FILE: notes.txt ===');
+    });
+
+    test('fills defaults and provenance for regenerated questions', async () => {
+        const plan = await generateStudyPlan({ provider, documents });
+        const fake = scripted({ active_recall: [{ question: 'What lowers activation energy?', answer: 'Enzymes', related_concept: 'substrate', level: 2 }] });
+
+        const updated = await regenerateSection({ provider: fake, plan, section: 'active_recall', documents });
+
+        expect(updated.active_recall).toEqual([expect.objectContaining({
+            question: 'What lowers activation energy?',
+            difficulty_rating: 3,
+            type: 'short_answer',
+            source_section: 2,
+            source_file: 'notes.txt'
+        })]);
+    });
+
+    test('brings back a deliverable that was skipped at generation time', async () => {
+        const options = { academic_level: null, questions_per_level: null, skip: ['memory_palace'], schedule_length: 4 };
+        const plan = await generateStudyPlan({ provider, text: chapter('osmosis', 2000), options });
+        expect(plan.memory_palace).toBe('');
+
+        const updated = await regenerateSection({
+            provider: scripted({ memory_palace: 'A garden of water lilies.' }),
+            plan,
+            section: 'memory_palace',
+            documents: [{ name: null, text: chapter('osmosis', 2000) }]
+        });
+
+        expect(updated.memory_palace).toBe('A garden of water lilies.');
+        expect(updated.generation_options.skip).toEqual([]);
+    });
+
+    test('rejects output that does not match the section schema', async () => {
+        const plan = await generateStudyPlan({ provider, documents });
+
+        await expect(regenerateSection({ provider: scripted({ concept_map: { subtopics: 'none' } }), plan, section: 'concept_map', documents }))
+            .rejects.toThrow('AI generated an invalid concept_map section');
+        await expect(regenerateSection({ provider: scripted('no json here'), plan, section: 'summary', documents }))
+            .rejects.toThrow('Failed to parse AI response.');
+        await expect(regenerateSection({ provider, plan, section: 'sources', documents }))
+            .rejects.toThrow('Unknown section "sources".');
+    });
+});
@@ -0,0 +1,233 @@
+const path = require('path');
+const fs = require('fs');
+const axios = require('axios');
+const admin = require('firebase-admin');
+const { buildMockStudyPlan } = require('./ai-providers');
+
+// End-to-end: repeated Idempotency-Keys on paid endpoints, with the in-memory Firestore
+// and the mock AI provider. A repeated request must never run the AI work for free.
+
+let server;
+let db;
+let aiProvider;
+let api;
+const savedEnv = {};
+const userIds = [];
+
+const genId = () => Math.random().toString(36).substring(7);
+
+const userOf = async (userId) => (await db.collection('users').doc(userId).get()).data();
+
+// Calls the API as `userId` (ID tokens are the uid itself, see beforeAll)
+const as = (userId, headers = {}) => ({
+    post: (path, body) => api.post(path, body, { headers: { Authorization: `Bearer ${userId}`, ...headers } })
+});
+
+// Delays every transaction so parallel requests all pass whatever they check before one
+const holdBackTransactions = (ms = 50) => {
+    const runTransaction = db.runTransaction.bind(db);
+    return jest.spyOn(db, 'runTransaction').mockImplementation(async (fn) => {
+        await new Promise((resolve) => setTimeout(resolve, ms));
+        return runTransaction(fn);
+    });
+};
+
+const createUser = async (fields = {}) => {
+    const userId = 'user_' + genId();
+    userIds.push(userId);
+    await db.collection('users').doc(userId).set({ plan: 'free', credits_balance: 50, ...fields });
+    return userId;
+};
+
+beforeAll(async () => {
+    for (const [key, value] of Object.entries({ FIRESTORE_BACKEND: 'memory', AI_PROVIDER: 'mock' })) {
+        savedEnv[key] = process.env[key];
+        process.env[key] = value;
+    }
+
+    // Firebase ID tokens can't be issued offline: any token is accepted as that uid,
+    // whose account email is `<uid>@example.com`
+    jest.spyOn(admin, 'auth').mockReturnValue({
+        verifyIdToken: async (token) => ({ uid: token, email: `${token}@example.com` }),
+        getUserByEmail: async (email) => ({ uid: email.split('@')[0], email })
+    });
+
+    const app = require('./server');
+    db = app.locals.db;
+    aiProvider = app.locals.aiProvider;
+    await new Promise((resolve) => { server = app.listen(0, resolve); });
+    api = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+});
+
+afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise((resolve) => server.close(resolve));
+    // Regenerated plans are also backed up to disk
+    for (const userId of userIds) fs.rmSync(path.join(__dirname, 'saved_plans', userId), { recursive: true, force: true });
+    for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+});
+
+describe('Section regeneration', () => {
+    test('should not regenerate again for a repeated Idempotency-Key', async () => {
+        const userId = await createUser();
+        const text = 'Photosynthesis turns light into chemical energy. Chlorophyll absorbs light in the chloroplasts. Plants release oxygen as a by-product.';
+        const generation = await db.collection('generations').add({
+            userId,
+            fileName: 'biology.txt',
+            studyPlan: buildMockStudyPlan(text),
+            sourceDocuments: [{ name: 'biology.txt', text }]
+        });
+        const complete = jest.spyOn(aiProvider, 'complete');
+
+        const request = () => as(userId, { 'Idempotency-Key': 'regen-1' }).post(`/api/generations/${generation.id}/regenerate`, { section: 'active_recall' });
+        const first = await request();
+        const calls = complete.mock.calls.length;
+        const repeated = await request();
+
+        expect(first.status).toBe(200);
+        expect(repeated.status).toBe(409);
+        expect(repeated.data.error).toBe('Duplicate request');
+        expect(complete.mock.calls.length).toBe(calls);
+        expect((await userOf(userId)).credits_balance).toBe(first.data.credits_balance);
+        complete.mockRestore();
+    });
+});
+
+describe('Chat', () => {
+    const messages = [{ role: 'user', content: 'Explain photosynthesis in one sentence.' }];
+
+    test('should call the AI provider once for a repeated Idempotency-Key', async () => {
+        const userId = await createUser();
+        const complete = jest.spyOn(aiProvider, 'complete');
+
+        const first = await as(userId, { 'Idempotency-Key': 'chat-1' }).post('/api/chat', { messages });
+        const repeated = await as(userId, { 'Idempotency-Key': 'chat-1' }).post('/api/chat', { messages });
+
+        expect(first.status).toBe(200);
+        expect(repeated.status).toBe(409);
+        expect(repeated.data.error).toBe('Duplicate request');
+        expect(complete).toHaveBeenCalledTimes(1);
+        expect((await userOf(userId)).credits_balance).toBe(first.data.creditsRemaining);
+        complete.mockRestore();
+    });
+
+    test('should call the AI provider once for the same Idempotency-Key sent in parallel', async () => {
+        const userId = await createUser();
+        const complete = jest.spyOn(aiProvider, 'complete');
+        const transactions = holdBackTransactions();
+
+        const responses = await Promise.all([1, 2].map(() => as(userId, { 'Idempotency-Key': 'chat-parallel' }).post('/api/chat', { messages })));
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+        expect(complete).toHaveBeenCalledTimes(1);
+        expect(db.dump('credits_ledger').filter(doc => doc.data.userId === userId && doc.data.type === 'hold')).toHaveLength(1);
+        complete.mockRestore();
+        transactions.mockRestore();
+    });
+
+    test('should not share Idempotency-Keys between users', async () => {
+        const alice = await createUser();
+        const bob = await createUser();
+
+        expect((await as(alice, { 'Idempotency-Key': 'shared' }).post('/api/chat', { messages })).status).toBe(200);
+        expect((await as(bob, { 'Idempotency-Key': 'shared' }).post('/api/chat', { messages })).status).toBe(200);
+    });
+});
+
+describe('Credit transfer', () => {
+    test('should send the credits once for a repeated Idempotency-Key', async () => {
+        const sender = await createUser({ plan: 'pro', credits_balance: 20 });
+        const recipient = await createUser();
+        const transfer = () => as(sender, { 'Idempotency-Key': 'gift-1' }).post('/api/credits/transfer', { email: `${recipient}@example.com`, amount: 5 });
+
+        const first = await transfer();
+        const received = (await userOf(recipient)).credits_balance;
+        const repeated = await transfer();
+
+        expect(first.status).toBe(200);
+        expect(repeated.status).toBe(200);
+        expect(repeated.data.credits_balance).toBe(first.data.credits_balance);
+        expect((await userOf(recipient)).credits_balance).toBe(received);
+    });
+
+    test('should reject a repeated Idempotency-Key for another recipient or amount', async () => {
+        const sender = await createUser({ plan: 'pro', credits_balance: 20 });
+        const recipient = await createUser();
+        const other = await createUser();
+        const send = (email, amount) => as(sender, { 'Idempotency-Key': 'gift-2' }).post('/api/credits/transfer', { email, amount });
+
+        const first = await send(`${recipient}@example.com`, 5);
+        const balances = async () => Promise.all([sender, recipient, other].map(async (id) => (await userOf(id)).credits_balance));
+        const before = await balances();
+        const otherRecipient = await send(`${other}@example.com`, 5);
+        const otherAmount = await send(`${recipient}@example.com`, 7);
+
+        expect(first.status).toBe(200);
+        expect(otherRecipient.status).toBe(409);
+        expect(otherAmount.status).toBe(409);
+        expect(otherAmount.data.error).toBe('Idempotency-Key reused');
+        expect(await balances()).toEqual(before);
+    });
+
+    test('should not deliver a failed transfer when its Idempotency-Key is repeated', async () => {
+        const sender = await createUser({ plan: 'pro', credits_balance: 20 });
+        const recipient = await createUser();
+        const transfer = () => as(sender, { 'Idempotency-Key': 'gift-failed' }).post('/api/credits/transfer', { email: `${recipient}@example.com`, amount: 5 });
+
+        // The delivery to the recipient fails once, so the credits go back to the sender
+        const runTransaction = db.runTransaction.bind(db);
+        const transactions = jest.spyOn(db, 'runTransaction').mockImplementation((fn) => runTransaction((transaction) => fn({
+            ...transaction,
+            set: (ref, ...args) => {
+                if (ref.path.startsWith('credits_ledger/') && ref.id.endsWith('_in')) throw new Error('Delivery failed');
+                return transaction.set(ref, ...args);
+            }
+        })));
+        const failed = await transfer();
+        transactions.mockRestore();
+        const balances = async () => Promise.all([sender, recipient].map(async (id) => (await userOf(id)).credits_balance));
+        const before = await balances();
+
+        const repeated = await transfer();
+
+        expect(failed.status).toBe(500);
+        expect(repeated.status).toBe(409);
+        expect(repeated.data.error).toBe('Transfer failed');
+        expect(await balances()).toEqual(before);
+    });
+
+    test('should not share Idempotency-Keys between senders', async () => {
+        const alice = await createUser({ plan: 'pro', credits_balance: 20 });
+        const bob = await createUser({ plan: 'pro', credits_balance: 20 });
+        const recipient = await createUser();
+        const send = (sender) => as(sender, { 'Idempotency-Key': 'gift-3' }).post('/api/credits/transfer', { email: `${recipient}@example.com`, amount: 5 });
+
+        expect((await send(alice)).status).toBe(200);
+        const received = (await userOf(recipient)).credits_balance;
+        expect((await send(bob)).status).toBe(200);
+        expect((await userOf(recipient)).credits_balance).toBe(received + 5);
+    });
+});
+
+describe('Promo codes', () => {
+    test('should credit a code once when it is redeemed twice in parallel', async () => {
+        const userId = await createUser();
+        const code = 'PARALLEL-' + genId().toUpperCase();
+        await db.collection('promo_codes').doc(code).set({
+            code, credits: 5, maxRedemptions: 10, perUserLimit: 1, redemptions: 0, expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        });
+        const transactions = holdBackTransactions();
+
+        const responses = await Promise.all([1, 2].map(() => as(userId).post('/api/credits/redeem', { code })));
+        transactions.mockRestore();
+
+        expect(responses.map(response => response.status)).toEqual([200, 200]);
+        expect((await userOf(userId)).credits_balance).toBe(55);
+        expect(db.dump('credits_ledger').filter(doc => doc.data.userId === userId && doc.data.type === 'promo')).toHaveLength(1);
+        expect((await db.collection('promo_codes').doc(code).get()).data().redemptions).toBe(1);
+        expect((await as(userId).post('/api/credits/redeem', { code })).status).toBe(409);
+    });
+});
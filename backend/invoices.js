@@ -0,0 +1,253 @@
+// --- INVOICES ---
+// Every completed payment gets an invoice in invoices/{number}, numbered GS-000001,
+// GS-000002, ... from the counter in counters/invoices. The number is taken in the
+// payment's own transaction, so numbers have no gaps and a payment is never invoiced
+// twice. The record is a snapshot: billing details, issuer and tax rate as they were
+// when the payment was made. PDFs are rendered from it on request (renderInvoicePdf).
+//
+// Prices include tax: with INVOICE_TAX_RATE=20, a 12.99 payment is 10.83 + 2.16 tax.
+
+const INVOICE_PREFIX = 'GS';
+const MAX_BILLING_FIELD_LENGTH = { name: 120, address: 300, taxId: 40 };
+
+const formatInvoiceNumber = (seq) => `${INVOICE_PREFIX}-${String(seq).padStart(6, '0')}`;
+
+// Firestore Timestamp, Date or ISO string → Date
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Reads the tax rate from an env value in percent (e.g. '20' for 20% VAT)
+const parseTaxRate = (value, fallback = 0) => {
+    const rate = parseFloat(value);
+    return Number.isFinite(rate) && rate >= 0 && rate < 100 ? rate : fallback;
+};
+
+// Splits a tax-inclusive `total` into { subtotal, taxAmount, total }
+const computeTax = (total, ratePercent) => {
+    const subtotal = roundCents(total / (1 + ratePercent / 100));
+    return { subtotal, taxAmount: roundCents(total - subtotal), total: roundCents(total) };
+};
+
+// Validates the billing details a user can put on their invoices.
+// Returns { details: { name, address, taxId } } or { error }.
+const parseBillingDetails = (body) => {
+    const details = {};
+    for (const [field, maxLength] of Object.entries(MAX_BILLING_FIELD_LENGTH)) {
+        const value = body?.[field];
+        if (value === undefined || value === null || value === '') {
+            details[field] = null;
+            continue;
+        }
+        if (typeof value !== 'string') return { error: `${field} must be a string` };
+        if (value.trim().length > maxLength) return { error: `${field} must be at most ${maxLength} characters` };
+        details[field] = value.trim() || null;
+    }
+    return { details };
+};
+
+// Invoice record for invoice number `seq` of a payment (pure; see createInvoices().write).
+// `payment` is the normalized event's { id, amount, currency }, `payer` the provider's
+// { name, email } and `billingDetails` the user's own, which win over the provider's.
+const buildInvoice = ({ seq, userId, provider, subscriptionId, eventId, payment, payer = null, billingDetails = null, interval = 'monthly', period = null, issuedAt, issuer, taxRate = 0, taxLabel = 'Tax' }) => ({
+    number: formatInvoiceNumber(seq),
+    seq,
+    userId,
+    status: 'paid',
+    billingName: billingDetails?.name || payer?.name || payer?.email || null,
+    billingEmail: payer?.email || null,
+    billingAddress: billingDetails?.address || null,
+    customerTaxId: billingDetails?.taxId || null,
+    issuer: { name: issuer?.name || 'GoStudy', address: issuer?.address || null, taxId: issuer?.taxId || null },
+    description: `GoStudy Pro - ${interval} subscription`,
+    interval,
+    periodStart: period?.start || null,
+    periodEnd: period?.end || null,
+    currency: payment.currency,
+    ...computeTax(payment.amount, taxRate),
+    taxRate,
+    taxLabel,
+    provider,
+    subscriptionId,
+    paymentId: payment.id,
+    eventId,
+    issuedAt
+});
+
+// API view of an invoice (dates as ISO strings)
+const formatInvoice = (invoice) => {
+    const iso = (value) => toDate(value)?.toISOString() || null;
+    return {
+        id: invoice.number,
+        number: invoice.number,
+        status: invoice.status,
+        description: invoice.description,
+        billingName: invoice.billingName,
+        currency: invoice.currency,
+        subtotal: invoice.subtotal,
+        taxRate: invoice.taxRate,
+        taxAmount: invoice.taxAmount,
+        total: invoice.total,
+        provider: invoice.provider,
+        periodStart: iso(invoice.periodStart),
+        periodEnd: iso(invoice.periodEnd),
+        issuedAt: iso(invoice.issuedAt)
+    };
+};
+
+// `FieldValue` is admin.firestore.FieldValue; `issuer` is { name, address, taxId }
+const createInvoices = ({ db, FieldValue, issuer = {}, taxRate = 0, taxLabel = 'Tax', collection = 'invoices' }) => {
+    const counterRef = db.collection('counters').doc(collection);
+    const ref = (number) => db.collection(collection).doc(number);
+
+    return {
+        // Read it in the payment's transaction, before any write, and pass it to write()
+        counterRef,
+
+        // Issues the next invoice in `transaction` and returns its record
+        write: (transaction, counterDoc, fields) => {
+            const seq = (counterDoc.exists ? counterDoc.data().last || 0 : 0) + 1;
+            const invoice = buildInvoice({ ...fields, seq, issuer, taxRate, taxLabel });
+            transaction.set(counterRef, { last: seq, updatedAt: FieldValue.serverTimestamp() });
+            transaction.set(ref(invoice.number), { ...invoice, createdAt: FieldValue.serverTimestamp() });
+            return invoice;
+        },
+
+        get: async (number) => {
+            const doc = await ref(number).get();
+            return doc.exists ? doc.data() : null;
+        },
+
+        // A user's invoices, newest first (sorted in memory to avoid a composite index)
+        listForUser: async (userId) => {
+            const snapshot = await db.collection(collection).where('userId', '==', userId).get();
+            return snapshot.docs.map(doc => doc.data()).sort((a, b) => b.seq - a.seq);
+        }
+    };
+};
+
+// --- PDF ---
+// A one-page A4 PDF written by hand: the standard Helvetica fonts need no embedding,
+// so the file is just a few objects and a content stream of text and lines.
+
+// Characters WinAnsiEncoding places outside Latin-1
+const WIN_ANSI = { '€': 0x80, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+
+// PDF string literal; non-ASCII as octal escapes, characters the font lacks as '?'
+const pdfString = (text) => `(${[...String(text)].map((char) => {
+    if (char === '\\' || char === '(' || char === ')') return `\\${char}`;
+    const code = WIN_ANSI[char] ?? char.codePointAt(0);
+    if (code < 32 || code > 255 || (code >= 127 && code < 160 && WIN_ANSI[char] === undefined)) return '?';
+    return code > 126 ? `\\${code.toString(8).padStart(3, '0')}` : char;
+}).join('')})`;
+
+// Builds a single-page PDF from drawing commands:
+//   { text, x, y, size?, bold? } and { line: [x1, y1, x2, y2] }, y from the bottom of the page
+const buildPdf = (commands, { title = 'Document' } = {}) => {
+    const content = commands.map((command) => {
+        if (command.line) {
+            const [x1, y1, x2, y2] = command.line;
+            return `0.8 G 0.5 w ${x1} ${y1} m ${x2} ${y2} l S`;
+        }
+        return `BT /${command.bold ? 'F2' : 'F1'} ${command.size || 10} Tf ${command.x} ${command.y} Td ${pdfString(command.text)} Tj ET`;
+    }).join('\n');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        `<< /Title ${pdfString(title)} /Producer (GoStudy) >>`
+    ];
+
+    // Everything above is ASCII, so string offsets are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = pdf.length;
+    // Cross-reference entries are exactly 20 bytes; CRLF is the line ending every reader accepts
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f\r\n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n\r\n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 7 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const formatDate = (value) => {
+    const date = toDate(value);
+    return date ? `${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}` : '';
+};
+const formatMoney = (amount, currency) => `${amount.toFixed(2)} ${currency}`;
+const PROVIDER_NAMES = { paypal: 'PayPal', stripe: 'card (Stripe)' };
+
+// The invoice as a PDF Buffer
+const renderInvoicePdf = (invoice) => {
+    const commands = [];
+    const text = (value, x, y, options = {}) => value && commands.push({ text: value, x, y, ...options });
+    const lines = (value) => String(value || '').split(/\r?\n/).filter(Boolean);
+
+    // Issuer (left) and invoice details (right)
+    let y = 780;
+    text(invoice.issuer.name, 50, y, { size: 20, bold: true });
+    for (const line of lines(invoice.issuer.address)) text(line, 50, y -= 16);
+    if (invoice.issuer.taxId) text(`Tax ID: ${invoice.issuer.taxId}`, 50, y -= 16);
+
+    text('INVOICE', 380, 780, { size: 18, bold: true });
+    text(`Number: ${invoice.number}`, 380, 760);
+    text(`Date: ${formatDate(invoice.issuedAt)}`, 380, 745);
+    text('Status: Paid', 380, 730);
+
+    // Customer
+    y = Math.min(y, 730) - 50;
+    text('Bill to', 50, y, { bold: true });
+    text(invoice.billingName || invoice.billingEmail || 'GoStudy customer', 50, y -= 16);
+    for (const line of lines(invoice.billingAddress)) text(line, 50, y -= 14);
+    if (invoice.customerTaxId) text(`Tax ID: ${invoice.customerTaxId}`, 50, y -= 14);
+    if (invoice.billingEmail && invoice.billingEmail !== invoice.billingName) text(invoice.billingEmail, 50, y -= 14);
+
+    // Line item
+    y -= 50;
+    text('Description', 50, y, { bold: true });
+    text('Period', 300, y, { bold: true });
+    text('Amount', 470, y, { bold: true });
+    commands.push({ line: [50, y - 8, 545, y - 8] });
+    y -= 26;
+    text(invoice.description, 50, y);
+    if (invoice.periodStart) text(`${formatDate(invoice.periodStart)} – ${formatDate(invoice.periodEnd)}`, 300, y);
+    text(formatMoney(invoice.subtotal, invoice.currency), 470, y);
+    commands.push({ line: [50, y - 12, 545, y - 12] });
+
+    // Totals
+    y -= 36;
+    text('Subtotal', 340, y);
+    text(formatMoney(invoice.subtotal, invoice.currency), 470, y);
+    text(`${invoice.taxLabel} (${invoice.taxRate}%)`, 340, y -= 16);
+    text(formatMoney(invoice.taxAmount, invoice.currency), 470, y);
+    text('Total', 340, y -= 20, { bold: true });
+    text(formatMoney(invoice.total, invoice.currency), 470, y, { bold: true });
+
+    // Payment
+    y -= 50;
+    text(`Paid with ${PROVIDER_NAMES[invoice.provider] || invoice.provider} on ${formatDate(invoice.issuedAt)}. Payment reference: ${invoice.paymentId}`, 50, y, { size: 9 });
+    text('Thank you for studying with GoStudy!', 50, y - 14, { size: 9 });
+
+    return buildPdf(commands, { title: `Invoice ${invoice.number}` });
+};
+
+module.exports = {
+    INVOICE_PREFIX,
+    formatInvoiceNumber,
+    parseTaxRate,
+    computeTax,
+    parseBillingDetails,
+    buildInvoice,
+    formatInvoice,
+    createInvoices,
+    buildPdf,
+    renderInvoicePdf
+};
@@ -0,0 +1,113 @@
+const admin = require('firebase-admin');
+const { createMemoryFirestore } = require('./memory-firestore');
+const { extractPdfWithOcr } = require('./pdf-ocr');
+const {
+    formatInvoiceNumber,
+    parseTaxRate,
+    computeTax,
+    parseBillingDetails,
+    formatInvoice,
+    createInvoices,
+    renderInvoicePdf
+} = require('./invoices');
+
+const { FieldValue, Timestamp } = admin.firestore;
+
+const fields = (overrides = {}) => ({
+    userId: 'u1',
+    provider: 'paypal',
+    subscriptionId: 'I-SUB',
+    eventId: 'WH-1',
+    payment: { id: 'SALE-1', amount: 12.99, currency: 'EUR' },
+    payer: { name: 'Sam Student', email: 'sam@example.com' },
+    interval: 'monthly',
+    period: { start: new Date('2026-10-19T00:00:00Z'), end: new Date('2026-11-19T00:00:00Z') },
+    issuedAt: new Date('2026-10-19T10:00:00Z'),
+    ...overrides
+});
+
+describe('invoice amounts', () => {
+    test('splits tax out of tax-inclusive prices to the cent', () => {
+        expect(computeTax(12.99, 20)).toEqual({ subtotal: 10.83, taxAmount: 2.16, total: 12.99 });
+        expect(computeTax(125.88, 19)).toEqual({ subtotal: 105.78, taxAmount: 20.1, total: 125.88 });
+        expect(computeTax(12.99, 0)).toEqual({ subtotal: 12.99, taxAmount: 0, total: 12.99 });
+    });
+
+    test('reads tax rates in percent', () => {
+        expect(parseTaxRate('20')).toBe(20);
+        expect(parseTaxRate('7.7')).toBe(7.7);
+        expect(parseTaxRate(undefined)).toBe(0);
+        expect(parseTaxRate('-5')).toBe(0);
+        expect(parseTaxRate('150')).toBe(0);
+    });
+
+    test('numbers invoices with a fixed-width prefix', () => {
+        expect(formatInvoiceNumber(42)).toBe('GS-000042');
+    });
+});
+
+describe('billing details', () => {
+    test('trims values and clears empty ones', () => {
+        expect(parseBillingDetails({ name: '  Acme Ltd ', address: '1 Main St\nLondon', taxId: '' }))
+            .toEqual({ details: { name: 'Acme Ltd', address: '1 Main St\nLondon', taxId: null } });
+        expect(parseBillingDetails({})).toEqual({ details: { name: null, address: null, taxId: null } });
+    });
+
+    test('rejects non-strings and overlong values', () => {
+        expect(parseBillingDetails({ name: 42 }).error).toBe('name must be a string');
+        expect(parseBillingDetails({ taxId: 'X'.repeat(41) }).error).toBe('taxId must be at most 40 characters');
+    });
+});
+
+describe('invoice records', () => {
+    let db;
+    let invoices;
+
+    beforeEach(() => {
+        db = createMemoryFirestore({ FieldValue, Timestamp });
+        invoices = createInvoices({ db, FieldValue, issuer: { name: 'GoStudy Ltd', taxId: 'GB123' }, taxRate: 20, taxLabel: 'VAT' });
+    });
+
+    const issue = (overrides) => db.runTransaction(async (transaction) => {
+        const counterDoc = await transaction.get(invoices.counterRef);
+        return invoices.write(transaction, counterDoc, fields(overrides));
+    });
+
+    test('numbers invoices sequentially and snapshots the billing details', async () => {
+        const first = await issue();
+        const second = await issue({ userId: 'u2', billingDetails: { name: 'Acme Ltd', address: '1 Main St', taxId: 'DE999' } });
+
+        expect([first.number, second.number]).toEqual(['GS-000001', 'GS-000002']);
+        expect(await invoices.get('GS-000001')).toMatchObject({
+            userId: 'u1', billingName: 'Sam Student', billingEmail: 'sam@example.com', currency: 'EUR',
+            subtotal: 10.83, taxRate: 20, taxLabel: 'VAT', taxAmount: 2.16, total: 12.99,
+            issuer: { name: 'GoStudy Ltd', address: null, taxId: 'GB123' }, paymentId: 'SALE-1', status: 'paid'
+        });
+        expect(await invoices.get('GS-000002')).toMatchObject({ billingName: 'Acme Ltd', billingAddress: '1 Main St', customerTaxId: 'DE999' });
+        expect(await invoices.get('GS-000003')).toBeNull();
+    });
+
+    test('lists a user\'s invoices newest first', async () => {
+        await issue();
+        await issue({ userId: 'u2' });
+        await issue();
+
+        const list = (await invoices.listForUser('u1')).map(formatInvoice);
+        expect(list.map(invoice => invoice.id)).toEqual(['GS-000003', 'GS-000001']);
+        expect(list[0]).toMatchObject({ total: 12.99, currency: 'EUR', issuedAt: '2026-10-19T10:00:00.000Z', periodEnd: '2026-11-19T00:00:00.000Z' });
+    });
+
+    test('renders a PDF with the invoice details', async () => {
+        await issue({ billingDetails: { name: 'Zoë (Acme) Ltd', address: '1 Main St\nLondon', taxId: null } });
+        const buffer = renderInvoicePdf(await invoices.get('GS-000001'));
+
+        expect(buffer.subarray(0, 8).toString()).toBe('%PDF-1.4');
+        // Read back like an uploaded PDF; the text layer means no OCR
+        const { pageCount, pages, text } = await extractPdfWithOcr(buffer);
+        expect(pageCount).toBe(1);
+        expect(pages[0].ocr).toBe(false);
+        for (const expected of ['INVOICE', 'GS-000001', 'Zoë (Acme) Ltd', 'London', 'GoStudy Ltd', 'Tax ID: GB123', 'VAT (20%)', '2.16 EUR', '12.99 EUR', 'SALE-1']) {
+            expect(text).toContain(expected);
+        }
+    });
+});
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// --- GENERATION JOBS ---
+// In-memory store for long-running plan generations. Every stage update is
+// kept in the job's event log, so a client that reconnects (e.g. after a
+// browser refresh) replays the history before receiving live updates.
+
+// Overall progress range [from, to] covered by each stage
+const STAGES = {
+    upload: [0, 5],
+    extraction: [5, 15],
+    ocr: [15, 40],
+    ai: [40, 85],
+    validation: [85, 90],
+    saving: [90, 99],
+    done: [100, 100]
+};
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // Finished jobs are kept for 1 hour
+
+// Maps a stage and its own 0-1 progress onto the 0-100 overall scale
+const overallPercent = (stage, stageProgress = 0) => {
+    const [from, to] = STAGES[stage] || STAGES.upload;
+    const clamped = Math.min(1, Math.max(0, stageProgress));
+    return Math.round(from + (to - from) * clamped);
+};
+
+const createJobStore = ({ ttlMs = DEFAULT_TTL_MS } = {}) => {
+    const jobs = new Map();
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0); // One listener per open SSE connection
+
+    const publicView = (job) => ({
+        id: job.id,
+        status: job.status,
+        stage: job.stage,
+        percent: job.percent,
+        message: job.message,
+        fileNames: job.fileNames,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    });
+
+    const record = (job, type, payload) => {
+        const event = { type, ...payload, at: new Date().toISOString() };
+        job.events.push(event);
+        job.updatedAt = event.at;
+        emitter.emit(job.id, event);
+        return event;
+    };
+
+    const scheduleCleanup = (job) => {
+        setTimeout(() => jobs.delete(job.id), ttlMs).unref();
+    };
+
+    return {
+        create(userId, { fileNames = [] } = {}) {
+            const now = new Date().toISOString();
+            const job = {
+                id: crypto.randomUUID(),
+                userId,
+                status: 'running',
+                stage: 'upload',
+                percent: overallPercent('upload', 1),
+                message: 'Upload received',
+                fileNames,
+                result: null,
+                error: null,
+                events: [],
+                createdAt: now,
+                updatedAt: now
+            };
+            jobs.set(job.id, job);
+            record(job, 'progress', { stage: job.stage, percent: job.percent, message: job.message });
+            return publicView(job);
+        },
+
+        // Returns the job only to its owner
+        get(id, userId) {
+            const job = jobs.get(id);
+            if (!job || job.userId !== userId) return null;
+            return { ...publicView(job), events: [...job.events] };
+        },
+
+        // progress(id, 'ocr', 0.42, 'Reading image 42%')
+        progress(id, stage, stageProgress = 0, message = null) {
+            const job = jobs.get(id);
+            if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+            // Never move the bar backwards (e.g. OCR of a second file)
+            job.percent = Math.max(job.percent, overallPercent(stage, stageProgress));
+            job.stage = stage;
+            job.message = message;
+            record(job, 'progress', { stage, percent: job.percent, message });
+        },
+
+        complete(id, result) {
+            const job = jobs.get(id);
+            if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+            Object.assign(job, { status: 'completed', stage: 'done', percent: 100, message: 'Study plan ready', result });
+            record(job, 'complete', { stage: 'done', percent: 100, result });
+            scheduleCleanup(job);
+        },
+
+        fail(id, error) {
+            const job = jobs.get(id);
+            if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+            Object.assign(job, { status: 'failed', error });
+            record(job, 'error', { stage: job.stage, percent: job.percent, error });
+            scheduleCleanup(job);
+        },
+
+        // Calls `listener` for every future event of the job; returns an unsubscribe function
+        subscribe(id, listener) {
+            emitter.on(id, listener);
+            return () => emitter.off(id, listener);
+        },
+
+        isFinished(job) {
+            return FINISHED_STATUSES.includes(job.status);
+        }
+    };
+};
+
+module.exports = {
+    STAGES,
+    overallPercent,
+    createJobStore
+};
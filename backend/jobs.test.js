@@ -0,0 +1,59 @@
+const { createJobStore, overallPercent } = require('./jobs');
+
+describe('overallPercent', () => {
+    test('maps stage progress onto the overall scale', () => {
+        expect(overallPercent('ocr', 0)).toBe(15);
+        expect(overallPercent('ocr', 1)).toBe(40);
+        expect(overallPercent('ai', 0.5)).toBe(63);
+        expect(overallPercent('done')).toBe(100);
+    });
+});
+
+describe('createJobStore', () => {
+    test('only returns jobs to their owner', () => {
+        const store = createJobStore();
+        const job = store.create('alice', { fileNames: ['notes.pdf'] });
+
+        expect(store.get(job.id, 'alice')).toMatchObject({ status: 'running', stage: 'upload', fileNames: ['notes.pdf'] });
+        expect(store.get(job.id, 'bob')).toBeNull();
+    });
+
+    test('publishes progress and never moves backwards', () => {
+        const store = createJobStore();
+        const job = store.create('alice');
+        const received = [];
+        store.subscribe(job.id, event => received.push(event));
+
+        store.progress(job.id, 'ocr', 0.8, 'Reading');
+        store.progress(job.id, 'extraction', 0, 'Next file');
+
+        expect(received.map(e => e.stage)).toEqual(['ocr', 'extraction']);
+        expect(received[1].percent).toBe(received[0].percent);
+    });
+
+    test('keeps the event history for reconnecting clients', () => {
+        const store = createJobStore();
+        const job = store.create('alice');
+
+        store.progress(job.id, 'ai', 0, 'Generating');
+        store.complete(job.id, { generationId: 'gen1' });
+        store.progress(job.id, 'saving', 0, 'Too late');
+
+        const { events, status, result } = store.get(job.id, 'alice');
+        expect(status).toBe('completed');
+        expect(result).toEqual({ generationId: 'gen1' });
+        expect(events.map(e => e.type)).toEqual(['progress', 'progress', 'complete']);
+        expect(store.isFinished(store.get(job.id, 'alice'))).toBe(true);
+    });
+
+    test('records failures', () => {
+        const store = createJobStore();
+        const job = store.create('alice');
+
+        store.fail(job.id, { error: 'AI Provider Error' });
+
+        const snapshot = store.get(job.id, 'alice');
+        expect(snapshot.status).toBe('failed');
+        expect(snapshot.events.pop()).toMatchObject({ type: 'error', error: { error: 'AI Provider Error' } });
+    });
+});
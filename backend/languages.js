@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- LANGUAGES ---
+// Document language detection, OCR model selection and the output language
+// of generated plans.
+
+// `ocr` is the Tesseract traineddata code; `stopwords` are frequent short words
+// that tell the languages apart when counted over a whole page.
+const LANGUAGES = {
+    en: {
+        name: 'English',
+        ocr: 'eng',
+        stopwords: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'with', 'for', 'are', 'this', 'on', 'as', 'was', 'be', 'by', 'which', 'from', 'have', 'not', 'or', 'an', 'at', 'they']
+    },
+    it: {
+        name: 'Italian',
+        ocr: 'ita',
+        stopwords: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'una', 'non', 'sono', 'della', 'del', 'con', 'le', 'gli', 'si', 'è', 'nel', 'alla', 'anche', 'più', 'questo', 'come', 'dei', 'delle']
+    },
+    es: {
+        name: 'Spanish',
+        ocr: 'spa',
+        stopwords: ['el', 'la', 'de', 'que', 'y', 'los', 'las', 'en', 'un', 'una', 'por', 'con', 'para', 'es', 'del', 'se', 'no', 'al', 'como', 'más', 'pero', 'su', 'este', 'son', 'está']
+    },
+    fr: {
+        name: 'French',
+        ocr: 'fra',
+        stopwords: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'que', 'qui', 'dans', 'pour', 'pas', 'sur', 'du', 'au', 'avec', 'ce', 'il', 'sont', 'plus', 'mais', 'nous', 'être']
+    },
+    de: {
+        name: 'German',
+        ocr: 'deu',
+        stopwords: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'von', 'sich', 'des', 'auf', 'für', 'im', 'dem', 'auch', 'es', 'werden', 'oder', 'wird', 'sind', 'bei']
+    },
+    pt: {
+        name: 'Portuguese',
+        ocr: 'por',
+        stopwords: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'é', 'dos', 'das', 'no', 'na', 'por', 'mais', 'se', 'ao', 'são']
+    }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_OCR_MODEL = LANGUAGES[DEFAULT_LANGUAGE].ocr;
+// Stored in preferences when the plan should follow the document's language
+const AUTO_LANGUAGE = 'auto';
+
+const MIN_DETECTION_WORDS = 20;
+const DETECTION_SAMPLE_CHARS = 20000;
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(LANGUAGES).map(([code, { stopwords }]) => [code, new Set(stopwords)])
+);
+
+// Returns { language, confidence } where language is a code from LANGUAGES,
+// or null when the text is too short or matches none of them.
+const detectLanguage = (text) => {
+    const words = (text || '').slice(0, DETECTION_SAMPLE_CHARS).toLowerCase().match(/\p{L}+/gu) || [];
+    // Single letters are mostly variables and list markers, so they don't count towards the minimum
+    if (words.filter(word => word.length > 1).length < MIN_DETECTION_WORDS) return { language: null, confidence: 0 };
+
+    const scores = Object.entries(STOPWORD_SETS)
+        .map(([code, stopwords]) => [code, words.filter(word => stopwords.has(word)).length])
+        .sort((a, b) => b[1] - a[1]);
+
+    const [[best, bestScore], [, runnerUp]] = scores;
+    // Running text is well above 8% stopwords; formulas, tables or gibberish are not
+    if (bestScore / words.length < 0.08) return { language: null, confidence: 0 };
+
+    return { language: best, confidence: Number(((bestScore - runnerUp) / bestScore).toFixed(2)) };
+};
+
+// 'auto' (or anything unknown) follows the document, falling back to English
+const resolveOutputLanguage = (preference, detected) => {
+    if (LANGUAGES[preference]) return preference;
+    return LANGUAGES[detected] ? detected : DEFAULT_LANGUAGE;
+};
+
+const isSupportedPreference = (value) => value === AUTO_LANGUAGE || Boolean(LANGUAGES[value]);
+
+const languageName = (code) => (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).name;
+
+// --- OCR MODELS ---
+
+// Tesseract.js reads `<cacheDir>/<code>.traineddata` before trying to download a model.
+// English is always allowed (it is downloaded once if missing); other languages
+// are only used when their model is already in the cache.
+const isOcrModelCached = (cacheDir, model) =>
+    model === DEFAULT_OCR_MODEL || fs.existsSync(path.join(cacheDir, `${model}.traineddata`));
+
+// Wraps `recognize(image, model, onProgress)` so the first readable page picks the
+// OCR model for the rest of the file: it is read with English, its language is
+// detected and, if a better model is cached, the page is read again with it.
+// Resolves to { text, confidence, model }.
+const createOcrReader = ({ recognize, isAvailable = () => false }) => {
+    let model = null;
+
+    return async (image, onProgress = () => {}) => {
+        if (model) return { ...(await recognize(image, model, onProgress)), model };
+
+        const first = await recognize(image, DEFAULT_OCR_MODEL, onProgress);
+        const { language } = detectLanguage(first.text);
+        if (!language) return { ...first, model: DEFAULT_OCR_MODEL }; // Blank or unreadable page: decide later
+
+        const detectedModel = LANGUAGES[language].ocr;
+        if (detectedModel === DEFAULT_OCR_MODEL || !isAvailable(detectedModel)) {
+            model = DEFAULT_OCR_MODEL;
+            return { ...first, model };
+        }
+
+        model = detectedModel;
+        console.log(`🌍 OCR switched to ${languageName(language)} (${model})`);
+        return { ...(await recognize(image, model, () => {})), model };
+    };
+};
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    AUTO_LANGUAGE,
+    DEFAULT_OCR_MODEL,
+    detectLanguage,
+    resolveOutputLanguage,
+    isSupportedPreference,
+    languageName,
+    isOcrModelCached,
+    createOcrReader
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    detectLanguage,
+    resolveOutputLanguage,
+    isSupportedPreference,
+    isOcrModelCached,
+    createOcrReader
+} = require('./languages');
+
+const SAMPLES = {
+    en: 'The cell is the basic unit of life. It is surrounded by a membrane that controls what enters and leaves, and in the nucleus we find the DNA which carries the genetic information of the organism.',
+    it: 'La cellula è l\'unità fondamentale della vita. È circondata da una membrana che controlla ciò che entra e che esce, e nel nucleo si trova il DNA che contiene le informazioni genetiche dell\'organismo.',
+    es: 'La célula es la unidad básica de la vida. Está rodeada por una membrana que controla lo que entra y lo que sale, y en el núcleo se encuentra el ADN que contiene la información genética del organismo.'
+};
+
+describe('detectLanguage', () => {
+    test.each(Object.entries(SAMPLES))('recognizes %s', (code, text) => {
+        const result = detectLanguage(text);
+        expect(result.language).toBe(code);
+        expect(result.confidence).toBeGreaterThan(0);
+    });
+
+    test('returns null for short or non-prose text', () => {
+        expect(detectLanguage('Mitochondria')).toEqual({ language: null, confidence: 0 });
+        expect(detectLanguage('x = 3y + 2; f(x) = x^2 - 4x + 4; '.repeat(10)).language).toBeNull();
+    });
+});
+
+describe('resolveOutputLanguage', () => {
+    test('follows the document unless a language is chosen', () => {
+        expect(resolveOutputLanguage('auto', 'it')).toBe('it');
+        expect(resolveOutputLanguage('auto', null)).toBe('en');
+        expect(resolveOutputLanguage('es', 'it')).toBe('es');
+        expect(resolveOutputLanguage(undefined, 'es')).toBe('es');
+    });
+
+    test('accepts auto and known codes as preferences', () => {
+        expect(isSupportedPreference('auto')).toBe(true);
+        expect(isSupportedPreference('it')).toBe(true);
+        expect(isSupportedPreference('klingon')).toBe(false);
+    });
+});
+
+describe('OCR models', () => {
+    test('only non-English models present in the cache are available', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tessdata-'));
+        fs.writeFileSync(path.join(dir, 'ita.traineddata'), '');
+
+        expect(isOcrModelCached(dir, 'ita')).toBe(true);
+        expect(isOcrModelCached(dir, 'spa')).toBe(false);
+        expect(isOcrModelCached(dir, 'eng')).toBe(true);
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    // Fake Tesseract: the text depends on the page and on the model used to read it
+    const fakeRecognize = (pages) => {
+        const calls = [];
+        const recognize = async (image, model) => {
+            calls.push([image, model]);
+            return { text: pages[image][model] ?? pages[image].eng, confidence: model === 'eng' ? 70 : 90 };
+        };
+        return { recognize, calls };
+    };
+
+    test('re-reads the first page with the detected model and keeps it for the rest', async () => {
+        const { recognize, calls } = fakeRecognize({
+            p1: { eng: SAMPLES.it.replace(/à/g, 'a'), ita: SAMPLES.it },
+            p2: { eng: 'garbled', ita: 'Seconda pagina' }
+        });
+        const read = createOcrReader({ recognize, isAvailable: model => model === 'ita' });
+
+        expect(await read('p1')).toEqual({ text: SAMPLES.it, confidence: 90, model: 'ita' });
+        expect(await read('p2')).toEqual({ text: 'Seconda pagina', confidence: 90, model: 'ita' });
+        expect(calls).toEqual([['p1', 'eng'], ['p1', 'ita'], ['p2', 'ita']]);
+    });
+
+    test('stays on English when the detected model is not cached', async () => {
+        const { recognize, calls } = fakeRecognize({ p1: { eng: SAMPLES.es }, p2: { eng: 'Segunda' } });
+        const read = createOcrReader({ recognize, isAvailable: () => false });
+
+        expect((await read('p1')).model).toBe('eng');
+        await read('p2');
+        expect(calls).toEqual([['p1', 'eng'], ['p2', 'eng']]);
+    });
+
+    test('waits for a readable page before choosing a model', async () => {
+        const { recognize, calls } = fakeRecognize({ blank: { eng: '' }, p2: { eng: SAMPLES.es, spa: SAMPLES.es } });
+        const read = createOcrReader({ recognize, isAvailable: () => true });
+
+        expect((await read('blank')).model).toBe('eng');
+        expect((await read('p2')).model).toBe('spa');
+        expect(calls).toEqual([['blank', 'eng'], ['p2', 'eng'], ['p2', 'spa']]);
+    });
+});
@@ -0,0 +1,126 @@
+// --- CREDITS LEDGER HISTORY ---
+// What users see of their credits_ledger entries: newest first, filtered by
+// type and date, paged with an opaque cursor or exported as CSV.
+
+const LEDGER_TYPES = [
+    'grant', 'purchase', 'renewal', 'promo', 'transfer_in',
+    'deduction', 'hold', 'transfer_out',
+    'release', 'refund', 'expiry', 'adjustment'
+];
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Firestore Timestamp, Date or ISO string → Date
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// Cursor of the last entry of a page: its time and id, so entries created in the same millisecond are not skipped
+const encodeCursor = (entry) => Buffer.from(JSON.stringify([entry.createdAt.getTime(), entry.id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const [time, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Number.isFinite(time) && typeof id === 'string' ? { time, id } : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+// A date-only `to` includes that whole day
+const parseDate = (value, endOfDay = false) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay && DATE_ONLY.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+    return date;
+};
+
+// Reads ?type=deduction,refund&from=2026-01-01&to=2026-01-31&limit=25&cursor=...&format=csv.
+// Returns { success, query } or { success: false, error }.
+const parseLedgerQuery = (raw = {}) => {
+    const types = raw.type ? String(raw.type).split(',').map(type => type.trim()).filter(Boolean) : [];
+    const unknown = types.filter(type => !LEDGER_TYPES.includes(type));
+    if (unknown.length) {
+        return { success: false, error: `Unknown type: ${unknown.join(', ')}. Use one of: ${LEDGER_TYPES.join(', ')}` };
+    }
+
+    const from = raw.from ? parseDate(raw.from) : null;
+    const to = raw.to ? parseDate(raw.to, true) : null;
+    if ((raw.from && !from) || (raw.to && !to)) return { success: false, error: 'from and to must be dates (YYYY-MM-DD or ISO 8601)' };
+    if (from && to && from >= to) return { success: false, error: 'from must be before to' };
+
+    const limit = raw.limit === undefined ? DEFAULT_PAGE_SIZE : Number(raw.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { success: false, error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+
+    const cursor = raw.cursor ? decodeCursor(raw.cursor) : null;
+    if (raw.cursor && !cursor) return { success: false, error: 'Invalid cursor' };
+
+    const format = raw.format === 'csv' ? 'csv' : 'json';
+    return { success: true, query: { types, from, to, limit, cursor, format } };
+};
+
+// Public fields of a ledger document
+const formatEntry = (id, data) => ({
+    id,
+    createdAt: toDate(data.createdAt),
+    type: data.type,
+    description: data.description || '',
+    amount: data.amount,
+    balanceAfter: data.balanceAfter ?? null,
+    ...(data.status ? { status: data.status } : {}),
+    ...(data.orgId ? { orgId: data.orgId } : {}),
+    ...(data.pricing ? { pricing: data.pricing } : {})
+});
+
+// Newest first; ties broken by id so the order (and the cursor) is stable
+const compareEntries = (a, b) => (b.createdAt - a.createdAt) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+// Applies the filters and the page to formatted entries (any order).
+// Returns { entries, nextCursor }; `limit: Infinity` returns every match (CSV export).
+const selectLedgerPage = (entries, { types = [], from = null, to = null, limit = DEFAULT_PAGE_SIZE, cursor = null } = {}) => {
+    const matching = entries
+        .filter(entry => entry.createdAt) // Entries still waiting for their server timestamp
+        .filter(entry => !types.length || types.includes(entry.type))
+        .filter(entry => (!from || entry.createdAt >= from) && (!to || entry.createdAt < to))
+        .sort(compareEntries);
+
+    const start = cursor
+        ? matching.findIndex(entry => compareEntries(entry, { createdAt: new Date(cursor.time), id: cursor.id }) > 0)
+        : 0;
+    const page = start === -1 ? [] : matching.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < matching.length;
+
+    return { entries: page, nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null };
+};
+
+// Quotes a CSV field; text starting with = + - @ is prefixed so spreadsheets don't run it as a formula
+const csvField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['date', 'type', 'description', 'amount', 'balance_after'];
+
+const toCsv = (entries) => [
+    CSV_COLUMNS.join(','),
+    ...entries.map(entry => [
+        entry.createdAt.toISOString(),
+        entry.type,
+        entry.description,
+        entry.amount,
+        entry.balanceAfter
+    ].map(csvField).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+    LEDGER_TYPES,
+    MAX_PAGE_SIZE,
+    parseLedgerQuery,
+    formatEntry,
+    selectLedgerPage,
+    toCsv
+};
@@ -0,0 +1,62 @@
+const { parseLedgerQuery, formatEntry, selectLedgerPage, toCsv } = require('./ledger-history');
+
+const at = (iso) => ({ toDate: () => new Date(iso) }); // Firestore Timestamp stand-in
+
+const ledger = [
+    formatEntry('a', { type: 'grant', amount: 3, balanceAfter: 3, description: 'Initial free plan credits', createdAt: at('2026-01-01T10:00:00Z') }),
+    formatEntry('b', { type: 'hold', amount: -1, balanceAfter: 2, description: 'Study plan generation: bio.pdf', status: 'captured', createdAt: at('2026-01-05T10:00:00Z') }),
+    formatEntry('c', { type: 'hold', amount: -1, balanceAfter: 1, description: 'AI Chat Interaction', status: 'released', createdAt: at('2026-01-05T10:00:00Z') }),
+    formatEntry('d', { type: 'release', amount: 1, balanceAfter: 2, description: 'Released: AI Chat Interaction', createdAt: at('2026-02-01T09:00:00Z') }),
+    formatEntry('e', { type: 'deduction', amount: -1, description: 'Pending', createdAt: null })
+];
+
+describe('parseLedgerQuery', () => {
+    test('applies defaults and includes the whole `to` day', () => {
+        const { query } = parseLedgerQuery({ type: 'hold, release', from: '2026-01-01', to: '2026-01-31' });
+
+        expect(query).toMatchObject({ types: ['hold', 'release'], limit: 25, cursor: null, format: 'json' });
+        expect(query.from.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+        expect(query.to.toISOString()).toBe('2026-02-01T00:00:00.000Z');
+    });
+
+    test('rejects unknown types, bad dates, limits and cursors', () => {
+        expect(parseLedgerQuery({ type: 'gift' }).error).toMatch(/^Unknown type: gift/);
+        expect(parseLedgerQuery({ from: 'yesterday' }).success).toBe(false);
+        expect(parseLedgerQuery({ from: '2026-02-01', to: '2026-01-01' }).error).toBe('from must be before to');
+        expect(parseLedgerQuery({ limit: '500' }).success).toBe(false);
+        expect(parseLedgerQuery({ cursor: 'not-a-cursor' }).error).toBe('Invalid cursor');
+    });
+});
+
+describe('selectLedgerPage', () => {
+    test('pages newest first with a cursor', () => {
+        const first = selectLedgerPage(ledger, { limit: 2 });
+        expect(first.entries.map(entry => entry.id)).toEqual(['d', 'c']);
+
+        const { query } = parseLedgerQuery({ limit: '2', cursor: first.nextCursor });
+        const second = selectLedgerPage(ledger, query);
+        expect(second.entries.map(entry => entry.id)).toEqual(['b', 'a']);
+        expect(second.nextCursor).toBeNull();
+    });
+
+    test('filters by type and date range', () => {
+        const { query } = parseLedgerQuery({ type: 'hold', from: '2026-01-05', to: '2026-01-05' });
+        expect(selectLedgerPage(ledger, query).entries.map(entry => [entry.id, entry.status])).toEqual([['c', 'released'], ['b', 'captured']]);
+    });
+});
+
+describe('toCsv', () => {
+    test('quotes text and neutralizes formulas', () => {
+        const rows = [
+            formatEntry('x', { type: 'deduction', amount: -0.5, balanceAfter: 1.5, description: 'Regenerated summary: "notes, v2".pdf', createdAt: at('2026-03-01T00:00:00Z') }),
+            formatEntry('y', { type: 'grant', amount: 5, balanceAfter: 6.5, description: '=HYPERLINK("x")', createdAt: at('2026-03-02T00:00:00Z') })
+        ];
+
+        expect(toCsv(rows).split('\r\n')).toEqual([
+            'date,type,description,amount,balance_after',
+            '2026-03-01T00:00:00.000Z,deduction,"Regenerated summary: ""notes, v2"".pdf",-0.5,1.5',
+            '2026-03-02T00:00:00.000Z,grant,"\'=HYPERLINK(""x"")",5,6.5',
+            ''
+        ]);
+    });
+});
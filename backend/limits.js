@@ -2,6 +2,7 @@ function canUpload(plan, uploads) {
   if (!plan) return false;
   if (plan === 'free') return uploads < 3;
   if (plan === 'pro') return true;
+  if (plan === 'institution') return true;
   return false;
 }
 
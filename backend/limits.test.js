@@ -10,6 +10,10 @@ test('pro users have no upload limit', () => {
   expect(canUpload('pro', 100)).toBe(true);
 });
 
+test('institution members have no upload limit', () => {
+  expect(canUpload('institution', 100)).toBe(true);
+});
+
 test('unknown plans are rejected', () => {
   expect(canUpload('alien', 0)).toBe(false);
 });
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+
+// --- IN-MEMORY FIRESTORE ---
+// The part of the Firestore Admin API the backend uses, kept in memory, for offline
+// end-to-end tests and local development (FIRESTORE_BACKEND=memory). Supports
+// collection/doc/subcollections, add/create/set(merge)/update/delete, where
+// ('==', 'in') + limit queries, batches and transactions (run one at a time, writes
+// applied on success). Nothing is persisted.
+//
+// `FieldValue` and `Timestamp` are admin.firestore's: serverTimestamp() and delete()
+// sentinels are honoured and Dates are stored as Timestamps, as Firestore does.
+
+const createMemoryFirestore = ({ FieldValue, Timestamp }) => {
+    const docs = new Map(); // 'users/u1' or 'organizations/o1/members/u1' → data
+    const isSentinel = (value, sentinel) => Boolean(value && typeof value.isEqual === 'function' && value.isEqual(sentinel));
+
+    // Copies plain objects and arrays; Timestamps and other values are immutable
+    const clone = (value) => {
+        if (Array.isArray(value)) return value.map(clone);
+        if (value && Object.getPrototypeOf(value) === Object.prototype) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+        }
+        return value;
+    };
+
+    // Value as stored: Dates become Timestamps, serverTimestamp() the current time
+    const toStored = (value) => {
+        if (value instanceof Date) return Timestamp.fromDate(value);
+        if (isSentinel(value, FieldValue.serverTimestamp())) return Timestamp.now();
+        if (Array.isArray(value)) return value.map(toStored);
+        if (value && Object.getPrototypeOf(value) === Object.prototype) {
+            return Object.fromEntries(Object.entries(value)
+                .filter(([, item]) => !isSentinel(item, FieldValue.delete()))
+                .map(([key, item]) => [key, toStored(item)]));
+        }
+        return value;
+    };
+
+    const error = (code, message) => Object.assign(new Error(`${code} ${message}`), { code });
+
+    // Firestore status codes callers check (e.g. 6 for create() on an existing document)
+    const NOT_FOUND = 5;
+    const ALREADY_EXISTS = 6;
+
+    const write = {
+        set: (path, data, { merge = false } = {}) => {
+            const base = merge && docs.has(path) ? docs.get(path) : {};
+            const next = { ...base };
+            for (const [key, value] of Object.entries(data)) {
+                if (isSentinel(value, FieldValue.delete())) delete next[key];
+                else next[key] = toStored(value);
+            }
+            docs.set(path, next);
+        },
+        create: (path, data) => {
+            if (docs.has(path)) throw error(ALREADY_EXISTS, `ALREADY_EXISTS: Document already exists: ${path}`);
+            write.set(path, data);
+        },
+        update: (path, data) => {
+            if (!docs.has(path)) throw error(NOT_FOUND, `NOT_FOUND: No document to update: ${path}`);
+            write.set(path, data, { merge: true });
+        },
+        delete: (path) => { docs.delete(path); }
+    };
+
+    const snapshotOf = (ref) => {
+        const data = docs.get(ref.path);
+        return { id: ref.id, ref, exists: data !== undefined, data: () => (data === undefined ? undefined : clone(data)) };
+    };
+
+    const querySnapshotOf = (snapshots) => ({
+        docs: snapshots,
+        empty: snapshots.length === 0,
+        size: snapshots.length,
+        forEach: (fn) => snapshots.forEach(fn)
+    });
+
+    const valueKey = (value) => (value && typeof value.toMillis === 'function' ? `ts:${value.toMillis()}` : JSON.stringify(value));
+    const matches = (data, { field, op, value }) => {
+        const actual = field.split('.').reduce((obj, key) => obj?.[key], data);
+        if (op === '==') return valueKey(actual) === valueKey(toStored(value));
+        if (op === 'in') return value.map(item => valueKey(toStored(item))).includes(valueKey(actual));
+        throw new Error(`Unsupported query operator in memory Firestore: ${op}`);
+    };
+
+    const query = (collectionPath, filters = [], max = Infinity) => ({
+        where: (field, op, value) => query(collectionPath, [...filters, { field, op, value }], max),
+        limit: (count) => query(collectionPath, filters, count),
+        get: async () => {
+            const prefix = `${collectionPath}/`;
+            const found = [];
+            for (const [path, data] of docs) {
+                if (!path.startsWith(prefix) || path.slice(prefix.length).includes('/')) continue;
+                if (!filters.every(filter => matches(data, filter))) continue;
+                found.push(snapshotOf(docRef(path)));
+                if (found.length >= max) break;
+            }
+            return querySnapshotOf(found);
+        }
+    });
+
+    const collectionRef = (path) => ({
+        id: path.split('/').pop(),
+        path,
+        ...query(path),
+        doc: (id = crypto.randomBytes(10).toString('hex')) => docRef(`${path}/${id}`),
+        add: async (data) => {
+            const ref = collectionRef(path).doc();
+            write.set(ref.path, data);
+            return ref;
+        }
+    });
+
+    const docRef = (path) => ({
+        id: path.split('/').pop(),
+        path,
+        collection: (name) => collectionRef(`${path}/${name}`),
+        get: async () => snapshotOf(docRef(path)),
+        set: async (data, options) => write.set(path, data, options),
+        create: async (data) => write.create(path, data),
+        update: async (data) => write.update(path, data),
+        delete: async () => write.delete(path)
+    });
+
+    // Writes queued by a batch or transaction, applied together (all or nothing)
+    const createWriteQueue = () => {
+        const queued = [];
+        return {
+            set: (ref, data, options) => queued.push(() => write.set(ref.path, data, options)),
+            create: (ref, data) => queued.push(() => write.create(ref.path, data)),
+            update: (ref, data) => queued.push(() => write.update(ref.path, data)),
+            delete: (ref) => queued.push(() => write.delete(ref.path)),
+            apply: () => {
+                const before = new Map(docs);
+                try {
+                    queued.forEach(fn => fn());
+                } catch (err) {
+                    docs.clear();
+                    before.forEach((data, path) => docs.set(path, data));
+                    throw err;
+                }
+            }
+        };
+    };
+
+    let lock = Promise.resolve();
+
+    return {
+        collection: (name) => collectionRef(name),
+        doc: (path) => docRef(path),
+
+        batch: () => {
+            const queue = createWriteQueue();
+            const batch = {
+                set: (...args) => { queue.set(...args); return batch; },
+                create: (...args) => { queue.create(...args); return batch; },
+                update: (...args) => { queue.update(...args); return batch; },
+                delete: (...args) => { queue.delete(...args); return batch; },
+                commit: async () => queue.apply()
+            };
+            return batch;
+        },
+
+        // One transaction at a time, so reads and writes never interleave with another one
+        runTransaction: (fn) => {
+            const run = lock.then(async () => {
+                const queue = createWriteQueue();
+                const transaction = {
+                    get: (refOrQuery) => refOrQuery.get(),
+                    set: (...args) => { queue.set(...args); return transaction; },
+                    create: (...args) => { queue.create(...args); return transaction; },
+                    update: (...args) => { queue.update(...args); return transaction; },
+                    delete: (...args) => { queue.delete(...args); return transaction; }
+                };
+                const result = await fn(transaction);
+                queue.apply();
+                return result;
+            });
+            lock = run.catch(() => {});
+            return run;
+        },
+
+        // Every document under `collectionPath`, for tests: [{ id, path, data }]
+        dump: (collectionPath) => [...docs]
+            .filter(([path]) => path.startsWith(`${collectionPath}/`) && !path.slice(collectionPath.length + 1).includes('/'))
+            .map(([path, data]) => ({ id: path.split('/').pop(), path, data: clone(data) }))
+    };
+};
+
+module.exports = { createMemoryFirestore };
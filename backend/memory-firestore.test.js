@@ -0,0 +1,66 @@
+const admin = require('firebase-admin');
+const { createMemoryFirestore } = require('./memory-firestore');
+
+const { FieldValue, Timestamp } = admin.firestore;
+
+describe('memory Firestore', () => {
+    let db;
+    beforeEach(() => { db = createMemoryFirestore({ FieldValue, Timestamp }); });
+
+    test('stores documents like Firestore: Timestamps, merges and deletes', async () => {
+        const ref = db.collection('users').doc('u1');
+        await ref.set({ plan: 'free', orgId: 'o1', createdAt: FieldValue.serverTimestamp(), anchor: new Date('2026-10-19') });
+        await ref.update({ plan: 'pro', orgId: FieldValue.delete() });
+        await ref.set({ credits_balance: 3 }, { merge: true });
+
+        const data = (await ref.get()).data();
+        expect(data).toMatchObject({ plan: 'pro', credits_balance: 3 });
+        expect(data).not.toHaveProperty('orgId');
+        expect(data.anchor.toDate()).toEqual(new Date('2026-10-19'));
+        expect(data.createdAt.toDate()).toBeInstanceOf(Date);
+
+        await expect(db.collection('users').doc('missing').update({ plan: 'pro' })).rejects.toMatchObject({ code: 5 });
+        await expect(ref.create({})).rejects.toMatchObject({ code: 6 });
+    });
+
+    test('queries a collection without its subcollections', async () => {
+        await db.collection('credits_ledger').add({ userId: 'u1', type: 'grant' });
+        await db.collection('credits_ledger').add({ userId: 'u1', type: 'hold' });
+        await db.collection('credits_ledger').add({ userId: 'u2', type: 'grant' });
+        await db.collection('organizations').doc('o1').collection('members').doc('u1').set({ role: 'owner' });
+
+        const mine = await db.collection('credits_ledger').where('userId', '==', 'u1').get();
+        expect(mine.size).toBe(2);
+        expect((await db.collection('credits_ledger').where('type', 'in', ['hold']).limit(5).get()).docs[0].data().userId).toBe('u1');
+        expect((await db.collection('organizations').get()).empty).toBe(true);
+        expect((await db.collection('organizations').doc('o1').collection('members').get()).size).toBe(1);
+    });
+
+    test('applies transaction writes only when the transaction succeeds', async () => {
+        const ref = db.collection('users').doc('u1');
+        await ref.set({ credits_balance: 1 });
+
+        await expect(db.runTransaction(async (transaction) => {
+            transaction.update(ref, { credits_balance: 0 });
+            throw new Error('Insufficient credits');
+        })).rejects.toThrow('Insufficient credits');
+        expect((await ref.get()).data().credits_balance).toBe(1);
+
+        // Concurrent transactions run one after the other, so neither update is lost
+        const increment = () => db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            transaction.update(ref, { credits_balance: doc.data().credits_balance + 1 });
+        });
+        await Promise.all([increment(), increment()]);
+        expect((await ref.get()).data().credits_balance).toBe(3);
+    });
+
+    test('commits batches all or nothing', async () => {
+        const batch = db.batch();
+        batch.set(db.collection('users').doc('u1'), { plan: 'free' });
+        batch.update(db.collection('users').doc('missing'), { plan: 'pro' });
+
+        await expect(batch.commit()).rejects.toMatchObject({ code: 5 });
+        expect(db.dump('users')).toEqual([]);
+    });
+});
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// --- ORGANIZATIONS ---
+// Institution plan: an organization owns a credit pool (organizations/{orgId}.credits_balance)
+// and its members (organizations/{orgId}/members/{uid}) spend from it instead of their
+// own balance, up to a monthly cap each. Owners and admins invite members by email
+// (org_invites/{token}); users belong to at most one organization (users.orgId).
+
+const ORG_ROLES = ['owner', 'admin', 'member'];
+const INVITABLE_ROLES = ['admin', 'member'];
+
+const DEFAULT_MEMBER_MONTHLY_CAP = 20;
+const MAX_MEMBER_MONTHLY_CAP = 10000;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const canManage = (role) => role === 'owner' || role === 'admin';
+
+// Caps and usage are per calendar month (UTC), e.g. '2026-10'
+const usageMonth = (now = new Date()) => now.toISOString().slice(0, 7);
+
+const createInviteToken = () => crypto.randomBytes(24).toString('base64url');
+
+// Member's cap (their own, or the organization default), what they used this month and what is left
+const memberAllowance = (member, org, now = new Date()) => {
+    const cap = member.monthlyCap ?? org.memberMonthlyCap ?? DEFAULT_MEMBER_MONTHLY_CAP;
+    const used = member.usage?.month === usageMonth(now) ? member.usage.credits : 0;
+    return { cap, used, remaining: Math.max(0, Math.round((cap - used) * 100) / 100) };
+};
+
+// Usage after spending `amount` (negative when credits are returned), never below 0
+const addUsage = (member, amount, now = new Date()) => {
+    const month = usageMonth(now);
+    const used = member.usage?.month === month ? member.usage.credits : 0;
+    return { month, credits: Math.max(0, Math.round((used + amount) * 100) / 100) };
+};
+
+// Why a member can't spend `amount` from the pool, or null. The messages double as
+// deductCredits errors, so 'Insufficient credits' keeps its usual meaning.
+const checkMemberSpend = (member, org, amount, now = new Date()) => {
+    if (memberAllowance(member, org, now).remaining < amount) return 'Monthly team limit reached';
+    if ((org.credits_balance || 0) < amount) return 'Insufficient credits';
+    return null;
+};
+
+const parseCap = (value) => {
+    if (value === null) return { success: true, value: null };
+    const cap = Number(value);
+    if (!Number.isFinite(cap) || cap < 0 || cap > MAX_MEMBER_MONTHLY_CAP) {
+        return { success: false, error: `monthly caps must be between 0 and ${MAX_MEMBER_MONTHLY_CAP}` };
+    }
+    return { success: true, value: cap };
+};
+
+// Body of POST /api/organizations: { name, memberMonthlyCap? }
+const parseOrganization = (body = {}) => {
+    const name = String(body.name || '').trim();
+    if (name.length < 2 || name.length > 100) return { success: false, error: 'name must be 2-100 characters' };
+
+    const cap = body.memberMonthlyCap === undefined ? { success: true, value: DEFAULT_MEMBER_MONTHLY_CAP } : parseCap(body.memberMonthlyCap);
+    if (!cap.success || cap.value === null) return { success: false, error: cap.error || 'memberMonthlyCap must be a number' };
+    return { success: true, organization: { name, memberMonthlyCap: cap.value } };
+};
+
+// Body of POST /api/organizations/:id/invites: { email, role? }
+const parseInvite = (body = {}) => {
+    const email = String(body.email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { success: false, error: 'email must be a valid email address' };
+
+    const role = body.role || 'member';
+    if (!INVITABLE_ROLES.includes(role)) return { success: false, error: `role must be one of: ${INVITABLE_ROLES.join(', ')}` };
+    return { success: true, invite: { email, role } };
+};
+
+// Body of PATCH /api/organizations/:id/members/:uid: { role?, monthlyCap? } (null cap = organization default)
+const parseMemberUpdate = (body = {}) => {
+    const update = {};
+    if (body.role !== undefined) {
+        if (!INVITABLE_ROLES.includes(body.role)) return { success: false, error: `role must be one of: ${INVITABLE_ROLES.join(', ')}` };
+        update.role = body.role;
+    }
+    if (body.monthlyCap !== undefined) {
+        const cap = parseCap(body.monthlyCap);
+        if (!cap.success) return cap;
+        update.monthlyCap = cap.value;
+    }
+    if (!Object.keys(update).length) return { success: false, error: 'Nothing to update: send role and/or monthlyCap' };
+    return { success: true, update };
+};
+
+module.exports = {
+    ORG_ROLES,
+    INVITE_TTL_MS,
+    canManage,
+    usageMonth,
+    createInviteToken,
+    memberAllowance,
+    addUsage,
+    checkMemberSpend,
+    parseOrganization,
+    parseInvite,
+    parseMemberUpdate
+};
@@ -0,0 +1,68 @@
+const {
+    canManage,
+    usageMonth,
+    createInviteToken,
+    memberAllowance,
+    addUsage,
+    checkMemberSpend,
+    parseOrganization,
+    parseInvite,
+    parseMemberUpdate
+} = require('./organizations');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('member allowance', () => {
+    const org = { credits_balance: 50, memberMonthlyCap: 10 };
+
+    test('uses the member cap, then the organization default', () => {
+        expect(memberAllowance({ monthlyCap: 4, usage: { month: '2026-10', credits: 1.5 } }, org, NOW)).toEqual({ cap: 4, used: 1.5, remaining: 2.5 });
+        expect(memberAllowance({}, org, NOW)).toEqual({ cap: 10, used: 0, remaining: 10 });
+        expect(memberAllowance({}, {}, NOW).cap).toBe(20);
+    });
+
+    test('starts over every calendar month', () => {
+        const member = { usage: { month: '2026-09', credits: 10 } };
+        expect(usageMonth(NOW)).toBe('2026-10');
+        expect(memberAllowance(member, org, NOW).used).toBe(0);
+        expect(addUsage(member, 1, NOW)).toEqual({ month: '2026-10', credits: 1 });
+        expect(addUsage({ usage: { month: '2026-10', credits: 0.5 } }, -1, NOW)).toEqual({ month: '2026-10', credits: 0 });
+    });
+
+    test('checks the cap before the pool', () => {
+        const member = { usage: { month: '2026-10', credits: 9.5 } };
+        expect(checkMemberSpend(member, org, 0.5, NOW)).toBeNull();
+        expect(checkMemberSpend(member, org, 1, NOW)).toBe('Monthly team limit reached');
+        expect(checkMemberSpend({}, { ...org, credits_balance: 0.25 }, 0.5, NOW)).toBe('Insufficient credits');
+    });
+});
+
+describe('roles and invites', () => {
+    test('only owners and admins manage the organization', () => {
+        expect(['owner', 'admin', 'member'].map(canManage)).toEqual([true, true, false]);
+        expect(createInviteToken()).not.toBe(createInviteToken());
+    });
+
+    test('validates invites', () => {
+        expect(parseInvite({ email: ' Teacher@School.edu ' })).toEqual({ success: true, invite: { email: 'teacher@school.edu', role: 'member' } });
+        expect(parseInvite({ email: 'teacher@school.edu', role: 'owner' }).success).toBe(false);
+        expect(parseInvite({ email: 'teacher' }).error).toBe('email must be a valid email address');
+    });
+});
+
+describe('organization input', () => {
+    test('parses a new organization with the default cap', () => {
+        expect(parseOrganization({ name: ' Liceo Galilei ' })).toEqual({ success: true, organization: { name: 'Liceo Galilei', memberMonthlyCap: 20 } });
+        expect(parseOrganization({ name: 'Liceo', memberMonthlyCap: '5' }).organization.memberMonthlyCap).toBe(5);
+        expect(parseOrganization({ name: 'L' }).success).toBe(false);
+        expect(parseOrganization({ name: 'Liceo', memberMonthlyCap: null }).success).toBe(false);
+        expect(parseOrganization({ name: 'Liceo', memberMonthlyCap: -1 }).success).toBe(false);
+    });
+
+    test('parses member updates, null resets the cap', () => {
+        expect(parseMemberUpdate({ monthlyCap: null })).toEqual({ success: true, update: { monthlyCap: null } });
+        expect(parseMemberUpdate({ role: 'admin', monthlyCap: 8 }).update).toEqual({ role: 'admin', monthlyCap: 8 });
+        expect(parseMemberUpdate({ role: 'owner' }).success).toBe(false);
+        expect(parseMemberUpdate({}).success).toBe(false);
+    });
+});
@@ -0,0 +1,455 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// --- PAYMENT PROVIDER LAYER ---
+// Every provider exposes the same shape:
+//   { name,
+//     createCheckout({ userId, email, interval, returnUrl, cancelUrl }) → { id, url }
+//     verifyWebhook({ headers, rawBody, event }) → boolean
+//     parseEvent(event) → normalized event, or null for event types we don't use
+//     getSubscription(id) → { id, provider, status, planId, interval, currentPeriodEnd, cancelAtPeriodEnd }
+//     cancelSubscription(id, { reason })
+//     changeInterval(id, interval, { returnUrl, cancelUrl }) → { approvalUrl } (null when no approval is needed)
+//     intervals: billing intervals with a configured plan, e.g. ['monthly', 'yearly'] }
+//
+// Normalized events map every provider into the same subscription and ledger records:
+//   { id, provider, type, rawType, subscriptionId, userId, planId, interval, occurredAt, payment, payer }
+// where `type` is one of the SUBSCRIPTION_EVENTS of subscriptions.js or 'payment.refunded',
+// `interval` is the billing interval of `planId` (null when the event names no known plan),
+// `payment` is { id, amount, currency } for payments and refunds and `payer` is the
+// { name, email } the provider knows the subscriber by (null when the event doesn't say).
+// Refunds also carry `refundedPaymentId` (the `payment.id` of the payment they refund)
+// and `totalRefunded` (everything refunded on it so far, null when the provider doesn't
+// say); their `id` identifies the refund. HTTP errors from the provider APIs bubble up untouched.
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// `plans` maps billing intervals to provider plan/price ids; these read it both ways
+const intervalsOf = (plans) => Object.keys(plans).filter(interval => plans[interval]);
+const intervalOf = (plans, planId) => (planId && intervalsOf(plans).find(interval => plans[interval] === planId)) || null;
+
+// --- PAYPAL ---
+
+const PAYPAL_EVENT_TYPES = {
+    'BILLING.SUBSCRIPTION.CREATED': 'subscription.created',
+    'BILLING.SUBSCRIPTION.ACTIVATED': 'subscription.activated',
+    'BILLING.SUBSCRIPTION.RE-ACTIVATED': 'subscription.activated',
+    'BILLING.SUBSCRIPTION.UPDATED': 'subscription.updated',
+    'PAYMENT.SALE.COMPLETED': 'payment.completed',
+    'BILLING.SUBSCRIPTION.PAYMENT.FAILED': 'payment.failed',
+    'BILLING.SUBSCRIPTION.SUSPENDED': 'subscription.suspended',
+    'BILLING.SUBSCRIPTION.CANCELLED': 'subscription.cancelled',
+    'BILLING.SUBSCRIPTION.EXPIRED': 'subscription.expired',
+    'PAYMENT.SALE.REFUNDED': 'payment.refunded',
+    'PAYMENT.SALE.REVERSED': 'payment.refunded'
+};
+
+const PAYPAL_STATUSES = {
+    APPROVAL_PENDING: 'pending',
+    APPROVED: 'pending',
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired'
+};
+
+// Refund resources name their sale; a reversal (chargeback) is the sale itself, reversed in full
+const paypalRefundOf = (eventType, resource) => {
+    if (eventType === 'PAYMENT.SALE.REVERSED') {
+        return { refundedPaymentId: resource.id, totalRefunded: Math.abs(parseFloat(resource.amount.total)) };
+    }
+    const total = resource.total_refunded_amount?.value;
+    return { refundedPaymentId: resource.sale_id || null, totalRefunded: total !== undefined ? Math.abs(parseFloat(total)) : null };
+};
+
+// Subscription resources carry the subscriber's PayPal name and email; sales don't
+const payerOf = (subscriber) => {
+    if (!subscriber) return null;
+    const name = [subscriber.name?.given_name, subscriber.name?.surname].filter(Boolean).join(' ');
+    return name || subscriber.email_address ? { name: name || null, email: subscriber.email_address || null } : null;
+};
+
+const createPayPalProvider = ({
+    clientId,
+    clientSecret,
+    webhookId,
+    apiBase = 'https://api-m.sandbox.paypal.com',
+    plans = {},
+    http = axios,
+    timeout = DEFAULT_TIMEOUT_MS
+}) => {
+    const accessToken = async () => {
+        const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+        const response = await http.post(`${apiBase}/v1/oauth2/token`, 'grant_type=client_credentials', {
+            headers: { 'Authorization': `Basic ${auth}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout
+        });
+        return response.data.access_token;
+    };
+
+    const request = async (method, path, data) => {
+        const response = await http.request({
+            method,
+            url: `${apiBase}${path}`,
+            data,
+            headers: { 'Authorization': `Bearer ${await accessToken()}`, 'Content-Type': 'application/json' },
+            timeout
+        });
+        return response.data;
+    };
+
+    // Sales carry the subscription in billing_agreement_id, subscription events in id
+    const subscriptionIdOf = (event) => {
+        const resource = event.resource || {};
+        return (event.event_type || '').startsWith('PAYMENT.SALE.') ? resource.billing_agreement_id || resource.id || null : resource.id || null;
+    };
+
+    return {
+        name: 'paypal',
+        configured: Boolean(clientId && clientSecret && webhookId),
+        intervals: intervalsOf(plans),
+
+        async createCheckout({ userId, email, interval = 'monthly', returnUrl, cancelUrl }) {
+            if (!plans[interval]) throw new Error(`No PayPal plan configured for ${interval} billing`);
+            const subscription = await request('post', '/v1/billing/subscriptions', {
+                plan_id: plans[interval],
+                custom_id: userId,
+                ...(email ? { subscriber: { email_address: email } } : {}),
+                application_context: { brand_name: 'GoStudy', user_action: 'SUBSCRIBE_NOW', return_url: returnUrl, cancel_url: cancelUrl }
+            });
+            return { id: subscription.id, url: subscription.links?.find(link => link.rel === 'approve')?.href || null };
+        },
+
+        // Asks PayPal to check the transmission signature; false when credentials are missing
+        async verifyWebhook({ headers, event }) {
+            if (!clientId || !webhookId) {
+                console.error('⚠️ PayPal credentials not configured. Webhook verification FAILED.');
+                return false;
+            }
+            try {
+                const response = await request('post', '/v1/notifications/verify-webhook-signature', {
+                    auth_algo: headers['paypal-auth-algo'],
+                    cert_url: headers['paypal-cert-url'],
+                    transmission_id: headers['paypal-transmission-id'],
+                    transmission_sig: headers['paypal-transmission-sig'],
+                    transmission_time: headers['paypal-transmission-time'],
+                    webhook_id: webhookId,
+                    webhook_event: event
+                });
+                return response.verification_status === 'SUCCESS';
+            } catch (error) {
+                console.error('PayPal webhook verification failed:', error.message);
+                return false;
+            }
+        },
+
+        async parseEvent(event) {
+            const type = PAYPAL_EVENT_TYPES[event.event_type];
+            if (!type) return null;
+
+            const resource = event.resource || {};
+            const isSale = event.event_type.startsWith('PAYMENT.SALE.');
+            const occurredAt = new Date(event.create_time);
+            return {
+                id: event.id,
+                provider: 'paypal',
+                type,
+                rawType: event.event_type,
+                subscriptionId: subscriptionIdOf(event),
+                userId: (isSale ? resource.custom : resource.custom_id) || null,
+                planId: resource.plan_id || null,
+                interval: intervalOf(plans, resource.plan_id),
+                occurredAt: Number.isNaN(occurredAt.getTime()) ? new Date() : occurredAt,
+                payment: isSale && resource.amount
+                    ? {
+                        id: resource.id,
+                        amount: Math.abs(parseFloat(resource.amount.total)),
+                        currency: resource.amount.currency || 'USD',
+                        ...(type === 'payment.refunded' ? paypalRefundOf(event.event_type, resource) : {})
+                    }
+                    : null,
+                payer: payerOf(resource.subscriber)
+            };
+        },
+
+        async getSubscription(id) {
+            const subscription = await request('get', `/v1/billing/subscriptions/${encodeURIComponent(id)}`);
+            const nextBilling = subscription.billing_info?.next_billing_time;
+            return {
+                id: subscription.id,
+                provider: 'paypal',
+                status: PAYPAL_STATUSES[subscription.status] || 'pending',
+                planId: subscription.plan_id || null,
+                interval: intervalOf(plans, subscription.plan_id),
+                currentPeriodEnd: nextBilling ? new Date(nextBilling) : null,
+                cancelAtPeriodEnd: false
+            };
+        },
+
+        async cancelSubscription(id, { reason = 'Cancelled by the subscriber' } = {}) {
+            await request('post', `/v1/billing/subscriptions/${encodeURIComponent(id)}/cancel`, { reason });
+        },
+
+        // PayPal revises the plan once the subscriber approves the change at `approvalUrl`;
+        // the new price applies from the next billing cycle (BILLING.SUBSCRIPTION.UPDATED)
+        async changeInterval(id, interval, { returnUrl, cancelUrl } = {}) {
+            if (!plans[interval]) throw new Error(`No PayPal plan configured for ${interval} billing`);
+            const revision = await request('post', `/v1/billing/subscriptions/${encodeURIComponent(id)}/revise`, {
+                plan_id: plans[interval],
+                application_context: { brand_name: 'GoStudy', return_url: returnUrl, cancel_url: cancelUrl }
+            });
+            return { approvalUrl: revision.links?.find(link => link.rel === 'approve')?.href || null };
+        }
+    };
+};
+
+// --- STRIPE ---
+
+// Stripe subscription status → ours (cancel_at_period_end is checked first, see below)
+const STRIPE_STATUSES = {
+    incomplete: 'pending',
+    trialing: 'active',
+    active: 'active',
+    past_due: 'past_due',
+    unpaid: 'suspended',
+    paused: 'suspended',
+    canceled: 'expired',
+    incomplete_expired: 'expired'
+};
+
+// Our status → the event that leads to it
+const STATUS_EVENTS = {
+    pending: 'subscription.created',
+    active: 'subscription.activated',
+    past_due: 'payment.failed',
+    suspended: 'subscription.suspended',
+    cancelled: 'subscription.cancelled',
+    expired: 'subscription.expired'
+};
+
+// Stripe's form encoding: { a: { b: [1] } } → a[b][0]=1
+const toForm = (params, prefix = null, form = new URLSearchParams()) => {
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (typeof value === 'object') toForm(value, name, form);
+        else form.append(name, String(value));
+    }
+    return form;
+};
+
+// Verifies a Stripe-Signature header ("t=...,v1=...") against the raw body
+const verifyStripeSignature = ({ header, rawBody, secret, toleranceSeconds = 300, now = Date.now() }) => {
+    if (!header || !rawBody || !secret) return false;
+    const parts = header.split(',').map(part => part.split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!Number.isFinite(timestamp) || !signatures.length) return false;
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return signatures.some(signature => signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)));
+};
+
+// Header value for `rawBody`, as Stripe sends it (used by tests and local tools)
+const signStripePayload = (rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+const createStripeProvider = ({
+    secretKey,
+    webhookSecret,
+    apiBase = 'https://api.stripe.com',
+    plans = {},
+    http = axios,
+    timeout = DEFAULT_TIMEOUT_MS,
+    now = () => Date.now()
+}) => {
+    const request = async (method, path, params = {}) => {
+        const isRead = method === 'get';
+        const response = await http.request({
+            method,
+            url: `${apiBase}${path}`,
+            ...(isRead ? { params } : { data: toForm(params).toString() }),
+            headers: { 'Authorization': `Bearer ${secretKey}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout
+        });
+        return response.data;
+    };
+
+    const idOf = (value) => (value && typeof value === 'object' ? value.id : value) || null;
+    const statusOf = (subscription) => (subscription.cancel_at_period_end && subscription.status === 'active'
+        ? 'cancelled'
+        : STRIPE_STATUSES[subscription.status] || 'pending');
+
+    return {
+        name: 'stripe',
+        configured: Boolean(secretKey && webhookSecret),
+        intervals: intervalsOf(plans),
+
+        async createCheckout({ userId, email, interval = 'monthly', returnUrl, cancelUrl }) {
+            if (!plans[interval]) throw new Error(`No Stripe price configured for ${interval} billing`);
+            const session = await request('post', '/v1/checkout/sessions', {
+                mode: 'subscription',
+                line_items: [{ price: plans[interval], quantity: 1 }],
+                client_reference_id: userId,
+                customer_email: email || undefined,
+                subscription_data: { metadata: { userId } },
+                success_url: returnUrl,
+                cancel_url: cancelUrl
+            });
+            return { id: session.id, url: session.url };
+        },
+
+        async verifyWebhook({ headers, rawBody }) {
+            return verifyStripeSignature({ header: headers['stripe-signature'], rawBody, secret: webhookSecret, now: now() });
+        },
+
+        async parseEvent(event) {
+            const object = event.data?.object || {};
+            const base = {
+                id: event.id,
+                provider: 'stripe',
+                rawType: event.type,
+                occurredAt: event.created ? new Date(event.created * 1000) : new Date(),
+                payment: null,
+                payer: null
+            };
+
+            switch (event.type) {
+                case 'customer.subscription.created':
+                case 'customer.subscription.updated':
+                case 'customer.subscription.deleted':
+                case 'customer.subscription.paused':
+                case 'customer.subscription.resumed': {
+                    const status = event.type === 'customer.subscription.deleted' ? 'expired' : statusOf(object);
+                    const planId = object.items?.data?.[0]?.price?.id || null;
+                    return {
+                        ...base,
+                        type: STATUS_EVENTS[status],
+                        subscriptionId: object.id,
+                        userId: object.metadata?.userId || null,
+                        planId,
+                        interval: intervalOf(plans, planId)
+                    };
+                }
+
+                case 'invoice.paid':
+                case 'invoice.payment_failed': {
+                    const subscriptionId = idOf(object.subscription);
+                    if (!subscriptionId) return null; // One-off invoices aren't subscriptions
+                    // Trials, 100% coupons and prorations produce $0 invoices: nothing was paid, so no renewal
+                    if (event.type === 'invoice.paid' && !(object.amount_paid > 0)) return null;
+                    const planId = object.lines?.data?.[0]?.price?.id || null;
+                    return {
+                        ...base,
+                        type: event.type === 'invoice.paid' ? 'payment.completed' : 'payment.failed',
+                        subscriptionId,
+                        userId: object.subscription_details?.metadata?.userId || null,
+                        planId,
+                        interval: intervalOf(plans, planId),
+                        payment: { id: object.id, amount: (object.amount_paid ?? object.amount_due ?? 0) / 100, currency: String(object.currency || 'usd').toUpperCase() },
+                        payer: object.customer_name || object.customer_email ? { name: object.customer_name || null, email: object.customer_email || null } : null
+                    };
+                }
+
+                case 'charge.refunded': {
+                    // Charges only name their invoice; the invoice names the subscription
+                    const invoiceId = idOf(object.invoice);
+                    if (!invoiceId) return null;
+                    const invoice = typeof object.invoice === 'object' ? object.invoice : await request('get', `/v1/invoices/${encodeURIComponent(invoiceId)}`);
+                    const subscriptionId = idOf(invoice.subscription);
+                    if (!subscriptionId) return null;
+                    return {
+                        ...base,
+                        type: 'payment.refunded',
+                        subscriptionId,
+                        userId: invoice.subscription_details?.metadata?.userId || null,
+                        planId: null,
+                        interval: null,
+                        // Stripe reports the charge's running total, not the amount of this refund, so the
+                        // total identifies the refund: redeliveries match, each further refund differs
+                        payment: {
+                            id: `${object.id}_refunded_${object.amount_refunded || 0}`,
+                            amount: (object.amount_refunded || 0) / 100,
+                            currency: String(object.currency || 'usd').toUpperCase(),
+                            refundedPaymentId: invoiceId,
+                            totalRefunded: (object.amount_refunded || 0) / 100
+                        }
+                    };
+                }
+
+                default:
+                    return null;
+            }
+        },
+
+        async getSubscription(id) {
+            const subscription = await request('get', `/v1/subscriptions/${encodeURIComponent(id)}`);
+            const planId = subscription.items?.data?.[0]?.price?.id || null;
+            return {
+                id: subscription.id,
+                provider: 'stripe',
+                status: statusOf(subscription),
+                planId,
+                interval: intervalOf(plans, planId),
+                currentPeriodEnd: subscription.current_period_end ? new Date(subscription.current_period_end * 1000) : null,
+                cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end)
+            };
+        },
+
+        // Cancels at the end of the paid period, like PayPal: Pro stays until then
+        async cancelSubscription(id) {
+            await request('post', `/v1/subscriptions/${encodeURIComponent(id)}`, { cancel_at_period_end: true });
+        },
+
+        // Swaps the subscription item's price right away, prorated; customer.subscription.updated follows
+        async changeInterval(id, interval) {
+            if (!plans[interval]) throw new Error(`No Stripe price configured for ${interval} billing`);
+            const subscription = await request('get', `/v1/subscriptions/${encodeURIComponent(id)}`);
+            const item = subscription.items?.data?.[0];
+            if (!item) throw new Error(`Stripe subscription ${id} has no items`);
+            await request('post', `/v1/subscriptions/${encodeURIComponent(id)}`, {
+                items: [{ id: item.id, price: plans[interval] }],
+                proration_behavior: 'create_prorations'
+            });
+            return { approvalUrl: null };
+        }
+    };
+};
+
+// Providers configured in `env`, by name. PayPal is always present (its webhook
+// rejects everything until configured); Stripe only with STRIPE_SECRET_KEY.
+const createPaymentProvidersFromEnv = (env = process.env) => {
+    const providers = {
+        paypal: createPayPalProvider({
+            clientId: env.PAYPAL_CLIENT_ID,
+            clientSecret: env.PAYPAL_CLIENT_SECRET,
+            webhookId: env.PAYPAL_WEBHOOK_ID,
+            // PAYPAL_API_BASE points at another API, e.g. the local emulator (see paypal-emulator.js)
+            apiBase: env.PAYPAL_API_BASE || (env.NODE_ENV === 'production' ? 'https://api-m.paypal.com' : 'https://api-m.sandbox.paypal.com'),
+            plans: { monthly: env.PAYPAL_PLAN_ID || 'P-1HX52143VS0590336NFJ7DBY', yearly: env.PAYPAL_YEARLY_PLAN_ID }
+        })
+    };
+    if (env.STRIPE_SECRET_KEY) {
+        providers.stripe = createStripeProvider({
+            secretKey: env.STRIPE_SECRET_KEY,
+            webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+            apiBase: env.STRIPE_API_BASE || undefined,
+            plans: { monthly: env.STRIPE_PRICE_ID, yearly: env.STRIPE_YEARLY_PRICE_ID }
+        });
+    }
+    return providers;
+};
+
+module.exports = {
+    PAYPAL_EVENT_TYPES,
+    createPayPalProvider,
+    createStripeProvider,
+    createPaymentProvidersFromEnv,
+    verifyStripeSignature,
+    signStripePayload,
+    toForm
+};
@@ -0,0 +1,169 @@
+const {
+    createPayPalProvider,
+    createStripeProvider,
+    createPaymentProvidersFromEnv,
+    verifyStripeSignature,
+    signStripePayload,
+    toForm
+} = require('./payment-providers');
+
+// Records requests and answers them from `routes` ("METHOD path" → response data)
+const fakeHttp = (routes) => {
+    const calls = [];
+    const answer = (method, url, data) => {
+        const path = new URL(url).pathname;
+        calls.push({ method, path, data });
+        const route = routes[`${method} ${path}`];
+        if (route === undefined) throw new Error(`Unexpected request: ${method} ${path}`);
+        return { data: typeof route === 'function' ? route(data) : route };
+    };
+    return {
+        calls,
+        post: async (url, data) => answer('post', url, data),
+        request: async ({ method, url, data }) => answer(method, url, data)
+    };
+};
+
+describe('PayPal provider', () => {
+    const http = fakeHttp({
+        'post /v1/oauth2/token': { access_token: 'token' },
+        'post /v1/billing/subscriptions': { id: 'I-NEW', links: [{ rel: 'approve', href: 'https://paypal.test/approve' }] },
+        'get /v1/billing/subscriptions/I-SUB': { id: 'I-SUB', status: 'ACTIVE', plan_id: 'P-PRO', billing_info: { next_billing_time: '2026-11-19T10:00:00Z' } },
+        'post /v1/billing/subscriptions/I-SUB/cancel': '',
+        'post /v1/billing/subscriptions/I-SUB/revise': { plan_id: 'P-PRO-YEARLY', links: [{ rel: 'approve', href: 'https://paypal.test/revise' }] }
+    });
+    const paypal = createPayPalProvider({ clientId: 'id', clientSecret: 'secret', webhookId: 'WH', apiBase: 'https://paypal.test', plans: { monthly: 'P-PRO', yearly: 'P-PRO-YEARLY' }, http });
+
+    test('normalizes subscription, sale and refund events', async () => {
+        const activated = await paypal.parseEvent({ id: 'WH-1', event_type: 'BILLING.SUBSCRIPTION.RE-ACTIVATED', create_time: '2026-10-19T10:00:00Z', resource: { id: 'I-SUB', custom_id: 'u1', plan_id: 'P-PRO' } });
+        expect(activated).toEqual({
+            id: 'WH-1', provider: 'paypal', type: 'subscription.activated', rawType: 'BILLING.SUBSCRIPTION.RE-ACTIVATED',
+            subscriptionId: 'I-SUB', userId: 'u1', planId: 'P-PRO', interval: 'monthly', occurredAt: new Date('2026-10-19T10:00:00Z'), payment: null, payer: null
+        });
+        expect((await paypal.parseEvent({ id: 'WH-6', event_type: 'BILLING.SUBSCRIPTION.ACTIVATED', resource: { id: 'I-SUB', subscriber: { name: { given_name: 'Ada', surname: 'Lovelace' }, email_address: 'ada@example.com' } } })).payer)
+            .toEqual({ name: 'Ada Lovelace', email: 'ada@example.com' });
+        expect(await paypal.parseEvent({ id: 'WH-5', event_type: 'BILLING.SUBSCRIPTION.UPDATED', resource: { id: 'I-SUB', plan_id: 'P-PRO-YEARLY' } }))
+            .toMatchObject({ type: 'subscription.updated', interval: 'yearly' });
+
+        const sale = await paypal.parseEvent({ id: 'WH-2', event_type: 'PAYMENT.SALE.COMPLETED', resource: { id: 'SALE-1', billing_agreement_id: 'I-SUB', custom: 'u1', amount: { total: '12.99', currency: 'USD' } } });
+        expect(sale).toMatchObject({ type: 'payment.completed', subscriptionId: 'I-SUB', userId: 'u1', payment: { id: 'SALE-1', amount: 12.99, currency: 'USD' } });
+        expect(sale.occurredAt).toBeInstanceOf(Date);
+
+        expect((await paypal.parseEvent({ id: 'WH-3', event_type: 'PAYMENT.SALE.REVERSED', resource: { id: 'SALE-1', billing_agreement_id: 'I-SUB' } })).type).toBe('payment.refunded');
+        expect((await paypal.parseEvent({ id: 'WH-7', event_type: 'PAYMENT.SALE.REVERSED', resource: { id: 'SALE-1', billing_agreement_id: 'I-SUB', amount: { total: '12.99', currency: 'USD' } } })).payment)
+            .toEqual({ id: 'SALE-1', amount: 12.99, currency: 'USD', refundedPaymentId: 'SALE-1', totalRefunded: 12.99 });
+        const partial = { id: 'REF-1', sale_id: 'SALE-1', billing_agreement_id: 'I-SUB', amount: { total: '-5.00', currency: 'USD' }, total_refunded_amount: { value: '8.00', currency: 'USD' } };
+        expect((await paypal.parseEvent({ id: 'WH-8', event_type: 'PAYMENT.SALE.REFUNDED', resource: partial })).payment)
+            .toEqual({ id: 'REF-1', amount: 5, currency: 'USD', refundedPaymentId: 'SALE-1', totalRefunded: 8 });
+        expect(await paypal.parseEvent({ id: 'WH-4', event_type: 'CHECKOUT.ORDER.APPROVED', resource: {} })).toBeNull();
+    });
+
+    test('creates, reads and cancels subscriptions through the REST API', async () => {
+        expect(await paypal.createCheckout({ userId: 'u1', email: 'a@b.c', returnUrl: 'https://app/ok', cancelUrl: 'https://app/no' }))
+            .toEqual({ id: 'I-NEW', url: 'https://paypal.test/approve' });
+        expect(http.calls.find(call => call.path === '/v1/billing/subscriptions').data).toMatchObject({ plan_id: 'P-PRO', custom_id: 'u1' });
+        await expect(paypal.createCheckout({ userId: 'u1', interval: 'weekly' })).rejects.toThrow('No PayPal plan configured for weekly billing');
+        expect(paypal.intervals).toEqual(['monthly', 'yearly']);
+
+        expect(await paypal.getSubscription('I-SUB')).toEqual({
+            id: 'I-SUB', provider: 'paypal', status: 'active', planId: 'P-PRO', interval: 'monthly', currentPeriodEnd: new Date('2026-11-19T10:00:00Z'), cancelAtPeriodEnd: false
+        });
+
+        await paypal.cancelSubscription('I-SUB', { reason: 'Too expensive' });
+        expect(http.calls[http.calls.length - 1]).toMatchObject({ method: 'post', path: '/v1/billing/subscriptions/I-SUB/cancel', data: { reason: 'Too expensive' } });
+
+        // A plan revision needs the subscriber's approval
+        expect(await paypal.changeInterval('I-SUB', 'yearly', { returnUrl: 'https://app/ok' })).toEqual({ approvalUrl: 'https://paypal.test/revise' });
+        expect(http.calls[http.calls.length - 1].data).toMatchObject({ plan_id: 'P-PRO-YEARLY' });
+    });
+
+    test('rejects webhooks without credentials', async () => {
+        const unconfigured = createPayPalProvider({ http });
+        expect(unconfigured.configured).toBe(false);
+        expect(await unconfigured.verifyWebhook({ headers: {}, event: {} })).toBe(false);
+    });
+});
+
+describe('Stripe provider', () => {
+    const secret = 'whsec_test';
+    const invoice = { id: 'in_1', subscription: 'sub_1', subscription_details: { metadata: { userId: 'u1' } }, amount_paid: 1299, currency: 'usd', lines: { data: [{ price: { id: 'price_pro' } }] } };
+    const http = fakeHttp({
+        'post /v1/checkout/sessions': { id: 'cs_1', url: 'https://checkout.stripe.test/cs_1' },
+        'get /v1/invoices/in_1': invoice,
+        'get /v1/subscriptions/sub_1': { id: 'sub_1', status: 'active', cancel_at_period_end: true, current_period_end: 1795000000, items: { data: [{ id: 'si_1', price: { id: 'price_pro' } }] } },
+        'post /v1/subscriptions/sub_1': { id: 'sub_1' }
+    });
+    const stripe = createStripeProvider({ secretKey: 'sk_test', webhookSecret: secret, apiBase: 'https://stripe.test', plans: { monthly: 'price_pro', yearly: 'price_pro_yearly' }, http });
+
+    test('verifies signatures over the raw body within the tolerance', () => {
+        const rawBody = JSON.stringify({ id: 'evt_1' });
+        const now = Date.UTC(2026, 9, 19);
+        const header = signStripePayload(rawBody, secret, now / 1000);
+
+        expect(verifyStripeSignature({ header, rawBody, secret, now })).toBe(true);
+        expect(verifyStripeSignature({ header, rawBody: rawBody + ' ', secret, now })).toBe(false);
+        expect(verifyStripeSignature({ header, rawBody, secret: 'whsec_other', now })).toBe(false);
+        expect(verifyStripeSignature({ header, rawBody, secret, now: now + 301000 })).toBe(false);
+        expect(verifyStripeSignature({ header: 't=abc', rawBody, secret, now })).toBe(false);
+    });
+
+    test('maps subscription states and invoices to the same events as PayPal', async () => {
+        const subscriptionEvent = (status, extra = {}) => stripe.parseEvent({
+            id: 'evt_s', type: 'customer.subscription.updated', created: 1792400000,
+            data: { object: { id: 'sub_1', status, metadata: { userId: 'u1' }, items: { data: [{ price: { id: 'price_pro' } }] }, ...extra } }
+        });
+
+        expect(await subscriptionEvent('active')).toMatchObject({ provider: 'stripe', type: 'subscription.activated', subscriptionId: 'sub_1', userId: 'u1', planId: 'price_pro', occurredAt: new Date(1792400000 * 1000) });
+        expect((await subscriptionEvent('active', { cancel_at_period_end: true })).type).toBe('subscription.cancelled');
+        expect((await subscriptionEvent('past_due')).type).toBe('payment.failed');
+        expect((await subscriptionEvent('unpaid')).type).toBe('subscription.suspended');
+        expect((await stripe.parseEvent({ id: 'evt_d', type: 'customer.subscription.deleted', data: { object: { id: 'sub_1', status: 'canceled' } } })).type).toBe('subscription.expired');
+
+        expect(await stripe.parseEvent({ id: 'evt_p', type: 'invoice.paid', data: { object: invoice } }))
+            .toMatchObject({ type: 'payment.completed', subscriptionId: 'sub_1', userId: 'u1', payment: { id: 'in_1', amount: 12.99, currency: 'USD' } });
+        expect((await stripe.parseEvent({ id: 'evt_n', type: 'invoice.paid', data: { object: { ...invoice, customer_name: 'Ada Lovelace', customer_email: 'ada@example.com' } } })).payer)
+            .toEqual({ name: 'Ada Lovelace', email: 'ada@example.com' });
+        expect(await stripe.parseEvent({ id: 'evt_o', type: 'invoice.paid', data: { object: { ...invoice, subscription: null } } })).toBeNull();
+        expect(await stripe.parseEvent({ id: 'evt_z', type: 'invoice.paid', data: { object: { ...invoice, amount_paid: 0 } } })).toBeNull();
+        expect(await stripe.parseEvent({ id: 'evt_x', type: 'payment_intent.created', data: { object: {} } })).toBeNull();
+    });
+
+    test('finds the subscription of a refunded charge through its invoice', async () => {
+        const refund = await stripe.parseEvent({ id: 'evt_r', type: 'charge.refunded', data: { object: { id: 'ch_1', invoice: 'in_1', amount_refunded: 1299, currency: 'usd' } } });
+        expect(refund).toMatchObject({
+            type: 'payment.refunded', subscriptionId: 'sub_1', userId: 'u1',
+            payment: { id: 'ch_1_refunded_1299', amount: 12.99, refundedPaymentId: 'in_1', totalRefunded: 12.99 }
+        });
+    });
+
+    test('creates checkout sessions and cancels at the period end', async () => {
+        expect(await stripe.createCheckout({ userId: 'u1', email: 'a@b.c', returnUrl: 'https://app/ok', cancelUrl: 'https://app/no' }))
+            .toEqual({ id: 'cs_1', url: 'https://checkout.stripe.test/cs_1' });
+        const form = new URLSearchParams(http.calls.find(call => call.path === '/v1/checkout/sessions').data);
+        expect(form.get('mode')).toBe('subscription');
+        expect(form.get('line_items[0][price]')).toBe('price_pro');
+        expect(form.get('subscription_data[metadata][userId]')).toBe('u1');
+        expect(form.get('client_reference_id')).toBe('u1');
+
+        expect(await stripe.getSubscription('sub_1')).toMatchObject({ status: 'cancelled', interval: 'monthly', cancelAtPeriodEnd: true, currentPeriodEnd: new Date(1795000000 * 1000) });
+        await stripe.cancelSubscription('sub_1');
+        expect(http.calls[http.calls.length - 1]).toMatchObject({ method: 'post', path: '/v1/subscriptions/sub_1', data: 'cancel_at_period_end=true' });
+
+        // Interval changes swap the subscription item's price without an approval step
+        expect(await stripe.changeInterval('sub_1', 'yearly')).toEqual({ approvalUrl: null });
+        const change = new URLSearchParams(http.calls[http.calls.length - 1].data);
+        expect(change.get('items[0][id]')).toBe('si_1');
+        expect(change.get('items[0][price]')).toBe('price_pro_yearly');
+    });
+});
+
+describe('helpers', () => {
+    test('form-encodes nested params like Stripe and skips empty values', () => {
+        expect(toForm({ a: 1, b: { c: [{ d: 'x' }] }, e: undefined, f: null }).toString()).toBe('a=1&b%5Bc%5D%5B0%5D%5Bd%5D=x');
+    });
+
+    test('only adds Stripe when it is configured', () => {
+        expect(Object.keys(createPaymentProvidersFromEnv({}))).toEqual(['paypal']);
+        expect(Object.keys(createPaymentProvidersFromEnv({ STRIPE_SECRET_KEY: 'sk_test', STRIPE_WEBHOOK_SECRET: 'whsec' }))).toEqual(['paypal', 'stripe']);
+    });
+});
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+// --- PAYPAL EMULATOR ---
+// A local stand-in for the PayPal REST API, for end-to-end billing tests without
+// network access. It issues OAuth tokens (/v1/oauth2/token), signs the webhook
+// events it sends and answers /v1/notifications/verify-webhook-signature, so the
+// server runs its real verification path against it (PAYPAL_API_BASE=emulator.url).
+// The subscriptions API (create, get, cancel, revise) works on the emulator's own
+// subscriptions, and sends the webhooks PayPal would.
+//
+// Signatures follow PayPal's transmission format, `id|time|webhookId|digest(body)`,
+// but are HMAC-SHA256 with the client secret instead of PayPal's RSA certificates.
+//
+//   const emulator = createPayPalEmulator();
+//   process.env.PAYPAL_API_BASE = await emulator.listen();
+//   emulator.setWebhookUrl(`${server}/api/paypal/webhook`);
+//   const sub = emulator.subscription('firebase-uid');
+//   await sub.activate();        // BILLING.SUBSCRIPTION.ACTIVATED + first PAYMENT.SALE.COMPLETED
+//   await sub.renew();           // next month's PAYMENT.SALE.COMPLETED
+//   await sub.refund();          // PAYMENT.SALE.REFUNDED of the last sale (refund('5.00') for part of it)
+//   await sub.cancel();          // BILLING.SUBSCRIPTION.CANCELLED
+//   await sub.approveRevision(); // BILLING.SUBSCRIPTION.UPDATED after a /revise call
+
+const randomId = (prefix, length = 17) => prefix + crypto.randomBytes(length).toString('hex').toUpperCase().slice(0, length);
+
+// Message PayPal signs for a delivery
+const transmissionMessage = ({ transmissionId, transmissionTime, webhookId, body }) => {
+    const digest = crypto.createHash('sha256').update(body).digest('hex');
+    return `${transmissionId}|${transmissionTime}|${webhookId}|${digest}`;
+};
+
+const createPayPalEmulator = ({
+    clientId = 'emulator-client-id',
+    clientSecret = 'emulator-client-secret',
+    webhookId = 'WH-EMULATOR',
+    webhookUrl = null,
+    planId = 'P-EMULATOR-PRO',
+    price = '12.99',
+    yearlyPlanId = 'P-EMULATOR-PRO-YEARLY',
+    yearlyPrice = '125.88',
+    now = () => Date.now()
+} = {}) => {
+    const tokens = new Set();
+    const subscriptions = new Map(); // id → subscription(), for the REST API
+    const delivered = []; // { event, headers, status }
+    let offsetMs = 0; // Moved by advance(), e.g. to the next billing cycle
+    let server = null;
+
+    const clock = () => new Date(now() + offsetMs);
+
+    const sign = (body) => {
+        const transmissionId = crypto.randomUUID();
+        const transmissionTime = clock().toISOString();
+        const signature = crypto.createHmac('sha256', clientSecret)
+            .update(transmissionMessage({ transmissionId, transmissionTime, webhookId, body }))
+            .digest('base64');
+        return {
+            'paypal-auth-algo': 'HMACSHA256',
+            'paypal-cert-url': 'emulator://certs/local',
+            'paypal-transmission-id': transmissionId,
+            'paypal-transmission-sig': signature,
+            'paypal-transmission-time': transmissionTime
+        };
+    };
+
+    const verify = ({ transmission_id: transmissionId, transmission_time: transmissionTime, transmission_sig: signature, webhook_id: id, webhook_event: event }) => {
+        if (id !== webhookId || !transmissionId || !signature) return false;
+        const expected = crypto.createHmac('sha256', clientSecret)
+            .update(transmissionMessage({ transmissionId, transmissionTime, webhookId, body: JSON.stringify(event) }))
+            .digest('base64');
+        return expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    };
+
+    const app = express();
+
+    app.post('/v1/oauth2/token', express.urlencoded({ extended: false }), (req, res) => {
+        const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+        if (req.headers.authorization !== expected || req.body.grant_type !== 'client_credentials') {
+            return res.status(401).json({ error: 'invalid_client', error_description: 'Client Authentication failed' });
+        }
+        const accessToken = randomId('A21AA', 40);
+        tokens.add(accessToken);
+        res.json({ scope: 'https://uri.paypal.com/services/subscriptions', access_token: accessToken, token_type: 'Bearer', app_id: 'APP-EMULATOR', expires_in: 32400 });
+    });
+
+    // Bearer tokens issued by /v1/oauth2/token
+    const requireToken = (req, res, next) => {
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+        if (!tokens.has(token)) {
+            return res.status(401).json({ error: 'invalid_token', error_description: 'Token signature verification failed' });
+        }
+        next();
+    };
+
+    app.post('/v1/notifications/verify-webhook-signature', express.json(), requireToken, (req, res) => {
+        res.json({ verification_status: verify(req.body) ? 'SUCCESS' : 'FAILURE' });
+    });
+
+    const approveLink = (id) => ({ rel: 'approve', method: 'GET', href: `http://127.0.0.1:${server.address().port}/checkoutnow?ba_token=${id}` });
+
+    app.post('/v1/billing/subscriptions', express.json(), requireToken, (req, res) => {
+        const created = subscription(req.body.custom_id, { planId: req.body.plan_id, ...(req.body.subscriber ? { subscriber: req.body.subscriber } : {}) });
+        res.status(201).json({ ...created.resource(), links: [approveLink(created.id)] });
+    });
+
+    // Subscription routes answer 404 like PayPal for ids the emulator doesn't know
+    app.use('/v1/billing/subscriptions/:id', express.json(), requireToken, (req, res, next) => {
+        req.subscription = subscriptions.get(req.params.id);
+        if (!req.subscription) {
+            return res.status(404).json({ name: 'RESOURCE_NOT_FOUND', message: 'The specified resource does not exist.' });
+        }
+        next();
+    });
+
+    app.get('/v1/billing/subscriptions/:id', (req, res) => res.json(req.subscription.resource()));
+
+    app.post('/v1/billing/subscriptions/:id/cancel', async (req, res) => {
+        if (['CANCELLED', 'EXPIRED'].includes(req.subscription.status)) {
+            return res.status(422).json({ name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'SUBSCRIPTION_STATUS_INVALID' }] });
+        }
+        await req.subscription.cancel();
+        res.status(204).end();
+    });
+
+    app.post('/v1/billing/subscriptions/:id/revise', (req, res) => {
+        req.subscription.revise(req.body.plan_id);
+        res.json({ plan_id: req.body.plan_id, links: [approveLink(req.params.id)] });
+    });
+
+    // Posts a signed event to the webhook. `tamper` changes the body after signing.
+    const send = async (event, { tamper = null } = {}) => {
+        if (!webhookUrl) throw new Error('PayPal emulator: set a webhookUrl before sending events');
+        const body = JSON.stringify(event);
+        const headers = sign(body);
+        const payload = tamper ? JSON.stringify(tamper(structuredClone(event))) : body;
+        const response = await axios.post(webhookUrl, payload, {
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            validateStatus: () => true
+        });
+        delivered.push({ event, headers, status: response.status });
+        return { event, status: response.status };
+    };
+
+    const createEvent = (eventType, resource, summary) => ({
+        id: randomId('WH-'),
+        event_version: '1.0',
+        create_time: clock().toISOString(),
+        resource_type: eventType.startsWith('PAYMENT.SALE.') ? (eventType === 'PAYMENT.SALE.COMPLETED' ? 'sale' : 'refund') : 'subscription',
+        event_type: eventType,
+        summary,
+        resource
+    });
+
+    const priceOf = (plan) => (plan === yearlyPlanId ? yearlyPrice : price);
+    const monthsOf = (plan) => (plan === yearlyPlanId ? 12 : 1);
+
+    // A completed payment of subscription `id` on `plan`, recorded in its `sales`
+    const paySale = (id, sales, customId, plan) => {
+        const sale = {
+            id: randomId('SALE-'),
+            billing_agreement_id: id,
+            custom: customId,
+            amount: { total: priceOf(plan), currency: 'USD' },
+            state: 'completed',
+            create_time: clock().toISOString()
+        };
+        sales.push(sale);
+        return send(createEvent('PAYMENT.SALE.COMPLETED', sale, `Payment completed for ${priceOf(plan)} USD`));
+    };
+
+    // A subscription of `customId` (the Firebase uid the checkout passes as custom_id),
+    // paid for from the PayPal account of `subscriber`
+    const subscription = (customId, {
+        id = randomId('I-', 12),
+        planId: initialPlan = planId,
+        subscriber = { name: { given_name: 'Sam', surname: 'Student' }, email_address: 'sam.student@example.com' }
+    } = {}) => {
+        const sales = [];
+        let status = 'APPROVAL_PENDING';
+        let plan = initialPlan;
+        let revisedPlan = null; // Waiting for the subscriber's approval
+
+        const nextBillingTime = () => {
+            const last = sales[sales.length - 1];
+            if (!last || status !== 'ACTIVE') return null;
+            const next = new Date(last.create_time);
+            next.setUTCMonth(next.getUTCMonth() + monthsOf(plan));
+            return next.toISOString();
+        };
+        const subscriptionResource = () => ({
+            id,
+            plan_id: plan,
+            custom_id: customId,
+            subscriber,
+            status,
+            status_update_time: clock().toISOString(),
+            billing_info: { next_billing_time: nextBillingTime() }
+        });
+        const statusEvent = (eventType, nextStatus, summary) => {
+            status = nextStatus;
+            return send(createEvent(eventType, subscriptionResource(), summary));
+        };
+
+        const handle = {
+            id,
+            get sales() { return [...sales]; },
+            get status() { return status; },
+            get planId() { return plan; },
+            resource: subscriptionResource,
+
+            create: () => statusEvent('BILLING.SUBSCRIPTION.CREATED', 'APPROVAL_PENDING', 'Subscription created'),
+
+            // Approval at checkout: the activation and the first payment, in PayPal's order
+            activate: async () => [
+                await statusEvent('BILLING.SUBSCRIPTION.ACTIVATED', 'ACTIVE', 'Subscription activated'),
+                await paySale(id, sales, customId, plan)
+            ],
+
+            // A billing cycle's payment; moves the clock a billing period (a calendar month,
+            // or a year on the yearly plan) first unless `advance` is false
+            renew: async ({ advance = true } = {}) => {
+                if (advance) {
+                    const next = clock();
+                    next.setUTCMonth(next.getUTCMonth() + monthsOf(plan));
+                    offsetMs += next.getTime() - clock().getTime();
+                }
+                return paySale(id, sales, customId, plan);
+            },
+
+            failPayment: () => send(createEvent('BILLING.SUBSCRIPTION.PAYMENT.FAILED', { ...subscriptionResource(), failed_payments_count: 1 }, 'Subscription payment failed')),
+            suspend: () => statusEvent('BILLING.SUBSCRIPTION.SUSPENDED', 'SUSPENDED', 'Subscription suspended'),
+            reactivate: () => statusEvent('BILLING.SUBSCRIPTION.RE-ACTIVATED', 'ACTIVE', 'Subscription re-activated'),
+            cancel: () => statusEvent('BILLING.SUBSCRIPTION.CANCELLED', 'CANCELLED', 'Subscription cancelled'),
+            expire: () => statusEvent('BILLING.SUBSCRIPTION.EXPIRED', 'EXPIRED', 'Subscription expired'),
+
+            // Plan change requested through /revise, applied once the subscriber approves it
+            revise: (newPlan) => { revisedPlan = newPlan; },
+            approveRevision: () => {
+                if (!revisedPlan) throw new Error('No plan revision to approve');
+                plan = revisedPlan;
+                revisedPlan = null;
+                return send(createEvent('BILLING.SUBSCRIPTION.UPDATED', subscriptionResource(), 'Subscription updated'));
+            },
+
+            // Refund of the last sale: in full, or `amount` of it (e.g. '5.00')
+            refund: (amount) => {
+                const sale = sales[sales.length - 1];
+                if (!sale) throw new Error('No sale to refund');
+                const total = amount || sale.amount.total;
+                sale.refunded = (sale.refunded || 0) + Math.round(parseFloat(total) * 100);
+                return send(createEvent('PAYMENT.SALE.REFUNDED', {
+                    id: randomId('REF-'),
+                    sale_id: sale.id,
+                    billing_agreement_id: id,
+                    amount: { total: `-${total}`, currency: 'USD' },
+                    total_refunded_amount: { value: (sale.refunded / 100).toFixed(2), currency: 'USD' },
+                    state: 'completed'
+                }, `A ${total} USD sale refund was completed`));
+            }
+        };
+        subscriptions.set(id, handle);
+        return handle;
+    };
+
+    return {
+        config: { clientId, clientSecret, webhookId, planId, yearlyPlanId },
+        get url() { return server ? `http://127.0.0.1:${server.address().port}` : null; },
+        delivered,
+        clock,
+        advance: (ms) => { offsetMs += ms; },
+        // For servers started after the emulator (they need its url first)
+        setWebhookUrl: (url) => { webhookUrl = url; },
+        sign,
+        send,
+        // Sends an already delivered event again, with a fresh signature (PayPal retries)
+        resend: (event) => send(event),
+        subscription,
+
+        listen: (port = 0) => new Promise((resolve) => {
+            server = app.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+        }),
+        close: () => new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()))
+    };
+};
+
+module.exports = { createPayPalEmulator, transmissionMessage };
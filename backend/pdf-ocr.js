@@ -0,0 +1,135 @@
+// --- SCANNED PDF OCR ---
+// Scanned PDFs have no text layer, so pdf-parse returns (almost) nothing.
+// Pages without text are rendered to PNG locally and passed to the image OCR
+// pipeline; pages that do have text keep it, so mixed documents work too.
+
+const canvas = require('@napi-rs/canvas');
+
+const MIN_PDF_TEXT_CHARS = 50;      // Below this, pdf-parse output is treated as "no text layer"
+const MIN_PAGE_TEXT_CHARS = 10;     // Pages with less text than this are OCR'd
+const DEFAULT_RENDER_SCALE = 2;     // ~144 DPI, enough for Tesseract on normal print
+const DEFAULT_MAX_OCR_PAGES = 30;
+const DEFAULT_LOW_CONFIDENCE = 60;  // Tesseract confidence (0-100) below which a page is flagged
+
+const countChars = (text) => (text || '').replace(/\s/g, '').length;
+
+// True when the text pdf-parse found is too short to be a real text layer
+const needsOcr = (text) => countChars(text) < MIN_PDF_TEXT_CHARS;
+
+// pdf.js looks for these browser globals when rendering; @napi-rs/canvas provides them
+let pdfjs = null;
+const loadPdfjs = () => {
+    if (!pdfjs) {
+        ['DOMMatrix', 'Path2D', 'ImageData'].forEach((name) => {
+            if (!globalThis[name]) globalThis[name] = canvas[name];
+        });
+        pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+    }
+    return pdfjs;
+};
+
+const canvasFactory = {
+    create(width, height) {
+        const target = canvas.createCanvas(width, height);
+        return { canvas: target, context: target.getContext('2d') };
+    },
+    reset(entry, width, height) {
+        entry.canvas.width = width;
+        entry.canvas.height = height;
+    },
+    destroy(entry) {
+        entry.canvas.width = 0;
+        entry.canvas.height = 0;
+        entry.canvas = null;
+        entry.context = null;
+    }
+};
+
+const renderPage = async (page, scale) => {
+    const viewport = page.getViewport({ scale });
+    const entry = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    // Scans are usually black on white; a transparent background confuses OCR
+    entry.context.fillStyle = '#ffffff';
+    entry.context.fillRect(0, 0, entry.canvas.width, entry.canvas.height);
+
+    await page.render({ canvasContext: entry.context, viewport }).promise;
+    const png = entry.canvas.toBuffer('image/png');
+    canvasFactory.destroy(entry);
+    return png;
+};
+
+const pageText = async (page) => {
+    const content = await page.getTextContent();
+    return content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join('').trim();
+};
+
+// Reads every page, OCR-ing the ones without a text layer.
+// `recognize(png, onProgress)` must resolve to { text, confidence } (Tesseract scale 0-100).
+// Returns { text, pageCount, pages: [{ page, ocr, confidence, lowConfidence, chars }], skippedPages }.
+// The text keeps "## Page N" markers so flagged pages can be found in the source.
+const extractPdfWithOcr = async (buffer, {
+    recognize,
+    onProgress = () => {},
+    scale = DEFAULT_RENDER_SCALE,
+    maxOcrPages = DEFAULT_MAX_OCR_PAGES,
+    lowConfidence = DEFAULT_LOW_CONFIDENCE
+} = {}) => {
+    const { getDocument } = loadPdfjs();
+    const doc = await getDocument({
+        data: new Uint8Array(buffer),
+        canvasFactory,
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: 0
+    }).promise;
+
+    const blocks = [];
+    const pages = [];
+    let ocrCount = 0;
+    let skippedPages = 0;
+
+    try {
+        for (let number = 1; number <= doc.numPages; number++) {
+            const page = await doc.getPage(number);
+            let text = await pageText(page);
+
+            if (countChars(text) >= MIN_PAGE_TEXT_CHARS) {
+                pages.push({ page: number, ocr: false, confidence: null, lowConfidence: false, chars: text.length });
+            } else if (ocrCount >= maxOcrPages) {
+                skippedPages++;
+            } else {
+                ocrCount++;
+                const png = await renderPage(page, scale);
+                const result = await recognize(png, (fraction) => onProgress((number - 1 + fraction) / doc.numPages));
+                text = (result.text || '').trim();
+                const confidence = Math.round(result.confidence || 0);
+
+                // Blank pages (separators, empty backs of sheets) are not worth flagging
+                pages.push({
+                    page: number,
+                    ocr: true,
+                    confidence,
+                    lowConfidence: text.length > 0 && confidence < lowConfidence,
+                    chars: text.length
+                });
+            }
+
+            if (text) blocks.push(`## Page ${number}\n${text}`);
+            page.cleanup();
+            onProgress(number / doc.numPages);
+        }
+
+        return { text: blocks.join('\n\n'), pageCount: doc.numPages, pages, skippedPages };
+    } finally {
+        await doc.destroy();
+    }
+};
+
+module.exports = {
+    MIN_PDF_TEXT_CHARS,
+    DEFAULT_LOW_CONFIDENCE,
+    DEFAULT_MAX_OCR_PAGES,
+    needsOcr,
+    extractPdfWithOcr
+};
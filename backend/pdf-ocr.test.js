@@ -0,0 +1,101 @@
+const { loadImage, createCanvas } = require('@napi-rs/canvas');
+const { needsOcr, extractPdfWithOcr } = require('./pdf-ocr');
+
+// Builds a minimal PDF with one 200x200pt page per content stream
+const buildPdf = (contents) => {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${contents.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${contents.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    contents.forEach((content, i) => {
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 200] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+        objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+const TEXT_PAGE = 'BT /F1 12 Tf 20 100 Td (Mitosis has four phases.) Tj ET';
+const SCANNED_PAGE = '0 0 0 rg 20 20 80 80 re f'; // A black square, no text operators
+const BLANK_PAGE = '';
+
+// Reads the rendered PNG back and reports whether the black square is there
+const fakeRecognize = (results) => {
+    const calls = [];
+    const recognize = async (png, onProgress) => {
+        const image = await loadImage(png);
+        const ctx = createCanvas(image.width, image.height).getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        const [r, g, b] = ctx.getImageData(Math.round(image.width * 0.25), Math.round(image.height * 0.75), 1, 1).data;
+        calls.push({ width: image.width, height: image.height, inked: r + g + b === 0 });
+        onProgress(1);
+        return results[calls.length - 1];
+    };
+    return { recognize, calls };
+};
+
+describe('needsOcr', () => {
+    test('treats whitespace-only or very short text as a missing text layer', () => {
+        expect(needsOcr('')).toBe(true);
+        expect(needsOcr(' \n\n  Page 1 \n\n ')).toBe(true);
+        expect(needsOcr('Cells divide by mitosis and meiosis. '.repeat(3))).toBe(false);
+    });
+});
+
+describe('extractPdfWithOcr', () => {
+    test('renders pages without text, keeps text pages and reports confidence', async () => {
+        const { recognize, calls } = fakeRecognize([
+            { text: 'Prophase, metaphase', confidence: 91.4 },
+            { text: 'anaphse telphase', confidence: 42 }
+        ]);
+        const progress = [];
+
+        const result = await extractPdfWithOcr(buildPdf([TEXT_PAGE, SCANNED_PAGE, SCANNED_PAGE]), {
+            recognize,
+            onProgress: (fraction) => progress.push(fraction)
+        });
+
+        expect(calls).toEqual([
+            { width: 400, height: 400, inked: true },
+            { width: 400, height: 400, inked: true }
+        ]);
+        expect(result.pageCount).toBe(3);
+        expect(result.text).toBe('## Page 1\nMitosis has four phases.\n\n## Page 2\nProphase, metaphase\n\n## Page 3\nanaphse telphase');
+        expect(result.pages.map(({ page, ocr, confidence, lowConfidence }) => ({ page, ocr, confidence, lowConfidence }))).toEqual([
+            { page: 1, ocr: false, confidence: null, lowConfidence: false },
+            { page: 2, ocr: true, confidence: 91, lowConfidence: false },
+            { page: 3, ocr: true, confidence: 42, lowConfidence: true }
+        ]);
+        expect(progress[progress.length - 1]).toBe(1);
+        expect(progress).toEqual([...progress].sort((a, b) => a - b));
+    });
+
+    test('does not flag blank pages and stops OCR after the page limit', async () => {
+        const { recognize, calls } = fakeRecognize([
+            { text: '', confidence: 0 },
+            { text: 'Cytokinesis', confidence: 88 }
+        ]);
+
+        const result = await extractPdfWithOcr(buildPdf([BLANK_PAGE, SCANNED_PAGE, SCANNED_PAGE]), {
+            recognize,
+            maxOcrPages: 2
+        });
+
+        expect(calls).toHaveLength(2);
+        expect(calls[0].inked).toBe(false);
+        expect(result.text).toBe('## Page 2\nCytokinesis');
+        expect(result.pages.filter(page => page.lowConfidence)).toEqual([]);
+        expect(result.skippedPages).toBe(1);
+    });
+});
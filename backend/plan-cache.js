@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// --- PLAN CACHE ---
+// Identical uploads (same normalized text, generation options, style preferences
+// and output language) reuse the plan generated the first time instead of calling
+// the AI provider again. Entries expire `ttlMs` after they were created, so
+// cached plans are regenerated periodically as prompts and models improve.
+// Cached plans are shared between users: per-user data such as mastery never goes
+// into the fingerprint and is applied afterwards with personalizePlan.
+
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Whitespace, line endings and Unicode forms vary between extractors and exports of the same file
+const normalizeText = (text) => text.normalize('NFC').replace(/\s+/g, ' ').trim();
+
+// sha256 of every document's normalized text (in upload order, file names excluded)
+// plus whatever else shapes the plan, as a hex string.
+const fingerprintUpload = ({ documents, options = null, prefsPrompt = '', outputLanguage = '' }) => {
+    const hash = crypto.createHash('sha256');
+    documents.forEach((doc, i) => {
+        hash.update(`\u0000doc:${i}\u0000`);
+        hash.update(normalizeText(doc.text));
+    });
+    hash.update(`\u0000options\u0000${JSON.stringify(options)}`);
+    hash.update(`\u0000prefs\u0000${prefsPrompt}`);
+    hash.update(`\u0000language\u0000${outputLanguage}`);
+    return hash.digest('hex');
+};
+
+// --- PERSONALIZATION ---
+const conceptKey = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+// Layers the student's mastery ([{ concept, score, level, unstable }], see /api/quiz)
+// over a fresh or cached plan: unstable concepts are flagged for review and their
+// questions come first, level 3 concepts are flagged for harder practice.
+// Only concepts the plan covers are listed; without any the plan is returned as is.
+const personalizePlan = (plan, mastery = []) => {
+    const covered = new Set([
+        plan.concept_map?.main_topic,
+        ...(plan.concept_map?.subtopics || []),
+        ...(plan.active_recall || []).map(q => q.related_concept),
+        ...(plan.worked_examples || []).map(e => e.subtopic),
+        ...(plan.spaced_repetition || []).map(s => s.topic)
+    ].map(conceptKey).filter(Boolean));
+
+    const known = mastery.filter(m => covered.has(conceptKey(m.concept)));
+    const review = known.filter(m => m.unstable).map(m => m.concept);
+    const challenge = known.filter(m => !m.unstable && m.level >= 3).map(m => m.concept);
+    if (!review.length && !challenge.length) return plan;
+
+    const reviewKeys = new Set(review.map(conceptKey));
+    const weak = (q) => (reviewKeys.has(conceptKey(q.related_concept)) ? 0 : 1);
+    return {
+        ...plan,
+        // Array.prototype.sort is stable: the other questions keep their order
+        ...(plan.active_recall && { active_recall: [...plan.active_recall].sort((a, b) => weak(a) - weak(b)) }),
+        personalization: { review, challenge }
+    };
+};
+
+// Cached plans name the files of the first upload; swap in the names used this time
+const relabelPlan = (plan, fromNames, toNames) => {
+    const renames = new Map(fromNames.map((name, i) => [name, toNames[i]]).filter(([from, to]) => to && from !== to));
+    if (!renames.size) return plan;
+
+    const walk = (value) => {
+        if (typeof value === 'string') return renames.has(value) ? renames.get(value) : value;
+        if (Array.isArray(value)) return value.map(walk);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item)]));
+        }
+        return value;
+    };
+    return walk(plan);
+};
+
+// --- STORES ---
+// A store keeps raw entries { studyPlan, fileNames, createdAt, expiresAt } by fingerprint.
+
+const createMemoryCacheStore = () => {
+    const entries = new Map();
+    return {
+        get: async (key) => entries.get(key) || null,
+        set: async (key, entry) => {
+            // Nothing removes entries in the background, so drop the expired ones on write
+            entries.forEach((stored, storedKey) => {
+                if (new Date(stored.expiresAt).getTime() <= Date.now()) entries.delete(storedKey);
+            });
+            entries.set(key, entry);
+        },
+        delete: async (key) => { entries.delete(key); }
+    };
+};
+
+// One document per fingerprint in `plan_cache`. expiresAt is a Date, so a
+// Firestore TTL policy on that field can remove entries nobody asks for again.
+const createFirestoreCacheStore = (db, collection = 'plan_cache') => ({
+    get: async (key) => {
+        const doc = await db.collection(collection).doc(key).get();
+        if (!doc.exists) return null;
+        const data = doc.data();
+        return { ...data, expiresAt: data.expiresAt?.toDate ? data.expiresAt.toDate() : new Date(data.expiresAt) };
+    },
+    set: async (key, entry) => { await db.collection(collection).doc(key).set(entry); },
+    delete: async (key) => { await db.collection(collection).doc(key).delete(); }
+});
+
+const createPlanCache = ({ store = createMemoryCacheStore(), ttlMs = DEFAULT_TTL_MS, now = () => Date.now() } = {}) => ({
+    enabled: ttlMs > 0,
+
+    // Resolves to { studyPlan, createdAt } relabelled for `fileNames`, or null on a miss
+    async lookup(key, fileNames = []) {
+        if (ttlMs <= 0) return null;
+
+        const entry = await store.get(key);
+        if (!entry) return null;
+        if (new Date(entry.expiresAt).getTime() <= now()) {
+            await store.delete(key);
+            return null;
+        }
+        return {
+            studyPlan: relabelPlan(structuredClone(entry.studyPlan), entry.fileNames || [], fileNames),
+            createdAt: entry.createdAt
+        };
+    },
+
+    async save(key, studyPlan, fileNames = []) {
+        if (ttlMs <= 0) return;
+
+        const createdAt = now();
+        await store.set(key, {
+            studyPlan,
+            fileNames,
+            createdAt: new Date(createdAt).toISOString(),
+            expiresAt: new Date(createdAt + ttlMs)
+        });
+    }
+});
+
+module.exports = {
+    DEFAULT_TTL_MS,
+    fingerprintUpload,
+    relabelPlan,
+    personalizePlan,
+    createMemoryCacheStore,
+    createFirestoreCacheStore,
+    createPlanCache
+};
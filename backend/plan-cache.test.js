@@ -0,0 +1,129 @@
+const { fingerprintUpload, relabelPlan, personalizePlan, createPlanCache, createMemoryCacheStore } = require('./plan-cache');
+const { DEFAULT_OPTIONS, parseGenerationOptions } = require('./plan-options');
+const { buildMockStudyPlan } = require('./ai-providers');
+
+const TEXT = 'Photosynthesis converts light energy into chemical energy.\nIt happens in the chloroplasts.';
+
+describe('fingerprintUpload', () => {
+    const base = { documents: [{ name: 'bio.pdf', text: TEXT }], options: DEFAULT_OPTIONS, prefsPrompt: '', outputLanguage: 'en' };
+
+    test('ignores file names and whitespace differences', () => {
+        const renamed = { ...base, documents: [{ name: 'lecture 3.pdf', text: `  ${TEXT.replace('\n', '\r\n\r\n')}  ` }] };
+        expect(fingerprintUpload(renamed)).toBe(fingerprintUpload(base));
+        expect(fingerprintUpload(base)).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('changes with the text, options, style preferences and output language', () => {
+        const key = fingerprintUpload(base);
+        const { options } = parseGenerationOptions({ difficulty: 'university' });
+
+        expect(fingerprintUpload({ ...base, documents: [{ name: 'bio.pdf', text: `${TEXT} Oxygen is released.` }] })).not.toBe(key);
+        expect(fingerprintUpload({ ...base, options })).not.toBe(key);
+        expect(fingerprintUpload({ ...base, prefsPrompt: 'Use short sentences.' })).not.toBe(key);
+        expect(fingerprintUpload({ ...base, outputLanguage: 'it' })).not.toBe(key);
+    });
+
+    test('depends on how the text is split between files', () => {
+        const [first, second] = TEXT.split('\n');
+        const split = { ...base, documents: [{ name: 'a', text: first }, { name: 'b', text: second }] };
+        expect(fingerprintUpload(split)).not.toBe(fingerprintUpload(base));
+    });
+});
+
+describe('relabelPlan', () => {
+    test('renames every reference to the cached file names', () => {
+        const plan = {
+            summary: 'Mentions a.pdf in prose',
+            active_recall: [{ question: 'Q', source_file: 'a.pdf' }],
+            concept_sources: [{ concept: 'C', source_files: ['a.pdf', 'b.pdf'] }]
+        };
+
+        expect(relabelPlan(plan, ['a.pdf', 'b.pdf'], ['notes.pdf', 'b.pdf'])).toEqual({
+            summary: 'Mentions a.pdf in prose',
+            active_recall: [{ question: 'Q', source_file: 'notes.pdf' }],
+            concept_sources: [{ concept: 'C', source_files: ['notes.pdf', 'b.pdf'] }]
+        });
+    });
+});
+
+describe('createPlanCache', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    test('returns a copy of the saved plan until it expires', async () => {
+        let now = 0;
+        const cache = createPlanCache({ store: createMemoryCacheStore(), ttlMs: HOUR, now: () => now });
+        const plan = { summary: 'S', active_recall: [{ source_file: 'first.pdf' }] };
+
+        await cache.save('key', plan, ['first.pdf']);
+        const hit = await cache.lookup('key', ['second.pdf']);
+        expect(hit.studyPlan).toEqual({ summary: 'S', active_recall: [{ source_file: 'second.pdf' }] });
+        expect(hit.createdAt).toBe(new Date(0).toISOString());
+
+        hit.studyPlan.summary = 'changed';
+        expect((await cache.lookup('key')).studyPlan.summary).toBe('S');
+
+        now = HOUR;
+        expect(await cache.lookup('key')).toBeNull();
+        now = 0;
+        expect(await cache.lookup('key')).toBeNull(); // The expired entry was removed
+    });
+
+    test('a ttl of 0 turns the cache off', async () => {
+        const cache = createPlanCache({ ttlMs: 0 });
+        await cache.save('key', { summary: 'S' });
+
+        expect(cache.enabled).toBe(false);
+        expect(await cache.lookup('key')).toBeNull();
+    });
+});
+
+describe('personalizePlan', () => {
+    const plan = {
+        summary: 'S',
+        active_recall: [
+            { question: 'Q1', related_concept: 'Light' },
+            { question: 'Q2', related_concept: 'Chlorophyll' },
+            { question: 'Q3', related_concept: 'Oxygen' }
+        ],
+        concept_map: { main_topic: 'Photosynthesis', subtopics: ['Light', 'Chlorophyll', 'Oxygen'] }
+    };
+
+    test('flags unstable and mastered concepts and asks the weak ones first', () => {
+        const personalized = personalizePlan(plan, [
+            { concept: 'oxygen', score: 30, level: 1, unstable: true },
+            { concept: 'Light', score: 95, level: 3, unstable: false },
+            { concept: 'Cell walls', score: 20, level: 1, unstable: true }
+        ]);
+
+        expect(personalized.personalization).toEqual({ review: ['oxygen'], challenge: ['Light'] });
+        expect(personalized.active_recall.map(q => q.question)).toEqual(['Q3', 'Q1', 'Q2']);
+        expect(plan.active_recall[0].question).toBe('Q1'); // The input plan is left alone
+    });
+
+    test('returns the plan unchanged without relevant mastery data', () => {
+        expect(personalizePlan(plan)).toBe(plan);
+        expect(personalizePlan(plan, [{ concept: 'Cell walls', score: 20, level: 1, unstable: true }])).toBe(plan);
+    });
+});
+
+describe('plan cache across users', () => {
+    test('two users with different mastery data share one entry', async () => {
+        const documents = [{ name: 'bio.pdf', text: TEXT }];
+        const cache = createPlanCache({ store: createMemoryCacheStore() });
+        const basePlan = buildMockStudyPlan(TEXT);
+        const [first, second] = basePlan.active_recall.map(q => q.related_concept);
+        const alice = [{ concept: first, score: 20, level: 1, unstable: true }];
+        const bob = [{ concept: second, score: 90, level: 3, unstable: false }];
+
+        // Nothing user-specific goes into the key, so both uploads land on the same entry
+        const key = fingerprintUpload({ documents, options: DEFAULT_OPTIONS, prefsPrompt: '', outputLanguage: 'en' });
+        await cache.save(key, basePlan, ['bio.pdf']);
+        const forAlice = personalizePlan((await cache.lookup(key, ['bio.pdf'])).studyPlan, alice);
+        const forBob = personalizePlan((await cache.lookup(key, ['notes.pdf'])).studyPlan, bob);
+
+        expect(forAlice.personalization).toEqual({ review: [first], challenge: [] });
+        expect(forBob.personalization).toEqual({ review: [], challenge: [second] });
+        expect(forBob.summary).toBe(forAlice.summary);
+        expect((await cache.lookup(key)).studyPlan.personalization).toBeUndefined();
+    });
+});
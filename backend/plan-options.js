@@ -0,0 +1,154 @@
+const { z } = require('zod');
+
+// --- GENERATION OPTIONS ---
+// Options a client can send with an upload to shape the plan. They are
+// validated here, turned into prompt instructions by generation.js and
+// enforced on the generated plan (see applyGenerationOptions).
+
+const ACADEMIC_LEVELS = {
+    middle_school: 'Middle school: plain language, concrete everyday examples, define every technical term.',
+    high_school: 'High school: clear explanations, standard terminology, exam-style exercises.',
+    university: 'University: precise terminology, derivations and formal definitions where relevant.',
+    graduate: 'Graduate: assume a solid background; focus on nuance, edge cases and open questions.',
+    professional: 'Professional: focus on practical application, trade-offs and decision making.'
+};
+
+// Deliverables that can be left out; summary, active recall and concept map are always produced
+const OPTIONAL_DELIVERABLES = ['learning_objectives', 'memory_palace', 'worked_examples', 'common_mistakes', 'spaced_repetition'];
+
+const QUESTION_LEVELS = 3;
+const MAX_QUESTIONS_PER_LEVEL = 15; // 3 levels x 15 stays under the 50-question plan limit
+const DEFAULT_SCHEDULE_LENGTH = 4;
+const MAX_SCHEDULE_LENGTH = 16;
+
+// Review days of the spaced repetition schedule; a schedule of N steps uses the first N
+const SCHEDULE_DAYS = [1, 3, 7, 14, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330, 365];
+
+// Multipart fields arrive as strings: "3", "2,3,1", "memory_palace,worked_examples" or JSON
+const parseList = (value) => {
+    if (Array.isArray(value)) return value.flatMap(parseList);
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+        try { return JSON.parse(trimmed); } catch (e) { return value; }
+    }
+    return trimmed.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value);
+
+// "University", "High School" and "high-school" all mean high_school
+const toLevelKey = (value) => (typeof value === 'string' ? value.trim().toLowerCase().replace(/[\s-]+/g, '_') : value);
+
+const questionCount = z.number().int().min(0).max(MAX_QUESTIONS_PER_LEVEL);
+
+const GenerationOptionsSchema = z.object({
+    academic_level: z.preprocess(toLevelKey, z.enum(Object.keys(ACADEMIC_LEVELS))).optional(),
+    // One number for every level, or [level 1, level 2, level 3]
+    questions_per_level: z.preprocess(
+        (value) => {
+            const parsed = typeof value === 'string' && value.includes(',') ? parseList(value) : value;
+            return Array.isArray(parsed) ? parsed.map(toNumber) : toNumber(parsed);
+        },
+        z.union([questionCount, z.array(questionCount).length(QUESTION_LEVELS)])
+    ).optional(),
+    include: z.preprocess(parseList, z.array(z.enum(OPTIONAL_DELIVERABLES))).optional(),
+    skip: z.preprocess(parseList, z.array(z.enum(OPTIONAL_DELIVERABLES))).optional(),
+    schedule_length: z.preprocess(toNumber, z.number().int().min(1).max(MAX_SCHEDULE_LENGTH)).optional()
+}).strict()
+    .refine(options => !(options.include && options.skip), { message: 'Use either include or skip, not both' })
+    .refine(options => [].concat(options.questions_per_level ?? 1).some(count => count > 0), {
+        message: 'At least one question is required',
+        path: ['questions_per_level']
+    });
+
+// Normalized form used by the prompt and stored on the plan:
+// { academic_level, questions_per_level: [l1, l2, l3] | null, skip: [...], schedule_length }
+const normalizeOptions = (options = {}) => {
+    const perLevel = options.questions_per_level;
+    const skip = options.include
+        ? OPTIONAL_DELIVERABLES.filter(key => !options.include.includes(key))
+        : [...new Set(options.skip || [])];
+
+    return {
+        academic_level: options.academic_level || null,
+        questions_per_level: perLevel === undefined ? null : [].concat(perLevel).length === 1
+            ? Array(QUESTION_LEVELS).fill(perLevel)
+            : perLevel,
+        skip,
+        schedule_length: skip.includes('spaced_repetition') ? 0 : (options.schedule_length || DEFAULT_SCHEDULE_LENGTH)
+    };
+};
+
+const DEFAULT_OPTIONS = normalizeOptions();
+
+// Reads options from a request body: either an `options` JSON field or the flat
+// fields themselves (`difficulty` is accepted as an alias of academic_level).
+// Returns { success: true, options } or { success: false, error: 'message' }.
+const parseGenerationOptions = (body = {}) => {
+    let raw;
+    if (body.options !== undefined) {
+        try {
+            raw = typeof body.options === 'string' ? JSON.parse(body.options) : body.options;
+        } catch (e) {
+            return { success: false, error: 'options must be valid JSON' };
+        }
+    } else {
+        raw = {};
+        ['academic_level', 'questions_per_level', 'include', 'skip', 'schedule_length'].forEach((key) => {
+            if (body[key] !== undefined && body[key] !== '') raw[key] = body[key];
+        });
+        if (raw.academic_level === undefined && body.difficulty) raw.academic_level = body.difficulty;
+    }
+
+    const result = GenerationOptionsSchema.safeParse(raw || {});
+    if (!result.success) {
+        return {
+            success: false,
+            error: result.error.errors.map(err => (err.path.length ? `${err.path.join('.')}: ${err.message}` : err.message)).join('; ')
+        };
+    }
+    return { success: true, options: normalizeOptions(result.data) };
+};
+
+const scheduleDays = (length) => SCHEDULE_DAYS.slice(0, length);
+
+// StudyPlanSchema requires these keys, so skipped ones are emptied instead of removed
+const REQUIRED_DELIVERABLES = ['memory_palace', 'spaced_repetition'];
+
+// Makes the plan match the options whatever the model returned: skipped
+// deliverables are emptied, questions are capped per level and the schedule
+// is cut to the requested length.
+const applyGenerationOptions = (plan, options = DEFAULT_OPTIONS) => {
+    options.skip.forEach((key) => {
+        if (!REQUIRED_DELIVERABLES.includes(key)) delete plan[key];
+        else plan[key] = key === 'memory_palace' ? '' : [];
+    });
+
+    if (options.questions_per_level) {
+        const used = [0, 0, 0];
+        plan.active_recall = plan.active_recall.filter((question) => {
+            const index = Math.min(QUESTION_LEVELS, Math.max(1, Math.round(question.level || 1))) - 1;
+            if (used[index] >= options.questions_per_level[index]) return false;
+            used[index]++;
+            return true;
+        });
+    }
+
+    if (options.schedule_length && Array.isArray(plan.spaced_repetition)) {
+        plan.spaced_repetition = plan.spaced_repetition.slice(0, options.schedule_length);
+    }
+
+    plan.generation_options = options;
+    return plan;
+};
+
+module.exports = {
+    ACADEMIC_LEVELS,
+    OPTIONAL_DELIVERABLES,
+    DEFAULT_OPTIONS,
+    GenerationOptionsSchema,
+    parseGenerationOptions,
+    scheduleDays,
+    applyGenerationOptions
+};
@@ -0,0 +1,96 @@
+const { parseGenerationOptions, applyGenerationOptions, DEFAULT_OPTIONS } = require('./plan-options');
+const { buildSystemPrompt, generateStudyPlan, StudyPlanSchema } = require('./generation');
+const { createAIProvider } = require('./ai-providers');
+
+describe('parseGenerationOptions', () => {
+    test('defaults to the standard plan when no options are sent', () => {
+        expect(parseGenerationOptions({})).toEqual({ success: true, options: DEFAULT_OPTIONS });
+        expect(DEFAULT_OPTIONS).toEqual({ academic_level: null, questions_per_level: null, skip: [], schedule_length: 4 });
+    });
+
+    test('reads flat multipart fields, including the legacy difficulty field', () => {
+        const result = parseGenerationOptions({
+            difficulty: 'University',
+            questions_per_level: '2, 3, 1',
+            skip: 'memory_palace,worked_examples',
+            schedule_length: '6'
+        });
+
+        expect(result).toEqual({
+            success: true,
+            options: {
+                academic_level: 'university',
+                questions_per_level: [2, 3, 1],
+                skip: ['memory_palace', 'worked_examples'],
+                schedule_length: 6
+            }
+        });
+    });
+
+    test('reads a JSON options field and turns include into skip', () => {
+        const result = parseGenerationOptions({
+            options: JSON.stringify({ academic_level: 'high school', questions_per_level: 4, include: ['spaced_repetition'] })
+        });
+
+        expect(result.options).toEqual({
+            academic_level: 'high_school',
+            questions_per_level: [4, 4, 4],
+            skip: ['learning_objectives', 'memory_palace', 'worked_examples', 'common_mistakes'],
+            schedule_length: 4
+        });
+    });
+
+    test.each([
+        [{ difficulty: 'kindergarten' }, 'academic_level'],
+        [{ questions_per_level: '40' }, 'questions_per_level'],
+        [{ questions_per_level: '0' }, 'At least one question is required'],
+        [{ skip: 'summary' }, 'skip'],
+        [{ schedule_length: 'forever' }, 'schedule_length'],
+        [{ options: JSON.stringify({ include: ['memory_palace'], skip: ['worked_examples'] }) }, 'either include or skip'],
+        [{ options: JSON.stringify({ colour: 'blue' }) }, 'Unrecognized key'],
+        [{ options: '{not json' }, 'options must be valid JSON']
+    ])('rejects %j', (body, message) => {
+        const result = parseGenerationOptions(body);
+        expect(result.success).toBe(false);
+        expect(result.error).toContain(message);
+    });
+});
+
+describe('buildSystemPrompt with options', () => {
+    test('injects the level, counts and schedule and drops skipped deliverables', () => {
+        const { options } = parseGenerationOptions({
+            difficulty: 'graduate', questions_per_level: '1,2,3', skip: 'memory_palace', schedule_length: '6'
+        });
+        const prompt = buildSystemPrompt('', { options });
+
+        expect(prompt).toContain('ACADEMIC LEVEL: Graduate');
+        expect(prompt).toContain('Generate exactly 1 level 1, 2 level 2 and 3 level 3 quiz questions');
+        expect(prompt).toContain('6-step schedule (Day 1,3,7,14,30,60)');
+        expect(prompt).not.toContain('MEMORY PALACE');
+        expect(prompt).not.toContain('"memory_palace"');
+        expect(prompt).toContain('Do NOT include these keys: memory_palace.');
+    });
+});
+
+describe('applyGenerationOptions', () => {
+    test('enforces the options on the generated plan', async () => {
+        const provider = createAIProvider({ provider: 'mock' });
+        const { options } = parseGenerationOptions({
+            questions_per_level: '0,1,1', skip: 'memory_palace,common_mistakes', schedule_length: '2'
+        });
+
+        const plan = await generateStudyPlan({ provider, text: 'Diffusion spreads particles evenly. '.repeat(40), options });
+
+        expect(StudyPlanSchema.safeParse(plan).success).toBe(true);
+        expect(plan.memory_palace).toBe('');
+        expect(plan.common_mistakes).toBeUndefined();
+        expect(plan.active_recall.map(q => q.level)).toEqual([2, 3]);
+        expect(plan.spaced_repetition).toHaveLength(2);
+        expect(plan.generation_options).toEqual(options);
+    });
+
+    test('leaves a default plan untouched apart from recording the options', () => {
+        const plan = { memory_palace: 'M', active_recall: [{ level: 1 }, { level: 1 }], spaced_repetition: [{}, {}] };
+        expect(applyGenerationOptions(plan)).toEqual({ ...plan, generation_options: DEFAULT_OPTIONS });
+    });
+});
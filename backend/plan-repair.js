@@ -0,0 +1,270 @@
+// --- AI RESPONSE REPAIR ---
+// Models return almost-JSON (code fences, trailing commas, cut-off output) and
+// almost-valid plans (a difficulty of 7, 60 questions, a missing field). These
+// helpers fix what can be fixed without another AI call; generation.js only
+// re-prompts the model when the result still fails validation.
+
+// --- TOLERANT JSON ---
+
+const MAX_TAIL_CUTS = 20;
+
+// Rewrites near-JSON into JSON: drops comments and trailing commas, escapes raw
+// control characters inside strings and closes strings and brackets left open by
+// a truncated response. Returns { text, commas, closers, truncated, fixes } where
+// `commas` remembers where the text could be cut back to a complete value.
+const scanJson = (input) => {
+    const fixes = new Set();
+    const stack = [];
+    const commas = [];
+    let out = '';
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            } else if (char === '\n' || char === '\r' || char === '\t') {
+                out += char === '\t' ? '\\t' : char === '\n' ? '\\n' : '';
+                fixes.add('escaped_control_characters');
+                continue;
+            }
+            out += char;
+            continue;
+        }
+
+        if (char === '/' && (input[i + 1] === '/' || input[i + 1] === '*')) {
+            const end = input[i + 1] === '/' ? input.indexOf('\n', i) : input.indexOf('*/', i + 2) + 1;
+            i = end <= 0 ? input.length : end;
+            fixes.add('removed_comments');
+            continue;
+        }
+
+        if (char === '"') inString = true;
+        if (char === '{') stack.push('}');
+        if (char === '[') stack.push(']');
+        if (char === '}' || char === ']') {
+            const trimmed = out.replace(/\s+$/, '');
+            if (trimmed.endsWith(',')) {
+                out = trimmed.slice(0, -1);
+                commas.pop();
+                fixes.add('removed_trailing_commas');
+            }
+            stack.pop();
+        }
+        if (char === ',') commas.push({ index: out.length, closers: stack.slice().reverse().join('') });
+        out += char;
+    }
+
+    const truncated = inString || stack.length > 0;
+    if (inString) out += escaped ? '\\"' : '"';
+    if (truncated) fixes.add('closed_truncated_json');
+    return { text: out, commas, closers: stack.reverse().join(''), truncated, fixes };
+};
+
+// Parses model output that should contain one JSON object.
+// Returns { value, fixes } or throws when nothing sensible can be recovered.
+const parseJsonLoose = (rawContent) => {
+    const fixes = new Set();
+    let content = String(rawContent).replace(/^﻿/, '');
+
+    const unwrapped = content.replace(/```json\s*/gi, '').replace(/```\s*/g, '').trim();
+    if (unwrapped !== content.trim()) fixes.add('stripped_code_fences');
+    content = unwrapped;
+
+    const firstBrace = content.indexOf('{');
+    if (firstBrace === -1) throw new Error('No JSON object in the response.');
+    if (firstBrace > 0) fixes.add('stripped_surrounding_text');
+    content = content.substring(firstBrace);
+
+    // Complete object followed by chatter
+    const lastBrace = content.lastIndexOf('}');
+    const complete = lastBrace === -1 ? content : content.substring(0, lastBrace + 1);
+    try {
+        const value = JSON.parse(complete);
+        if (complete.length < content.length) fixes.add('stripped_surrounding_text');
+        return { value, fixes: [...fixes] };
+    } catch (e) {
+        // Fall through to the repairs below
+    }
+
+    // A balanced object only needs cleaning; otherwise the response was cut off
+    // and everything after the first brace is kept
+    const balanced = scanJson(complete);
+    const scan = balanced.truncated ? scanJson(content) : balanced;
+    scan.fixes.forEach(fix => fixes.add(fix));
+    if (!balanced.truncated && complete.length < content.length) fixes.add('stripped_surrounding_text');
+    try {
+        return { value: JSON.parse(scan.text + scan.closers), fixes: [...fixes] };
+    } catch (e) {
+        // Truncated in the middle of a value: cut back to the last complete one
+    }
+
+    for (const comma of scan.commas.slice(-MAX_TAIL_CUTS).reverse()) {
+        try {
+            const value = JSON.parse(scan.text.slice(0, comma.index) + comma.closers);
+            return { value, fixes: [...fixes, 'dropped_incomplete_tail'] };
+        } catch (e) {
+            // Try an earlier cut
+        }
+    }
+    throw new Error('Response is not valid JSON.');
+};
+
+// --- SCHEMA REPAIR ---
+
+const MAX_REPAIR_ROUNDS = 5;
+
+const unwrapSchema = (schema) => {
+    let current = schema;
+    while (current?._def && ['ZodOptional', 'ZodNullable', 'ZodDefault', 'ZodEffects'].includes(current._def.typeName)) {
+        current = current._def.innerType || current._def.schema;
+    }
+    return current;
+};
+
+// Schema of the value at `path`, keeping its optional wrapper
+const schemaAt = (schema, path) => path.reduce((current, key) => {
+    const inner = unwrapSchema(current);
+    if (!inner) return undefined;
+    if (inner._def.typeName === 'ZodObject') return inner.shape[key];
+    if (inner._def.typeName === 'ZodArray') return inner._def.type;
+    return undefined;
+}, schema);
+
+// Value for a missing required field, from its schema type
+const defaultFor = (schema) => {
+    const inner = unwrapSchema(schema);
+    switch (inner?._def.typeName) {
+        case 'ZodString': return '';
+        case 'ZodNumber': return inner.minValue ?? 0;
+        case 'ZodBoolean': return false;
+        case 'ZodArray': return [];
+        case 'ZodObject': return {};
+        case 'ZodEnum': return inner.options[0];
+        default: return undefined;
+    }
+};
+
+const describePath = (path) => path.join('.') || '(root)';
+
+// "active_recall.3.question: Required" lines for logs and re-prompts
+const formatIssues = (issues) => issues.map(issue => `${describePath(issue.path)}: ${issue.message}`);
+
+// Applies one fix for a Zod issue in place; `root` is { value }. Returns a
+// description of the fix, or null when it can't be fixed.
+const fixIssue = (root, schema, issue) => {
+    const path = issue.path;
+    const fullPath = ['value', ...path];
+    const key = fullPath[fullPath.length - 1];
+    const parent = fullPath.slice(0, -1).reduce((node, part) => node?.[part], root);
+    if (!parent || typeof parent !== 'object') return null;
+
+    const fieldSchema = path.length ? schemaAt(schema, path) : schema;
+    // Array items are never removed, so indexes of the remaining issues stay valid
+    const optional = !Array.isArray(parent) && Boolean(fieldSchema?.isOptional?.());
+    const current = parent[key];
+    const where = describePath(path);
+
+    switch (issue.code) {
+        case 'too_big':
+            if (issue.type === 'array') {
+                parent[key] = current.slice(0, issue.maximum);
+                return `${where}: truncated ${current.length} items to ${issue.maximum}`;
+            }
+            if (issue.type === 'string') {
+                parent[key] = current.slice(0, issue.maximum);
+                return `${where}: truncated text to ${issue.maximum} characters`;
+            }
+            if (issue.type === 'number') {
+                parent[key] = issue.maximum;
+                return `${where}: clamped ${current} to ${issue.maximum}`;
+            }
+            return null;
+
+        case 'too_small':
+            if (issue.type === 'number') {
+                parent[key] = issue.minimum;
+                return `${where}: clamped ${current} to ${issue.minimum}`;
+            }
+            if (optional) {
+                delete parent[key];
+                return `${where}: removed (too short)`;
+            }
+            return null;
+
+        case 'invalid_type':
+            if (issue.received === 'undefined' || issue.received === 'null') {
+                if (optional) {
+                    delete parent[key];
+                    return `${where}: removed null`;
+                }
+                const fallback = defaultFor(fieldSchema);
+                if (fallback === undefined) return null;
+                parent[key] = fallback;
+                return `${where}: filled missing value`;
+            }
+            if (issue.expected === 'number' && issue.received === 'string' && current.trim() !== '' && !Number.isNaN(Number(current))) {
+                parent[key] = Number(current);
+                return `${where}: converted "${current}" to a number`;
+            }
+            if (issue.expected === 'string' && ['number', 'boolean'].includes(issue.received)) {
+                parent[key] = String(current);
+                return `${where}: converted ${current} to text`;
+            }
+            if (optional) {
+                delete parent[key];
+                return `${where}: removed ${issue.received} (expected ${issue.expected})`;
+            }
+            return null;
+
+        case 'invalid_enum_value': {
+            const normalized = String(current).trim().toLowerCase().replace(/[\s-]+/g, '_');
+            if (issue.options.includes(normalized)) {
+                parent[key] = normalized;
+                return `${where}: normalized "${current}" to ${normalized}`;
+            }
+            if (optional) {
+                delete parent[key];
+                return `${where}: removed unknown value "${current}"`;
+            }
+            return null;
+        }
+
+        default:
+            return null;
+    }
+};
+
+// Fixes `value` until it matches `schema` or no issue can be fixed any more.
+// Returns { success, data, fixes, issues } where `fixes` describes every change.
+const repairToSchema = (value, schema) => {
+    const root = { value: structuredClone(value) };
+    const fixes = [];
+
+    for (let round = 0; round < MAX_REPAIR_ROUNDS; round++) {
+        const result = schema.safeParse(root.value);
+        if (result.success) return { success: true, data: result.data, fixes, issues: [] };
+
+        const applied = result.error.issues.map(issue => fixIssue(root, schema, issue)).filter(Boolean);
+        if (!applied.length) return { success: false, data: null, fixes, issues: result.error.issues };
+        fixes.push(...applied);
+    }
+
+    const result = schema.safeParse(root.value);
+    return result.success
+        ? { success: true, data: result.data, fixes, issues: [] }
+        : { success: false, data: null, fixes, issues: result.error.issues };
+};
+
+module.exports = {
+    parseJsonLoose,
+    repairToSchema,
+    formatIssues
+};
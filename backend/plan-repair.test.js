@@ -0,0 +1,139 @@
+const { parseJsonLoose, repairToSchema, formatIssues } = require('./plan-repair');
+const { StudyPlanSchema, parsePlanContent, generateStudyPlan } = require('./generation');
+
+const validPlan = () => ({
+    summary: 'Enzymes speed up reactions.',
+    memory_palace: 'A kitchen full of enzymes.',
+    active_recall: [{ question: 'What do enzymes do?', answer: 'Lower activation energy.' }],
+    spaced_repetition: [{ day: 'Day 1', topic: 'Enzymes' }],
+    concept_map: { main_topic: 'Enzymes', subtopics: ['Substrate'] }
+});
+
+describe('parseJsonLoose', () => {
+    test('parses clean JSON without fixes', () => {
+        expect(parseJsonLoose('{"a": 1}')).toEqual({ value: { a: 1 }, fixes: [] });
+    });
+
+    test('removes fences, surrounding text, comments and trailing commas', () => {
+        const raw = 'Here is your plan:\n```json\n{\n  "a": [1, 2,], // numbers\n  "b": "x/y",\n}\n```\nEnjoy!';
+        const { value, fixes } = parseJsonLoose(raw);
+
+        expect(value).toEqual({ a: [1, 2], b: 'x/y' });
+        expect(fixes).toEqual(expect.arrayContaining(['stripped_code_fences', 'removed_comments', 'removed_trailing_commas']));
+    });
+
+    test('escapes raw line breaks inside strings', () => {
+        expect(parseJsonLoose('{"summary": "Line one\nLine two"}').value).toEqual({ summary: 'Line one\nLine two' });
+    });
+
+    test('closes a response cut off by the token limit', () => {
+        expect(parseJsonLoose('{"summary": "S", "active_recall": [{"question": "Q1"}, {"question": "Q2", "ans').value)
+            .toEqual({ summary: 'S', active_recall: [{ question: 'Q1' }, { question: 'Q2' }] });
+        expect(parseJsonLoose('{"summary": "S", "memory_palace": "A long walk thro').value)
+            .toEqual({ summary: 'S', memory_palace: 'A long walk thro' });
+    });
+
+    test('throws when there is no object to recover', () => {
+        expect(() => parseJsonLoose('Sorry, I cannot help with that.')).toThrow('No JSON object');
+    });
+});
+
+describe('repairToSchema', () => {
+    test('truncates, fills and normalizes until the plan is valid', () => {
+        const plan = validPlan();
+        plan.summary = 'x'.repeat(12000);
+        delete plan.memory_palace;
+        plan.learning_objectives = ['Only one'];
+        plan.active_recall = Array.from({ length: 60 }, (_, i) => ({ question: `Q${i}`, answer: 'A', type: 'Multiple Choice' }));
+        plan.concept_map = { subtopics: ['A'] };
+
+        const result = repairToSchema(plan, StudyPlanSchema);
+
+        expect(result.success).toBe(true);
+        expect(result.data.summary).toHaveLength(10000);
+        expect(result.data.memory_palace).toBe('');
+        expect(result.data.learning_objectives).toBeUndefined();
+        expect(result.data.active_recall).toHaveLength(50);
+        expect(result.data.active_recall[0].type).toBe('multiple_choice');
+        expect(result.data.concept_map.main_topic).toBe('');
+        expect(result.fixes).toContain('active_recall: truncated 60 items to 50');
+        expect(plan.active_recall).toHaveLength(60); // The input is left untouched
+    });
+
+    test('reports what it cannot fix', () => {
+        const plan = { ...validPlan(), concept_map: { main_topic: 'T', subtopics: 'none' } };
+        const result = repairToSchema(plan, StudyPlanSchema);
+
+        expect(result.success).toBe(false);
+        expect(formatIssues(result.issues)).toEqual(['concept_map.subtopics: Expected array, received string']);
+    });
+});
+
+describe('parsePlanContent repairs', () => {
+    test('clamps difficulty ratings and levels', () => {
+        const plan = validPlan();
+        plan.active_recall = [
+            { question: 'Q1', answer: 'A', difficulty_rating: 7, level: 0 },
+            { question: 'Q2', answer: 'A', difficulty_rating: '2', level: '3' }
+        ];
+
+        const parsed = parsePlanContent(JSON.stringify(plan));
+        expect(parsed.active_recall.map(q => [q.difficulty_rating, q.level])).toEqual([[5, 1], [2, 3]]);
+    });
+});
+
+describe('re-prompting', () => {
+    // Fake provider answering with the scripted responses in order
+    const sequence = (...responses) => {
+        const calls = [];
+        return {
+            calls,
+            name: 'scripted',
+            model: 'test',
+            complete: async (messages) => {
+                calls.push(messages);
+                const next = responses[Math.min(calls.length, responses.length) - 1];
+                return { content: typeof next === 'string' ? next : JSON.stringify(next) };
+            }
+        };
+    };
+    const text = 'Enzymes lower the activation energy of reactions. '.repeat(20);
+
+    test('asks once more with the validation errors and logs both attempts', async () => {
+        const broken = { ...validPlan(), concept_map: { main_topic: 'Enzymes', subtopics: 'none' } };
+        const provider = sequence(broken, validPlan());
+        const attempts = [];
+
+        const plan = await generateStudyPlan({ provider, text, onParseAttempt: record => attempts.push(record) });
+
+        expect(plan.concept_map.subtopics).toEqual(['Substrate']);
+        expect(provider.calls).toHaveLength(2);
+        expect(provider.calls[1][2].role).toBe('assistant');
+        expect(provider.calls[1][3].content).toContain('concept_map.subtopics: Expected array, received string');
+        expect(attempts.map(a => [a.attempt, a.outcome])).toEqual([[1, 'invalid'], [2, 'valid']]);
+        expect(attempts[0].raw_excerpt).toContain('"subtopics":"none"');
+        expect(attempts[1].raw_excerpt).toBeUndefined();
+    });
+
+    test('does not re-prompt when the repairs are enough', async () => {
+        const provider = sequence('```json\n' + JSON.stringify(validPlan()).replace(/}$/, ',}') + '\n```');
+        const attempts = [];
+
+        await generateStudyPlan({ provider, text, onParseAttempt: record => attempts.push(record) });
+
+        expect(provider.calls).toHaveLength(1);
+        expect(attempts[0].outcome).toBe('repaired');
+        expect(attempts[0].fixes).toEqual(expect.arrayContaining(['stripped_code_fences', 'removed_trailing_commas']));
+    });
+
+    test('fails with a 502 and no raw validation errors after the second attempt', async () => {
+        const provider = sequence('I would rather not.');
+
+        const error = await generateStudyPlan({ provider, text }).catch(err => err);
+
+        expect(provider.calls).toHaveLength(2);
+        expect(error.message).toBe('Failed to parse AI response.');
+        expect(error.status).toBe(502);
+        expect(error.body).toEqual({ error: 'Invalid AI response', message: expect.stringContaining('Please try again') });
+    });
+});
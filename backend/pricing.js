@@ -0,0 +1,138 @@
+// --- PRICING ---
+// Credits granted by each plan and charged by each operation. Every ledger entry
+// records the version it was priced with, so a past charge can be explained by
+// looking that version up. Never edit a published version: append a new one with
+// the next number and a later effective_from (an ISO timestamp) instead. The latest
+// version whose effective_from has passed is the one in effect, so a price change can be
+// added ahead of its date.
+
+const PRICING_VERSIONS = [
+    {
+        version: 1,
+        effective_from: '2026-10-19T00:00:00Z',
+        plans: {
+            free: { credits: 3, renews: null },        // Lifetime credits, not monthly
+            pro: { credits: 40, renews: 'monthly' }
+        },
+        operations: {
+            // A full study plan. Long uploads can cost more: each started block of
+            // `per_chars.chars` characters beyond `included_chars` adds
+            // `per_chars.credits`, each file after the first adds `per_extra_file`,
+            // and the total never exceeds `max_credits`.
+            generation: {
+                credits: 1,
+                included_chars: 40000,
+                per_chars: { chars: 40000, credits: 0 },
+                per_extra_file: 0,
+                max_credits: 1
+            },
+            // Identical upload answered from the plan cache (see plan-cache.js)
+            cached_generation: { credits: 0.25 },
+            // One section of a saved plan (see /api/generations/:id/regenerate)
+            regeneration: { credits: 0.5 },
+            chat_message: { credits: 1 },
+            // Plans are exported in the browser for now, which is free
+            export: { credits: 0 }
+        }
+    },
+    {
+        // Adds the institution plan; operations are unchanged from version 1
+        version: 2,
+        effective_from: '2026-10-19T15:35:00Z',
+        plans: {
+            free: { credits: 3, renews: null },
+            pro: { credits: 40, renews: 'monthly' },
+            // Members spend from their organization's pool (see organizations.js), no credits of their own
+            institution: { credits: 0, renews: null, pooled: true }
+        },
+        operations: {
+            generation: {
+                credits: 1,
+                included_chars: 40000,
+                per_chars: { chars: 40000, credits: 0 },
+                per_extra_file: 0,
+                max_credits: 1
+            },
+            cached_generation: { credits: 0.25 },
+            regeneration: { credits: 0.5 },
+            chat_message: { credits: 1 },
+            export: { credits: 0 }
+        }
+    },
+    {
+        // Long and multi-file uploads are summarized section by section (see chunking.js),
+        // one AI call per section plus a merge, so they cost more than a single-pass plan
+        version: 3,
+        effective_from: '2026-10-19T16:30:00Z',
+        plans: {
+            free: { credits: 3, renews: null },
+            pro: { credits: 40, renews: 'monthly' },
+            institution: { credits: 0, renews: null, pooled: true }
+        },
+        operations: {
+            // Up to 40000 characters fit the single-pass prompt; each further 40000
+            // (about two section calls) adds half a credit
+            generation: {
+                credits: 1,
+                included_chars: 40000,
+                per_chars: { chars: 40000, credits: 0.5 },
+                per_extra_file: 0.25,
+                max_credits: 4
+            },
+            cached_generation: { credits: 0.25 },
+            regeneration: { credits: 0.5 },
+            chat_message: { credits: 1 },
+            export: { credits: 0 }
+        }
+    }
+];
+
+// Pricing table of `version`, by default the one in effect at `now`; null for unknown versions
+const getPricing = (version, now = new Date()) => {
+    if (version === undefined || version === null) {
+        const inEffect = PRICING_VERSIONS.filter(table => new Date(table.effective_from) <= now);
+        return inEffect[inEffect.length - 1] || PRICING_VERSIONS[0];
+    }
+    return PRICING_VERSIONS.find(table => table.version === Number(version)) || null;
+};
+
+// Credits shown with 2 decimals at most (0.1 + 0.2 style noise stays out of the ledger)
+const roundCredits = (credits) => Math.round(credits * 100) / 100;
+
+// Sum of the base price and the size-based extras of an operation
+const computeCredits = (price, { chars = 0, files = 1 } = {}) => {
+    let credits = price.credits;
+    if (price.per_chars && chars > (price.included_chars || 0)) {
+        credits += Math.ceil((chars - (price.included_chars || 0)) / price.per_chars.chars) * price.per_chars.credits;
+    }
+    if (price.per_extra_file && files > 1) credits += (files - 1) * price.per_extra_file;
+    if (price.max_credits !== undefined) credits = Math.min(credits, price.max_credits);
+    return roundCredits(Math.max(0, credits));
+};
+
+// What ledger entries store in `pricing`, e.g. { version: 1, operation: 'generation', usage: { chars, files } }
+const pricingRecord = (details = {}, table = getPricing()) => ({ version: table.version, ...details });
+
+// Credits `operation` costs for `usage` ({ chars, files } for generation).
+// Returns { credits, pricing } where `pricing` goes on the ledger entry.
+const priceOperation = (operation, usage = null, table = getPricing()) => {
+    const price = table.operations[operation];
+    if (!price) throw new Error(`Unknown operation: ${operation}`);
+
+    return {
+        credits: computeCredits(price, usage || undefined),
+        pricing: pricingRecord(usage ? { operation, usage } : { operation }, table)
+    };
+};
+
+// Credits a plan grants (free for unknown plans)
+const planCredits = (plan, table = getPricing()) => (table.plans[plan] || table.plans.free).credits;
+
+module.exports = {
+    PRICING_VERSIONS,
+    getPricing,
+    roundCredits,
+    pricingRecord,
+    priceOperation,
+    planCredits
+};
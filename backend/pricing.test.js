@@ -0,0 +1,83 @@
+const { PRICING_VERSIONS, getPricing, pricingRecord, priceOperation, planCredits } = require('./pricing');
+
+// Scaled generation price used to exercise the size-based extras
+const scaledTable = {
+    version: 7,
+    plans: { free: { credits: 5 }, pro: { credits: 50 } },
+    operations: {
+        generation: {
+            credits: 1,
+            included_chars: 10000,
+            per_chars: { chars: 10000, credits: 0.5 },
+            per_extra_file: 0.25,
+            max_credits: 3
+        },
+        chat_message: { credits: 0.1 }
+    }
+};
+
+describe('pricing', () => {
+    test('current prices match the credits charged so far', () => {
+        expect(priceOperation('generation', { chars: 40000, files: 1 }).credits).toBe(1);
+        expect(priceOperation('cached_generation').credits).toBe(0.25);
+        expect(priceOperation('regeneration').credits).toBe(0.5);
+        expect(priceOperation('chat_message').credits).toBe(1);
+        expect(priceOperation('export').credits).toBe(0);
+        expect([planCredits('free'), planCredits('pro'), planCredits('unknown')]).toEqual([3, 40, 3]);
+    });
+
+    test('scales generation by length and files up to the cap', () => {
+        expect(priceOperation('generation', { chars: 10000, files: 1 }, scaledTable).credits).toBe(1);
+        expect(priceOperation('generation', { chars: 10001, files: 1 }, scaledTable).credits).toBe(1.5);
+        expect(priceOperation('generation', { chars: 25000, files: 2 }, scaledTable).credits).toBe(2.25);
+        expect(priceOperation('generation', { chars: 90000, files: 1 }, scaledTable).credits).toBe(3);
+        expect(priceOperation('chat_message', null, scaledTable).credits).toBe(0.1);
+    });
+
+    test('returns the record stored on ledger entries', () => {
+        expect(priceOperation('generation', { chars: 1200, files: 2 }, scaledTable).pricing)
+            .toEqual({ version: 7, operation: 'generation', usage: { chars: 1200, files: 2 } });
+        expect(priceOperation('regeneration').pricing).toEqual({ version: getPricing().version, operation: 'regeneration' });
+        expect(pricingRecord({ plan: 'pro' }, scaledTable)).toEqual({ version: 7, plan: 'pro' });
+        expect(() => priceOperation('teleport')).toThrow('Unknown operation: teleport');
+    });
+
+    test('looks up versions by number', () => {
+        const current = getPricing();
+        expect(getPricing(String(current.version))).toBe(current);
+        expect(getPricing(999)).toBeNull();
+    });
+
+    test('numbers versions consecutively with strictly later effective dates', () => {
+        PRICING_VERSIONS.forEach((table, i) => {
+            expect(table.version).toBe(i + 1);
+            expect(new Date(table.effective_from).toISOString()).toBe(table.effective_from.replace('Z', '.000Z'));
+            if (i > 0) expect(new Date(table.effective_from) > new Date(PRICING_VERSIONS[i - 1].effective_from)).toBe(true);
+        });
+    });
+
+    test('charges the version whose effective date has passed', () => {
+        const [v1, v2] = PRICING_VERSIONS;
+        expect(getPricing(undefined, new Date('2026-10-19T12:00:00Z'))).toBe(v1);
+        expect(getPricing(undefined, new Date(v2.effective_from))).toBe(v2);
+        expect(getPricing(undefined, new Date('2020-01-01'))).toBe(v1);
+    });
+
+    test('version 3 charges long and multi-file uploads more, up to 4 credits', () => {
+        const v3 = getPricing(3);
+        expect(priceOperation('generation', { chars: 40001, files: 1 }, v3).credits).toBe(1.5);
+        expect(priceOperation('generation', { chars: 100000, files: 2 }, v3).credits).toBe(2.25);
+        expect(priceOperation('generation', { chars: 480000, files: 10 }, v3).credits).toBe(4);
+        // Earlier versions kept every upload at 1 credit
+        expect(priceOperation('generation', { chars: 480000, files: 10 }, getPricing(2)).credits).toBe(1);
+        expect(v3.plans).toEqual(getPricing(2).plans);
+    });
+
+    test('version 2 adds the pooled institution plan without changing prices', () => {
+        const [v1, v2] = [getPricing(1), getPricing(2)];
+        expect(v2.plans.institution).toEqual({ credits: 0, renews: null, pooled: true });
+        expect(v1.plans.institution).toBeUndefined();
+        expect(v2.operations).toEqual(v1.operations);
+        expect(planCredits('institution', v2)).toBe(0);
+    });
+});
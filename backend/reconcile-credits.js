@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Compares users' credit balances with their ledger totals (see reconcile.js).
+//
+//   npm run credits:reconcile                    # dry run over every user
+//   npm run credits:reconcile -- --user <uid>    # one user
+//   npm run credits:reconcile -- --apply         # write `adjustment` entries
+//   npm run credits:reconcile -- --json          # print the full report as JSON
+//
+// Uses FIREBASE_SERVICE_ACCOUNT like the server. Exits with 1 when a dry run finds mismatches.
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+const admin = require('firebase-admin');
+const { createReconciler } = require('./reconcile');
+
+const parseArgs = (argv) => {
+    const args = { apply: false, json: false, userId: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--apply') args.apply = true;
+        else if (argv[i] === '--json') args.json = true;
+        else if (argv[i] === '--user') args.userId = argv[++i] || null;
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return args;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    admin.initializeApp(process.env.FIREBASE_SERVICE_ACCOUNT
+        ? { credential: admin.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)) }
+        : { projectId: 'gostudy-7334c' });
+
+    const reconciler = createReconciler({ db: admin.firestore(), FieldValue: admin.firestore.FieldValue });
+    const report = await reconciler.run({ userId: args.userId, apply: args.apply });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`Checked ${report.checked} user(s)${report.dryRun ? ' (dry run)' : ''}: ${report.mismatches.length} mismatch(es)`);
+        for (const result of report.mismatches) {
+            const fix = report.dryRun ? '' : result.adjusted === null ? ', already consistent' : `, adjusted ${result.adjusted}`;
+            console.log(`  ${result.userId}: balance ${result.balance}, ledger ${result.ledgerBalance} (difference ${result.difference}${fix})`);
+            if (result.unexplained.length) {
+                console.log(`    balance changed outside the ledger before: ${result.unexplained.join(', ')}`);
+            }
+        }
+        if (report.dryRun && report.mismatches.length) console.log('Run again with --apply to write adjustment entries.');
+    }
+
+    return report.dryRun && report.mismatches.length ? 1 : 0;
+};
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('Reconciliation failed:', error.message);
+        process.exit(2);
+    });
@@ -0,0 +1,120 @@
+// --- LEDGER RECONCILIATION ---
+// Recomputes each user's balance from credits_ledger and compares it with
+// users.credits_balance. A dry run only reports; with `apply` every mismatch gets
+// an `adjustment` entry for the difference, so the ledger explains the balance
+// again. The balance itself is never changed.
+
+const { pricingRecord } = require('./pricing');
+
+// Credits compared with 2 decimals, like pricing.js rounds them
+const round = (value) => Math.round(value * 100) / 100;
+
+const toMillis = (value) => (value?.toDate ? value.toDate().getTime() : value ? new Date(value).getTime() : 0);
+
+// Replays ledger entries oldest first the way deductCredits / addCredits wrote them:
+// credits added with a negative amount (refunds) never take the balance below 0.
+// `unexplained` lists entries whose balanceAfter doesn't follow from the previous
+// entry, i.e. the balance was changed outside the ledger just before them.
+// Returns { ledgerBalance, entries, unexplained: [entry id] }.
+const replayLedger = (entries) => {
+    const ordered = [...entries].sort((a, b) => (toMillis(a.createdAt) - toMillis(b.createdAt)) || (a.id < b.id ? -1 : 1));
+    const apply = (balance, entry) => {
+        const amount = Number(entry.amount) || 0;
+        return round(entry.type === 'refund' ? Math.max(0, balance + amount) : balance + amount);
+    };
+
+    const unexplained = [];
+    let running = 0;
+    let recorded = 0; // balanceAfter of the previous entry
+    for (const entry of ordered) {
+        running = apply(running, entry);
+        const expected = apply(recorded, entry);
+        if (typeof entry.balanceAfter === 'number' && round(entry.balanceAfter) !== expected) {
+            unexplained.push(entry.id);
+        }
+        recorded = typeof entry.balanceAfter === 'number' ? round(entry.balanceAfter) : expected;
+    }
+    return { ledgerBalance: running, entries: ordered.length, unexplained };
+};
+
+// Compares one user's stored balance with the ledger.
+// Returns { userId, balance, ledgerBalance, difference, entries, unexplained }.
+const reconcileUser = (userId, balance, entries) => {
+    const replay = replayLedger(entries);
+    const stored = round(Number(balance) || 0);
+    return { userId, balance: stored, ...replay, difference: round(stored - replay.ledgerBalance) };
+};
+
+// Firestore runner. `FieldValue` is admin.firestore.FieldValue.
+const createReconciler = ({ db, FieldValue }) => {
+    // Entries with an orgId moved an organization's pool, not the user's own balance
+    const ledgerEntries = (snapshot) => snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(entry => !entry.orgId);
+
+    // Re-checks the user inside a transaction so a charge made since the scan is not "corrected"
+    const adjust = (userId, runId) => db.runTransaction(async (transaction) => {
+        const userRef = db.collection('users').doc(userId);
+        const [userDoc, snapshot] = await Promise.all([
+            transaction.get(userRef),
+            transaction.get(db.collection('credits_ledger').where('userId', '==', userId))
+        ]);
+        const result = reconcileUser(userId, userDoc.data()?.credits_balance, ledgerEntries(snapshot));
+        if (result.difference === 0) return null;
+
+        transaction.set(db.collection('credits_ledger').doc(), {
+            userId,
+            amount: result.difference,
+            type: 'adjustment',
+            description: `Reconciliation: balance ${result.balance}, ledger total ${result.ledgerBalance}`,
+            idempotencyKey: `adjustment_${runId}_${userId}`,
+            paypalEventId: null,
+            balanceAfter: result.balance,
+            pricing: pricingRecord(),
+            createdAt: FieldValue.serverTimestamp()
+        });
+        return result.difference;
+    });
+
+    return {
+        // Checks every user, or only `userId`. Returns
+        // { dryRun, runId, checked, mismatches: [result + { adjusted }], totalDifference }.
+        async run({ userId = null, apply = false, runId = Date.now().toString(36) } = {}) {
+            const users = userId
+                ? [await db.collection('users').doc(userId).get()].filter(doc => doc.exists)
+                : (await db.collection('users').get()).docs;
+            const ledgerQuery = userId
+                ? db.collection('credits_ledger').where('userId', '==', userId)
+                : db.collection('credits_ledger');
+
+            const byUser = new Map();
+            for (const entry of ledgerEntries(await ledgerQuery.get())) {
+                if (!byUser.has(entry.userId)) byUser.set(entry.userId, []);
+                byUser.get(entry.userId).push(entry);
+            }
+
+            const mismatches = [];
+            for (const doc of users) {
+                const result = reconcileUser(doc.id, doc.data().credits_balance, byUser.get(doc.id) || []);
+                if (result.difference === 0) continue;
+
+                const adjusted = apply ? await adjust(doc.id, runId) : null;
+                mismatches.push({ ...result, adjusted });
+            }
+
+            return {
+                dryRun: !apply,
+                runId,
+                checked: users.length,
+                mismatches,
+                totalDifference: round(mismatches.reduce((sum, result) => sum + result.difference, 0))
+            };
+        }
+    };
+};
+
+module.exports = {
+    replayLedger,
+    reconcileUser,
+    createReconciler
+};
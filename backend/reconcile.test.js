@@ -0,0 +1,78 @@
+const { replayLedger, reconcileUser, createReconciler } = require('./reconcile');
+
+const at = (minute) => ({ toDate: () => new Date(Date.UTC(2026, 0, 1, 0, minute)) });
+
+// Ledger of a user set to Pro by hand before renewals existed: the balance jumped to 40 without an entry
+const manualProLedger = [
+    { id: 'e1', type: 'grant', amount: 3, balanceAfter: 3, createdAt: at(0) },
+    { id: 'e2', type: 'hold', amount: -1, balanceAfter: 39, createdAt: at(5) },
+    { id: 'e3', type: 'release', amount: 1, balanceAfter: 40, createdAt: at(6) }
+];
+
+describe('replayLedger', () => {
+    test('sums entries and points at changes made outside the ledger', () => {
+        expect(replayLedger(manualProLedger)).toEqual({ ledgerBalance: 3, entries: 3, unexplained: ['e2'] });
+    });
+
+    test('does not take refunds below zero, like addCredits', () => {
+        const entries = [
+            { id: 'a', type: 'purchase', amount: 40, balanceAfter: 40, createdAt: at(0) },
+            { id: 'b', type: 'hold', amount: -35, balanceAfter: 5, createdAt: at(1) },
+            { id: 'c', type: 'refund', amount: -40, balanceAfter: 0, createdAt: at(2) }
+        ];
+        expect(replayLedger(entries)).toEqual({ ledgerBalance: 0, entries: 3, unexplained: [] });
+    });
+});
+
+describe('reconcileUser', () => {
+    test('reports the difference between the balance and the ledger', () => {
+        expect(reconcileUser('u1', 40, manualProLedger)).toMatchObject({ balance: 40, ledgerBalance: 3, difference: 37 });
+        expect(reconcileUser('u2', 2.75, [{ id: 'x', type: 'grant', amount: 2.75 }]).difference).toBe(0);
+    });
+});
+
+describe('createReconciler', () => {
+    // Just enough of Firestore for the reconciler: users, credits_ledger and transactions
+    const createFakeDb = (users, ledger) => {
+        const snapshotOf = (docs) => ({ docs: docs.map(([id, data]) => ({ id, exists: true, data: () => data })) });
+        const ledgerQuery = (userId) => ({
+            get: async () => snapshotOf(ledger.filter(entry => !userId || entry.userId === userId).map(entry => [entry.id, entry]))
+        });
+        const db = {
+            collection: (name) => ({
+                get: async () => (name === 'users' ? snapshotOf(Object.entries(users)) : ledgerQuery(null).get()),
+                where: (field, op, value) => ledgerQuery(value),
+                doc: (id = `new${ledger.length}`) => ({
+                    id,
+                    get: async () => ({ id, exists: Boolean(users[id]), data: () => users[id] })
+                })
+            }),
+            runTransaction: async (fn) => fn({
+                get: (refOrQuery) => refOrQuery.get(),
+                set: (ref, data) => ledger.push({ id: ref.id, ...data, createdAt: at(60) })
+            })
+        };
+        return db;
+    };
+    const FieldValue = { serverTimestamp: () => 'now' };
+
+    test('dry run reports without writing, apply writes one adjustment', async () => {
+        const ledger = [
+            ...manualProLedger.map(entry => ({ ...entry, userId: 'pro' })),
+            { id: 'f1', userId: 'free', type: 'grant', amount: 3, balanceAfter: 3, createdAt: at(0) },
+            { id: 'o1', userId: 'free', orgId: 'school', type: 'deduction', amount: -1, balanceAfter: 99, createdAt: at(1) }
+        ];
+        const reconciler = createReconciler({ db: createFakeDb({ pro: { credits_balance: 40 }, free: { credits_balance: 3 } }, ledger), FieldValue });
+
+        const dryRun = await reconciler.run();
+        expect(dryRun).toMatchObject({ dryRun: true, checked: 2, totalDifference: 37 });
+        expect(dryRun.mismatches.map(result => [result.userId, result.adjusted])).toEqual([['pro', null]]);
+        expect(ledger).toHaveLength(5);
+
+        const applied = await reconciler.run({ userId: 'pro', apply: true, runId: 'r1' });
+        expect(applied.mismatches[0].adjusted).toBe(37);
+        expect(ledger[5]).toMatchObject({ userId: 'pro', type: 'adjustment', amount: 37, balanceAfter: 40, idempotencyKey: 'adjustment_r1_pro' });
+
+        expect((await reconciler.run()).mismatches).toEqual([]);
+    });
+});
@@ -0,0 +1,73 @@
+// --- PRO CREDIT RENEWAL ---
+// Pro balances renew once per billing period. A period starts on the day of the
+// month the subscription started (the anchor) and lasts one month. At renewal,
+// unused credits above the rollover cap expire (an `expiry` ledger entry) and the
+// plan's credits are added (a `renewal` entry). Both are keyed by user and period
+// start, so running the job twice, or alongside a payment webhook, grants once.
+
+const DEFAULT_RENEWAL_INTERVAL_MS = 60 * 60 * 1000;
+
+// `date` moved by `months`, keeping the anchor's day where the month allows it
+// (an anchor on the 31st renews on the 30th in April and the 28th/29th in February)
+const addMonths = (date, months, day = date.getUTCDate()) => {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+};
+
+// Billing period containing `now` for a subscription anchored at `anchor`.
+// Returns { key: 'YYYY-MM-DD' of the start, start, end } with `end` exclusive.
+const billingPeriod = (anchor, now) => {
+    const day = anchor.getUTCDate();
+    const anchorDay = new Date(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth(), day));
+    let months = (now.getUTCFullYear() - anchorDay.getUTCFullYear()) * 12 + now.getUTCMonth() - anchorDay.getUTCMonth();
+    if (addMonths(anchorDay, months, day) > now) months--;
+    months = Math.max(0, months);
+
+    const start = addMonths(anchorDay, months, day);
+    return { key: start.toISOString().slice(0, 10), start, end: addMonths(anchorDay, months + 1, day) };
+};
+
+// Balance after a renewal: at most `rolloverCap` unused credits carry over
+// (Infinity keeps them all, 0 resets the balance) and `credits` are added.
+// Returns { carried, expired, granted, newBalance }.
+const settleRenewal = ({ balance, credits, rolloverCap }) => {
+    const unused = Math.max(0, balance);
+    const carried = Math.min(unused, Math.max(0, rolloverCap));
+    return { carried, expired: unused - carried, granted: credits, newBalance: carried + credits };
+};
+
+// Reads the cap from an env value: a number of credits, or 'unlimited'
+const parseRolloverCap = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    if (String(value).toLowerCase() === 'unlimited') return Infinity;
+    const cap = parseFloat(value);
+    return Number.isFinite(cap) && cap >= 0 ? cap : fallback;
+};
+
+// Renews every Pro user whose period ended.
+//   listDueUsers(now) → [userId]
+//   renewUser(userId, { now }) → { success, duplicate?, error? }
+const createRenewalJob = ({ listDueUsers, renewUser, now = () => Date.now() }) => ({
+    // `at` overrides the clock (tests and manual catch-up runs)
+    async run(at = new Date(now())) {
+        const summary = { renewed: 0, skipped: 0, failed: 0 };
+        for (const userId of await listDueUsers(at)) {
+            const result = await renewUser(userId, { now: at }).catch(error => ({ success: false, error: error.message }));
+            if (!result.success) summary.failed++;
+            else if (result.duplicate) summary.skipped++;
+            else summary.renewed++;
+        }
+        return summary;
+    }
+});
+
+module.exports = {
+    DEFAULT_RENEWAL_INTERVAL_MS,
+    addMonths,
+    billingPeriod,
+    settleRenewal,
+    parseRolloverCap,
+    createRenewalJob
+};
@@ -0,0 +1,55 @@
+const { billingPeriod, settleRenewal, parseRolloverCap, createRenewalJob } = require('./renewals');
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+describe('billingPeriod', () => {
+    test('starts on the anchor day of each month', () => {
+        const anchor = new Date('2026-01-15T18:30:00Z');
+
+        expect(billingPeriod(anchor, new Date('2026-01-20T00:00:00Z'))).toEqual({ key: '2026-01-15', start: day('2026-01-15'), end: day('2026-02-15') });
+        expect(billingPeriod(anchor, day('2026-02-15')).key).toBe('2026-02-15');
+        expect(billingPeriod(anchor, new Date('2026-03-14T23:59:59Z')).key).toBe('2026-02-15');
+        expect(billingPeriod(anchor, day('2027-01-16')).key).toBe('2027-01-15');
+    });
+
+    test('clamps anchors late in the month to shorter months', () => {
+        const anchor = day('2026-01-31');
+
+        expect(billingPeriod(anchor, day('2026-03-01'))).toEqual({ key: '2026-02-28', start: day('2026-02-28'), end: day('2026-03-31') });
+        expect(billingPeriod(anchor, day('2026-04-30')).key).toBe('2026-04-30');
+        expect(billingPeriod(anchor, day('2026-05-30')).key).toBe('2026-04-30');
+    });
+});
+
+describe('settleRenewal', () => {
+    test('expires credits above the rollover cap and adds the plan credits', () => {
+        expect(settleRenewal({ balance: 55, credits: 40, rolloverCap: 40 })).toEqual({ carried: 40, expired: 15, granted: 40, newBalance: 80 });
+        expect(settleRenewal({ balance: 12.5, credits: 40, rolloverCap: 0 })).toEqual({ carried: 0, expired: 12.5, granted: 40, newBalance: 40 });
+        expect(settleRenewal({ balance: 90, credits: 40, rolloverCap: Infinity })).toMatchObject({ expired: 0, newBalance: 130 });
+    });
+
+    test('reads the cap from the environment', () => {
+        expect(parseRolloverCap(undefined, 40)).toBe(40);
+        expect(parseRolloverCap('10', 40)).toBe(10);
+        expect(parseRolloverCap('unlimited', 40)).toBe(Infinity);
+        expect(parseRolloverCap('-3', 40)).toBe(40);
+    });
+});
+
+describe('createRenewalJob', () => {
+    test('renews each due user once per period', async () => {
+        const renewedPeriods = new Set();
+        const renewUser = async (userId, { now }) => {
+            if (userId === 'broken') throw new Error('boom');
+            const key = `${userId}_${billingPeriod(day('2026-01-10'), now).key}`;
+            if (renewedPeriods.has(key)) return { success: true, duplicate: true };
+            renewedPeriods.add(key);
+            return { success: true };
+        };
+        const job = createRenewalJob({ listDueUsers: async () => ['a', 'b', 'broken'], renewUser, now: () => day('2026-02-11').getTime() });
+
+        expect(await job.run()).toEqual({ renewed: 2, skipped: 0, failed: 1 });
+        expect(await job.run()).toEqual({ renewed: 0, skipped: 2, failed: 1 });
+        expect([...renewedPeriods]).toEqual(['a_2026-02-10', 'b_2026-02-10']);
+    });
+});
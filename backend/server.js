@@ -1,4 +1,5 @@
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 const express = require('express');
 const multer = require('multer');
@@ -7,15 +8,85 @@ const fs = require('fs');
 const fsPromises = require('fs').promises; // Use promises for async safety
 const pdf = require('pdf-parse');
 const mammoth = require('mammoth');
-const axios = require('axios');
 const Tesseract = require('tesseract.js');
+const { createAIProviderFromEnv } = require('./ai-providers');
+const { StudyPlanSchema, REGENERABLE_SECTIONS, generateStudyPlan, regenerateSection } = require('./generation');
+const { createJobStore } = require('./jobs');
+const { parseGenerationOptions } = require('./plan-options');
+const { HOLD_STATUS, createCreditHolds } = require('./credit-holds');
+const { getPricing, roundCredits, pricingRecord, priceOperation, planCredits } = require('./pricing');
+const { createReconciler } = require('./reconcile');
+const { normalizeCode, parsePromoCode, checkRedemption, parseTransfer } = require('./credit-gifts');
+const {
+    INVITE_TTL_MS,
+    canManage,
+    createInviteToken,
+    memberAllowance,
+    addUsage,
+    checkMemberSpend,
+    parseOrganization,
+    parseInvite,
+    parseMemberUpdate
+} = require('./organizations');
+const { parseLedgerQuery, formatEntry, selectLedgerPage, toCsv } = require('./ledger-history');
+const { DEFAULT_RENEWAL_INTERVAL_MS, billingPeriod, settleRenewal, parseRolloverCap, createRenewalJob } = require('./renewals');
+const { parseGraceDays, applyEvent, hasProAccess, planFor, isManageable, canChangeInterval, parseIntervalChange, describeSubscription } = require('./subscriptions');
+const { createPaymentProvidersFromEnv } = require('./payment-providers');
+const { createMemoryFirestore } = require('./memory-firestore');
+const { FAILURE_STATUS, createWebhookFailures } = require('./webhook-failures');
+const { parseTaxRate, parseBillingDetails, formatInvoice, createInvoices, renderInvoicePdf } = require('./invoices');
+const { fingerprintUpload, personalizePlan, createPlanCache, createMemoryCacheStore, createFirestoreCacheStore } = require('./plan-cache');
+const {
+    createStorageFromEnv,
+    saveGenerationSource,
+    loadGenerationSource,
+    deleteGenerationSource,
+    deleteUserSources
+} = require('./storage');
+const {
+    detectFormat,
+    htmlToText,
+    extractMarkdown,
+    extractPptx,
+    extractOdt,
+    extractEpub
+} = require('./extractors');
+const { needsOcr, extractPdfWithOcr, DEFAULT_LOW_CONFIDENCE, DEFAULT_MAX_OCR_PAGES } = require('./pdf-ocr');
+const {
+    LANGUAGES,
+    AUTO_LANGUAGE,
+    detectLanguage,
+    resolveOutputLanguage,
+    isSupportedPreference,
+    languageName,
+    isOcrModelCached,
+    createOcrReader
+} = require('./languages');
 
 // --- 1. CONFIGURATION & VALIDATION ---
-if (!process.env.PERPLEXITY_API_KEY) {
-    console.error("CRITICAL ERROR: process.env.PERPLEXITY_API_KEY is missing.");
-    process.exit(1);
+// AI_PROVIDER selects perplexity | openai | mock (see ai-providers.js). Throws in
+// production when none is configured, so the server doesn't start serving mock plans.
+const aiProvider = createAIProviderFromEnv();
+if (aiProvider.name === 'mock') {
+    console.warn(process.env.AI_PROVIDER === 'mock'
+        ? "⚠️ AI_PROVIDER=mock: using the offline mock provider."
+        : "⚠️ No AI provider configured (AI_PROVIDER / PERPLEXITY_API_KEY). Using the offline mock provider.");
+} else {
+    console.log(`🤖 AI provider: ${aiProvider.name} (${aiProvider.model})`);
 }
 
+// Scanned PDFs: pages rendered for OCR per file, and the confidence below which a page is flagged
+const PDF_OCR_MAX_PAGES = parseInt(process.env.PDF_OCR_MAX_PAGES, 10) || DEFAULT_MAX_OCR_PAGES;
+const OCR_LOW_CONFIDENCE = parseInt(process.env.OCR_LOW_CONFIDENCE, 10) || DEFAULT_LOW_CONFIDENCE;
+// Local Tesseract model cache: put ita.traineddata, spa.traineddata, ... here to OCR those languages
+const OCR_CACHE_DIR = process.env.OCR_CACHE_DIR || path.join(__dirname, 'tessdata');
+fs.mkdirSync(OCR_CACHE_DIR, { recursive: true });
+
+// Source text (and optionally the uploaded file) of each generation: STORAGE_BACKEND=local | s3 (see storage.js)
+const sourceStorage = createStorageFromEnv();
+const STORE_ORIGINAL_FILES = process.env.STORE_ORIGINAL_FILES === 'true';
+console.log(`🗄️ Source storage: ${sourceStorage.name}${STORE_ORIGINAL_FILES ? ' (with original files)' : ''}`);
+
 const app = express();
 
 // --- 2. SECURITY & LIMITS ---
@@ -29,16 +100,6 @@ const ALLOWED_ORIGINS = [
     'https://gostudy-test.vercel.app'
 ];
 
-// Supported image MIME types for OCR
-const IMAGE_MIMETYPES = [
-    'image/png',
-    'image/jpeg',
-    'image/jpg',
-    'image/webp',
-    'image/gif',
-    'image/bmp'
-];
-
 app.use(cors({
     origin: (origin, callback) => {
         // Allow requests with no origin (like mobile apps or curl requests)
@@ -48,46 +109,16 @@ app.use(cors({
             return callback(new Error(msg), false);
         }
         return callback(null, true);
+    },
+    // Cache details of /api/generate-plan, readable by the dashboard
+    exposedHeaders: ['X-Plan-Cache', 'X-Credits-Charged']
+}));
+// Webhook signatures (Stripe) are computed over the exact bytes received, so keep them
+app.use(express.json({
+    verify: (req, res, buf) => {
+        if (req.originalUrl.endsWith('/webhook')) req.rawBody = buf.toString('utf8');
     }
 }));
-app.use(express.json());
-
-// --- ZOD VALIDATION SCHEMAS ---
-const { z } = require('zod');
-
-const StudyPlanSchema = z.object({
-    summary: z.string().max(10000, "Summary too long"),
-    learning_objectives: z.array(z.string()).min(3).max(5).optional(),
-    memory_palace: z.string().max(5000, "Memory palace too long"),
-    worked_examples: z.array(z.object({
-        subtopic: z.string().optional(),
-        given_data: z.string(),
-        step_by_step_reasoning: z.array(z.string()),
-        final_result: z.string()
-    })).optional(),
-    common_mistakes: z.array(z.object({
-        mistake: z.string(),
-        explanation: z.string()
-    })).optional(),
-    active_recall: z.array(z.object({
-        question: z.string().max(500),
-        answer: z.string().max(2000),
-        difficulty_rating: z.union([z.number().min(1).max(5), z.string()]).optional(),
-        level: z.number().min(1).max(3).optional(),
-        type: z.enum(["multiple_choice", "short_answer"]).optional(),
-        options: z.array(z.string()).optional(),
-        related_concept: z.string().optional()
-    })).max(50, "Too many questions"),
-    spaced_repetition: z.array(z.object({
-        day: z.string(),
-        topic: z.string().max(200),
-        hint: z.string().nullable().optional()
-    })).max(20),
-    concept_map: z.object({
-        main_topic: z.string().max(200),
-        subtopics: z.array(z.string().max(200)).max(20)
-    })
-});
 
 // --- CONFIG ENDPOINT (SECURELY SERVE PUBLIC KEYS) ---
 app.get('/api/config/auth', (req, res) => {
@@ -129,7 +160,12 @@ if (process.env.FIREBASE_SERVICE_ACCOUNT) {
     }
 }
 
-const db = admin.apps.length ? admin.firestore() : null;
+// FIRESTORE_BACKEND=memory keeps data in memory instead (offline tests and local dev, see memory-firestore.js)
+const db = process.env.FIRESTORE_BACKEND === 'memory'
+    ? createMemoryFirestore({ FieldValue: admin.firestore.FieldValue, Timestamp: admin.firestore.Timestamp })
+    : admin.apps.length ? admin.firestore() : null;
+app.locals.db = db;
+app.locals.aiProvider = aiProvider;
 
 // Middleware to verify Firebase ID Token
 const authenticate = async (req, res, next) => {
@@ -149,12 +185,33 @@ const authenticate = async (req, res, next) => {
     }
 };
 
+// Admin-only routes (use after authenticate): Firebase users with the `admin` custom claim
+// or listed in ADMIN_UIDS (comma separated)
+const ADMIN_UIDS = (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+const requireAdmin = (req, res, next) => {
+    if (req.user?.admin === true || ADMIN_UIDS.includes(req.user?.uid)) return next();
+    res.status(403).json({ error: 'Forbidden', message: 'Admin access required.' });
+};
+
 // Limit upload size to 5MB to prevent memory exhaustion
 const upload = multer({ 
     dest: '/tmp/',
     limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
+// Up to 10 files per plan: `documents` (multi-file) and/or the legacy single `document` field
+const MAX_UPLOAD_FILES = 10;
+const uploadDocuments = upload.fields([
+    { name: 'document', maxCount: 1 },
+    { name: 'documents', maxCount: MAX_UPLOAD_FILES }
+]);
+
+// Flattens multer's field map into one list of files, in upload order
+const collectUploadedFiles = (req) => [
+    ...(req.files?.document || []),
+    ...(req.files?.documents || [])
+].slice(0, MAX_UPLOAD_FILES);
+
 // --- 3. HELPER FUNCTIONS ---
 
 // Safely delete file without crashing if it's already gone
@@ -168,28 +225,58 @@ const safeDelete = async (path) => {
 };
 
 // Robust text extraction with guaranteed cleanup
-const extractText = async (file) => {
+// `onOcrProgress(fraction)` is called while images or scanned pages go through OCR,
+// `onOcrPages(scan)` receives the per-page confidence of a scanned PDF,
+// `readImage` is the OCR reader (shared across the files of one upload so they agree on the language)
+const extractText = async (file, { onOcrProgress = () => {}, onOcrPages = () => {}, readImage = createImageReader() } = {}) => {
     const filePath = file.path;
     let extractedText = '';
     
     try {
         const buffer = await fsPromises.readFile(filePath);
+        const format = detectFormat(file);
 
-        if (file.mimetype === 'application/pdf') {
+        if (format === 'pdf') {
             const data = await pdf(buffer);
             extractedText = data.text;
-        } else if (file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+
+            // Scanned PDF: render the pages without a text layer and OCR them
+            if (needsOcr(extractedText)) {
+                console.log(`📷 No text layer in ${file.originalname}, running OCR on its pages`);
+                const scan = await extractPdfWithOcr(buffer, {
+                    recognize: readImage,
+                    onProgress: onOcrProgress,
+                    maxOcrPages: PDF_OCR_MAX_PAGES,
+                    lowConfidence: OCR_LOW_CONFIDENCE
+                });
+                extractedText = scan.text;
+                onOcrPages(scan);
+                console.log(`✅ OCR completed for ${scan.pages.filter(p => p.ocr).length}/${scan.pageCount} page(s).`);
+            }
+        } else if (format === 'docx') {
             const result = await mammoth.extractRawText({ path: filePath });
             extractedText = result.value;
-        } else if (file.mimetype === 'text/plain') {
+        } else if (format === 'text') {
             extractedText = buffer.toString('utf-8');
-        } else if (IMAGE_MIMETYPES.includes(file.mimetype)) {
+        } else if (format === 'markdown') {
+            extractedText = extractMarkdown(buffer.toString('utf-8'));
+        } else if (format === 'html') {
+            extractedText = htmlToText(buffer.toString('utf-8'));
+        } else if (format === 'pptx') {
+            // Slide numbers, titles, bullets and speaker notes
+            extractedText = await extractPptx(buffer);
+        } else if (format === 'epub') {
+            // Chapters in reading order, headings preserved
+            extractedText = await extractEpub(buffer);
+        } else if (format === 'odt') {
+            extractedText = await extractOdt(buffer);
+        } else if (format === 'image') {
             // OCR extraction for image files using Tesseract.js
             console.log(`📷 Starting OCR extraction for image: ${file.originalname}`);
-            extractedText = await extractTextFromImage(filePath);
+            extractedText = await extractTextFromImage(filePath, onOcrProgress, readImage);
             console.log(`✅ OCR completed. Extracted ${extractedText.length} characters.`);
         } else {
-            throw new Error('Unsupported file type. Must be PDF, DOCX, TXT, or an image (PNG, JPG, WEBP).');
+            throw new Error('Unsupported file type. Must be PDF, DOCX, PPTX, ODT, EPUB, TXT, Markdown, HTML, or an image (PNG, JPG, WEBP).');
         }
         
         return extractedText;
@@ -199,20 +286,35 @@ const extractText = async (file) => {
     }
 };
 
-// OCR text extraction from images using Tesseract.js
-const extractTextFromImage = async (filePath) => {
-    try {
-        const { data: { text } } = await Tesseract.recognize(
-            filePath,
-            'eng', // English language model
-            {
-                logger: m => {
-                    if (m.status === 'recognizing text') {
-                        console.log(`OCR Progress: ${Math.round((m.progress || 0) * 100)}%`);
-                    }
+// Runs Tesseract on an image path or buffer with the given model ('eng', 'ita', ...);
+// resolves to { text, confidence } (0-100)
+const recognizeImage = async (image, model, onProgress = () => {}) => {
+    const { data: { text, confidence } } = await Tesseract.recognize(
+        image,
+        model,
+        {
+            cachePath: OCR_CACHE_DIR,
+            logger: m => {
+                if (m.status === 'recognizing text') {
+                    console.log(`OCR Progress: ${Math.round((m.progress || 0) * 100)}%`);
+                    onProgress(m.progress || 0);
                 }
             }
-        );
+        }
+    );
+    return { text: (text || '').trim(), confidence };
+};
+
+// Picks the OCR model from the language of the first readable page (see languages.js)
+const createImageReader = () => createOcrReader({
+    recognize: recognizeImage,
+    isAvailable: (model) => isOcrModelCached(OCR_CACHE_DIR, model)
+});
+
+// OCR text extraction from images using Tesseract.js
+const extractTextFromImage = async (filePath, onProgress = () => {}, readImage = createImageReader()) => {
+    try {
+        const { text } = await readImage(filePath, onProgress);
         
         if (!text || text.trim().length === 0) {
             throw new Error('No text could be extracted from the image. Please ensure the image contains readable text.');
@@ -241,77 +343,23 @@ const savePlanToFile = async (userId, generationId, studyPlan) => {
 
 // --- 4. PRODUCTION-SAFE CREDITS SYSTEM ---
 
-// Plan credits configuration
+// Plan credits configuration (free: lifetime credits, pro: per month), from the pricing table
 const PLAN_CREDITS = {
-    free: 3,    // 3 LIFETIME credits for free users (not monthly)
-    pro: 40     // 40 credits per month for Pro users
+    free: planCredits('free'),
+    pro: planCredits('pro')
 };
 
-// PayPal API Configuration
-const PAYPAL_CONFIG = {
-    clientId: process.env.PAYPAL_CLIENT_ID,
-    clientSecret: process.env.PAYPAL_CLIENT_SECRET,
-    webhookId: process.env.PAYPAL_WEBHOOK_ID,
-    apiBase: process.env.NODE_ENV === 'production' 
-        ? 'https://api-m.paypal.com' 
-        : 'https://api-m.sandbox.paypal.com'
-};
+// Payment providers by name (see payment-providers.js): PayPal always, Stripe when configured
+const paymentProviders = createPaymentProvidersFromEnv(process.env);
 
-// Get PayPal access token for API calls
-const getPayPalAccessToken = async () => {
-    const auth = Buffer.from(`${PAYPAL_CONFIG.clientId}:${PAYPAL_CONFIG.clientSecret}`).toString('base64');
-    
-    const response = await axios.post(
-        `${PAYPAL_CONFIG.apiBase}/v1/oauth2/token`,
-        'grant_type=client_credentials',
-        {
-            headers: {
-                'Authorization': `Basic ${auth}`,
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
-        }
-    );
-    
-    return response.data.access_token;
-};
+// Subscription a user is billed through (users from before Stripe only have paypalSubscriptionId)
+const subscriptionIdOfUser = (userData) => userData.subscriptionId || userData.paypalSubscriptionId || null;
 
-// Verify PayPal webhook signature
-const verifyPayPalWebhook = async (headers, body) => {
-    if (!PAYPAL_CONFIG.clientId || !PAYPAL_CONFIG.webhookId) {
-        console.error('⚠️ PayPal credentials not configured. Webhook verification FAILED.');
-        return false;
-    }
-    
-    try {
-        const accessToken = await getPayPalAccessToken();
-        
-        const verifyPayload = {
-            auth_algo: headers['paypal-auth-algo'],
-            cert_url: headers['paypal-cert-url'],
-            transmission_id: headers['paypal-transmission-id'],
-            transmission_sig: headers['paypal-transmission-sig'],
-            transmission_time: headers['paypal-transmission-time'],
-            webhook_id: PAYPAL_CONFIG.webhookId,
-            webhook_event: body
-        };
-        
-        const response = await axios.post(
-            `${PAYPAL_CONFIG.apiBase}/v1/notifications/verify-webhook-signature`,
-            verifyPayload,
-            {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-        
-        return response.data.verification_status === 'SUCCESS';
-    } catch (error) {
-        console.error('PayPal webhook verification failed:', error.message);
-        return false;
-    }
-};
+// Ledger fields linking an entry to the provider event behind it
+const billingEventFields = (event) => ({
+    paypalEventId: event?.provider === 'paypal' ? event.id : null,
+    ...(event?.provider === 'stripe' ? { stripeEventId: event.id } : {})
+});
 
 // Check if webhook event was already processed (idempotency)
 const isWebhookProcessed = async (eventId) => {
@@ -321,15 +369,22 @@ const isWebhookProcessed = async (eventId) => {
     return doc.exists;
 };
 
-// Mark webhook event as processed
-const markWebhookProcessed = async (eventId, eventType) => {
+// Mark webhook event as processed. Inside `transaction` the marker commits together
+// with the event's other writes, so an event is either fully applied and marked or neither.
+const markWebhookProcessed = async (eventId, eventType, transaction = null) => {
     if (!db) return;
     
-    await db.collection('processed_webhooks').doc(eventId).set({
+    const ref = db.collection('processed_webhooks').doc(eventId);
+    const marker = {
         eventId,
         eventType,
         processedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    };
+    if (transaction) {
+        transaction.set(ref, marker);
+    } else {
+        await ref.set(marker);
+    }
 };
 
 // Get user's credits balance (with auto-initialization)
@@ -344,7 +399,7 @@ const getCreditsBalance = async (userId) => {
         const newUserData = {
             plan: 'free',
             credits_balance: PLAN_CREDITS.free,
-            paypalSubscriptionId: null,
+            subscriptionId: null,
             createdAt: admin.firestore.FieldValue.serverTimestamp()
         };
         await userRef.set(newUserData);
@@ -357,6 +412,7 @@ const getCreditsBalance = async (userId) => {
             description: 'Initial free plan credits',
             idempotencyKey: `init_${userId}`,
             paypalEventId: null,
+            pricing: pricingRecord({ plan: 'free' }),
             createdAt: admin.firestore.FieldValue.serverTimestamp()
         });
         
@@ -365,27 +421,61 @@ const getCreditsBalance = async (userId) => {
     
     const userData = userDoc.data();
 
-    // Fix for manual plan changes in Firebase Console
-    // If admin sets plan='pro' manually, balance remains at 3 (free). This fixes it to 40.
-    if (userData.plan === 'pro' && !userData.paypalSubscriptionId && !userData.manualProCreditsGranted) {
-        const newBalance = PLAN_CREDITS.pro;
-        
-        // Update DB
-        await userRef.update({
-            credits_balance: newBalance,
-            manualProCreditsGranted: true
-        });
-        
-        console.log(`🔧 Auto-corrected credits for manual Pro user ${userId} to ${newBalance}`);
-        
-        return { ...userData, credits_balance: newBalance, manualProCreditsGranted: true, id: userId };
+    // Pro set by hand (e.g. in the Firebase Console) has no billing period yet. Start one now
+    // through the ledger-backed renewal instead of overwriting the balance. Subscribers
+    // wait for their first payment instead.
+    if (userData.plan === 'pro' && !userData.creditsPeriod && !subscriptionIdOfUser(userData)) {
+        const renewal = await renewProCredits(userId, { reason: 'plan set to Pro' });
+        if (renewal.success && !renewal.duplicate) {
+            console.log(`🔧 Started a billing period for Pro user ${userId}`);
+            return { ...userData, credits_balance: renewal.newBalance, creditsPeriod: renewal.period, id: userId };
+        }
+    }
+
+    // Organization members spend from the pool, up to what is left of their monthly cap
+    if (userData.orgId) {
+        const organization = await getMemberOrganization(userId, userData.orgId);
+        if (organization) {
+            return {
+                ...userData,
+                plan: 'institution',
+                personalPlan: userData.plan,
+                credits_balance: Math.min(organization.credits_balance, organization.allowance.remaining),
+                organization,
+                id: userId
+            };
+        }
     }
 
     return { ...userData, id: userId };
 };
 
+// Pool, role and monthly allowance of a member, or null when the membership is gone
+const getMemberOrganization = async (userId, orgId) => {
+    const orgRef = db.collection('organizations').doc(orgId);
+    const [orgDoc, memberDoc] = await Promise.all([orgRef.get(), orgRef.collection('members').doc(userId).get()]);
+    if (!orgDoc.exists || !memberDoc.exists) return null;
+
+    const org = orgDoc.data();
+    return {
+        id: orgId,
+        name: org.name,
+        role: memberDoc.data().role,
+        credits_balance: org.credits_balance || 0,
+        allowance: memberAllowance(memberDoc.data(), org)
+    };
+};
+
+// Ledger entries with an idempotency key live at a document id derived from it, so the
+// transaction writing one can check that it doesn't exist yet (parallel requests with the
+// same key see each other). Older entries have random ids: those are found by query.
+const ledgerEntryRef = (idempotencyKey) => db.collection('credits_ledger').doc(encodeURIComponent(idempotencyKey));
+
 // Deduct credits atomically with transaction (returns success/failure)
-const deductCredits = async (userId, amount, description, idempotencyKey = null) => {
+// `type` is 'deduction', or 'hold' for credits reserved by creditHolds (see credit-holds.js).
+// `pricing` explains the amount (see pricing.js); entries without one record the current version.
+// Members of an organization spend from its pool within their monthly cap; the entry records the `orgId`.
+const deductCredits = async (userId, amount, description, idempotencyKey = null, type = 'deduction', pricing = null) => {
     if (!db) return { success: false, error: 'Database not initialized' };
     
     // Check idempotency first (only if key is provided)
@@ -402,15 +492,58 @@ const deductCredits = async (userId, amount, description, idempotencyKey = null)
     }
     
     const userRef = db.collection('users').doc(userId);
+    const entryRef = idempotencyKey ? ledgerEntryRef(idempotencyKey) : db.collection('credits_ledger').doc();
     
     try {
         const result = await db.runTransaction(async (transaction) => {
-            const userDoc = await transaction.get(userRef);
+            const [userDoc, entryDoc] = await Promise.all([
+                transaction.get(userRef),
+                idempotencyKey ? transaction.get(entryRef) : null
+            ]);
+            // A parallel request with the same key got there first
+            if (entryDoc?.exists) return { duplicate: true };
             
             if (!userDoc.exists) {
                 throw new Error('User not found');
             }
             
+            // Add ledger entry within same transaction
+            const writeEntry = (newBalance, orgId = null) => transaction.set(entryRef, {
+                userId,
+                amount: -amount,
+                type,
+                description,
+                idempotencyKey,
+                paypalEventId: null,
+                balanceAfter: newBalance,
+                pricing: pricing || pricingRecord(),
+                ...(orgId ? { orgId } : {}),
+                // Holds stay 'held' until they are captured or released
+                ...(type === 'hold' ? { status: HOLD_STATUS.HELD } : {}),
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            const orgId = userDoc.data().orgId || null;
+            if (orgId) {
+                const orgRef = db.collection('organizations').doc(orgId);
+                const memberRef = orgRef.collection('members').doc(userId);
+                const [orgDoc, memberDoc] = await Promise.all([transaction.get(orgRef), transaction.get(memberRef)]);
+                if (!orgDoc.exists || !memberDoc.exists) {
+                    throw new Error('Organization membership not found');
+                }
+
+                const spendError = checkMemberSpend(memberDoc.data(), orgDoc.data(), amount);
+                if (spendError) {
+                    throw new Error(spendError);
+                }
+
+                const newBalance = orgDoc.data().credits_balance - amount;
+                transaction.update(orgRef, { credits_balance: newBalance });
+                transaction.update(memberRef, { usage: addUsage(memberDoc.data(), amount) });
+                writeEntry(newBalance, orgId);
+                return { newBalance, orgId };
+            }
+
             const currentBalance = userDoc.data().credits_balance || 0;
             
             if (currentBalance < amount) {
@@ -421,25 +554,18 @@ const deductCredits = async (userId, amount, description, idempotencyKey = null)
             
             // Update balance atomically
             transaction.update(userRef, { credits_balance: newBalance });
+            writeEntry(newBalance);
             
-            // Add ledger entry within same transaction
-            const ledgerRef = db.collection('credits_ledger').doc();
-            transaction.set(ledgerRef, {
-                userId,
-                amount: -amount,
-                type: 'deduction',
-                description,
-                idempotencyKey,
-                paypalEventId: null,
-                balanceAfter: newBalance,
-                createdAt: admin.firestore.FieldValue.serverTimestamp()
-            });
-            
-            return { newBalance };
+            return { newBalance, orgId: null };
         });
         
-        console.log(`💳 Deducted ${amount} credit(s) from user ${userId}. New balance: ${result.newBalance}`);
-        return { success: true, newBalance: result.newBalance };
+        if (result.duplicate) {
+            console.log(`⚠️ Duplicate deduction attempt: ${idempotencyKey}`);
+            return { success: true, duplicate: true };
+        }
+
+        console.log(`💳 Deducted ${amount} credit(s) from ${result.orgId ? `organization ${result.orgId} for ` : ''}user ${userId}. New balance: ${result.newBalance}`);
+        return { success: true, newBalance: result.newBalance, orgId: result.orgId };
         
     } catch (error) {
         console.error(`Failed to deduct credits for ${userId}:`, error.message);
@@ -448,7 +574,9 @@ const deductCredits = async (userId, amount, description, idempotencyKey = null)
 };
 
 // Add credits atomically (for purchases, refunds, grants)
-const addCredits = async (userId, amount, type, description, idempotencyKey, paypalEventId = null) => {
+// With `orgId` the credits go to that organization's pool; `userId` (optional) is the member
+// they are returned for, whose monthly usage goes down by the same amount.
+const addCredits = async (userId, amount, type, description, idempotencyKey, paypalEventId = null, pricing = null, orgId = null) => {
     if (!db) return { success: false, error: 'Database not initialized' };
     
     // Check idempotency first
@@ -462,11 +590,16 @@ const addCredits = async (userId, amount, type, description, idempotencyKey, pay
         return { success: true, duplicate: true };
     }
     
+    if (orgId) return addOrgCredits(orgId, userId, amount, type, description, idempotencyKey, pricing);
+
     const userRef = db.collection('users').doc(userId);
+    const entryRef = idempotencyKey ? ledgerEntryRef(idempotencyKey) : db.collection('credits_ledger').doc();
     
     try {
         const result = await db.runTransaction(async (transaction) => {
-            const userDoc = await transaction.get(userRef);
+            const [userDoc, entryDoc] = await Promise.all([transaction.get(userRef), transaction.get(entryRef)]);
+            // A parallel request with the same key got there first
+            if (entryDoc.exists) return { duplicate: true };
             
             let currentBalance = 0;
             let currentPlan = 'free';
@@ -488,14 +621,13 @@ const addCredits = async (userId, amount, type, description, idempotencyKey, pay
                 transaction.set(userRef, {
                     plan: type === 'purchase' ? 'pro' : 'free',
                     credits_balance: newBalance,
-                    paypalSubscriptionId: null,
+                    subscriptionId: null,
                     createdAt: admin.firestore.FieldValue.serverTimestamp()
                 });
             }
             
             // Add ledger entry
-            const ledgerRef = db.collection('credits_ledger').doc();
-            transaction.set(ledgerRef, {
+            transaction.set(entryRef, {
                 userId,
                 amount,
                 type,
@@ -503,12 +635,18 @@ const addCredits = async (userId, amount, type, description, idempotencyKey, pay
                 idempotencyKey,
                 paypalEventId,
                 balanceAfter: newBalance,
+                pricing: pricing || pricingRecord(),
                 createdAt: admin.firestore.FieldValue.serverTimestamp()
             });
             
             return { newBalance };
         });
         
+        if (result.duplicate) {
+            console.log(`⚠️ Duplicate credit addition attempt: ${idempotencyKey}`);
+            return { success: true, duplicate: true };
+        }
+
         console.log(`💰 Added ${amount} credit(s) to user ${userId} (${type}). New balance: ${result.newBalance}`);
         return { success: true, newBalance: result.newBalance };
         
@@ -518,6 +656,499 @@ const addCredits = async (userId, amount, type, description, idempotencyKey, pay
     }
 };
 
+// addCredits into an organization's pool (see addCredits)
+const addOrgCredits = async (orgId, userId, amount, type, description, idempotencyKey, pricing) => {
+    const orgRef = db.collection('organizations').doc(orgId);
+    const memberRef = userId ? orgRef.collection('members').doc(userId) : null;
+    const entryRef = idempotencyKey ? ledgerEntryRef(idempotencyKey) : db.collection('credits_ledger').doc();
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const [orgDoc, memberDoc, entryDoc] = await Promise.all([
+                transaction.get(orgRef),
+                memberRef ? transaction.get(memberRef) : null,
+                transaction.get(entryRef)
+            ]);
+            if (entryDoc.exists) return { duplicate: true };
+            if (!orgDoc.exists) {
+                throw new Error('Organization not found');
+            }
+
+            const newBalance = Math.max(0, (orgDoc.data().credits_balance || 0) + amount);
+            transaction.update(orgRef, { credits_balance: newBalance });
+            if (memberDoc?.exists && amount > 0) {
+                transaction.update(memberRef, { usage: addUsage(memberDoc.data(), -amount) });
+            }
+
+            transaction.set(entryRef, {
+                userId: userId || null,
+                orgId,
+                amount,
+                type,
+                description,
+                idempotencyKey,
+                paypalEventId: null,
+                balanceAfter: newBalance,
+                pricing: pricing || pricingRecord(),
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { newBalance };
+        });
+
+        if (result.duplicate) {
+            console.log(`⚠️ Duplicate credit addition attempt: ${idempotencyKey}`);
+            return { success: true, duplicate: true };
+        }
+
+        console.log(`💰 Added ${amount} credit(s) to organization ${orgId} (${type}). New balance: ${result.newBalance}`);
+        return { success: true, newBalance: result.newBalance };
+    } catch (error) {
+        console.error(`Failed to add credits for organization ${orgId}:`, error.message);
+        return { success: false, error: error.message };
+    }
+};
+
+// The credits_ledger entry written under `idempotencyKey`, or null
+const findLedgerEntry = async (idempotencyKey) => {
+    const snapshot = await db.collection('credits_ledger')
+        .where('idempotencyKey', '==', idempotencyKey)
+        .limit(1)
+        .get();
+    return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+};
+
+// Hold entries of credits_ledger, for creditHolds
+const holdLedger = {
+    findHold: findLedgerEntry,
+    updateHold: (id, fields) => db.collection('credits_ledger').doc(id).update(fields),
+    // Filters the date in memory to avoid a composite index on status + createdAt
+    listOpenHolds: async (createdBefore) => {
+        const snapshot = await db.collection('credits_ledger').where('status', '==', HOLD_STATUS.HELD).get();
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(hold => hold.createdAt?.toDate && hold.createdAt.toDate() < createdBefore);
+    }
+};
+
+// Reserve → capture / release around AI calls, so a failed call gives the credits back
+const creditHolds = createCreditHolds({ deductCredits, addCredits, ledger: holdLedger });
+
+// Holds left open by a crash or restart are returned after CREDIT_HOLD_TIMEOUT_MINUTES
+const CREDIT_HOLD_TIMEOUT_MS = (parseInt(process.env.CREDIT_HOLD_TIMEOUT_MINUTES, 10) || 30) * 60 * 1000;
+if (db) {
+    setInterval(() => {
+        creditHolds.releaseExpired(CREDIT_HOLD_TIMEOUT_MS)
+            .then(count => count && console.log(`↩️ Released ${count} expired credit hold(s)`))
+            .catch(err => console.warn('Failed to release expired credit holds:', err.message));
+    }, 10 * 60 * 1000).unref();
+}
+
+// --- PRO RENEWALS ---
+// Unused Pro credits above PRO_ROLLOVER_CAP expire when a billing period starts
+// (0 resets the balance every period, 'unlimited' keeps everything)
+const PRO_ROLLOVER_CAP = parseRolloverCap(process.env.PRO_ROLLOVER_CAP, PLAN_CREDITS.pro);
+
+// Firestore Timestamp, Date or ISO string → Date
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// Writes the `expiry` and `renewal` ledger entries of the billing period containing `now`
+// in `transaction`, at most once per period. Returns { duplicate: true, period } or
+// { ...settled, period, fields } where `fields` is what the caller writes on the user.
+// `billingEvent` is the provider payment event that triggered it, if any; `anchor` is
+// the subscription's billing anchor when a payment pays for the period, and `paidUntil`
+// the end of what that payment paid for (a year for yearly billing).
+const writeRenewal = (transaction, userId, userData, { now, billingEvent = null, reason, anchor: billingAnchor, paidUntil = null }) => {
+    // A new subscription (the user was not Pro) starts a new billing cycle today
+    const anchor = billingAnchor || (userData.plan === 'pro' && toDate(userData.billingAnchor)) || now;
+    const period = billingPeriod(anchor, now);
+
+    if (userData.creditsPeriod === period.key) {
+        return { duplicate: true, period: period.key };
+    }
+
+    const settled = settleRenewal({
+        balance: userData.credits_balance || 0,
+        credits: PLAN_CREDITS.pro,
+        rolloverCap: PRO_ROLLOVER_CAP
+    });
+    const pricing = pricingRecord({ plan: 'pro', period: period.key });
+    const entry = (key, fields) => transaction.set(db.collection('credits_ledger').doc(key), {
+        userId,
+        idempotencyKey: key,
+        ...billingEventFields(billingEvent),
+        pricing,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...fields
+    });
+
+    if (settled.expired > 0) {
+        entry(`expiry_${userId}_${period.key}`, {
+            amount: -settled.expired,
+            type: 'expiry',
+            description: `Expired unused Pro credits (rollover cap ${PRO_ROLLOVER_CAP})`,
+            balanceAfter: settled.carried
+        });
+    }
+    entry(`renewal_${userId}_${period.key}`, {
+        amount: settled.granted,
+        type: 'renewal',
+        description: `Pro credits for the period starting ${period.key} (${reason})`,
+        balanceAfter: settled.newBalance,
+        // The payment this grant is for, so a refund of it can reverse it (see refundPayment)
+        ...(billingEvent?.type === 'payment.completed' && billingEvent.payment
+            ? { paymentId: billingEvent.payment.id, paymentAmount: billingEvent.payment.amount, paidUntil }
+            : {})
+    });
+
+    const fields = {
+        plan: 'pro',
+        credits_balance: settled.newBalance,
+        billingAnchor: anchor,
+        creditsPeriod: period.key,
+        creditsPeriodEnd: period.end
+    };
+    return { ...settled, period: period.key, fields };
+};
+
+const logRenewal = (userId, result) => {
+    console.log(`🔄 Renewed Pro credits for user ${userId} (${result.period}): +${result.granted}, expired ${result.expired}. New balance: ${result.newBalance}`);
+};
+
+// Renews a Pro balance for the billing period containing `now` (see writeRenewal):
+// the ledger entries and the balance in one transaction.
+const renewProCredits = async (userId, { now = new Date(), billingEvent = null, reason = 'scheduled', anchor = null } = {}) => {
+    if (!db) return { success: false, error: 'Database not initialized' };
+
+    const userRef = db.collection('users').doc(userId);
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            const renewal = writeRenewal(transaction, userId, userDoc.exists ? userDoc.data() : {}, { now, billingEvent, reason, anchor });
+            if (renewal.duplicate) return renewal;
+
+            if (userDoc.exists) {
+                transaction.update(userRef, renewal.fields);
+            } else {
+                transaction.set(userRef, { ...renewal.fields, subscriptionId: null, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+            }
+            return renewal;
+        });
+
+        if (result.duplicate) return { success: true, ...result };
+        logRenewal(userId, result);
+        return { success: true, ...result };
+    } catch (error) {
+        console.error(`Failed to renew credits for ${userId}:`, error.message);
+        return { success: false, error: error.message };
+    }
+};
+
+// Filters the period end in memory to avoid a composite index on plan + creditsPeriodEnd.
+// Monthly subscribers are renewed by their payments (see applySubscriptionEvent), not by
+// the job; yearly subscribers pay once a year and get the other months' credits here.
+const listDueProUsers = async (now) => {
+    const snapshot = await db.collection('users').where('plan', '==', 'pro').get();
+    return snapshot.docs
+        .filter(doc => {
+            const userData = doc.data();
+            const periodEnd = toDate(userData.creditsPeriodEnd);
+            const renewedByPayments = subscriptionIdOfUser(userData) && userData.billingInterval !== 'yearly';
+            return !renewedByPayments && (!periodEnd || periodEnd <= now);
+        })
+        .map(doc => doc.id);
+};
+
+// --- SUBSCRIPTION LIFECYCLE ---
+// subscriptions/{subscriptionId} follows normalized provider events (PayPal or Stripe, see
+// payment-providers.js) through subscriptions.js; the user's plan mirrors whether it gives
+// Pro access. A failed payment keeps Pro for SUBSCRIPTION_GRACE_DAYS, a cancellation until
+// the end of the paid period.
+const SUBSCRIPTION_GRACE_DAYS = parseGraceDays(process.env.SUBSCRIPTION_GRACE_DAYS);
+
+// Invoices of completed payments (see invoices.js). INVOICE_TAX_RATE is the percentage of
+// tax included in our prices; the issuer details are printed on every invoice.
+const invoices = db ? createInvoices({
+    db,
+    FieldValue: admin.firestore.FieldValue,
+    issuer: {
+        name: process.env.INVOICE_ISSUER_NAME || 'GoStudy',
+        address: (process.env.INVOICE_ISSUER_ADDRESS || '').replace(/\\n/g, '\n') || null,
+        taxId: process.env.INVOICE_ISSUER_TAX_ID || null
+    },
+    taxRate: parseTaxRate(process.env.INVOICE_TAX_RATE),
+    taxLabel: process.env.INVOICE_TAX_LABEL || 'Tax'
+}) : null;
+
+// User of a subscription: the one already linked to it, else the user id the provider
+// carries from checkout, else a user billed through it
+const findSubscriptionUser = async (subscriptionId, checkoutUserId) => {
+    const subscriptionDoc = await db.collection('subscriptions').doc(subscriptionId).get();
+    if (subscriptionDoc.exists && subscriptionDoc.data().userId) return subscriptionDoc.data().userId;
+    if (checkoutUserId) return checkoutUserId;
+
+    for (const field of ['subscriptionId', 'paypalSubscriptionId']) {
+        const snapshot = await db.collection('users')
+            .where(field, '==', subscriptionId)
+            .limit(1)
+            .get();
+        if (!snapshot.empty) return snapshot.docs[0].id;
+    }
+    return null;
+};
+
+// Moves the subscription and the user's plan, credits a paid cycle (once per billing
+// period, see writeRenewal), invoices completed payments and marks the event processed,
+// all in one transaction. Billing periods follow when the provider created the event,
+// not the delivery time. Returns { handled, duplicate?, userId?, status?, ignored?, renewal?, invoice? }.
+const applySubscriptionEvent = async (event, { now = event.occurredAt } = {}) => {
+    const { subscriptionId } = event;
+    if (!subscriptionId) return { handled: false };
+
+    const userId = await findSubscriptionUser(subscriptionId, event.userId);
+    if (!userId) {
+        console.warn(`⚠️ No user found for ${event.provider} subscription: ${subscriptionId}`);
+        return { handled: false };
+    }
+
+    const subscriptionRef = db.collection('subscriptions').doc(subscriptionId);
+    const userRef = db.collection('users').doc(userId);
+    const markerRef = db.collection('processed_webhooks').doc(event.id);
+    const issuesInvoice = event.type === 'payment.completed' && event.payment?.amount > 0;
+    const result = await db.runTransaction(async (transaction) => {
+        const [markerDoc, subscriptionDoc, userDoc, counterDoc] = await Promise.all([
+            transaction.get(markerRef),
+            transaction.get(subscriptionRef),
+            transaction.get(userRef),
+            issuesInvoice ? transaction.get(invoices.counterRef) : null
+        ]);
+        if (markerDoc.exists) return { duplicate: true };
+
+        const userData = userDoc.exists ? userDoc.data() : {};
+        const applied = applyEvent(subscriptionDoc.exists ? subscriptionDoc.data() : null, event.type, { now, graceDays: SUBSCRIPTION_GRACE_DAYS, interval: event.interval });
+        const payer = event.payer || applied.subscription.payer || null;
+        transaction.set(subscriptionRef, {
+            ...applied.subscription,
+            userId,
+            provider: event.provider,
+            planId: event.planId || applied.subscription.planId || null,
+            payer,
+            lastEvent: { id: event.id, type: event.rawType, at: now },
+            accessEndedAt: null, // Re-checked by syncSubscriptionAccess
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        const renewal = applied.grant
+            ? writeRenewal(transaction, userId, userData, {
+                now,
+                billingEvent: event,
+                reason: event.rawType,
+                anchor: toDate(applied.subscription.billingAnchor),
+                paidUntil: applied.subscription.currentPeriodEnd
+            })
+            : null;
+
+        const fields = {
+            ...renewal?.fields,
+            subscriptionId,
+            billingProvider: event.provider,
+            billingInterval: applied.subscription.interval,
+            subscriptionStatus: applied.subscription.status,
+            plan: planFor(applied.subscription, now)
+        };
+        if (userDoc.exists) {
+            transaction.update(userRef, fields);
+        } else {
+            transaction.set(userRef, { credits_balance: 0, ...fields, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+
+        const invoice = issuesInvoice
+            ? invoices.write(transaction, counterDoc, {
+                userId,
+                provider: event.provider,
+                subscriptionId,
+                eventId: event.id,
+                payment: event.payment,
+                payer,
+                billingDetails: userData.billingDetails,
+                interval: applied.subscription.interval,
+                period: { start: applied.subscription.currentPeriodStart, end: applied.subscription.currentPeriodEnd },
+                issuedAt: now
+            })
+            : null;
+        await markWebhookProcessed(event.id, event.rawType, transaction);
+        return { ...applied, renewal, invoice };
+    });
+
+    if (result.duplicate) return { handled: true, duplicate: true, userId };
+    if (result.ignored) {
+        console.warn(`⚠️ Subscription ${subscriptionId}: ${result.ignored} (${event.rawType})`);
+    }
+    if (result.renewal && !result.renewal.duplicate) logRenewal(userId, result.renewal);
+    if (result.invoice) console.log(`📄 Invoice ${result.invoice.number} issued to user ${userId} (${result.invoice.total} ${result.invoice.currency})`);
+
+    console.log(`🧾 Subscription ${subscriptionId} of user ${userId}: ${result.subscription.status} (${event.rawType})`);
+    return { handled: true, userId, status: result.subscription.status, ignored: result.ignored, renewal: result.renewal, invoice: result.invoice };
+};
+
+// The `renewal` ledger entry granted for provider payment `paymentId`, or null
+const findPaymentGrant = async (userId, paymentId) => {
+    if (!paymentId) return null;
+    const snapshot = await db.collection('credits_ledger')
+        .where('paymentId', '==', paymentId)
+        .get();
+    const grant = snapshot.docs.find(doc => doc.data().userId === userId && doc.data().type === 'renewal');
+    return grant ? grant.ref : null;
+};
+
+// Credits granted for the months `grant`'s payment paid for: the grant itself plus, for
+// yearly billing, the renewal job's grants of the other months until its `paidUntil`
+const coveredCredits = async (userId, grant) => {
+    const paidUntil = toDate(grant.paidUntil);
+    if (!paidUntil) return grant.amount;
+
+    const from = grant.pricing?.period;
+    const snapshot = await db.collection('credits_ledger').where('userId', '==', userId).get();
+    return snapshot.docs
+        .map(doc => doc.data())
+        .filter(entry => entry.type === 'renewal' && entry.pricing?.period >= from && new Date(entry.pricing.period) < paidUntil)
+        .reduce((sum, entry) => sum + entry.amount, 0);
+};
+
+// Takes back the credits granted for a refunded or reversed payment: everything granted
+// for the months it paid for (see coveredCredits), scaled by the share of the payment
+// refunded so far (never below a balance of 0). Once the payment that pays for the current
+// period is refunded in full, the subscription expires and Pro access ends, so the renewal
+// job stops granting the rest of a refunded year.
+// Each refund is applied once: the ledger entry is keyed by the refund id, and the grant
+// tracks what was already reversed so partial refunds add up to at most the credits granted.
+// Everything commits in one transaction with the webhook marker.
+// Returns { handled, duplicate?, userId?, reversed?, newBalance?, status? }.
+const refundPayment = async (event) => {
+    const { subscriptionId, payment } = event;
+    if (!subscriptionId || !payment) return { handled: false };
+
+    const userId = await findSubscriptionUser(subscriptionId, event.userId);
+    if (!userId) {
+        console.warn(`⚠️ No user found for refunded subscription: ${subscriptionId}`);
+        return { handled: false };
+    }
+
+    const grantRef = await findPaymentGrant(userId, payment.refundedPaymentId);
+    const covered = grantRef ? await coveredCredits(userId, (await grantRef.get()).data()) : 0;
+    const now = event.occurredAt || new Date();
+    const subscriptionRef = db.collection('subscriptions').doc(subscriptionId);
+    const userRef = db.collection('users').doc(userId);
+    const markerRef = db.collection('processed_webhooks').doc(event.id);
+    const refundKey = `${event.provider}_refund_${payment.id}`;
+    const refundRef = db.collection('credits_ledger').doc(refundKey);
+    const result = await db.runTransaction(async (transaction) => {
+        const [markerDoc, refundDoc, userDoc, grantDoc, subscriptionDoc] = await Promise.all([
+            transaction.get(markerRef),
+            transaction.get(refundRef),
+            transaction.get(userRef),
+            grantRef ? transaction.get(grantRef) : null,
+            transaction.get(subscriptionRef)
+        ]);
+        if (markerDoc.exists) return { duplicate: true };
+        if (!userDoc.exists) return { missing: true };
+        // Another event about a refund already applied
+        if (refundDoc.exists) {
+            await markWebhookProcessed(event.id, event.rawType, transaction);
+            return { duplicate: true };
+        }
+
+        // Nothing to take back when the payment granted no credits (e.g. its period was already paid)
+        const grant = grantDoc?.exists ? grantDoc.data() : null;
+        let reversed = 0;
+        let endsAccess = false;
+        if (grant) {
+            const previously = grant.refunded || { amount: 0, credits: 0 };
+            const refundedAmount = payment.totalRefunded ?? previously.amount + payment.amount;
+            const share = grant.paymentAmount > 0 ? Math.min(1, refundedAmount / grant.paymentAmount) : 1;
+            const credits = roundCredits(covered * share);
+            reversed = Math.max(0, roundCredits(credits - previously.credits));
+            transaction.update(grantRef, { refunded: { amount: refundedAmount, credits: Math.max(credits, previously.credits) } });
+            endsAccess = share >= 1 && toDate(grant.paidUntil) > now;
+        }
+
+        const fields = { credits_balance: Math.max(0, roundCredits((userDoc.data().credits_balance || 0) - reversed)) };
+        let status = null;
+        if (endsAccess && subscriptionDoc.exists) {
+            const applied = applyEvent(subscriptionDoc.data(), event.type, { now, graceDays: SUBSCRIPTION_GRACE_DAYS });
+            status = applied.subscription.status;
+            transaction.update(subscriptionRef, {
+                status,
+                statusChangedAt: applied.subscription.statusChangedAt || null,
+                lastEvent: { id: event.id, type: event.rawType, at: now },
+                accessEndedAt: now,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            fields.subscriptionStatus = status;
+            fields.plan = planFor(applied.subscription, now);
+        }
+        const newBalance = fields.credits_balance;
+        transaction.update(userRef, fields);
+        transaction.set(refundRef, {
+            userId,
+            amount: reversed ? -reversed : 0,
+            type: 'refund',
+            description: `Payment refunded/reversed (${event.rawType})`,
+            idempotencyKey: refundKey,
+            ...billingEventFields(event),
+            refundedPaymentId: payment.refundedPaymentId || null,
+            balanceAfter: newBalance,
+            pricing: pricingRecord({ plan: 'pro' }),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        await markWebhookProcessed(event.id, event.rawType, transaction);
+        return { reversed, newBalance, status, grantFound: Boolean(grant) };
+    });
+
+    if (result.missing) {
+        console.warn(`⚠️ User ${userId} of refunded subscription ${subscriptionId} does not exist`);
+        return { handled: false };
+    }
+    if (result.duplicate) return { handled: true, duplicate: true, userId };
+    if (!result.grantFound) console.warn(`⚠️ No credits were granted for refunded payment ${payment.refundedPaymentId} of user ${userId}`);
+    console.log(`💸 ${result.reversed} credit(s) refunded for user ${userId}. New balance: ${result.newBalance}`);
+    if (result.status) console.log(`🧾 Subscription ${subscriptionId} of user ${userId}: ${result.status} (${event.rawType})`);
+    return { handled: true, userId, reversed: result.reversed, newBalance: result.newBalance, status: result.status };
+};
+
+// Ends Pro for subscriptions whose grace period or paid period ran out since their last event
+const syncSubscriptionAccess = async (now = new Date()) => {
+    const snapshot = await db.collection('subscriptions').where('status', 'in', ['past_due', 'cancelled']).get();
+    let downgraded = 0;
+    for (const doc of snapshot.docs) {
+        const subscription = doc.data();
+        if (subscription.accessEndedAt || hasProAccess(subscription, now)) continue;
+
+        const userRef = db.collection('users').doc(subscription.userId);
+        const userDoc = await userRef.get();
+        if (userDoc.exists && subscriptionIdOfUser(userDoc.data()) === doc.id && userDoc.data().plan === 'pro') {
+            await userRef.update({ plan: 'free' });
+            downgraded++;
+            console.log(`📉 User ${subscription.userId} downgraded to Free (subscription ${subscription.status})`);
+        }
+        await doc.ref.update({ accessEndedAt: now });
+    }
+    return downgraded;
+};
+
+const renewalJob = createRenewalJob({ listDueUsers: listDueProUsers, renewUser: renewProCredits });
+app.locals.renewalJob = renewalJob;
+if (db) {
+    setInterval(() => {
+        renewalJob.run()
+            .then(({ renewed, failed }) => (renewed || failed) && console.log(`🔄 Pro renewals: ${renewed} renewed, ${failed} failed`))
+            .catch(err => console.warn('Pro renewal job failed:', err.message));
+        syncSubscriptionAccess()
+            .catch(err => console.warn('Subscription access sync failed:', err.message));
+    }, DEFAULT_RENEWAL_INTERVAL_MS).unref();
+}
+
+const reconciler = db ? createReconciler({ db, FieldValue: admin.firestore.FieldValue }) : null;
+
 // Middleware to check credits before actions
 const checkCredits = async (req, res, next) => {
     const authHeader = req.headers.authorization;
@@ -537,7 +1168,7 @@ const checkCredits = async (req, res, next) => {
             return res.status(403).json({
                 error: 'Insufficient credits',
                 message: userData.plan === 'free' 
-                    ? 'You have used all 3 free lifetime uploads. Upgrade to Pro for 40 uploads/month!' 
+                    ? `You have used all ${PLAN_CREDITS.free} free lifetime uploads. Upgrade to Pro for ${PLAN_CREDITS.pro} uploads/month!` 
                     : 'You have no credits remaining. Your credits will renew with your next billing cycle.',
                 credits_balance: userData.credits_balance,
                 plan: userData.plan
@@ -556,315 +1187,576 @@ const checkCredits = async (req, res, next) => {
 
 // --- 5. API ROUTES ---
 
-app.post('/api/generate-plan', authenticate, upload.single('document'), async (req, res) => {
-    // 1. Validation
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded or file too large (>5MB).' });
-    }
+// Error carrying the HTTP status and JSON body a route should answer with
+const createHttpError = (status, body) => {
+    const error = new Error(body.message || body.error);
+    error.status = status;
+    error.body = body;
+    return error;
+};
 
-    // 2. Pre-check credits before expensive AI call
-    const userId = req.user.uid;
-    if (db) {
-        const userData = await getCreditsBalance(userId);
-        if (!userData || userData.credits_balance <= 0) {
-            await safeDelete(req.file.path);
-            return res.status(403).json({
-                error: 'Insufficient credits',
-                message: userData?.plan === 'free' 
-                    ? 'You have used all 3 free lifetime uploads. Upgrade to Pro for 40 uploads/month!' 
-                    : 'You have no credits remaining. Your credits will renew with your next billing cycle.',
-                credits_balance: userData?.credits_balance || 0,
-                plan: userData?.plan || 'free'
-            });
-        }
-    }
+// Plans reused for an identical upload (same text, options, preferences and language).
+// Hours a cached plan can be reused after it was generated; 0 turns the cache off
+const PLAN_CACHE_TTL_HOURS = Number.isFinite(parseFloat(process.env.PLAN_CACHE_TTL_HOURS))
+    ? parseFloat(process.env.PLAN_CACHE_TTL_HOURS)
+    : 720;
+const planCache = createPlanCache({
+    store: db ? createFirestoreCacheStore(db) : createMemoryCacheStore(),
+    ttlMs: PLAN_CACHE_TTL_HOURS * 60 * 60 * 1000
+});
 
-    console.log(`\n--- Processing: ${req.file.originalname} ---`);
+// `force=true` (form field or query string) skips the cache and always generates a fresh plan
+const wantsFreshPlan = (req) => ['true', '1'].includes(String(req.body?.force ?? req.query.force ?? '').toLowerCase());
 
-    try {
-        // 3. Extraction
-        let documentText = await extractText(req.file);
-        
-        // Remove non-printable characters
-        documentText = documentText.replace(/[\x00-\x09\x0B-\x0C\x0E-\x1F\x7F]/g, '');
+// Cheapest price an upload can end up costing, used for the pre-check before extraction
+const minimumGenerationCost = (force) => {
+    const fresh = priceOperation('generation').credits;
+    return planCache.enabled && !force ? Math.min(priceOperation('cached_generation').credits, fresh) : fresh;
+};
 
-        if (!documentText || documentText.trim().length < 50) {
-            throw new Error("Document text is empty or too short. If this is a scanned PDF, try uploading the pages as images (PNG/JPG) for OCR processing.");
-        }
+// Pre-check credits before expensive AI call. Returns the 403 body, or null when allowed.
+const checkGenerationCredits = async (userId, cost = priceOperation('generation').credits) => {
+    if (!db) return null;
 
-        console.log(`Extracted ${documentText.length} characters.`);
+    const userData = await getCreditsBalance(userId);
+    if (!userData || userData.credits_balance < cost) {
+        return {
+            error: 'Insufficient credits',
+            message: userData?.organization
+                ? describeTeamLimit(userData.organization, cost)
+                : userData?.plan === 'free' 
+                ? `You have used all ${PLAN_CREDITS.free} free lifetime uploads. Upgrade to Pro for ${PLAN_CREDITS.pro} uploads/month!` 
+                : 'You have no credits remaining. Your credits will renew with your next billing cycle.',
+            credits_balance: userData?.credits_balance || 0,
+            plan: userData?.plan || 'free'
+        };
+    }
+    return null;
+};
 
-        const truncatedText = documentText.substring(0, 40000); 
+// Why an organization member can't spend `cost` credits
+const describeTeamLimit = (organization, cost) => (organization.allowance.remaining < cost
+    ? `You have used your monthly limit of ${organization.allowance.cap} credits from ${organization.name}. It resets at the start of next month.`
+    : `${organization.name} has no credits left. Ask an organization admin to top up the pool.`);
+
+// Holds `amount` credits for an AI call (see credit-holds.js). Resolves to the hold,
+// or throws the 403 (insufficient credits), 402 or 409 error the route answers with.
+// A key that already holds credits means the request was sent before: nothing is charged
+// for it, so the AI work must not run again (409).
+const reserveCredits = async (userId, amount, description, key, pricing) => {
+    const result = await creditHolds.reserve(userId, amount, description, key, pricing);
+    if (result.duplicate) {
+        throw createHttpError(409, {
+            error: 'Duplicate request',
+            message: 'This request was already processed. Send a new Idempotency-Key to run it again.'
+        });
+    }
+    if (result.success) return result;
 
-        // --- FETCH USER PREFERENCES ---
-        let prefsPrompt = "";
-        try {
-            // Decoded token is available in req.user from auth middleware
-            if (req.user && req.user.uid && db) {
-                const userDoc = await db.collection('users').doc(req.user.uid).get();
-                if (userDoc.exists) {
-                    const userData = userDoc.data();
-                    const p = userData.preferences;
-                    
-                    // --- FETCH MASTERY DATA ---
-                    try {
-                        const masterySnapshot = await db.collection('users').doc(req.user.uid).collection('mastery').get();
-                        let masteryInfo = "";
-                        masterySnapshot.forEach(doc => {
-                            const m = doc.data();
-                            masteryInfo += `- ${doc.id}: Score ${m.score}%, Level ${m.level}${m.unstable ? ' (UNSTABLE)' : ''}\n`;
-                        });
-                        
-                        if (masteryInfo) {
-                            prefsPrompt += `\nUSER MASTERY LEVELS:\n${masteryInfo}\nADAPTIVE INSTRUCTION: If a concept is UNSTABLE, provide simpler explanations and more worked examples. If Level is 3, provide harder edge cases.\n`;
-                        }
-                    } catch (mErr) {
-                        console.warn("Failed to load mastery data:", mErr.message);
-                    }
-
-                    if (p) {
-                         const toneMap = {
-                            "neutral": "Maintain a neutral, academic tone.",
-                            "motivational": "Use a highly motivational and encouraging tone. Use phrases like 'You got this!' and 'Keep going!'.",
-                            "strict": "Use a strict, direct, and no-nonsense tone. Focus purely on efficiency.",
-                            "friendly": "Use a friendly, casual, and approachable tone.",
-                            "concise": "Be extremely concise. Use bullet points where possible and avoid fluff."
-                        };
-                        const toneInstruction = toneMap[p.tone] || toneMap["neutral"];
-                        
-                        const focusMap = {
-                            "theory": "Prioritize deep theoretical understanding and definitions in the summary and concept map.",
-                            "practice": "Prioritize practical applications, examples, and problem-solving strategies.",
-                            "mixed": "Maintain a balance between theory and practice."
-                        };
-                        const focusInstruction = focusMap[p.focus_preference] || focusMap["mixed"];
-
-                        const paceMap = {
-                            "relaxed": "For the spaced repetition schedule, keep it light and manageable.",
-                            "intensive": "For the questions and schedule, imply a rigorous and intensive study pace.",
-                            "balanced": ""
-                        };
-                        const paceInstruction = paceMap[p.pace] || "";
-
-                        prefsPrompt = `
-CUSTOMIZATION SETTINGS:
-- TONE: ${toneInstruction}
-- FOCUS: ${focusInstruction}
-- ${paceInstruction}
-${p.difficulty_adaptation ? "- ADAPTATION: The questions should challenge the user based on the content complexity." : ""}
+    if (result.error === 'Insufficient credits' || result.error === 'Monthly team limit reached') {
+        throw createHttpError(403, await checkGenerationCredits(userId, amount) || {
+            error: 'Insufficient credits',
+            message: 'You do not have enough credits for this request.'
+        });
+    }
+    throw createHttpError(402, { error: 'Credit deduction failed', message: 'Unable to process credits. Please try again.' });
+};
+
+// Keeps held credits once the AI work is saved (`amount` defaults to all of the hold)
+const captureHeldCredits = async (userId, key, amount) => {
+    const result = await creditHolds.capture(userId, key, amount).catch(error => ({ success: false, error: error.message }));
+    if (!result.success) console.error(`⚠️ Failed to capture credit hold ${key}:`, result.error);
+    return result;
+};
+
+// Gives held credits back after a failure; never throws so the original error reaches the client
+const releaseHeldCredits = async (userId, key, reason) => {
+    const result = await creditHolds.release(userId, key, reason).catch(error => ({ success: false, error: error.message }));
+    if (result.success && !result.duplicate) {
+        console.log(`↩️ Released ${result.released} held credit(s) for user ${userId} (${key})`);
+    } else if (!result.success) {
+        console.error(`⚠️ Failed to release credit hold ${key}:`, result.error);
+    }
+    return result;
+};
+
+// Maps a generation failure to { status, body } for JSON responses and job events
+const describeGenerationError = (error) => {
+    if (error.status && error.body) {
+        return { status: error.status, body: error.body };
+    }
+
+    // Handle specific Axios errors (API limits, auth)
+    if (error.response) {
+        console.error('API Response Status:', error.response.status);
+        console.error('API Response Data:', error.response.data);
+        return {
+            status: error.response.status,
+            body: {
+                error: 'AI Provider Error', 
+                details: error.response.data,
+                message: error.message
+            }
+        };
+    }
+
+    return { status: 500, body: { error: error.message } };
+};
+
+// --- FETCH USER PREFERENCES ---
+// The student's mastery per concept (see /api/quiz); [] when it can't be read
+const loadMastery = async (userId) => {
+    if (!userId || !db) return [];
+    try {
+        const masterySnapshot = await db.collection('users').doc(userId).collection('mastery').get();
+        const mastery = [];
+        masterySnapshot.forEach(doc => {
+            const m = doc.data();
+            mastery.push({ concept: doc.id, score: m.score, level: m.level, unstable: Boolean(m.unstable) });
+        });
+        return mastery;
+    } catch (mErr) {
+        console.warn("Failed to load mastery data:", mErr.message);
+        return [];
+    }
+};
+
+const buildMasteryPrompt = (mastery) => {
+    if (!mastery.length) return "";
+    const masteryInfo = mastery
+        .map(m => `- ${m.concept}: Score ${m.score}%, Level ${m.level}${m.unstable ? ' (UNSTABLE)' : ''}\n`)
+        .join('');
+    return `\nUSER MASTERY LEVELS:\n${masteryInfo}\nADAPTIVE INSTRUCTION: If a concept is UNSTABLE, provide simpler explanations and more worked examples. If Level is 3, provide harder edge cases.\n`;
+};
+
+// Builds the customization block of the prompt from the style preferences (tone, focus, pace).
+// Mastery is not included: plans are cached across users, so it is layered on with
+// personalizePlan instead (regeneration adds buildMasteryPrompt itself).
+const buildPreferencesPrompt = async (userId) => {
+    let prefsPrompt = "";
+    try {
+        if (userId && db) {
+            const userDoc = await db.collection('users').doc(userId).get();
+            if (userDoc.exists) {
+                const userData = userDoc.data();
+                const p = userData.preferences;
+
+                if (p) {
+                     const toneMap = {
+                        "neutral": "Maintain a neutral, academic tone.",
+                        "motivational": "Use a highly motivational and encouraging tone. Use phrases like 'You got this!' and 'Keep going!'.",
+                        "strict": "Use a strict, direct, and no-nonsense tone. Focus purely on efficiency.",
+                        "friendly": "Use a friendly, casual, and approachable tone.",
+                        "concise": "Be extremely concise. Use bullet points where possible and avoid fluff."
+                    };
+                    const toneInstruction = toneMap[p.tone] || toneMap["neutral"];
+                    
+                    const focusMap = {
+                        "theory": "Prioritize deep theoretical understanding and definitions in the summary and concept map.",
+                        "practice": "Prioritize practical applications, examples, and problem-solving strategies.",
+                        "mixed": "Maintain a balance between theory and practice."
+                    };
+                    const focusInstruction = focusMap[p.focus_preference] || focusMap["mixed"];
+
+                    const paceMap = {
+                        "relaxed": "For the spaced repetition schedule, keep it light and manageable.",
+                        "intensive": "For the questions and schedule, imply a rigorous and intensive study pace.",
+                        "balanced": ""
+                    };
+                    const paceInstruction = paceMap[p.pace] || "";
+
+                    prefsPrompt = `
+CUSTOMIZATION SETTINGS:
+- TONE: ${toneInstruction}
+- FOCUS: ${focusInstruction}
+- ${paceInstruction}
+${p.difficulty_adaptation ? "- ADAPTATION: The questions should challenge the user based on the content complexity." : ""}
 `;
-                        console.log(`🎨 Applying styles: Tone=${p.tone}, Focus=${p.focus_preference}`);
-                    }
+                    console.log(`🎨 Applying styles: Tone=${p.tone}, Focus=${p.focus_preference}`);
                 }
             }
-        } catch (prefErr) {
-            console.warn("Failed to load preferences for generation logic:", prefErr.message);
-        }
-
-        // 4. COST-EFFICIENT SINGLE-PASS PROMPT
-        // Requests all deliverables in one atomic operation to minimize request overhead
-        const systemPrompt = `You are an expert AI Study Assistant.
-Analyze the text and generate a structured study plan with enhanced educational features.
-
-${prefsPrompt}
-
-GOALS:
-1. SUMMARY: Executive summary with **bold** key terms (MAX 250 words).
-2. LEARNING OBJECTIVES: 3-5 clear, extremely concise one-sentence goals using verbs like: define, apply, compute.
-3. MEMORY PALACE: A vivid spatial mnemonic (MAX 100 words). Use **bold** for key anchor points (the locations or items in the room).
-4. WORKED EXAMPLES: Provide 2 high-quality examples max. Each must be formatted as: Given data, Step-by-step reasoning, and Final result.
-5. COMMON MISTAKES: Identify 2-3 common student errors for each topic based on the content.
-6. ACTIVE RECALL: Generate 5 quiz questions max (multiple choice or short answer). 
-   - Questions must be tiered in three levels: 
-     Level 1: core definitions / recognition
-     Level 2: standard application / practice
-     Level 3: edge cases or advanced scenarios
-   - Identify the "related_concept" for each question.
-   - For multiple_choice, provide 4 options.
-7. SPACED REPETITION: 4-step schedule (Day 1,3,7,14) with topic + optional hint.
-8. CONCEPT MAP: Hierarchical tree with 1 main topic and 3-5 subtopics.
-
-CONSTRAINTS:
-- Use valid JSON only.
-- Snake_case keys.
-- NO extra text.
-- Do NOT reveal common mistakes upfront in the summary; put them only in the common_mistakes array.
-- Keep the total response UNDER 2000 tokens.
-
-SCHEMA:
-{
-  "summary": "string (html permitted)",
-  "learning_objectives": ["string", "string"],
-  "memory_palace": "string",
-  "worked_examples": [{ "subtopic": "string", "given_data": "string", "step_by_step_reasoning": ["step 1", "step 2"], "final_result": "string" }],
-  "common_mistakes": [{ "mistake": "string", "explanation": "string", "related_concept": "string" }],
-  "active_recall": [{ 
-    "question": "string", 
-    "answer": "string", 
-    "level": 1-3, 
-    "type": "multiple_choice" | "short_answer",
-    "options": ["string", "string", "string", "string"],
-    "related_concept": "string",
-    "difficulty_rating": 1-5  // REQUIRED: Rating from 1 (easiest) to 5 (hardest)
-  }],
-  "spaced_repetition": [{ "day": "string", "topic": "string", "hint": "string"}],
-  "concept_map": { "main_topic": "string", "subtopics": ["string", "string", "string"] }
-}
-MUST: Ensure difficulty_rating is ALWAYS present for every active_recall item.`;
-
-        console.log('Sending single optimized request to Perplexity AI...');
-        
-        // Single call using standard 'sonar' model for cost efficiency
-        const response = await axios.post('https://api.perplexity.ai/chat/completions', {
-            model: 'sonar', // Cheaper than sonar-pro
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: `Analyze this material:\n\n${truncatedText}` }
-            ],
-            temperature: 0.1,
-            max_tokens: 4000
-        }, {
-            headers: {
-                'Authorization': `Bearer ${process.env.PERPLEXITY_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 60000
-        });
+        }
+    } catch (prefErr) {
+        console.warn("Failed to load preferences for generation logic:", prefErr.message);
+    }
 
-        // 5. Response Handling
-        let content = response.data?.choices?.[0]?.message?.content;
-        
-        if (!content) throw new Error("AI response was empty.");
-        
-        // Clean markdown wrapper and extract JSON
-        content = content.replace(/```json\s*/gi, '').replace(/```\s*/g, '').trim();
-        
-        // More robust JSON extraction
-        const firstBrace = content.indexOf('{');
-        const lastBrace = content.lastIndexOf('}');
-        if (firstBrace !== -1 && lastBrace !== -1) {
-            content = content.substring(firstBrace, lastBrace + 1);
+    return prefsPrompt;
+};
+
+// Document language + the user's output_language preference ('auto' follows the document)
+const resolvePlanLanguage = async (userId, documents) => {
+    const { language: detected } = detectLanguage(documents.map(doc => doc.text).join('\n\n'));
+    let preference = AUTO_LANGUAGE;
+    try {
+        if (userId && db) {
+            const userDoc = await db.collection('users').doc(userId).get();
+            preference = userDoc.data()?.preferences?.output_language || AUTO_LANGUAGE;
         }
+    } catch (prefErr) {
+        console.warn("Failed to load output language preference:", prefErr.message);
+    }
 
-        let studyPlan;
-        try {
-            studyPlan = JSON.parse(content);
-            
-            // --- 5a. ZOD VALIDATION ---
-            // Validate the structure before processing/saving
-            try {
-                studyPlan = StudyPlanSchema.parse(studyPlan);
-            } catch (validationError) {
-                console.error("Zod Validation Error:", validationError.errors);
-                // Attempt to return partial/invalid plan is dangerous, so we throw
-                throw new Error("AI generated invalid plan structure: " + JSON.stringify(validationError.errors));
-            }
+    const output = resolveOutputLanguage(preference, detected);
+    console.log(`🌍 Document language: ${detected || 'unknown'}, plan language: ${output}`);
+    return { document: detected, output };
+};
 
-            // --- VALIDATION & DEFAULTS ---
-            if (!studyPlan.summary) studyPlan.summary = "Summary not generated.";
-            
-            // Validate Arrays
-            studyPlan.learning_objectives = Array.isArray(studyPlan.learning_objectives) ? studyPlan.learning_objectives : [];
-            studyPlan.worked_examples = Array.isArray(studyPlan.worked_examples) ? studyPlan.worked_examples : [];
-            studyPlan.common_mistakes = Array.isArray(studyPlan.common_mistakes) ? studyPlan.common_mistakes : [];
-
-            studyPlan.active_recall = Array.isArray(studyPlan.active_recall) ? studyPlan.active_recall.map((q, i) => ({
-                question: q.question || `Question ${i+1}`,
-                answer: q.answer || "Check your notes",
-                difficulty_rating: q.difficulty_rating || 3,
-                level: q.level || 1,
-                type: q.type || "short_answer",
-                options: q.options || [],
-                related_concept: q.related_concept || "General"
-            })) : [];
-
-            studyPlan.spaced_repetition = Array.isArray(studyPlan.spaced_repetition) ? studyPlan.spaced_repetition.map(s => ({
-                day: s.day || "Day 1",
-                topic: s.topic || "General Review",
-                hint: s.hint || null
-            })) : [];
-
-            // Handle new hierarchical format or convert old array format
-            if (studyPlan.concept_map && typeof studyPlan.concept_map === 'object' && !Array.isArray(studyPlan.concept_map)) {
-                // New format: { main_topic, subtopics }
-                studyPlan.concept_map = {
-                    main_topic: studyPlan.concept_map.main_topic || "Main Topic",
-                    subtopics: Array.isArray(studyPlan.concept_map.subtopics) ? studyPlan.concept_map.subtopics : []
-                };
-            } else if (Array.isArray(studyPlan.concept_map)) {
-                // Old format: convert array to hierarchical structure
-                const concepts = studyPlan.concept_map.map(c => c.concept || "Concept");
-                studyPlan.concept_map = {
-                    main_topic: concepts[0] || "Main Topic",
-                    subtopics: concepts.slice(1)
-                };
-            } else {
-                studyPlan.concept_map = { main_topic: "Main Topic", subtopics: [] };
+// Gives every file a distinct label (phones name every photo "image.jpg")
+const labelFiles = (files) => {
+    const seen = {};
+    return files.map(file => {
+        const count = (seen[file.originalname] = (seen[file.originalname] || 0) + 1);
+        return count === 1 ? file.originalname : `${file.originalname} (${count})`;
+    });
+};
+
+// Firestore documents are capped at 1 MiB, so inline source text is limited
+const SOURCE_TEXT_INLINE_MAX_CHARS = 300000;
+
+// { sourceDocuments: [{ name, text }], sourceTruncated } for the generations document
+const inlineSourceDocuments = (documents) => {
+    let remaining = SOURCE_TEXT_INLINE_MAX_CHARS;
+    const sourceDocuments = documents.map(doc => {
+        const text = doc.text.slice(0, remaining);
+        remaining -= text.length;
+        return { name: doc.name, text };
+    });
+    const totalChars = documents.reduce((sum, doc) => sum + doc.text.length, 0);
+    return { sourceDocuments, sourceTruncated: SOURCE_TEXT_INLINE_MAX_CHARS - remaining < totalChars };
+};
+
+// Fields linking a generation to its source: { source } when the storage backend
+// accepted it, otherwise the capped inline copy so regeneration still works
+const storeGenerationSource = async (userId, generationId, documents, originals) => {
+    try {
+        const source = await saveGenerationSource(sourceStorage, { userId, generationId, documents, originals });
+        return { source };
+    } catch (error) {
+        console.warn(`Failed to store source in ${sourceStorage.name} storage, keeping it inline:`, error.message);
+        await deleteGenerationSource(sourceStorage, userId, generationId).catch(() => {});
+        return inlineSourceDocuments(documents);
+    }
+};
+
+// Resolves to the [{ name, text }] a generation was built from, or null for plans saved before sources were kept
+const loadSourceDocuments = async (data) => {
+    if (data.source?.textKey) return loadGenerationSource(sourceStorage, data.source);
+    return data.sourceDocuments?.length ? data.sourceDocuments : null;
+};
+
+// Every attempt at reading an AI response (valid, repaired or rejected) is kept in
+// `ai_parse_attempts` to see which repairs and re-prompts models need
+const recordParseAttempts = (userId, context) => async (record) => {
+    if (!db) return;
+    await db.collection('ai_parse_attempts').add({
+        userId,
+        ...context,
+        ...record,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+};
+
+// Per-page OCR report stored on the plan: { ocr_pages, skipped_pages, low_confidence_pages: [{ file?, page, confidence }] }
+const summarizeScans = (scans, withFileNames) => ({
+    ocr_pages: scans.reduce((sum, scan) => sum + scan.pages.filter(page => page.ocr).length, 0),
+    skipped_pages: scans.reduce((sum, scan) => sum + scan.skippedPages, 0),
+    low_confidence_pages: scans.flatMap(scan => scan.pages
+        .filter(page => page.lowConfidence)
+        .map(page => ({ ...(withFileNames ? { file: scan.file } : {}), page: page.page, confidence: page.confidence })))
+});
+
+// Full generation pipeline shared by /api/generate-plan and /api/jobs.
+// Builds ONE plan from all `files`; every item records the file it came from.
+// `report(stage, fraction, message)` receives progress updates (see jobs.js STAGES).
+// Priced by upload size (see pricing.js); identical uploads reuse a cached plan at the
+// `cached_generation` price unless `force` is set.
+const runPlanGeneration = async ({ userId, files, options, force = false, report = () => {} }) => {
+    const labels = labelFiles(files);
+    const displayName = labels.join(', ');
+    console.log(`\n--- Processing: ${displayName} ---`);
+
+    // 1. Extraction (one file at a time to keep memory and OCR load bounded)
+    const documents = [];
+    const originals = [];
+    const scans = [];
+    const readImage = createImageReader();
+    try {
+        for (const [i, file] of files.entries()) {
+            report('extraction', i / files.length, `Extracting text from ${labels[i]}`);
+            // extractText deletes the upload, so keep its bytes first when originals are stored
+            if (STORE_ORIGINAL_FILES) {
+                originals.push({ name: labels[i], mimetype: file.mimetype, buffer: await fsPromises.readFile(file.path) });
             }
+            let text = await extractText(file, {
+                onOcrProgress: (fraction) => report('ocr', (i + fraction) / files.length, `Reading ${labels[i]} (${Math.round(fraction * 100)}%)`),
+                onOcrPages: (scan) => scans.push({ file: labels[i], ...scan }),
+                readImage
+            });
 
-        } catch (jsonError) {
-            console.error("JSON Parse Error:", jsonError.message);
-            throw new Error("Failed to parse AI response.");
+            // Remove non-printable characters
+            text = text.replace(/[\x00-\x09\x0B-\x0C\x0E-\x1F\x7F]/g, '');
+            console.log(`Extracted ${text.length} characters from ${labels[i]}.`);
+            documents.push({ name: labels[i], text });
         }
+    } catch (error) {
+        // Name the failing file when there are several
+        if (files.length > 1) error.message = `${labels[documents.length]}: ${error.message}`;
+        throw error;
+    } finally {
+        // extractText removes the files it read; whatever is left (files never reached,
+        // or one that failed before extraction) goes here. Already deleted paths are no-ops.
+        await Promise.all(files.map(file => safeDelete(file.path)));
+    }
+
+    const totalChars = documents.reduce((sum, doc) => sum + doc.text.trim().length, 0);
+    if (totalChars < 50) {
+        throw new Error("Document text is empty or too short. If this is a scan, make sure the pages are legible and not handwritten.");
+    }
+
+    report('extraction', 1, `Extracted ${totalChars} characters from ${files.length} file(s)`);
+
+    // 2. Generation (single pass, or map-reduce over sections for long documents)
+    // The cached part is the same for every user; mastery is applied on top (step 3)
+    const prefsPrompt = await buildPreferencesPrompt(userId);
+    const mastery = await loadMastery(userId);
+    const language = await resolvePlanLanguage(userId, documents);
+    const cacheKey = fingerprintUpload({ documents, options, prefsPrompt, outputLanguage: language.output });
+    const cached = force ? null : await planCache.lookup(cacheKey, labels).catch((err) => {
+        console.warn('Plan cache lookup failed (non-critical):', err.message);
+        return null;
+    });
 
-        console.log('✅ Plan generated successfully!');
+    const price = cached
+        ? priceOperation('cached_generation')
+        : priceOperation('generation', { chars: totalChars, files: documents.length });
+    const creditCost = price.credits;
+    const docRef = db ? db.collection('generations').doc() : null;
 
-        // 6. Save to Firestore (user is authenticated via middleware)
-        if (db) {
-            const docRef = await db.collection('generations').add({
+    // Hold the credits before calling the AI; any failure below gives them back
+    const hold = docRef && creditCost > 0
+        ? await reserveCredits(
+            userId,
+            creditCost,
+            `Study plan generation${cached ? ' (cached)' : ''}: ${displayName}`,
+            `gen_${docRef.id}`,
+            price.pricing
+        )
+        : null;
+
+    let basePlan;
+    let studyPlan;
+    try {
+        if (cached) {
+            basePlan = cached.studyPlan;
+            report('ai', 1, 'Reusing the plan generated for an identical upload');
+            console.log(`♻️ Reusing cached plan ${cacheKey.slice(0, 12)} from ${cached.createdAt}`);
+        } else {
+            basePlan = await generateStudyPlan({
+                provider: aiProvider,
+                documents,
+                prefsPrompt,
+                outputLanguage: languageName(language.output),
+                options,
+                onProgress: report,
+                onParseAttempt: recordParseAttempts(userId, { kind: 'generation', fileName: displayName })
+            });
+            basePlan.language = language;
+
+            console.log('✅ Plan generated successfully!');
+
+            // Flag scanned pages the OCR was unsure about so the student can double-check them
+            if (scans.length) {
+                basePlan.ocr_quality = summarizeScans(scans, files.length > 1);
+            }
+        }
+
+        // 3. Personalize for this student, then save to Firestore (user is authenticated via middleware)
+        studyPlan = personalizePlan(basePlan, mastery);
+        report('saving', 0, 'Saving study plan');
+
+        if (docRef) {
+            const source = await storeGenerationSource(userId, docRef.id, documents, originals);
+            await docRef.set({
                 userId: userId,
-                fileName: req.file.originalname,
+                fileName: displayName,
+                fileNames: labels,
                 studyPlan: studyPlan,
+                // Kept for section regeneration (see /api/generations/:id/regenerate)
+                ...source,
+                cache: { key: cacheKey, hit: Boolean(cached) },
                 createdAt: admin.firestore.FieldValue.serverTimestamp()
             });
-            
-            // Save to disk using the Firestore ID as filename (Optional backup)
-            try {
-                 await savePlanToFile(userId, docRef.id, studyPlan);
-            } catch (diskErr) {
-                console.warn("Failed to save backup to disk (non-critical):", diskErr.message);
-            }
-            
-            // Deduct credits atomically (idempotency key = generation ID)
-            const deductResult = await deductCredits(
-                userId, 
-                1, 
-                `Study plan generation: ${req.file.originalname}`,
-                `gen_${docRef.id}`
-            );
-            
-            // Fail fast: if credit deduction fails, delete the generation and return error
-            if (!deductResult.success && !deductResult.duplicate) {
-                console.error('⚠️ Credit deduction failed after generation:', deductResult.error);
-                await docRef.delete().catch(() => {});
-                return res.status(402).json({ 
-                    error: 'Credit deduction failed', 
-                    message: 'Unable to process credits. Please try again.' 
-                });
-            }
-            
-            console.log('💾 Plan saved to Firestore for user:', userId);
         }
+    } catch (error) {
+        if (hold) await releaseHeldCredits(userId, hold.key, 'generation failed');
+        if (docRef) await deleteGenerationSource(sourceStorage, userId, docRef.id).catch(() => {});
+        throw error;
+    }
 
-        res.json(studyPlan);
+    if (hold) await captureHeldCredits(userId, hold.key);
+
+    let generationId = null;
+    if (docRef) {
+        // Save to disk using the Firestore ID as filename (Optional backup)
+        try {
+             await savePlanToFile(userId, docRef.id, studyPlan);
+        } catch (diskErr) {
+            console.warn("Failed to save backup to disk (non-critical):", diskErr.message);
+        }
+
+        console.log('💾 Plan saved to Firestore for user:', userId);
+        generationId = docRef.id;
+    }
+
+    // Only fresh plans that were saved and paid for are offered to later uploads
+    if (!cached) {
+        await planCache.save(cacheKey, basePlan, labels).catch((err) => {
+            console.warn('Failed to cache plan (non-critical):', err.message);
+        });
+    }
+
+    return { studyPlan, generationId, fileName: displayName, cached: Boolean(cached), creditsCharged: creditCost };
+};
+
+app.post('/api/generate-plan', authenticate, uploadDocuments, async (req, res) => {
+    // 1. Validation
+    const files = collectUploadedFiles(req);
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'No file uploaded or file too large (>5MB).' });
+    }
+
+    // Optional generation options (academic level, questions per level, skipped deliverables, schedule length)
+    const parsedOptions = parseGenerationOptions(req.body);
+    if (!parsedOptions.success) {
+        await Promise.all(files.map(file => safeDelete(file.path)));
+        return res.status(400).json({ error: 'Invalid generation options', message: parsedOptions.error });
+    }
+    const { options } = parsedOptions;
+
+    // 2. Pre-check credits before expensive AI call
+    const userId = req.user.uid;
+    const force = wantsFreshPlan(req);
+    const creditsError = await checkGenerationCredits(userId, minimumGenerationCost(force));
+    if (creditsError) {
+        await Promise.all(files.map(file => safeDelete(file.path)));
+        return res.status(403).json(creditsError);
+    }
 
+    try {
+        const { studyPlan, cached, creditsCharged } = await runPlanGeneration({ userId, files, options, force });
+        // The body stays the plan itself; cache details travel in headers
+        res.set('X-Plan-Cache', cached ? 'hit' : 'miss');
+        res.set('X-Credits-Charged', String(creditsCharged));
+        res.json(studyPlan);
     } catch (error) {
         console.error('❌ Error details:', error);
         console.error('Stack:', error.stack);
-        
-        // Handle specific Axios errors (API limits, auth)
-        if (error.response) {
-            console.error('API Response Status:', error.response.status);
-            console.error('API Response Data:', error.response.data);
-            return res.status(error.response.status).json({ 
-                error: 'AI Provider Error', 
-                details: error.response.data,
-                message: error.message
-            });
-        }
 
-        res.status(500).json({ error: error.message });
+        const { status, body } = describeGenerationError(error);
+        res.status(status).json(body);
+    }
+});
+
+// --- GENERATION JOBS (ASYNC + SERVER-SENT EVENTS) ---
+// POST /api/jobs starts the same pipeline in the background and returns a job id;
+// GET /api/jobs/:id/events streams stage updates until the plan is ready.
+
+const jobStore = createJobStore();
+
+app.post('/api/jobs', authenticate, uploadDocuments, async (req, res) => {
+    const files = collectUploadedFiles(req);
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'No file uploaded or file too large (>5MB).' });
+    }
+
+    // Optional generation options (academic level, questions per level, skipped deliverables, schedule length)
+    const parsedOptions = parseGenerationOptions(req.body);
+    if (!parsedOptions.success) {
+        await Promise.all(files.map(file => safeDelete(file.path)));
+        return res.status(400).json({ error: 'Invalid generation options', message: parsedOptions.error });
+    }
+    const { options } = parsedOptions;
+
+    const userId = req.user.uid;
+    const force = wantsFreshPlan(req);
+    const creditsError = await checkGenerationCredits(userId, minimumGenerationCost(force));
+    if (creditsError) {
+        await Promise.all(files.map(file => safeDelete(file.path)));
+        return res.status(403).json(creditsError);
+    }
+
+    const job = jobStore.create(userId, { fileNames: files.map(file => file.originalname) });
+    res.status(202).json({ jobId: job.id, status: job.status, eventsUrl: `/api/jobs/${job.id}/events` });
+
+    // Keeps running after the response; the client follows along via SSE
+    runPlanGeneration({
+        userId,
+        files,
+        options,
+        force,
+        report: (stage, fraction, message) => jobStore.progress(job.id, stage, fraction, message)
+    })
+        .then(result => jobStore.complete(job.id, result))
+        .catch(error => {
+            console.error(`❌ Job ${job.id} failed:`, error.message);
+            jobStore.fail(job.id, describeGenerationError(error).body);
+        });
+});
+
+// Snapshot of a job (for polling clients)
+app.get('/api/jobs/:id', authenticate, (req, res) => {
+    const job = jobStore.get(req.params.id, req.user.uid);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { events, ...snapshot } = job;
+    res.json(snapshot);
+});
+
+// EventSource cannot send headers, so the stream also accepts ?token=<Firebase ID token>
+const authenticateStream = (req, res, next) => {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    return authenticate(req, res, next);
+};
+
+app.get('/api/jobs/:id/events', authenticateStream, (req, res) => {
+    const job = jobStore.get(req.params.id, req.user.uid);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (Render/Nginx)
+    });
+    res.flushHeaders();
+
+    const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+    // Replay history first so reconnecting clients catch up
+    job.events.forEach(send);
+    if (jobStore.isFinished(job)) {
+        return res.end();
     }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    unsubscribe = jobStore.subscribe(job.id, (event) => {
+        send(event);
+        if (event.type !== 'progress') close();
+    });
+    req.on('close', close);
 });
 
 // --- HISTORY ENDPOINT ---
@@ -1100,15 +1992,18 @@ app.post('/api/chat', authenticate, async (req, res) => {
     // Debug log to confirm we have the ID when querying
     // console.log(`[CHAT] Checking limits for user: ${userId}`);
 
+    // Set while a credit is held for this message, so any failure below returns it
+    let heldKey = null;
     try {
         // 1. Rate Limiting (20 msgs/hour)
         // Note: We fetch more broadly and filter in memory to avoid needing a complex composite index on Firestore.
         const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
         
-        // Query only by userId and type (equality filters usually don't need a composite index)
+        // Query only by userId and type (equality filters usually don't need a composite index).
+        // Chat messages are 'hold' entries; older ones were plain deductions.
         const snapshot = await db.collection('credits_ledger')
             .where('userId', '==', userId)
-            .where('type', '==', 'deduction')
+            .where('type', 'in', ['deduction', 'hold'])
             .get();
 
         // In-memory filter for specific description and time window
@@ -1131,19 +2026,7 @@ app.post('/api/chat', authenticate, async (req, res) => {
             });
         }
 
-        // 2. Credit Deduction
-        const deductResult = await deductCredits(userId, 1, 'AI Chat Interaction');
-        if (!deductResult.success) {
-            return res.status(403).json({ 
-                error: 'Insufficient credits', 
-                message: deductResult.message 
-            });
-        }
-
-        console.log(`💬 Chat request: user ${userId}, remaining credits: ${deductResult.newBalance}`);
-
-        // 3. AI Provider Request
-        // Sanitize messages: ensure they have role and content, and are strings
+        // 2. Sanitize messages: ensure they have role and content, and are strings
         const validatedMessages = req.body.messages
             .filter(m => m.role && m.content)
             .map(m => ({
@@ -1155,31 +2038,48 @@ app.post('/api/chat', authenticate, async (req, res) => {
             return res.status(400).json({ error: 'No valid messages provided.' });
         }
 
-        const response = await axios.post('https://api.perplexity.ai/chat/completions', {
-            model: 'sonar',
-            messages: validatedMessages,
-            temperature: 0.7 
-        }, {
-            headers: {
-                'Authorization': `Bearer ${process.env.PERPLEXITY_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 60000
-        });
+        // 3. Hold the message price; it is returned if the provider errors or times out.
+        // Keys are scoped to the user so one client's key can't collide with another's.
+        const holdKey = `chat_${userId}_${req.get('Idempotency-Key') || crypto.randomUUID()}`;
+        const price = priceOperation('chat_message');
+        const hold = await creditHolds.reserve(userId, price.credits, 'AI Chat Interaction', holdKey, price.pricing);
+        if (!hold.success) {
+            return res.status(403).json({ 
+                error: 'Insufficient credits', 
+                message: hold.error 
+            });
+        }
+        // A repeated key was already charged (or is in flight): never answer it for free
+        if (hold.duplicate) {
+            return res.status(409).json({
+                error: 'Duplicate request',
+                message: 'This message was already sent. Send a new Idempotency-Key to send it again.'
+            });
+        }
+        heldKey = holdKey;
+
+        console.log(`💬 Chat request: user ${userId}, remaining credits: ${hold.newBalance}`);
+
+        // 4. AI Provider Request
+        const response = await aiProvider.complete(validatedMessages, { temperature: 0.7 });
 
-        const aiMessage = response.data?.choices?.[0]?.message;
+        const aiMessage = response.message;
         if (!aiMessage) {
-            console.error('AI Provider Error: Empty response choices', response.data);
+            console.error('AI Provider Error: Empty response choices', response.raw);
             throw new Error('No response from AI provider');
         }
 
+        await captureHeldCredits(userId, holdKey);
+        heldKey = null;
+
         res.json({
             ...aiMessage,
-            creditsRemaining: deductResult.newBalance
+            creditsRemaining: hold.newBalance
         });
 
     } catch (error) {
         console.error('❌ Chat API Error:', error.message);
+        if (heldKey) await releaseHeldCredits(userId, heldKey, 'AI provider error');
         
         // Detailed error forwarding
         if (error.response) {
@@ -1200,6 +2100,16 @@ app.post('/api/chat', authenticate, async (req, res) => {
 
 // --- 6. CREDITS ENDPOINTS ---
 
+// Public pricing table: credits per plan and per operation.
+// `?version=N` returns an older version, to explain the `pricing` field of past ledger entries.
+app.get('/api/pricing', (req, res) => {
+    const pricing = getPricing(req.query.version);
+    if (!pricing) {
+        return res.status(404).json({ error: 'Pricing version not found', message: `Current version is ${getPricing().version}.` });
+    }
+    res.json({ ...pricing, current: pricing === getPricing() });
+});
+
 // Get current user's credits balance
 app.get('/api/credits/balance', authenticate, async (req, res) => {
     if (!db) {
@@ -1212,10 +2122,12 @@ app.get('/api/credits/balance', authenticate, async (req, res) => {
             return res.status(500).json({ error: 'Could not fetch credits data' });
         }
         
+        const organization = userData.organization;
         res.json({
             plan: userData.plan,
             credits_balance: userData.credits_balance,
-            plan_credits: PLAN_CREDITS[userData.plan] || PLAN_CREDITS.free
+            plan_credits: organization ? organization.allowance.cap : PLAN_CREDITS[userData.plan] || PLAN_CREDITS.free,
+            ...(organization ? { organization } : {})
         });
     } catch (error) {
         console.error('Error fetching credits:', error);
@@ -1223,6 +2135,40 @@ app.get('/api/credits/balance', authenticate, async (req, res) => {
     }
 });
 
+// Current user's ledger entries, newest first.
+// Query: type (comma separated), from, to, limit (1-100), cursor (nextCursor of the previous page), format=csv
+app.get('/api/credits/ledger', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const parsed = parseLedgerQuery(req.query);
+    if (!parsed.success) {
+        return res.status(400).json({ error: 'Invalid ledger query', message: parsed.error });
+    }
+    const { query } = parsed;
+
+    try {
+        // Filtered and paged in memory to avoid composite indexes on userId + type + createdAt
+        const snapshot = await db.collection('credits_ledger')
+            .where('userId', '==', req.user.uid)
+            .get();
+        const entries = snapshot.docs.map(doc => formatEntry(doc.id, doc.data()));
+
+        if (query.format === 'csv') {
+            const { entries: rows } = selectLedgerPage(entries, { ...query, limit: Infinity, cursor: null });
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', 'attachment; filename="gostudy-credits.csv"');
+            return res.send(toCsv(rows));
+        }
+
+        res.json(selectLedgerPage(entries, query));
+    } catch (error) {
+        console.error('Error fetching credits ledger:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Legacy endpoint for backwards compatibility (maps to new credits system)
 app.get('/api/usage', authenticate, async (req, res) => {
     if (!db) {
@@ -1235,11 +2181,14 @@ app.get('/api/usage', authenticate, async (req, res) => {
             return res.status(500).json({ error: 'Could not fetch usage data' });
         }
         
-        const limit = PLAN_CREDITS[userData.plan] || PLAN_CREDITS.free;
+        // Organization members see their monthly cap
+        const organization = userData.organization;
+        const limit = organization ? organization.allowance.cap : PLAN_CREDITS[userData.plan] || PLAN_CREDITS.free;
         
         res.json({
             plan: userData.plan,
-            uploadsThisMonth: limit - userData.credits_balance, // Backwards compatible
+            uploadsThisMonth: organization ? organization.allowance.used : limit - userData.credits_balance, // Backwards compatible
+            ...(organization ? { organization: { id: organization.id, name: organization.name, role: organization.role } } : {}),
             limit: limit,
             remaining: userData.credits_balance,
             credits_balance: userData.credits_balance
@@ -1250,158 +2199,866 @@ app.get('/api/usage', authenticate, async (req, res) => {
     }
 });
 
-// PayPal Webhook handler with signature verification and idempotency
-app.post('/api/paypal/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-    try {
-        // Parse the webhook body
-        const rawBody = req.body;
-        const event = typeof rawBody === 'string' ? JSON.parse(rawBody) : rawBody;
-        const eventId = event.id;
-        
-        console.log(`📬 PayPal Webhook received: ${event.event_type} (ID: ${eventId})`);
-        
-        if (!db) {
-            console.error('Firestore not initialized, cannot process webhook');
-            return res.status(200).send('OK');
-        }
-        
-        // 1. Verify webhook signature (production requirement)
-        const isValid = await verifyPayPalWebhook(req.headers, event);
-        if (!isValid) {
-            console.error('❌ PayPal webhook signature verification failed');
-            return res.status(401).send('Invalid signature');
-        }
-        
-        // 2. Check if already processed (idempotency)
-        if (await isWebhookProcessed(eventId)) {
-            console.log(`⚠️ Webhook ${eventId} already processed, skipping`);
-            return res.status(200).send('OK');
+// --- PROMO CODES & TRANSFERS ---
+
+// Counts a redemption atomically (promo_codes total + promo_redemptions per user), then
+// credits it through addCredits keyed by code, user and redemption number. A redemption
+// counted but not credited yet (e.g. a crash in between) is credited on the next attempt.
+const redeemPromoCode = async (userId, rawCode) => {
+    const code = normalizeCode(rawCode);
+    const promoRef = db.collection('promo_codes').doc(code);
+    const redemptionRef = db.collection('promo_redemptions').doc(`${code}_${userId}`);
+
+    const claim = await db.runTransaction(async (transaction) => {
+        const [promoDoc, redemptionDoc] = await Promise.all([transaction.get(promoRef), transaction.get(redemptionRef)]);
+        if (!promoDoc.exists) {
+            throw createHttpError(404, { error: 'Invalid promo code', message: 'This promo code does not exist.' });
         }
-        
-        const subscriptionId = event.resource?.id;
-        const customId = event.resource?.custom_id; // User ID from PayPal
-        
-        // 3. Process event based on type
-        switch (event.event_type) {
-            case 'BILLING.SUBSCRIPTION.ACTIVATED':
-            case 'PAYMENT.SALE.COMPLETED':
-                // Add credits for new subscription or renewal payment
-                if (subscriptionId) {
-                    // Find user by subscription ID or custom_id
-                    let userId = customId;
-                    
-                    if (!userId) {
-                        const snapshot = await db.collection('users')
-                            .where('paypalSubscriptionId', '==', subscriptionId)
-                            .limit(1)
-                            .get();
-                        
-                        if (!snapshot.empty) {
-                            userId = snapshot.docs[0].id;
-                        }
-                    }
-                    
-                    if (userId) {
-                        // Add Pro credits
-                        const result = await addCredits(
-                            userId,
-                            PLAN_CREDITS.pro,
-                            'purchase',
-                            `Pro subscription payment (${event.event_type})`,
-                            `paypal_${eventId}`,
-                            eventId
-                        );
-                        
-                        // Update subscription ID on user
-                        await db.collection('users').doc(userId).update({
-                            paypalSubscriptionId: subscriptionId,
-                            plan: 'pro'
-                        });
-                        
-                        console.log(`🎉 Credits added for user ${userId}: ${PLAN_CREDITS.pro}`);
-                    } else {
-                        console.warn(`⚠️ No user found for subscription: ${subscriptionId}`);
-                    }
-                }
-                break;
-                
-            case 'PAYMENT.SALE.REFUNDED':
-            case 'PAYMENT.SALE.REVERSED':
-                // Subtract credits for refunds
-                if (subscriptionId) {
-                    const snapshot = await db.collection('users')
-                        .where('paypalSubscriptionId', '==', subscriptionId)
-                        .limit(1)
-                        .get();
-                    
-                    if (!snapshot.empty) {
-                        const userId = snapshot.docs[0].id;
-                        
-                        // Subtract credits (use negative amount in addCredits)
-                        await addCredits(
-                            userId,
-                            -PLAN_CREDITS.pro,
-                            'refund',
-                            `Payment refunded/reversed (${event.event_type})`,
-                            `paypal_refund_${eventId}`,
-                            eventId
-                        );
-                        
-                        console.log(`💸 Credits refunded for user ${userId}`);
-                    }
-                }
-                break;
-                
-            case 'BILLING.SUBSCRIPTION.CANCELLED':
-            case 'BILLING.SUBSCRIPTION.SUSPENDED':
-            case 'BILLING.SUBSCRIPTION.EXPIRED':
-                // Downgrade user to free (don't remove credits, just change plan)
-                if (subscriptionId) {
-                    const snapshot = await db.collection('users')
-                        .where('paypalSubscriptionId', '==', subscriptionId)
-                        .limit(1)
-                        .get();
-                    
-                    if (!snapshot.empty) {
-                        const userDoc = snapshot.docs[0];
-                        await userDoc.ref.update({
-                            plan: 'free',
-                            subscriptionCancelledAt: admin.firestore.FieldValue.serverTimestamp()
-                        });
-                        console.log(`📉 User ${userDoc.id} downgraded to Free (${event.event_type})`);
-                    }
-                }
-                break;
-                
-            default:
-                console.log(`ℹ️ Unhandled PayPal event: ${event.event_type}`);
+        const promo = promoDoc.data();
+        const redemption = redemptionDoc.exists ? redemptionDoc.data() : { count: 0, credited: 0 };
+        if (redemption.credited < redemption.count) {
+            return { credits: promo.credits, number: redemption.count };
         }
-        
-        // 4. Mark webhook as processed
-        await markWebhookProcessed(eventId, event.event_type);
-        
-        res.status(200).send('OK');
-    } catch (error) {
-        console.error('Error processing PayPal webhook:', error);
-        res.status(200).send('OK'); // Always return 200 to avoid retries
-    }
-});
 
-// --- 7. HISTORY ROUTE ---
+        const rejection = checkRedemption(promo, { userRedemptions: redemption.count });
+        if (rejection) throw createHttpError(rejection.status, rejection.body);
 
-app.get('/api/generations', authenticate, async (req, res) => {
+        transaction.update(promoRef, { redemptions: (promo.redemptions || 0) + 1 });
+        transaction.set(redemptionRef, {
+            code,
+            userId,
+            count: redemption.count + 1,
+            credited: redemption.credited,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { credits: promo.credits, number: redemption.count + 1 };
+    });
+
+    const result = await addCredits(userId, claim.credits, 'promo', `Promo code ${code}`, `promo_${code}_${userId}_${claim.number}`);
+    if (!result.success) {
+        throw createHttpError(500, { error: 'Redemption failed', message: 'Your code was accepted but the credits could not be added. Please try again.' });
+    }
+    await redemptionRef.update({ credited: claim.number });
+    return { code, credits: claim.credits, newBalance: result.newBalance };
+};
+
+// Redeem a promo code. Body: { code }
+app.post('/api/credits/redeem', authenticate, async (req, res) => {
     if (!db) {
         return res.status(500).json({ error: 'Firestore not initialized' });
     }
+    if (!normalizeCode(req.body?.code)) {
+        return res.status(400).json({ error: 'Missing code', message: 'Enter a promo code to redeem.' });
+    }
 
+    const userId = req.user.uid;
     try {
-        const snapshot = await db.collection('generations')
-            .where('userId', '==', req.user.uid)
-            .get();
+        await getCreditsBalance(userId); // New accounts get their free credits first
+        const redemption = await redeemPromoCode(userId, req.body.code);
+        const creditsBalance = redemption.newBalance ?? (await getCreditsBalance(userId)).credits_balance;
 
-        const generations = [];
-        snapshot.forEach(doc => {
-            generations.push({ id: doc.id, ...doc.data() });
+        console.log(`🎟️ User ${userId} redeemed ${redemption.code} for ${redemption.credits} credit(s)`);
+        res.json({ code: redemption.code, credits_added: redemption.credits, credits_balance: creditsBalance });
+    } catch (error) {
+        if (error.status && error.body) return res.status(error.status).json(error.body);
+        console.error('Error redeeming promo code:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send credits to another account. Body: { email, amount }. Pro only, so free
+// accounts can't be farmed for their lifetime credits. Send an Idempotency-Key
+// header to make retries safe.
+app.post('/api/credits/transfer', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const parsed = parseTransfer(req.body);
+    if (!parsed.success) {
+        return res.status(400).json({ error: 'Invalid transfer', message: parsed.error });
+    }
+    const { email, amount } = parsed.transfer;
+    const senderId = req.user.uid;
+
+    try {
+        const sender = await getCreditsBalance(senderId);
+        if (sender.plan !== 'pro') {
+            return res.status(403).json({ error: 'Pro plan required', message: 'Upgrade to Pro to send credits to other accounts.' });
+        }
+
+        const recipient = await admin.auth().getUserByEmail(email).catch(() => null);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found', message: 'No GoStudy account uses this email address.' });
+        }
+        if (recipient.uid === senderId) {
+            return res.status(400).json({ error: 'Invalid transfer', message: 'You cannot send credits to yourself.' });
+        }
+        await getCreditsBalance(recipient.uid); // New accounts get their free credits first
+
+        // Keys are scoped to the sender. A retry with the same key only replays the same
+        // transfer: reusing it for another recipient or amount would report a transfer that never happened.
+        const transferKey = `transfer_${senderId}_${req.get('Idempotency-Key') || crypto.randomUUID()}`;
+        const description = `Credits sent to ${email}`;
+        const previous = await findLedgerEntry(`${transferKey}_out`);
+        if (previous && (previous.amount !== -amount || previous.description !== description)) {
+            return res.status(409).json({
+                error: 'Idempotency-Key reused',
+                message: 'This Idempotency-Key was already used for a different transfer. Send a new one.'
+            });
+        }
+        // A failed delivery uses the key up: replaying it would deliver credits that were already returned
+        if (previous && await findLedgerEntry(`${transferKey}_return`)) {
+            return res.status(409).json({
+                error: 'Transfer failed',
+                message: 'This transfer failed and the credits were returned to you. Send a new Idempotency-Key to try again.'
+            });
+        }
+
+        const sent = await deductCredits(senderId, amount, description, `${transferKey}_out`, 'transfer_out');
+        if (!sent.success) {
+            return res.status(sent.error === 'Insufficient credits' ? 403 : 402).json({
+                error: sent.error === 'Insufficient credits' ? 'Insufficient credits' : 'Transfer failed',
+                message: sent.error === 'Insufficient credits' ? 'You do not have enough credits for this transfer.' : 'Unable to process credits. Please try again.'
+            });
+        }
+
+        const received = await addCredits(recipient.uid, amount, 'transfer_in', `Credits from ${req.user.email || 'another GoStudy user'}`, `${transferKey}_in`);
+        // Unless a parallel retry of this transfer delivered them meanwhile
+        if (!received.success && !await findLedgerEntry(`${transferKey}_in`)) {
+            await addCredits(senderId, amount, 'transfer_in', `Returned: credits sent to ${email}`, `${transferKey}_return`);
+            return res.status(500).json({ error: 'Transfer failed', message: 'The credits could not be delivered and were returned to you.' });
+        }
+
+        console.log(`🎁 User ${senderId} sent ${amount} credit(s) to ${recipient.uid}`);
+        const creditsBalance = sent.newBalance ?? (await getCreditsBalance(senderId)).credits_balance;
+        res.json({ transferred: amount, to: email, credits_balance: creditsBalance });
+    } catch (error) {
+        console.error('Error transferring credits:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create a promo code. Body: { code?, credits, maxRedemptions, expiresAt, perUserLimit? }
+app.post('/api/admin/promo-codes', authenticate, requireAdmin, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const parsed = parsePromoCode(req.body);
+    if (!parsed.success) {
+        return res.status(400).json({ error: 'Invalid promo code', message: parsed.error });
+    }
+    const { promo } = parsed;
+
+    try {
+        // create() fails when the code already exists, so an existing code is never reset
+        await db.collection('promo_codes').doc(promo.code).create({
+            ...promo,
+            redemptions: 0,
+            createdBy: req.user.uid,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.log(`🎟️ Promo code ${promo.code} created by ${req.user.uid}`);
+        res.status(201).json({ ...promo, redemptions: 0 });
+    } catch (error) {
+        if (error.code === 6) { // ALREADY_EXISTS
+            return res.status(409).json({ error: 'Promo code exists', message: `${promo.code} is already in use.` });
+        }
+        console.error('Error creating promo code:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- ORGANIZATIONS ---
+// Institution plan: members spend from the organization's pool (see organizations.js)
+
+// Loads organization :id and the caller's membership into req.organization, 404 for non-members
+const loadMembership = async (req, res, next) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    try {
+        const ref = db.collection('organizations').doc(req.params.id);
+        const [orgDoc, memberDoc] = await Promise.all([ref.get(), ref.collection('members').doc(req.user.uid).get()]);
+        if (!orgDoc.exists || !memberDoc.exists) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+        req.organization = { id: ref.id, ref, data: orgDoc.data(), role: memberDoc.data().role };
+        next();
+    } catch (error) {
+        console.error('Error loading organization:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const requireOrgManager = (req, res, next) => {
+    if (canManage(req.organization.role)) return next();
+    res.status(403).json({ error: 'Forbidden', message: 'Only organization owners and admins can do this.' });
+};
+
+// Create an organization owned by the caller. Body: { name, memberMonthlyCap? }
+// The pool starts empty; site admins add credits (POST /api/admin/organizations/:id/credits).
+app.post('/api/organizations', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const parsed = parseOrganization(req.body);
+    if (!parsed.success) {
+        return res.status(400).json({ error: 'Invalid organization', message: parsed.error });
+    }
+
+    const userId = req.user.uid;
+    try {
+        await getCreditsBalance(userId); // Makes sure the user document exists
+        const orgRef = db.collection('organizations').doc();
+        const userRef = db.collection('users').doc(userId);
+
+        await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            if (userDoc.data()?.orgId) {
+                throw createHttpError(409, { error: 'Already in an organization', message: 'Leave your current organization first.' });
+            }
+
+            transaction.set(orgRef, {
+                ...parsed.organization,
+                ownerId: userId,
+                credits_balance: 0,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.set(orgRef.collection('members').doc(userId), {
+                role: 'owner',
+                email: req.user.email || null,
+                monthlyCap: null,
+                joinedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.update(userRef, { orgId: orgRef.id });
+        });
+
+        console.log(`🏫 Organization ${orgRef.id} created by ${userId}`);
+        res.status(201).json({ id: orgRef.id, ...parsed.organization, credits_balance: 0, role: 'owner' });
+    } catch (error) {
+        if (error.status && error.body) return res.status(error.status).json(error.body);
+        console.error('Error creating organization:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Organization details; owners and admins also get every member's usage this month
+app.get('/api/organizations/:id', authenticate, loadMembership, async (req, res) => {
+    const { id, ref, data, role } = req.organization;
+    try {
+        const body = {
+            id,
+            name: data.name,
+            credits_balance: data.credits_balance || 0,
+            memberMonthlyCap: data.memberMonthlyCap,
+            role
+        };
+
+        if (canManage(role)) {
+            const members = await ref.collection('members').get();
+            body.members = members.docs.map(doc => ({
+                userId: doc.id,
+                email: doc.data().email,
+                role: doc.data().role,
+                monthlyCap: doc.data().monthlyCap ?? null,
+                allowance: memberAllowance(doc.data(), data)
+            }));
+        }
+        res.json(body);
+    } catch (error) {
+        console.error('Error fetching organization:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Rename the organization or change the default monthly cap. Body: { name?, memberMonthlyCap? }
+app.patch('/api/organizations/:id', authenticate, loadMembership, requireOrgManager, async (req, res) => {
+    const { data } = req.organization;
+    const parsed = parseOrganization({
+        name: req.body?.name ?? data.name,
+        memberMonthlyCap: req.body?.memberMonthlyCap ?? data.memberMonthlyCap
+    });
+    if (!parsed.success) {
+        return res.status(400).json({ error: 'Invalid organization', message: parsed.error });
+    }
+
+    try {
+        await req.organization.ref.update(parsed.organization);
+        res.json({ id: req.organization.id, ...parsed.organization });
+    } catch (error) {
+        console.error('Error updating organization:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Invite someone by email. Body: { email, role? }. Returns the invite token, which the
+// invitee accepts while signed in with that email (no email is sent)
+app.post('/api/organizations/:id/invites', authenticate, loadMembership, requireOrgManager, async (req, res) => {
+    const parsed = parseInvite(req.body);
+    if (!parsed.success) {
+        return res.status(400).json({ error: 'Invalid invite', message: parsed.error });
+    }
+
+    try {
+        const token = createInviteToken();
+        const expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+        await db.collection('org_invites').doc(token).set({
+            ...parsed.invite,
+            orgId: req.organization.id,
+            invitedBy: req.user.uid,
+            expiresAt,
+            acceptedBy: null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log(`✉️ ${req.user.uid} invited ${parsed.invite.email} to organization ${req.organization.id}`);
+        res.status(201).json({ token, ...parsed.invite, expiresAt: expiresAt.toISOString() });
+    } catch (error) {
+        console.error('Error creating invite:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Join the organization of an invite addressed to the caller's email
+app.post('/api/organizations/invites/:token/accept', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const userId = req.user.uid;
+    try {
+        await getCreditsBalance(userId); // Makes sure the user document exists
+        const inviteRef = db.collection('org_invites').doc(req.params.token);
+        const userRef = db.collection('users').doc(userId);
+
+        const orgId = await db.runTransaction(async (transaction) => {
+            const [inviteDoc, userDoc] = await Promise.all([transaction.get(inviteRef), transaction.get(userRef)]);
+            const invite = inviteDoc.exists ? inviteDoc.data() : null;
+            const expiresAt = invite?.expiresAt?.toDate ? invite.expiresAt.toDate() : new Date(invite?.expiresAt);
+
+            if (!invite || invite.acceptedBy || expiresAt <= new Date()) {
+                throw createHttpError(404, { error: 'Invite not found', message: 'This invite does not exist, was already used or has expired.' });
+            }
+            if (invite.email !== (req.user.email || '').toLowerCase()) {
+                throw createHttpError(403, { error: 'Forbidden', message: `This invite is for ${invite.email}. Sign in with that address to accept it.` });
+            }
+            if (userDoc.data()?.orgId) {
+                throw createHttpError(409, { error: 'Already in an organization', message: 'Leave your current organization first.' });
+            }
+
+            const orgRef = db.collection('organizations').doc(invite.orgId);
+            transaction.set(orgRef.collection('members').doc(userId), {
+                role: invite.role,
+                email: invite.email,
+                monthlyCap: null,
+                joinedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.update(userRef, { orgId: invite.orgId });
+            transaction.update(inviteRef, { acceptedBy: userId, acceptedAt: admin.firestore.FieldValue.serverTimestamp() });
+            return invite.orgId;
+        });
+
+        console.log(`🏫 User ${userId} joined organization ${orgId}`);
+        res.json({ orgId });
+    } catch (error) {
+        if (error.status && error.body) return res.status(error.status).json(error.body);
+        console.error('Error accepting invite:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Change a member's role or monthly cap. Body: { role?, monthlyCap? } (null = organization default)
+app.patch('/api/organizations/:id/members/:userId', authenticate, loadMembership, requireOrgManager, async (req, res) => {
+    const parsed = parseMemberUpdate(req.body);
+    if (!parsed.success) {
+        return res.status(400).json({ error: 'Invalid member update', message: parsed.error });
+    }
+
+    try {
+        const memberRef = req.organization.ref.collection('members').doc(req.params.userId);
+        const memberDoc = await memberRef.get();
+        if (!memberDoc.exists) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (memberDoc.data().role === 'owner' && parsed.update.role) {
+            return res.status(400).json({ error: 'Invalid member update', message: "The owner's role cannot be changed." });
+        }
+
+        await memberRef.update(parsed.update);
+        const member = { ...memberDoc.data(), ...parsed.update };
+        res.json({ userId: memberRef.id, role: member.role, monthlyCap: member.monthlyCap ?? null, allowance: memberAllowance(member, req.organization.data) });
+    } catch (error) {
+        console.error('Error updating member:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove a member (owners and admins), or leave (any member but the owner)
+app.delete('/api/organizations/:id/members/:userId', authenticate, loadMembership, async (req, res) => {
+    const { userId } = req.params;
+    if (userId !== req.user.uid && !canManage(req.organization.role)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Only organization owners and admins can remove members.' });
+    }
+
+    try {
+        const memberRef = req.organization.ref.collection('members').doc(userId);
+        const memberDoc = await memberRef.get();
+        if (!memberDoc.exists) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (memberDoc.data().role === 'owner') {
+            return res.status(400).json({ error: 'Cannot remove owner', message: 'The owner cannot leave or be removed from the organization.' });
+        }
+
+        const batch = db.batch();
+        batch.delete(memberRef);
+        batch.update(db.collection('users').doc(userId), { orgId: admin.firestore.FieldValue.delete() });
+        await batch.commit();
+
+        console.log(`🏫 User ${userId} left organization ${req.organization.id}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing member:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add credits to an organization's pool (site admins). Body: { amount, description? }
+app.post('/api/admin/organizations/:id/credits', authenticate, requireAdmin, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const amount = Number(req.body?.amount);
+    if (!Number.isFinite(amount) || amount === 0) {
+        return res.status(400).json({ error: 'Invalid amount', message: 'amount must be a non-zero number of credits' });
+    }
+
+    const result = await addCredits(
+        null,
+        amount,
+        amount > 0 ? 'grant' : 'adjustment',
+        req.body.description || `Organization credits ${amount > 0 ? 'added' : 'removed'} by an admin`,
+        `org_${req.params.id}_${req.get('Idempotency-Key') || crypto.randomUUID()}`,
+        null,
+        pricingRecord({ plan: 'institution' }),
+        req.params.id
+    );
+    if (!result.success) {
+        return res.status(result.error === 'Organization not found' ? 404 : 500).json({ error: result.error });
+    }
+    res.json({ orgId: req.params.id, credits_balance: result.newBalance ?? null, duplicate: Boolean(result.duplicate) });
+});
+
+// Compares users' balances with their ledger totals (see reconcile.js).
+// Body: { userId?, apply? }. Dry run unless `apply` is true, which writes `adjustment` entries.
+app.post('/api/admin/credits/reconcile', authenticate, requireAdmin, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const { userId = null, apply = false } = req.body || {};
+    try {
+        const report = await reconciler.run({ userId, apply: apply === true });
+        console.log(`🧮 Reconciliation by ${req.user.uid}: ${report.mismatches.length} mismatch(es) in ${report.checked} user(s)${report.dryRun ? ' (dry run)' : ''}`);
+        res.json(report);
+    } catch (error) {
+        console.error('Error reconciling credits:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- BILLING CHECKOUT ---
+// Where checkout sends the user back: the calling site when it is one of ours
+const checkoutOrigin = (req) => (ALLOWED_ORIGINS.includes(req.headers.origin)
+    ? req.headers.origin
+    : process.env.APP_URL || 'https://gostudy-test.vercel.app');
+
+// Providers with credentials, i.e. the ones the pricing page can offer
+const configuredProviderNames = () => Object.values(paymentProviders).filter(provider => provider.configured).map(provider => provider.name);
+
+// { providers: ['paypal', ...], intervals: { paypal: ['monthly', 'yearly'], ... } }
+app.get('/api/billing/providers', (req, res) => {
+    const providers = configuredProviderNames();
+    res.json({ providers, intervals: Object.fromEntries(providers.map(name => [name, paymentProviders[name].intervals])) });
+});
+
+// Starts a Pro subscription with a provider's hosted checkout. The user id travels with
+// the subscription, so its webhooks find the user (see findSubscriptionUser).
+app.post('/api/billing/checkout', authenticate, async (req, res) => {
+    const { provider: name = 'paypal', interval = 'monthly' } = req.body || {};
+    const provider = paymentProviders[name];
+    if (!provider || !provider.configured) {
+        return res.status(400).json({ error: 'Invalid provider', message: `Payment provider must be one of: ${configuredProviderNames().join(', ') || 'none configured'}` });
+    }
+    if (!provider.intervals.includes(interval)) {
+        return res.status(400).json({ error: 'Invalid interval', message: `${provider.name} offers: ${provider.intervals.join(', ')}` });
+    }
+
+    const origin = checkoutOrigin(req);
+    try {
+        const checkout = await provider.createCheckout({
+            userId: req.user.uid,
+            email: req.user.email,
+            interval,
+            returnUrl: `${origin}/dashboard/?upgraded=true`,
+            cancelUrl: `${origin}/pricing/pro/`
+        });
+        console.log(`🛒 ${provider.name} checkout ${checkout.id} started for user ${req.user.uid}`);
+        res.json({ provider: provider.name, ...checkout });
+    } catch (error) {
+        console.error(`Error creating ${provider.name} checkout:`, error.response?.data || error.message);
+        res.status(500).json({ error: 'Checkout failed', message: error.message });
+    }
+});
+
+// --- SELF-SERVICE SUBSCRIPTION ---
+// The signed-in user's subscription: view it, cancel it, switch between monthly and yearly
+// billing. Changes go through the provider's API; the stored record is what the profile
+// page shows and what webhooks keep up to date.
+
+// The user's subscription record and provider, or null when they never subscribed
+const loadUserSubscription = async (userId) => {
+    const userDoc = await db.collection('users').doc(userId).get();
+    const subscriptionId = userDoc.exists ? subscriptionIdOfUser(userDoc.data()) : null;
+    if (!subscriptionId) return null;
+
+    const subscriptionDoc = await db.collection('subscriptions').doc(subscriptionId).get();
+    if (!subscriptionDoc.exists) return null;
+    const subscription = subscriptionDoc.data();
+    return { id: subscriptionId, ref: subscriptionDoc.ref, subscription, provider: paymentProviders[subscription.provider] || null };
+};
+
+app.get('/api/subscription', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    try {
+        const current = await loadUserSubscription(req.user.uid);
+        if (!current) return res.json({ subscription: null });
+
+        // The provider's view is informational; the stored record still answers when it is down
+        const live = current.provider?.configured
+            ? await current.provider.getSubscription(current.id).catch(error => {
+                console.warn(`Could not read ${current.subscription.provider} subscription ${current.id}:`, error.message);
+                return null;
+            })
+            : null;
+        res.json({ subscription: describeSubscription(current.id, current.subscription, { live, intervals: current.provider?.intervals }) });
+    } catch (error) {
+        console.error('Error fetching subscription:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cancels at the end of the paid period: Pro and its credits stay until then
+app.delete('/api/subscription', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const userId = req.user.uid;
+    try {
+        const current = await loadUserSubscription(userId);
+        if (!current) {
+            return res.status(404).json({ error: 'No subscription', message: 'You have no subscription to cancel.' });
+        }
+        if (!isManageable(current.subscription)) {
+            return res.status(409).json({ error: 'Subscription not active', message: `The subscription is already ${current.subscription.status}.` });
+        }
+        if (!current.provider?.configured) {
+            return res.status(500).json({ error: 'Payment provider not configured', message: `${current.subscription.provider} is not configured on this server` });
+        }
+
+        const reason = typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim().slice(0, 127) : undefined;
+        await current.provider.cancelSubscription(current.id, { reason });
+
+        // Applied now rather than when the provider's webhook arrives (that one is then a no-op)
+        const result = await applySubscriptionEvent({
+            id: `api_cancel_${current.id}_${Date.now()}`,
+            provider: current.subscription.provider,
+            type: 'subscription.cancelled',
+            rawType: 'api.subscription.cancel',
+            subscriptionId: current.id,
+            userId,
+            planId: null,
+            interval: null,
+            occurredAt: new Date(),
+            payment: null,
+            payer: null
+        });
+
+        console.log(`🛑 User ${userId} cancelled subscription ${current.id} (${result.status})`);
+        const { subscription } = await loadUserSubscription(userId);
+        res.json({ subscription: describeSubscription(current.id, subscription, { intervals: current.provider.intervals }) });
+    } catch (error) {
+        console.error('Error cancelling subscription:', error.response?.data || error);
+        res.status(500).json({ error: 'Cancellation failed', message: error.message });
+    }
+});
+
+// Switches billing to `{ interval: 'monthly' | 'yearly' }`. PayPal needs the subscriber's
+// approval first (`approvalUrl`); Stripe changes right away. The new interval is pending
+// until the provider's webhook confirms the new plan.
+app.patch('/api/subscription', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const userId = req.user.uid;
+    try {
+        const current = await loadUserSubscription(userId);
+        if (!current) {
+            return res.status(404).json({ error: 'No subscription', message: 'You have no subscription to change.' });
+        }
+        if (!current.provider?.configured) {
+            return res.status(500).json({ error: 'Payment provider not configured', message: `${current.subscription.provider} is not configured on this server` });
+        }
+        if (!canChangeInterval(current.subscription)) {
+            return res.status(409).json({ error: 'Subscription not active', message: `A ${current.subscription.status} subscription can't change billing.` });
+        }
+
+        const parsed = parseIntervalChange(req.body, { current: current.subscription, available: current.provider.intervals });
+        if (parsed.error) {
+            return res.status(400).json({ error: 'Invalid interval', message: parsed.error });
+        }
+
+        const origin = checkoutOrigin(req);
+        const { approvalUrl } = await current.provider.changeInterval(current.id, parsed.interval, {
+            returnUrl: `${origin}/profile/?billing=${parsed.interval}`,
+            cancelUrl: `${origin}/profile/`
+        });
+        await current.ref.update({
+            pendingInterval: parsed.interval,
+            pendingIntervalAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log(`🔁 User ${userId} requested ${parsed.interval} billing for subscription ${current.id}${approvalUrl ? ' (awaiting approval)' : ''}`);
+        const subscription = { ...current.subscription, pendingInterval: parsed.interval };
+        res.json({ subscription: describeSubscription(current.id, subscription, { intervals: current.provider.intervals }), approvalUrl });
+    } catch (error) {
+        console.error('Error changing subscription billing:', error.response?.data || error);
+        res.status(500).json({ error: 'Billing change failed', message: error.message });
+    }
+});
+
+// --- INVOICES ---
+// One invoice per completed payment, issued by applySubscriptionEvent. Users list theirs,
+// download each as a PDF and set the billing details printed on future invoices.
+
+app.get('/api/invoices', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    try {
+        const [list, userDoc] = await Promise.all([
+            invoices.listForUser(req.user.uid),
+            db.collection('users').doc(req.user.uid).get()
+        ]);
+        const billingDetails = (userDoc.exists && userDoc.data().billingDetails) || { name: null, address: null, taxId: null };
+        res.json({ invoices: list.map(formatInvoice), billingDetails });
+    } catch (error) {
+        console.error('Error listing invoices:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Applies to invoices issued from now on; issued invoices keep the details they were issued with
+app.put('/api/invoices/billing-details', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const parsed = parseBillingDetails(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ error: 'Invalid billing details', message: parsed.error });
+    }
+
+    try {
+        await db.collection('users').doc(req.user.uid).set({ billingDetails: parsed.details }, { merge: true });
+        res.json({ billingDetails: parsed.details });
+    } catch (error) {
+        console.error('Error saving billing details:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The invoice as a PDF download. Other users' invoices are reported as missing.
+app.get('/api/invoices/:id', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    try {
+        const invoice = await invoices.get(req.params.id);
+        const isAdmin = req.user.admin === true || ADMIN_UIDS.includes(req.user.uid);
+        if (!invoice || (invoice.userId !== req.user.uid && !isAdmin)) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+
+        const pdfBuffer = renderInvoicePdf(invoice);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="GoStudy-${invoice.number}.pdf"`,
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(pdfBuffer);
+    } catch (error) {
+        console.error('Error rendering invoice:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Failed payment events, for provider retries and admin replays (see webhook-failures.js)
+const webhookFailures = db ? createWebhookFailures({ db, FieldValue: admin.firestore.FieldValue }) : null;
+
+// Provider's own name for a raw event (PayPal: event_type, Stripe: type)
+const rawEventType = (event) => event.event_type || event.type;
+
+// Applies a verified event of `provider`. Handlers write the processed_webhooks marker in
+// the same transaction as their changes; events without changes are marked here.
+const processPaymentEvent = async (provider, rawEvent) => {
+    const event = await provider.parseEvent(rawEvent);
+    let result = { handled: false };
+    if (!event) {
+        console.log(`ℹ️ Unhandled ${provider.name} event: ${rawEventType(rawEvent)}`);
+    } else if (event.type === 'payment.refunded') {
+        // Subtract credits for refunds
+        result = await refundPayment(event);
+    } else {
+        // Status, access and (for payments) credits, see applySubscriptionEvent
+        result = await applySubscriptionEvent(event);
+    }
+
+    if (!result.handled) await markWebhookProcessed(rawEvent.id, rawEventType(rawEvent));
+    return result;
+};
+
+// Webhook handler of `provider` with signature verification and idempotency
+const handlePaymentWebhook = (provider) => async (req, res) => {
+    const event = req.body;
+    if (!event || typeof event !== 'object' || !event.id) {
+        return res.status(400).send('Invalid JSON');
+    }
+    const eventId = event.id;
+    
+    console.log(`📬 ${provider.name} webhook received: ${rawEventType(event)} (ID: ${eventId})`);
+    
+    if (!db) {
+        console.error('Firestore not initialized, cannot process webhook');
+        return res.status(503).send('Unavailable');
+    }
+    
+    // 1. Verify webhook signature (production requirement)
+    const isValid = await provider.verifyWebhook({ headers: req.headers, rawBody: req.rawBody, event });
+    if (!isValid) {
+        console.error(`❌ ${provider.name} webhook signature verification failed`);
+        return res.status(401).send('Invalid signature');
+    }
+    
+    try {
+        // 2. Check if already processed (idempotency)
+        if (await isWebhookProcessed(eventId)) {
+            console.log(`⚠️ Webhook ${eventId} already processed, skipping`);
+            return res.status(200).send('OK');
+        }
+        
+        // 3. Process event based on type (marks it processed)
+        await processPaymentEvent(provider, event);
+        await webhookFailures.resolve(eventId, { resolvedBy: provider.name });
+        
+        res.status(200).send('OK');
+    } catch (error) {
+        // 4. Keep the event for the provider's retries and admin replay; nothing of it was committed
+        console.error(`Error processing ${provider.name} webhook ${eventId}:`, error);
+        const attempts = await webhookFailures.record(event, error, { provider: provider.name }).catch(recordError => {
+            console.error(`Could not store failed webhook ${eventId}:`, recordError.message);
+            return null;
+        });
+        if (attempts) console.warn(`📮 Webhook ${eventId} stored as failed (attempt ${attempts})`);
+        res.status(500).send('Processing failed'); // Providers retry non-2xx deliveries
+    }
+};
+
+// /api/paypal/webhook, /api/stripe/webhook
+for (const provider of Object.values(paymentProviders)) {
+    app.post(`/api/${provider.name}/webhook`, handlePaymentWebhook(provider));
+}
+
+// Failed webhook events (payloads left out). ?status=failed (default), resolved or all
+app.get('/api/admin/webhooks/failures', authenticate, requireAdmin, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const status = req.query.status || FAILURE_STATUS.FAILED;
+    if (status !== 'all' && !Object.values(FAILURE_STATUS).includes(status)) {
+        return res.status(400).json({ error: 'Invalid status', message: `status must be one of: ${Object.values(FAILURE_STATUS).join(', ')}, all` });
+    }
+
+    try {
+        const failures = await webhookFailures.list({ status: status === 'all' ? null : status, limit: Math.min(parseInt(req.query.limit, 10) || 50, 200) });
+        res.json({ failures });
+    } catch (error) {
+        console.error('Error listing webhook failures:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Processes a stored failed event again. Already processed events are only marked resolved.
+app.post('/api/admin/webhooks/failures/:eventId/replay', authenticate, requireAdmin, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    const failure = await webhookFailures.get(req.params.eventId).catch(() => null);
+    if (!failure) {
+        return res.status(404).json({ error: 'Webhook failure not found' });
+    }
+
+    const { event } = failure;
+    const provider = paymentProviders[failure.provider || 'paypal'];
+    if (!provider) {
+        return res.status(500).json({ error: 'Payment provider not configured', message: `${failure.provider} is not configured on this server` });
+    }
+
+    try {
+        const duplicate = await isWebhookProcessed(event.id);
+        if (!duplicate) await processPaymentEvent(provider, event);
+        await webhookFailures.resolve(event.id, { resolvedBy: req.user.uid });
+
+        console.log(`📮 Webhook ${event.id} replayed by ${req.user.uid}${duplicate ? ' (already processed)' : ''}`);
+        res.json({ eventId: event.id, status: FAILURE_STATUS.RESOLVED, alreadyProcessed: duplicate });
+    } catch (error) {
+        console.error(`Replay of webhook ${event.id} failed:`, error);
+        const attempts = await webhookFailures.record(event, error, { provider: provider.name, source: 'replay' }).catch(() => failure.attempts);
+        res.status(500).json({ eventId: event.id, status: FAILURE_STATUS.FAILED, error: error.message, attempts });
+    }
+});
+
+// --- 7. HISTORY ROUTE ---
+
+app.get('/api/generations', authenticate, async (req, res) => {
+    if (!db) {
+        return res.status(500).json({ error: 'Firestore not initialized' });
+    }
+
+    try {
+        const snapshot = await db.collection('generations')
+            .where('userId', '==', req.user.uid)
+            .get();
+
+        const generations = [];
+        snapshot.forEach(doc => {
+            const { sourceDocuments, ...data } = doc.data();
+            generations.push({ id: doc.id, ...data });
         });
 
         // Sort client-side to avoid requiring a composite index
@@ -1429,7 +3086,7 @@ app.get('/api/generations/:id', authenticate, async (req, res) => {
             return res.status(404).json({ error: 'Generation not found' });
         }
 
-        const data = doc.data();
+        const { sourceDocuments, ...data } = doc.data();
 
         // 1. Plan A: Check if studyPlan is in Firestore (New records)
         if (data.studyPlan) {
@@ -1506,6 +3163,84 @@ app.put('/api/generations/:id', authenticate, async (req, res) => {
     }
 });
 
+// Regenerate one section of a saved plan from its stored source text.
+// Body: { section: 'memory_palace' | 'active_recall' | ... }. Costs the `regeneration` price (see pricing.js).
+app.post('/api/generations/:id/regenerate', authenticate, async (req, res) => {
+    if (!db) return res.status(500).json({ error: 'Firestore not initialized' });
+
+    const { section } = req.body || {};
+    if (!REGENERABLE_SECTIONS.includes(section)) {
+        return res.status(400).json({ error: 'Invalid section', message: `section must be one of: ${REGENERABLE_SECTIONS.join(', ')}` });
+    }
+
+    const userId = req.user.uid;
+    try {
+        const docRef = db.collection('generations').doc(req.params.id);
+        const doc = await docRef.get();
+        if (!doc.exists || doc.data().userId !== userId) {
+            return res.status(404).json({ error: 'Generation not found' });
+        }
+
+        const data = doc.data();
+        const documents = data.studyPlan ? await loadSourceDocuments(data) : null;
+        if (!documents) {
+            return res.status(409).json({
+                error: 'Source text not available',
+                message: 'This plan was created before source text was stored. Upload the file again to regenerate it.'
+            });
+        }
+
+        // Hold the credits while the AI works; a failure gives them back
+        const price = priceOperation('regeneration');
+        const hold = price.credits > 0
+            ? await reserveCredits(
+                userId,
+                price.credits,
+                `Regenerated ${section}: ${data.fileName}`,
+                `regen_${doc.id}_${req.get('Idempotency-Key') || crypto.randomUUID()}`,
+                price.pricing
+            )
+            : null;
+
+        let studyPlan;
+        try {
+            const language = data.studyPlan.language;
+            studyPlan = await regenerateSection({
+                provider: aiProvider,
+                plan: data.studyPlan,
+                section,
+                documents,
+                prefsPrompt: buildMasteryPrompt(await loadMastery(userId)) + await buildPreferencesPrompt(userId),
+                outputLanguage: language ? languageName(language.output) : undefined,
+                onParseAttempt: recordParseAttempts(userId, { kind: 'regeneration', generationId: doc.id, section })
+            });
+
+            await docRef.update({
+                studyPlan,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            if (hold) await releaseHeldCredits(userId, hold.key, 'regeneration failed');
+            throw error;
+        }
+        if (hold) await captureHeldCredits(userId, hold.key);
+        const creditsBalance = hold?.newBalance ?? null;
+
+        try {
+            await savePlanToFile(userId, doc.id, studyPlan);
+        } catch (diskErr) {
+            console.warn("Failed to update disk backup (non-critical):", diskErr.message);
+        }
+
+        console.log(`🔁 Regenerated ${section} of plan ${doc.id} for user ${userId}`);
+        res.json({ section, studyPlan, credits_charged: price.credits, credits_balance: creditsBalance });
+    } catch (error) {
+        console.error('Error regenerating section:', error);
+        const { status, body } = describeGenerationError(error);
+        res.status(status).json(body);
+    }
+});
+
 // Delete a specific generation
 app.delete('/api/generations/:id', authenticate, async (req, res) => {
     if (!db) return res.status(500).json({ error: 'Firestore not initialized' });
@@ -1524,6 +3259,11 @@ app.delete('/api/generations/:id', authenticate, async (req, res) => {
         const filePath = path.join(__dirname, 'saved_plans', req.user.uid, `${doc.id}.json`);
         await safeDelete(filePath);
 
+        // 3. Delete the stored source text and original files
+        await deleteGenerationSource(sourceStorage, req.user.uid, doc.id).catch((err) => {
+            console.warn(`Failed to delete stored source of ${doc.id}:`, err.message);
+        });
+
         res.json({ message: 'Generation deleted successfully' });
     } catch (error) {
         console.error('Error deleting generation:', error);
@@ -1590,7 +3330,8 @@ app.get('/api/preferences', authenticate, async (req, res) => {
                 difficulty_adaptation: true,
                 pace: "balanced",
                 reminder_frequency: "medium",
-                focus_preference: "mixed"
+                focus_preference: "mixed",
+                output_language: AUTO_LANGUAGE
             });
         }
 
@@ -1602,6 +3343,8 @@ app.get('/api/preferences', authenticate, async (req, res) => {
             reminder_frequency: "medium",
             focus_preference: "mixed"
         };
+        // Saved before output_language existed
+        preferences.output_language = preferences.output_language || AUTO_LANGUAGE;
 
         res.json(preferences);
     } catch (error) {
@@ -1615,7 +3358,11 @@ app.put('/api/preferences', authenticate, async (req, res) => {
     if (!db) return res.status(500).json({ error: 'Firestore not initialized' });
 
     try {
-        const { tone, difficulty_adaptation, pace, reminder_frequency, focus_preference } = req.body;
+        const { tone, difficulty_adaptation, pace, reminder_frequency, focus_preference, output_language } = req.body;
+
+        if (output_language && !isSupportedPreference(output_language)) {
+            return res.status(400).json({ error: 'Invalid output_language', message: `Use "${AUTO_LANGUAGE}" or one of: ${Object.keys(LANGUAGES).join(', ')}` });
+        }
         
         // Construct preferences object with validation/defaults
         const preferences = {
@@ -1623,7 +3370,8 @@ app.put('/api/preferences', authenticate, async (req, res) => {
             difficulty_adaptation: difficulty_adaptation ?? true,
             pace: pace || "balanced",
             reminder_frequency: reminder_frequency || "medium",
-            focus_preference: focus_preference || "mixed"
+            focus_preference: focus_preference || "mixed",
+            output_language: output_language || AUTO_LANGUAGE
         };
 
         await db.collection('users').doc(req.user.uid).set({
@@ -1681,6 +3429,11 @@ app.delete('/api/account', authenticate, async (req, res) => {
              console.log(`Deleted user data for: ${req.user.uid}`);
         }
 
+        // Stored source text and original files of every plan
+        await deleteUserSources(sourceStorage, req.user.uid).catch((err) => {
+            console.warn(`Failed to delete stored sources of ${req.user.uid}:`, err.message);
+        });
+
         console.log(`Deleted user: ${req.user.uid}`);
         res.json({ message: 'Account deleted successfully' });
     } catch (error) {
@@ -0,0 +1,163 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+
+// --- SOURCE STORAGE ---
+// Keeps the extracted source text (and optionally the original upload) of each
+// generation, so plans can be regenerated, chats grounded and citations checked.
+// STORAGE_BACKEND selects local disk (default) or any S3-compatible store (AWS, MinIO, R2).
+
+// Every object of a generation lives under one prefix, so deleting a plan or
+// an account is a prefix delete.
+const userPrefix = (userId) => `users/${userId}/`;
+const generationPrefix = (userId, generationId) => `${userPrefix(userId)}generations/${generationId}/`;
+
+// Object keys must not contain path separators or odd characters from user file names
+const safeName = (name) => (name || 'file').replace(/[^\w.\- ]+/g, '_').replace(/\s+/g, '_').slice(0, 120);
+
+const assertSafeKey = (key) => {
+    if (!key || key.startsWith('/') || key.split('/').includes('..')) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+};
+
+// --- LOCAL DISK ---
+
+const createLocalStorage = ({ root }) => {
+    const resolve = (key) => {
+        assertSafeKey(key);
+        return path.join(root, ...key.split('/'));
+    };
+
+    return {
+        name: 'local',
+
+        async put(key, body) {
+            const filePath = resolve(key);
+            await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+            await fsPromises.writeFile(filePath, body);
+        },
+
+        async get(key) {
+            return fsPromises.readFile(resolve(key));
+        },
+
+        async deletePrefix(prefix) {
+            await fsPromises.rm(resolve(prefix.replace(/\/$/, '')), { recursive: true, force: true });
+        }
+    };
+};
+
+// --- S3-COMPATIBLE ---
+
+// `client` can be injected (tests); otherwise one is built from the connection settings
+const createS3Storage = ({ bucket, endpoint, region = 'us-east-1', accessKeyId, secretAccessKey, forcePathStyle = false, client }) => {
+    if (!bucket) throw new Error('S3 storage requires a bucket (S3_BUCKET).');
+
+    const {
+        S3Client,
+        PutObjectCommand,
+        GetObjectCommand,
+        ListObjectsV2Command,
+        DeleteObjectsCommand
+    } = require('@aws-sdk/client-s3');
+
+    const s3 = client || new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle, // Required by MinIO
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        async put(key, body, { contentType } = {}) {
+            assertSafeKey(key);
+            await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+        },
+
+        async get(key) {
+            assertSafeKey(key);
+            const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        },
+
+        async deletePrefix(prefix) {
+            assertSafeKey(prefix);
+            let token;
+            do {
+                const page = await s3.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: token }));
+                const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+                if (objects.length) {
+                    await s3.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: objects, Quiet: true } }));
+                }
+                token = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (token);
+        }
+    };
+};
+
+const createStorageFromEnv = (env = process.env) => {
+    const backend = (env.STORAGE_BACKEND || 'local').toLowerCase();
+
+    if (backend === 's3') {
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            endpoint: env.S3_ENDPOINT,
+            region: env.S3_REGION,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+        });
+    }
+    if (backend === 'local') {
+        return createLocalStorage({ root: env.STORAGE_LOCAL_DIR || path.join(__dirname, 'storage') });
+    }
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use local or s3.`);
+};
+
+// --- GENERATION SOURCES ---
+
+// Stores the normalized text ([{ name, text }]) and, when given, the original
+// files ([{ name, mimetype, buffer }]). Returns the `source` descriptor saved on
+// the generations document: { backend, textKey, chars, files: [{ name, key, mimetype, size }] }.
+const saveGenerationSource = async (storage, { userId, generationId, documents, originals = [] }) => {
+    const prefix = generationPrefix(userId, generationId);
+    const textKey = `${prefix}source.json`;
+    await storage.put(textKey, Buffer.from(JSON.stringify({ documents })), { contentType: 'application/json' });
+
+    const files = [];
+    for (const [i, file] of originals.entries()) {
+        const key = `${prefix}files/${i + 1}-${safeName(file.name)}`;
+        await storage.put(key, file.buffer, { contentType: file.mimetype });
+        files.push({ name: file.name, key, mimetype: file.mimetype, size: file.buffer.length });
+    }
+
+    return {
+        backend: storage.name,
+        textKey,
+        chars: documents.reduce((sum, doc) => sum + doc.text.length, 0),
+        files
+    };
+};
+
+// Resolves to the stored [{ name, text }]
+const loadGenerationSource = async (storage, source) => {
+    const { documents } = JSON.parse((await storage.get(source.textKey)).toString('utf-8'));
+    return documents;
+};
+
+const deleteGenerationSource = (storage, userId, generationId) =>
+    storage.deletePrefix(generationPrefix(userId, generationId));
+
+const deleteUserSources = (storage, userId) => storage.deletePrefix(userPrefix(userId));
+
+module.exports = {
+    createLocalStorage,
+    createS3Storage,
+    createStorageFromEnv,
+    saveGenerationSource,
+    loadGenerationSource,
+    deleteGenerationSource,
+    deleteUserSources
+};
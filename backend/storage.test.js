@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    createLocalStorage,
+    createS3Storage,
+    createStorageFromEnv,
+    saveGenerationSource,
+    loadGenerationSource,
+    deleteGenerationSource,
+    deleteUserSources
+} = require('./storage');
+
+const DOCUMENTS = [{ name: 'cells.pdf', text: 'The cell is the basic unit of life.' }];
+
+describe('local storage', () => {
+    let root;
+    let storage;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+        storage = createLocalStorage({ root });
+    });
+
+    afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    test('stores the source text and original files under the generation', async () => {
+        const source = await saveGenerationSource(storage, {
+            userId: 'u1',
+            generationId: 'g1',
+            documents: DOCUMENTS,
+            originals: [{ name: '../cells notes.pdf', mimetype: 'application/pdf', buffer: Buffer.from('%PDF') }]
+        });
+
+        expect(source).toEqual({
+            backend: 'local',
+            textKey: 'users/u1/generations/g1/source.json',
+            chars: DOCUMENTS[0].text.length,
+            files: [{ name: '../cells notes.pdf', key: 'users/u1/generations/g1/files/1-.._cells_notes.pdf', mimetype: 'application/pdf', size: 4 }]
+        });
+        expect(await loadGenerationSource(storage, source)).toEqual(DOCUMENTS);
+        expect((await storage.get(source.files[0].key)).toString()).toBe('%PDF');
+    });
+
+    test('deletes one generation or everything a user stored', async () => {
+        await saveGenerationSource(storage, { userId: 'u1', generationId: 'g1', documents: DOCUMENTS });
+        await saveGenerationSource(storage, { userId: 'u1', generationId: 'g2', documents: DOCUMENTS });
+        await saveGenerationSource(storage, { userId: 'u2', generationId: 'g3', documents: DOCUMENTS });
+
+        await deleteGenerationSource(storage, 'u1', 'g1');
+        expect(fs.existsSync(path.join(root, 'users/u1/generations/g1'))).toBe(false);
+        expect(fs.existsSync(path.join(root, 'users/u1/generations/g2'))).toBe(true);
+
+        await deleteUserSources(storage, 'u1');
+        expect(fs.existsSync(path.join(root, 'users/u1'))).toBe(false);
+        expect(fs.existsSync(path.join(root, 'users/u2/generations/g3/source.json'))).toBe(true);
+    });
+
+    test('rejects keys that escape the storage root', async () => {
+        await expect(storage.put('../outside.txt', 'x')).rejects.toThrow('Invalid storage key');
+        await expect(storage.get('/etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+});
+
+describe('S3 storage', () => {
+    // Fake S3 client keeping objects in memory and listing them one per page
+    const fakeClient = () => {
+        const objects = new Map();
+        const calls = [];
+        const send = async (command) => {
+            const name = command.constructor.name;
+            const input = command.input;
+            calls.push([name, input.Bucket]);
+
+            if (name === 'PutObjectCommand') objects.set(input.Key, Buffer.from(input.Body));
+            if (name === 'GetObjectCommand') {
+                return { Body: { transformToByteArray: async () => objects.get(input.Key) } };
+            }
+            if (name === 'ListObjectsV2Command') {
+                const keys = [...objects.keys()].filter(key => key.startsWith(input.Prefix)).sort();
+                const start = input.ContinuationToken ? keys.indexOf(input.ContinuationToken) : 0;
+                return {
+                    Contents: keys.slice(start, start + 1).map(Key => ({ Key })),
+                    IsTruncated: start + 1 < keys.length,
+                    NextContinuationToken: keys[start + 1]
+                };
+            }
+            if (name === 'DeleteObjectsCommand') input.Delete.Objects.forEach(({ Key }) => objects.delete(Key));
+            return {};
+        };
+        return { client: { send }, objects, calls };
+    };
+
+    test('round-trips a generation source and deletes every page of a prefix', async () => {
+        const { client, objects, calls } = fakeClient();
+        const storage = createS3Storage({ bucket: 'gostudy', client });
+
+        const source = await saveGenerationSource(storage, {
+            userId: 'u1',
+            generationId: 'g1',
+            documents: DOCUMENTS,
+            originals: [{ name: 'a.pdf', mimetype: 'application/pdf', buffer: Buffer.from('A') }]
+        });
+        await saveGenerationSource(storage, { userId: 'u2', generationId: 'g2', documents: DOCUMENTS });
+
+        expect(source.backend).toBe('s3');
+        expect(await loadGenerationSource(storage, source)).toEqual(DOCUMENTS);
+
+        await deleteUserSources(storage, 'u1');
+        expect([...objects.keys()]).toEqual(['users/u2/generations/g2/source.json']);
+        expect(calls.every(([, bucket]) => bucket === 'gostudy')).toBe(true);
+    });
+
+    test('requires a bucket', () => {
+        expect(() => createS3Storage({})).toThrow('S3_BUCKET');
+    });
+});
+
+describe('createStorageFromEnv', () => {
+    test('defaults to local disk and rejects unknown backends', () => {
+        expect(createStorageFromEnv({}).name).toBe('local');
+        expect(createStorageFromEnv({ STORAGE_BACKEND: 'S3', S3_BUCKET: 'b', S3_ENDPOINT: 'http://localhost:9000' }).name).toBe('s3');
+        expect(() => createStorageFromEnv({ STORAGE_BACKEND: 'ftp' })).toThrow('Unknown STORAGE_BACKEND');
+    });
+});
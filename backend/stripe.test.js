@@ -0,0 +1,128 @@
+const axios = require('axios');
+const { signStripePayload } = require('./payment-providers');
+
+// End-to-end: signed Stripe events → /api/stripe/webhook → the same subscription,
+// ledger and balance records as PayPal, in the in-memory Firestore. No network needed.
+
+const ENV = {
+    STRIPE_SECRET_KEY: 'sk_test_local',
+    STRIPE_WEBHOOK_SECRET: 'whsec_local',
+    STRIPE_PRICE_ID: 'price_pro',
+    FIRESTORE_BACKEND: 'memory'
+};
+
+let server;
+let db;
+let webhookUrl;
+const savedEnv = {};
+
+const genId = () => Math.random().toString(36).substring(7);
+
+const userOf = async (userId) => (await db.collection('users').doc(userId).get()).data();
+const ledgerOf = (userId) => db.dump('credits_ledger').map(doc => doc.data).filter(entry => entry.userId === userId);
+
+// Delivers `event` like Stripe does: raw JSON body and a Stripe-Signature header
+const deliver = async (event, { secret = ENV.STRIPE_WEBHOOK_SECRET } = {}) => {
+    const body = JSON.stringify({ created: Math.floor(Date.now() / 1000), ...event });
+    const response = await axios.post(webhookUrl, body, {
+        headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signStripePayload(body, secret) },
+        validateStatus: () => true
+    });
+    return response.status;
+};
+
+const subscriptionEvent = (type, subscriptionId, userId, fields = {}) => ({
+    id: 'evt_' + genId(),
+    type,
+    data: { object: { id: subscriptionId, status: 'active', metadata: { userId }, items: { data: [{ price: { id: 'price_pro' } }] }, ...fields } }
+});
+
+const invoicePaid = (subscriptionId, userId, amountPaid = 1299) => ({
+    id: 'evt_' + genId(),
+    type: 'invoice.paid',
+    data: { object: { id: 'in_' + genId(), subscription: subscriptionId, subscription_details: { metadata: { userId } }, amount_paid: amountPaid, currency: 'usd' } }
+});
+
+beforeAll(async () => {
+    for (const [key, value] of Object.entries(ENV)) {
+        savedEnv[key] = process.env[key];
+        process.env[key] = value;
+    }
+
+    const app = require('./server');
+    db = app.locals.db;
+    await new Promise((resolve) => { server = app.listen(0, resolve); });
+    webhookUrl = `http://127.0.0.1:${server.address().port}/api/stripe/webhook`;
+});
+
+afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+});
+
+describe('Stripe Webhook Integration', () => {
+    test('should activate the subscription and credit the paid invoice once', async () => {
+        const userId = 'user_' + genId();
+        const subscriptionId = 'sub_' + genId();
+
+        expect(await deliver(subscriptionEvent('customer.subscription.created', subscriptionId, userId))).toBe(200);
+        const payment = invoicePaid(subscriptionId, userId);
+        expect(await deliver(payment)).toBe(200);
+        expect(await deliver(payment)).toBe(200);
+
+        expect(await userOf(userId)).toMatchObject({ plan: 'pro', credits_balance: 40, subscriptionId, billingProvider: 'stripe', subscriptionStatus: 'active' });
+        expect((await db.collection('subscriptions').doc(subscriptionId).get()).data()).toMatchObject({ userId, status: 'active', provider: 'stripe', planId: 'price_pro' });
+        expect(ledgerOf(userId).map(entry => [entry.type, entry.amount, entry.stripeEventId])).toEqual([['renewal', 40, payment.id]]);
+    });
+
+    test('should not credit or invoice a $0 invoice', async () => {
+        const userId = 'user_trial_' + genId();
+        const subscriptionId = 'sub_' + genId();
+
+        expect(await deliver(subscriptionEvent('customer.subscription.created', subscriptionId, userId))).toBe(200);
+        expect(await deliver(invoicePaid(subscriptionId, userId, 0))).toBe(200);
+
+        expect(ledgerOf(userId)).toHaveLength(0);
+        expect(db.dump('invoices').filter(doc => doc.data.userId === userId)).toHaveLength(0);
+    });
+
+    test('should keep Pro until the subscription is deleted after cancelling at period end', async () => {
+        const userId = 'user_cancel_' + genId();
+        const subscriptionId = 'sub_' + genId();
+        await deliver(subscriptionEvent('customer.subscription.created', subscriptionId, userId));
+        await deliver(invoicePaid(subscriptionId, userId));
+
+        await deliver(subscriptionEvent('customer.subscription.updated', subscriptionId, userId, { cancel_at_period_end: true }));
+        expect(await userOf(userId)).toMatchObject({ plan: 'pro', subscriptionStatus: 'cancelled' });
+
+        await deliver(subscriptionEvent('customer.subscription.deleted', subscriptionId, userId, { status: 'canceled' }));
+        expect(await userOf(userId)).toMatchObject({ plan: 'free', subscriptionStatus: 'expired' });
+    });
+
+    test('should take refunded credits back', async () => {
+        const userId = 'user_refund_' + genId();
+        const subscriptionId = 'sub_' + genId();
+        const payment = invoicePaid(subscriptionId, userId);
+        await deliver(payment);
+
+        const status = await deliver({
+            id: 'evt_' + genId(),
+            type: 'charge.refunded',
+            data: { object: { id: 'ch_' + genId(), invoice: payment.data.object, amount_refunded: 1299, currency: 'usd' } }
+        });
+
+        expect(status).toBe(200);
+        expect(ledgerOf(userId).map(entry => entry.type).sort()).toEqual(['refund', 'renewal']);
+        expect((await userOf(userId)).credits_balance).toBe(0);
+    });
+
+    test('should reject events signed with another secret', async () => {
+        const userId = 'user_forged_' + genId();
+
+        expect(await deliver(invoicePaid('sub_' + genId(), userId), { secret: 'whsec_forged' })).toBe(401);
+        expect(ledgerOf(userId)).toHaveLength(0);
+    });
+});
@@ -0,0 +1,176 @@
+const { addMonths, billingPeriod } = require('./renewals');
+
+// --- SUBSCRIPTIONS ---
+// Lifecycle of a paid subscription (subscriptions/{subscriptionId}), driven by
+// provider events. Only a completed payment grants credits: activation, retries
+// and re-activation change the status and the access, never the balance.
+//
+//   pending ──▶ active ◀──▶ past_due ──▶ suspended
+//                 │            │             │
+//                 └────────────┴──▶ cancelled ──▶ expired
+//
+// past_due keeps Pro access for a grace period after the failed payment; cancelled
+// keeps it until the end of the last paid period.
+//
+// Subscriptions are billed monthly or yearly. Credits renew monthly either way: a
+// payment credits the month it falls in, and the renewal job credits the other months
+// of a paid year.
+
+const SUBSCRIPTION_STATES = ['pending', 'active', 'past_due', 'suspended', 'cancelled', 'expired'];
+
+// Allowed moves from each status (staying put is always allowed)
+const TRANSITIONS = {
+    pending: ['active', 'cancelled', 'expired'],
+    active: ['past_due', 'suspended', 'cancelled', 'expired'],
+    past_due: ['active', 'suspended', 'cancelled', 'expired'],
+    suspended: ['active', 'cancelled', 'expired'],
+    cancelled: ['expired'],
+    expired: []
+};
+
+// Normalized provider events (see payment-providers.js) → status they lead to;
+// `paid` marks a completed billing cycle
+const SUBSCRIPTION_EVENTS = {
+    'subscription.created': { status: 'pending' },
+    'subscription.updated': {}, // Plan changes: the status stays
+    'subscription.activated': { status: 'active' },
+    'payment.completed': { status: 'active', paid: true },
+    'payment.failed': { status: 'past_due' },
+    'subscription.suspended': { status: 'suspended' },
+    'subscription.cancelled': { status: 'cancelled' },
+    'subscription.expired': { status: 'expired' },
+    // Only a full refund of the payment for the current period gets here (see refundPayment)
+    'payment.refunded': { status: 'expired' }
+};
+
+const BILLING_INTERVALS = ['monthly', 'yearly'];
+const INTERVAL_MONTHS = { monthly: 1, yearly: 12 };
+
+const DEFAULT_GRACE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Firestore Timestamp, Date or ISO string → Date
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// Reads the grace period from an env value in days (0 ends access as soon as a payment fails)
+const parseGraceDays = (value, fallback = DEFAULT_GRACE_DAYS) => {
+    const days = parseFloat(value);
+    return Number.isFinite(days) && days >= 0 ? days : fallback;
+};
+
+const canTransition = (from, to) => !from || from === to || TRANSITIONS[from].includes(to);
+
+// Applies a normalized event type to `subscription` (null for a new one). `interval` is the
+// billing interval of the event's plan, when it names one. Returns null for events
+// that don't concern subscriptions, otherwise { subscription, grant, ignored } where
+// `grant` is the billing period a payment paid for (null when nothing was paid) and
+// `ignored` explains a status change that isn't allowed (e.g. a late activation after
+// a cancellation). A payment is credited even then: the money was received.
+const applyEvent = (subscription, eventType, { now = new Date(), graceDays = DEFAULT_GRACE_DAYS, interval = null } = {}) => {
+    const effect = SUBSCRIPTION_EVENTS[eventType];
+    if (!effect) return null;
+
+    const current = subscription || {};
+    const from = current.status || null;
+    const to = effect.status || from || 'pending';
+    const allowed = canTransition(from, to);
+    const next = { ...current, status: allowed ? to : from };
+    if (allowed && from !== to) next.statusChangedAt = now;
+
+    next.interval = interval || current.interval || 'monthly';
+    if (next.pendingInterval === next.interval) next.pendingInterval = null;
+
+    if (next.status === 'active' && !toDate(next.billingAnchor)) next.billingAnchor = now;
+    if (next.status !== 'past_due') next.graceEndsAt = null;
+
+    let grant = null;
+    if (effect.paid) {
+        const period = billingPeriod(toDate(next.billingAnchor) || now, now);
+        next.billingAnchor = toDate(next.billingAnchor) || now;
+        next.currentPeriodStart = period.start;
+        next.currentPeriodEnd = addMonths(period.start, INTERVAL_MONTHS[next.interval], toDate(next.billingAnchor).getUTCDate());
+        grant = period;
+    }
+
+    if (allowed && to === 'past_due' && from !== 'past_due') {
+        const periodEnd = toDate(current.currentPeriodEnd);
+        const start = periodEnd && periodEnd > now ? periodEnd : now;
+        next.graceEndsAt = new Date(start.getTime() + graceDays * DAY_MS);
+    }
+
+    return { subscription: next, grant, ignored: allowed ? null : `Cannot go from ${from} to ${to}` };
+};
+
+// Whether the subscription gives Pro access at `now`
+const hasProAccess = (subscription, now = new Date()) => {
+    switch (subscription?.status) {
+        case 'active':
+            return true;
+        case 'past_due':
+            return toDate(subscription.graceEndsAt) > now;
+        case 'cancelled':
+            return toDate(subscription.currentPeriodEnd) > now;
+        default:
+            return false;
+    }
+};
+
+const planFor = (subscription, now = new Date()) => (hasProAccess(subscription, now) ? 'pro' : 'free');
+
+// Whether the subscriber can still cancel or change billing (not already on the way out)
+const isManageable = (subscription) => ['pending', 'active', 'past_due', 'suspended'].includes(subscription?.status);
+
+// Whether billing can move between monthly and yearly (it needs a running subscription)
+const canChangeInterval = (subscription) => ['active', 'past_due'].includes(subscription?.status);
+
+// Validates a billing interval change against the intervals the provider has plans for.
+// Returns { interval } or { error }.
+const parseIntervalChange = (body, { current, available = BILLING_INTERVALS } = {}) => {
+    const interval = body?.interval;
+    if (!BILLING_INTERVALS.includes(interval)) {
+        return { error: `interval must be one of: ${BILLING_INTERVALS.join(', ')}` };
+    }
+    if (!available.includes(interval)) return { error: `${interval} billing is not available for this subscription` };
+    if (interval === (current.pendingInterval || current.interval || 'monthly')) {
+        return { error: `The subscription is already billed ${interval}` };
+    }
+    return { interval };
+};
+
+// API view of a stored subscription; `live` is the provider's own view, when it answered
+const describeSubscription = (id, subscription, { now = new Date(), live = null, intervals = BILLING_INTERVALS } = {}) => {
+    const iso = (value) => toDate(value)?.toISOString() || null;
+    return {
+        id,
+        provider: subscription.provider,
+        status: subscription.status,
+        interval: subscription.interval || 'monthly',
+        pendingInterval: subscription.pendingInterval || null,
+        planId: subscription.planId || null,
+        proAccess: hasProAccess(subscription, now),
+        currentPeriodEnd: iso(subscription.currentPeriodEnd) || iso(live?.currentPeriodEnd),
+        graceEndsAt: subscription.status === 'past_due' ? iso(subscription.graceEndsAt) : null,
+        cancelAtPeriodEnd: subscription.status === 'cancelled',
+        canCancel: isManageable(subscription),
+        canChangeInterval: canChangeInterval(subscription),
+        intervals,
+        providerStatus: live?.status || null
+    };
+};
+
+module.exports = {
+    SUBSCRIPTION_STATES,
+    TRANSITIONS,
+    SUBSCRIPTION_EVENTS,
+    BILLING_INTERVALS,
+    DEFAULT_GRACE_DAYS,
+    parseGraceDays,
+    canTransition,
+    applyEvent,
+    hasProAccess,
+    planFor,
+    isManageable,
+    canChangeInterval,
+    parseIntervalChange,
+    describeSubscription
+};
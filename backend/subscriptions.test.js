@@ -0,0 +1,130 @@
+const { parseGraceDays, canTransition, applyEvent, hasProAccess, planFor, parseIntervalChange, describeSubscription } = require('./subscriptions');
+
+const day = (n) => new Date(Date.UTC(2026, 9, n, 12));
+
+// Applies [eventType, date] pairs in order; returns the subscription and the periods paid for
+const replay = (events) => events.reduce((state, [type, date]) => {
+    const result = applyEvent(state.subscription, type, { now: date, graceDays: 7 });
+    return { subscription: result.subscription, grants: [...state.grants, ...(result.grant ? [result.grant.key] : [])] };
+}, { subscription: null, grants: [] });
+
+describe('applyEvent', () => {
+    test('activation alone grants nothing, the first payment pays for the period', () => {
+        const activated = applyEvent(null, 'subscription.activated', { now: day(19) });
+        expect(activated.grant).toBeNull();
+        expect(activated.subscription).toMatchObject({ status: 'active', billingAnchor: day(19) });
+
+        const paid = applyEvent(activated.subscription, 'payment.completed', { now: day(19) });
+        expect(paid.grant.key).toBe('2026-10-19');
+        expect(paid.subscription).toMatchObject({ currentPeriodStart: new Date('2026-10-19'), currentPeriodEnd: new Date('2026-11-19') });
+    });
+
+    test('credits each paid cycle once, whatever the event order', () => {
+        const { subscription, grants } = replay([
+            ['payment.completed', day(1)],
+            ['subscription.activated', day(1)],
+            ['payment.completed', new Date('2026-11-01T09:00:00Z')]
+        ]);
+        expect(grants).toEqual(['2026-10-01', '2026-11-01']);
+        expect(subscription.status).toBe('active');
+    });
+
+    test('a failed payment opens a grace period that a payment closes', () => {
+        const paid = replay([['payment.completed', day(1)]]).subscription;
+        const pastDue = applyEvent(paid, 'payment.failed', { now: new Date('2026-11-01T12:00:00Z'), graceDays: 7 });
+        expect(pastDue.subscription).toMatchObject({ status: 'past_due', graceEndsAt: new Date('2026-11-08T12:00:00Z') });
+
+        const recovered = applyEvent(pastDue.subscription, 'payment.completed', { now: new Date('2026-11-03T12:00:00Z') });
+        expect(recovered.subscription).toMatchObject({ status: 'active', graceEndsAt: null });
+        expect(recovered.grant.key).toBe('2026-11-01');
+    });
+
+    test('ignores moves out of a final status but still credits payments', () => {
+        const cancelled = replay([['payment.completed', day(1)], ['subscription.cancelled', day(5)]]).subscription;
+
+        const late = applyEvent(cancelled, 'subscription.activated', { now: day(6) });
+        expect(late.subscription.status).toBe('cancelled');
+        expect(late.ignored).toBe('Cannot go from cancelled to active');
+
+        expect(applyEvent(cancelled, 'payment.completed', { now: day(6) }).grant).not.toBeNull();
+        expect(applyEvent(cancelled, 'subscription.expired', { now: day(6) }).subscription.status).toBe('expired');
+        expect(applyEvent(cancelled, 'checkout.completed', { now: day(6) })).toBeNull();
+    });
+
+    test('only allows the documented transitions', () => {
+        expect(canTransition(null, 'active')).toBe(true);
+        expect(canTransition('pending', 'past_due')).toBe(false);
+        expect(canTransition('suspended', 'active')).toBe(true);
+        expect(canTransition('expired', 'active')).toBe(false);
+    });
+
+    test('a yearly payment pays for twelve months but credits only the month it falls in', () => {
+        const paid = applyEvent(null, 'payment.completed', { now: day(1), interval: 'yearly' });
+        expect(paid.grant.key).toBe('2026-10-01');
+        expect(paid.subscription.currentPeriodEnd).toEqual(new Date('2027-10-01'));
+
+        const cancelled = applyEvent(paid.subscription, 'subscription.cancelled', { now: day(5) }).subscription;
+        expect(cancelled.interval).toBe('yearly');
+        expect(planFor(cancelled, new Date('2027-06-01'))).toBe('pro');
+    });
+
+    test('a plan update keeps the status and settles a pending interval change', () => {
+        const paid = { ...replay([['payment.completed', day(1)]]).subscription, pendingInterval: 'yearly' };
+        const updated = applyEvent(paid, 'subscription.updated', { now: day(3), interval: 'yearly' }).subscription;
+        expect(updated).toMatchObject({ status: 'active', interval: 'yearly', pendingInterval: null });
+        expect(applyEvent(null, 'subscription.updated', { now: day(3) }).subscription.status).toBe('pending');
+    });
+});
+
+describe('access', () => {
+    const paid = replay([['payment.completed', day(1)]]).subscription;
+
+    test('cancelled keeps Pro until the end of the paid period', () => {
+        const cancelled = applyEvent(paid, 'subscription.cancelled', { now: day(5) }).subscription;
+        expect(planFor(cancelled, day(31))).toBe('pro');
+        expect(planFor(cancelled, new Date('2026-11-01'))).toBe('free');
+    });
+
+    test('past_due keeps Pro during the grace period, suspended and pending never', () => {
+        // Failed mid-period: the grace period starts when the paid period ends
+        const pastDue = applyEvent(paid, 'payment.failed', { now: day(10), graceDays: 7 }).subscription;
+        expect(pastDue.graceEndsAt).toEqual(new Date('2026-11-08'));
+        expect(hasProAccess(pastDue, new Date('2026-11-07'))).toBe(true);
+        expect(hasProAccess(pastDue, new Date('2026-11-09'))).toBe(false);
+        expect(hasProAccess({ status: 'suspended' })).toBe(false);
+        expect(hasProAccess({ status: 'pending' })).toBe(false);
+    });
+});
+
+describe('helpers', () => {
+    test('parses the grace period', () => {
+        expect(parseGraceDays(undefined)).toBe(7);
+        expect(parseGraceDays('0')).toBe(0);
+        expect(parseGraceDays('-2')).toBe(7);
+    });
+
+    test('validates interval changes', () => {
+        const current = { status: 'active', interval: 'monthly' };
+        expect(parseIntervalChange({ interval: 'yearly' }, { current })).toEqual({ interval: 'yearly' });
+        expect(parseIntervalChange({ interval: 'monthly' }, { current }).error).toBe('The subscription is already billed monthly');
+        expect(parseIntervalChange({ interval: 'yearly' }, { current: { ...current, pendingInterval: 'yearly' } }).error).toMatch('already billed yearly');
+        expect(parseIntervalChange({ interval: 'yearly' }, { current, available: ['monthly'] }).error).toBe('yearly billing is not available for this subscription');
+        expect(parseIntervalChange({ interval: 'weekly' }, { current }).error).toBe('interval must be one of: monthly, yearly');
+    });
+
+    test('describes a subscription for the API', () => {
+        const subscription = { provider: 'paypal', status: 'cancelled', interval: 'yearly', currentPeriodEnd: new Date('2027-10-01'), graceEndsAt: new Date('2026-11-01') };
+        expect(describeSubscription('I-SUB', subscription, { now: day(5), live: { status: 'cancelled' } })).toMatchObject({
+            id: 'I-SUB',
+            status: 'cancelled',
+            interval: 'yearly',
+            proAccess: true,
+            currentPeriodEnd: '2027-10-01T00:00:00.000Z',
+            graceEndsAt: null,
+            cancelAtPeriodEnd: true,
+            canCancel: false,
+            canChangeInterval: false,
+            providerStatus: 'cancelled'
+        });
+    });
+});
@@ -0,0 +1,73 @@
+// --- WEBHOOK DEAD LETTERS ---
+// Verified webhook events whose processing threw are kept in webhook_failures/{eventId}
+// with the payload, the last error and how many attempts failed, so nothing is lost
+// when a handler breaks halfway. Provider retries and admin replays of the same event
+// update the same document; a later success marks it resolved.
+
+const FAILURE_STATUS = {
+    FAILED: 'failed',
+    RESOLVED: 'resolved'
+};
+
+const MAX_ERROR_LENGTH = 2000;
+
+// `FieldValue` is admin.firestore.FieldValue
+const createWebhookFailures = ({ db, FieldValue, collection = 'webhook_failures' }) => {
+    const ref = (eventId) => db.collection(collection).doc(eventId);
+
+    return {
+        // Stores a failed attempt of `event` (the parsed payload). `source` is where it came
+        // from, e.g. 'paypal' or 'replay'. Returns the number of failed attempts so far.
+        record: (event, error, { provider = 'paypal', source = provider } = {}) => db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref(event.id));
+            const attempts = (doc.exists ? doc.data().attempts || 0 : 0) + 1;
+            const message = String(error?.message || error).slice(0, MAX_ERROR_LENGTH);
+
+            transaction.set(ref(event.id), {
+                eventId: event.id,
+                eventType: event.event_type || event.type || null,
+                provider,
+                payload: JSON.stringify(event),
+                status: FAILURE_STATUS.FAILED,
+                error: message,
+                attempts,
+                lastSource: source,
+                firstFailedAt: doc.exists ? doc.data().firstFailedAt : FieldValue.serverTimestamp(),
+                lastFailedAt: FieldValue.serverTimestamp(),
+                resolvedAt: null,
+                resolvedBy: null
+            });
+            return attempts;
+        }),
+
+        // Marks a stored failure resolved after a successful attempt; no-op for other events
+        resolve: async (eventId, { resolvedBy = null } = {}) => {
+            const doc = await ref(eventId).get();
+            if (!doc.exists || doc.data().status === FAILURE_STATUS.RESOLVED) return false;
+            await ref(eventId).update({ status: FAILURE_STATUS.RESOLVED, resolvedAt: FieldValue.serverTimestamp(), resolvedBy });
+            return true;
+        },
+
+        // Stored failure with its payload parsed back into the event, or null
+        get: async (eventId) => {
+            const doc = await ref(eventId).get();
+            if (!doc.exists) return null;
+            const data = doc.data();
+            return { ...data, event: JSON.parse(data.payload) };
+        },
+
+        // Failures with `status` ('failed', 'resolved' or null for both), most recent first
+        list: async ({ status = FAILURE_STATUS.FAILED, limit = 50 } = {}) => {
+            const query = status ? db.collection(collection).where('status', '==', status) : db.collection(collection);
+            const snapshot = await query.get();
+            const millis = (value) => (value?.toMillis ? value.toMillis() : 0);
+            return snapshot.docs
+                .map(doc => doc.data())
+                .sort((a, b) => millis(b.lastFailedAt) - millis(a.lastFailedAt))
+                .slice(0, limit)
+                .map(({ payload, ...failure }) => failure);
+        }
+    };
+};
+
+module.exports = { FAILURE_STATUS, createWebhookFailures };
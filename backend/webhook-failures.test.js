@@ -0,0 +1,39 @@
+const admin = require('firebase-admin');
+const { createMemoryFirestore } = require('./memory-firestore');
+const { createWebhookFailures } = require('./webhook-failures');
+
+const { FieldValue, Timestamp } = admin.firestore;
+
+describe('webhook failures', () => {
+    let failures;
+    const event = { id: 'WH-1', event_type: 'PAYMENT.SALE.COMPLETED', resource: { id: 'SALE-1', billing_agreement_id: 'I-SUB' } };
+
+    beforeEach(() => {
+        failures = createWebhookFailures({ db: createMemoryFirestore({ FieldValue, Timestamp }), FieldValue });
+    });
+
+    test('keeps the payload and counts attempts', async () => {
+        expect(await failures.record(event, new Error('Deadline exceeded'))).toBe(1);
+        expect(await failures.record(event, new Error('Still failing'), { source: 'replay' })).toBe(2);
+
+        const stored = await failures.get('WH-1');
+        expect(stored).toMatchObject({ eventType: 'PAYMENT.SALE.COMPLETED', status: 'failed', attempts: 2, error: 'Still failing', lastSource: 'replay' });
+        expect(stored.event).toEqual(event);
+        expect(await failures.get('WH-2')).toBeNull();
+    });
+
+    test('lists by status without payloads and resolves once', async () => {
+        await failures.record(event, new Error('boom'));
+        await failures.record({ ...event, id: 'WH-2' }, new Error('boom'));
+
+        expect(await failures.resolve('WH-1', { resolvedBy: 'admin-uid' })).toBe(true);
+        expect(await failures.resolve('WH-1')).toBe(false);
+        expect(await failures.resolve('WH-unknown')).toBe(false);
+
+        const open = await failures.list();
+        expect(open.map(failure => failure.eventId)).toEqual(['WH-2']);
+        expect(open[0]).not.toHaveProperty('payload');
+        expect((await failures.list({ status: 'resolved' }))[0]).toMatchObject({ eventId: 'WH-1', resolvedBy: 'admin-uid' });
+        expect(await failures.list({ status: null })).toHaveLength(2);
+    });
+});